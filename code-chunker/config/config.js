@@ -21,6 +21,7 @@ class AppConfig {
             application: {
                 // 文件扫描配置
                 maxFileSize: 5242880, // 5MB
+                maxNotebookFileSize: 20971520, // 20MB，Notebook 的输出不参与索引
 
                 // 🔥 支持多语言项目的文件扫描白名单
                 scanFileExtensions: [
@@ -28,6 +29,7 @@ class AppConfig {
                     '.py',
                     '.pyx',
                     '.pyi',
+                    '.ipynb',
                     '.pyw',
                     // 🔧 C/C++文件
                     '.c',
@@ -58,6 +60,8 @@ class AppConfig {
                     '.make',
                     // 📚 文档文件
                     '.md',
+                    '.markdown',
+                    '.mdx',
                     '.rst',
                     // 🐚 脚本文件
                     '.sh',
@@ -73,6 +77,18 @@ class AppConfig {
                     '.ts',
                     '.jsx',
                     '.tsx',
+                    '.mts',
+                    '.cts',
+                    // 💎 其他语言
+                    '.rb',
+                    '.rake',
+                    '.gemspec',
+                    '.kt',
+                    '.kts',
+                    '.swift',
+                    '.scala',
+                    '.sc',
+                    '.lua',
                     // 🔍 其他常见格式
                     '.proto',
                     '.proto3',
@@ -140,6 +156,7 @@ class AppConfig {
                     '.tmp',
                     'logs',
                     'log',
+                    'performance-reports',
                 ],
 
                 // 🔥 忽略模式
@@ -249,11 +266,38 @@ class AppConfig {
                     '**/generated/**',
                 ],
 
+                // 按 .gitignore 语义读取的忽略文件（工作空间内任意目录）；
+                // 工作空间根目录的 .codechunker.yaml 还可以覆盖扫描扩展名、忽略目录、分块大小和语言映射
+                ignoreFiles: ['.gitignore', '.codechunkerignore'],
+
                 // 🔥 并发处理参数优化
-                maxWorkers: 1,
+                maxWorkers: 0, // 解析Worker数量，0 表示 CPU核数 - 1
                 batchSize: 100,
                 linesPerChunk: 50,
-                useWorkers: false,
+                useWorkers: true, // 关闭后在主线程同步解析
+                workerTaskTimeoutMs: 30000, // 单个文件解析超时，超时只替换卡住的Worker
+                workerIdleTimeoutMs: 60000, // Worker空闲多久后退出释放内存，0 表示常驻
+                maxPendingParseResults: 0, // 等待嵌入的解析结果上限，0 表示 Worker数 * 2
+
+                // 流式索引流水线：扫描 → 解析 → 嵌入与写入，阶段之间的队列上限决定内存占用
+                pipeline: {
+                    fileQueueSize: 256, // 等待解析的文件数
+                    chunkQueueSize: 200, // 等待发送的代码块数
+                },
+
+                // 密钥扫描：代码块发送到嵌入服务与向量数据库之前检测其中的密钥
+                secretScanning: {
+                    enabled: true,
+                    // 发现密钥时的处理方式：'redact' 替换为占位符，'skip_chunk' 不发送该代码块，'skip_file' 不发送整个文件
+                    policy: 'redact',
+                    rulePolicies: {}, // 按规则覆盖处理方式，如 { private_key: 'skip_file' }
+                    disabledRules: [], // 如 ['high_entropy_assignment']
+                    customRules: [], // { id, pattern, policy }
+                    entropyFiles: ['.env', '.yaml', '.yml', '.properties'], // 检查高熵赋值的文件
+                    entropyThreshold: 4.0,
+                    hexEntropyThreshold: 3.0,
+                    minSecretLength: 20,
+                },
 
                 // 性能优化配置
                 performance: {
@@ -262,6 +306,25 @@ class AppConfig {
                     gcInterval: 100,
                 },
 
+                // 增量索引配置：基于上次成功索引的Merkle状态，只重新处理变更文件
+                incremental: {
+                    enabled: true,
+                    stateDir: '', // 默认 <workspace>/.vscode/merkle-cache
+                },
+
+                // 检索配置：向量检索与BM25词法检索可按请求选择或混合使用
+                search: {
+                    defaultMode: 'hybrid', // vector | lexical | hybrid
+                    rrfK: 60, // 倒数排名融合平滑常数
+                    candidateMultiplier: 3, // 混合检索时每路召回 topK * 3 个候选
+                    vectorWeight: 1,
+                    lexicalWeight: 1,
+                    lexicalIndex: {
+                        enabled: true,
+                        indexDir: '', // 默认 <workspace>/.vscode/lexical-cache
+                    },
+                },
+
                 // API锁定机制配置
                 userId: 'user123',
                 deviceId: 'device123',
@@ -276,14 +339,39 @@ class AppConfig {
                     '.go': 'go',
                     '.js': 'javascript',
                     '.jsx': 'javascript',
-                    '.ts': 'javascript',
-                    '.tsx': 'javascript',
+                    '.ts': 'typescript',
+                    '.tsx': 'typescript',
+                    '.mts': 'typescript',
+                    '.cts': 'typescript',
                     '.php': 'php',
                     '.cpp': 'cpp',
                     '.cxx': 'cpp',
                     '.cc': 'cpp',
                     '.hpp': 'cpp',
                     '.hxx': 'cpp',
+                    '.rb': 'ruby',
+                    '.rake': 'ruby',
+                    '.gemspec': 'ruby',
+                    '.kt': 'kotlin',
+                    '.kts': 'kotlin',
+                    '.swift': 'swift',
+                    '.scala': 'scala',
+                    '.sc': 'scala',
+                    '.lua': 'lua',
+                    '.sh': 'bash',
+                    '.bash': 'bash',
+                    '.md': 'markdown',
+                    '.markdown': 'markdown',
+                    '.mdx': 'markdown',
+                    '.rst': 'restructuredtext',
+                    '.json': 'json',
+                    '.jsonc': 'json',
+                    '.yaml': 'yaml',
+                    '.yml': 'yaml',
+                    '.toml': 'toml',
+                    '.xml': 'xml',
+                    '.properties': 'properties',
+                    '.ipynb': 'jupyter',
                 },
             },
 
@@ -296,10 +384,42 @@ class AppConfig {
                     keyPath: './keys/vector.key',
                 },
                 database: {
-                    type: 'api_only',
-                    enabled: false,
+                    // 'api_only' 只使用远程API；'local' 使用本地嵌入式向量数据库（离线可用）
+                    type: process.env.VECTOR_DB_TYPE || 'api_only',
+                    enabled: process.env.VECTOR_DB_TYPE === 'local',
+                    local: {
+                        persistencePath: process.env.LOCAL_VECTOR_DB_PATH || null, // 默认 <workspace>/.vscode/vector-cache
+                        metricType: 'COSINE',
+                        M: 16,
+                        efConstruction: 200,
+                        efSearch: 64,
+                        persistDelayMs: 2000,
+                    },
                 },
                 embedding: {
+                    // 'remote' 调用后端嵌入接口；'local' 在本机CPU上运行本地嵌入模型（离线可用，需配合本地向量数据库）
+                    provider: process.env.EMBEDDING_PROVIDER || 'remote',
+                    local: {
+                        modelPath: process.env.LOCAL_EMBEDDING_MODEL_PATH || null,
+                        dimension: Number(process.env.LOCAL_EMBEDDING_DIMENSION) || null, // 默认使用模型原始维度
+                        pooling: 'mean',
+                        normalize: true,
+                        dtype: process.env.LOCAL_EMBEDDING_DTYPE || 'q8',
+                        batchSize: 16,
+                        queryPrefix: '',
+                        documentPrefix: '',
+                    },
+                    // 远程嵌入接口协议：'codebase' 后端 /api/v1/codebase/embed；
+                    // 'openai' / 'ollama' 为自建的兼容服务，使用 compatible 中的地址与模型（需配合本地向量数据库）
+                    protocol: process.env.EMBEDDING_PROTOCOL || 'codebase',
+                    compatible: {
+                        baseURL: process.env.EMBEDDING_BASE_URL || null,
+                        model: process.env.EMBEDDING_MODEL || null,
+                        apiKey: process.env.EMBEDDING_API_KEY || null,
+                        authHeader: process.env.EMBEDDING_AUTH_HEADER || 'Authorization',
+                        maxBatchTokens: Number(process.env.EMBEDDING_MAX_BATCH_TOKENS) || 8192,
+                        embedPath: null, // 默认 /v1/embeddings（openai）或 /api/embeddings（ollama）
+                    },
                     baseURL: baseURL,
                     timeout: 60000,
                     token: process.env.BACKEND_API_TOKEN || 'your_api_token',
@@ -312,6 +432,39 @@ class AppConfig {
                 },
             },
 
+            // ==================== REST服务配置 ====================
+            server: {
+                // /api/* 接口的认证方式，可同时启用多种；每个令牌只能操作其绑定的 userId / deviceId
+                auth: {
+                    enabled: process.env.CODE_CHUNKER_AUTH_ENABLED !== 'false',
+                    // 静态API Key文件（JSON），格式见 src/auth/apiKeyProvider.js
+                    apiKeysFile: process.env.CODE_CHUNKER_API_KEYS_FILE || '',
+                    // HMAC签名令牌，使用 HmacTokenProvider.issue 签发
+                    hmac: {
+                        secret: process.env.CODE_CHUNKER_HMAC_SECRET || '',
+                        maxTtlSeconds: 2592000, // 30天
+                    },
+                    // JWT，使用本地JWKS文件中的公钥校验
+                    jwt: {
+                        jwksFile: process.env.CODE_CHUNKER_JWKS_FILE || '',
+                        issuer: process.env.CODE_CHUNKER_JWT_ISSUER || '',
+                        audience: process.env.CODE_CHUNKER_JWT_AUDIENCE || '',
+                        userIdClaim: 'sub',
+                        deviceIdClaim: 'device_id',
+                        clockToleranceSeconds: 30,
+                    },
+                    // 兼容旧客户端：没有 Authorization / X-API-Key 请求头时读取请求参数中的 token
+                    allowTokenParam: true,
+                },
+                cors: {
+                    // 允许跨域访问的来源，逗号分隔；'*' 表示允许所有来源
+                    allowedOrigins: (process.env.CODE_CHUNKER_CORS_ORIGINS || '')
+                        .split(',')
+                        .map(origin => origin.trim())
+                        .filter(Boolean),
+                },
+            },
+
             // ==================== 环境相关的API配置 ====================
             environments: {
                 development: {
@@ -445,6 +598,13 @@ class AppConfig {
         return this.config.vectorManager;
     }
 
+    /**
+     * 获取REST服务配置
+     */
+    getServer() {
+        return this.config.server;
+    }
+
     /**
      * 获取指定环境的配置
      */
@@ -3,10 +3,16 @@ const CodeChunker = require('./src/main');
 // 全局CodeChunker实例缓存
 const chunkerInstances = new Map();
 
+// 支持按文件删除向量的向量数据库类型；api_only 模式下没有删除接口，每次处理都是全量构建
+const INCREMENTAL_DATABASE_TYPES = ['local', 'tencent_cloud'];
+
 /**
  * 获取或创建CodeChunker实例
+ *
+ * @param {Object} [secrets] - 不适合写入配置文件的密钥，只在创建实例时使用
+ * @param {string} [secrets.embeddingApiKey] - 兼容协议（openai / ollama）嵌入服务的访问密钥，覆盖 EMBEDDING_API_KEY
  */
-function getChunkerInstance(userId, deviceId, workspacePath, token) {
+function getChunkerInstance(userId, deviceId, workspacePath, token, secrets = {}) {
     const key = `${userId}_${deviceId}_${workspacePath}`;
 
     if (!chunkerInstances.has(key)) {
@@ -14,7 +20,7 @@ function getChunkerInstance(userId, deviceId, workspacePath, token) {
             // 加载完整的配置模块
             const configModule = require('./config/config');
             const appConfig = configModule.getApplication();
-            const vectorManagerConfig = configModule.getVectorManager();
+            const vectorManagerConfig = applySecrets(configModule.getVectorManager(), secrets);
 
             // 合并配置：应用配置 + 运行时配置
             const config = {
@@ -39,10 +45,51 @@ function getChunkerInstance(userId, deviceId, workspacePath, token) {
     return chunkerInstances.get(key);
 }
 
+/**
+ * 关闭并移除缓存的实例：凭据变更后释放全部实例，下次获取实例时使用新的密钥；
+ * 工作区文件夹关闭后只释放该工作区的实例
+ *
+ * @param {string} [workspacePath] - 只释放该工作区的实例，未指定时释放全部
+ */
+async function releaseChunkerInstances(workspacePath) {
+    const released = [];
+    for (const [key, instance] of chunkerInstances) {
+        if (!workspacePath || instance.config.workspacePath === workspacePath) {
+            chunkerInstances.delete(key);
+            released.push(instance);
+        }
+    }
+    await Promise.all(released.map(instance => instance.shutdown()));
+}
+
+function applySecrets(vectorManagerConfig, secrets) {
+    if (!secrets.embeddingApiKey) {
+        return vectorManagerConfig;
+    }
+
+    const embedding = vectorManagerConfig.embedding || {};
+    return {
+        ...vectorManagerConfig,
+        embedding: {
+            ...embedding,
+            compatible: { ...embedding.compatible, apiKey: secrets.embeddingApiKey },
+        },
+    };
+}
+
+/**
+ * 当前配置的向量数据库是否支持增量更新（按文件删除旧向量）
+ * 不支持时每次处理都会清空集合并全量重建，不适合频繁触发的后台同步
+ */
+function supportsIncrementalUpdates() {
+    const database = require('./config/config').getVectorManager().database || {};
+    return database.enabled === true && INCREMENTAL_DATABASE_TYPES.includes(database.type);
+}
+
 /**
  * 统一签名的入口函数 - 使用缓存实例
  */
-async function processWorkspace(userId, deviceId, workspacePath, token, ignorePatterns) {
+async function processWorkspace(userId, deviceId, workspacePath, token, ignorePatterns, options) {
     // 使用缓存的实例，确保与进度查询使用同一个实例
     const chunker = getChunkerInstance(userId, deviceId, workspacePath, token);
 
@@ -52,7 +99,8 @@ async function processWorkspace(userId, deviceId, workspacePath, token, ignorePa
         deviceId,
         workspacePath,
         token,
-        ignorePatterns
+        ignorePatterns,
+        options
     );
 
     return result;
@@ -61,6 +109,8 @@ async function processWorkspace(userId, deviceId, workspacePath, token, ignorePa
 module.exports = {
     processWorkspace,
     getChunkerInstance,
+    releaseChunkerInstances,
+    supportsIncrementalUpdates,
     chunkerInstances,
     CodeChunker,
 };
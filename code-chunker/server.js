@@ -1,7 +1,11 @@
 const express = require('express');
 const { CodeChunker, processWorkspace, getChunkerInstance, chunkerInstances } = require('./index');
 const path = require('path');
-const FileScanner = require('./src/fileScanner');
+const WorkspaceWatcher = require('./src/utils/workspaceWatcher');
+const JobManager = require('./src/jobManager');
+const AuthManager = require('./src/auth/authManager');
+const SERVER_CONFIG = require('./config/config').getServer();
+const APP_CONFIG = require('./config/config').getApplication();
 const { createCollectionName } = require('./src/utils/collectionNameUtils');
 
 const app = express();
@@ -9,22 +13,62 @@ const PORT = process.env.PORT || 3000;
 
 // ==================== 静默程序管理 ====================
 const silentPrograms = new Map();
-const merkleTreeCache = new Map(); // 缓存哈希树
 
 const SILENT_MONITOR_CONFIG = {
-    intervalMs: 600000, // 10分钟
+    debounceMs: 2000, // 最后一次文件事件后静默2秒再处理
+    maxWaitMs: 15000, // 持续有变更时最多等待15秒
+    rescanIntervalMs: 3600000, // 每小时完整检查一次，兜底丢失的文件事件
     enableLogging: true,
     autoStopOnTrigger: true,
     maxInstances: 10,
     persistCache: true
 };
 
-// CORS 中间件 - 处理跨域请求
+// ==================== 处理任务队列 ====================
+const JOB_QUEUE_CONFIG = {
+    maxConcurrentJobs: 1, // 同时只处理一个工作空间，避免多个大型工作空间争抢内存和嵌入服务
+    maxQueuedJobs: 20,
+    retentionMs: 3600000 // 已结束的任务保留1小时供查询
+};
+
+const jobManager = new JobManager(JOB_QUEUE_CONFIG);
+
+// 任务事件流的订阅者，按任务ID分发；jobManager 上只注册一个监听器，不受监听器数量上限影响
+const jobEventSubscribers = new Map();
+jobManager.on('event', (job, event) => {
+    const subscribers = jobEventSubscribers.get(job.id);
+    if (!subscribers) return;
+    for (const subscriber of Array.from(subscribers)) {
+        subscriber(event);
+    }
+});
+
+function subscribeJobEvents(jobId, subscriber) {
+    if (!jobEventSubscribers.has(jobId)) {
+        jobEventSubscribers.set(jobId, new Set());
+    }
+    jobEventSubscribers.get(jobId).add(subscriber);
+    return () => {
+        const subscribers = jobEventSubscribers.get(jobId);
+        if (!subscribers) return;
+        subscribers.delete(subscriber);
+        if (subscribers.size === 0) jobEventSubscribers.delete(jobId);
+    };
+}
+
+// CORS 中间件 - 只允许配置的来源（server.cors.allowedOrigins）跨域访问
 app.use((req, res, next) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    const origin = req.headers.origin;
+    const allowedOrigins = SERVER_CONFIG.cors.allowedOrigins;
+    if (allowedOrigins.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+    }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
     res.setHeader('Access-Control-Allow-Headers', 
-        'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control, Pragma'
+        'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Cache-Control, Pragma'
     );
     res.setHeader('Access-Control-Max-Age', '86400'); // 24小时
     
@@ -43,12 +87,88 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // 请求日志中间件（简化版）
 app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
+    // 兼容旧客户端时令牌可能出现在查询参数中，不写入日志
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+});
+
+// ==================== 认证与授权 ====================
+const authManager = AuthManager.fromConfig(SERVER_CONFIG.auth);
+
+// 读取请求令牌：Authorization: Bearer <token>、X-API-Key，或（兼容旧客户端）请求参数 token
+function getRequestToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.slice(7).trim();
+    }
+    if (req.headers['x-api-key']) {
+        return req.headers['x-api-key'];
+    }
+    if (SERVER_CONFIG.auth.allowTokenParam) {
+        return (req.body && req.body.token) || req.query.token || null;
+    }
+    return null;
+}
+
+// 所有 /api/* 接口都需要认证；请求中的 userId / deviceId 必须属于令牌绑定的身份
+app.use('/api', (req, res, next) => {
+    try {
+        req.principal = authManager.authenticate(getRequestToken(req));
+    } catch (error) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            error: error.code === 'AUTH_REQUIRED' ? 'Authentication required' : 'Invalid credentials',
+            message: error.message
+        });
+    }
+    
+    // 各接口参数命名不统一（userId / userID），查询参数和请求体中的所有写法都要检查，值不一致时拒绝
+    let userId;
+    let deviceId;
+    try {
+        ({ userId, deviceId } = AuthManager.getRequestIdentity(req.query, req.body));
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Bad request',
+            message: error.message
+        });
+    }
+    if ((userId !== undefined || deviceId !== undefined) &&
+        !AuthManager.canAccess(req.principal, userId, deviceId)) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Token is not allowed to access this user or device'
+        });
+    }
+    
     next();
 });
 
-// 启动工作空间监控静默程序
-function startWorkspaceMonitor(userId, deviceId, workspacePath, token) {
+// 影响所有用户的接口（修改静默监控配置、清理所有实例）先调用：当前令牌不是管理员时返回403
+function requireAdmin(req, res) {
+    if (AuthManager.isAdmin(req.principal)) return true;
+    res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin token required'
+    });
+    return false;
+}
+
+// 查找当前身份可访问的任务，其他用户的任务按不存在处理
+function findAccessibleJob(req, res) {
+    const job = jobManager.get(req.params.id);
+    if (!job || !AuthManager.canAccess(req.principal, job.meta.userId, job.meta.deviceId)) {
+        res.status(404).json({
+            error: 'Job not found',
+            jobId: req.params.id
+        });
+        return null;
+    }
+    return job;
+}
+
+// 启动工作空间监控静默程序（基于文件系统事件，变更经防抖合并后增量更新）
+function startWorkspaceMonitor(userId, deviceId, workspacePath, token, ignorePatterns = []) {
     const workspaceKey = `${userId}_${deviceId}_${workspacePath}`;
     
     // 防重复启动
@@ -57,36 +177,40 @@ function startWorkspaceMonitor(userId, deviceId, workspacePath, token) {
         return false;
     }
     
+    if (silentPrograms.size >= SILENT_MONITOR_CONFIG.maxInstances) {
+        console.log(`⚠️ Monitor limit reached (${SILENT_MONITOR_CONFIG.maxInstances}), skipping: ${workspaceKey}`);
+        return false;
+    }
+    
     console.log(`🚀 Starting workspace monitor: ${workspaceKey}`);
     
-    // 创建FileScanner实例用于监控
-    const monitorConfig = {
-        workspacePath,
-        ignorePatterns: [
-            '**/.git/**',
-            '**/node_modules/**',
-            '**/__pycache__/**',
-            '**/*.log',
-            '**/*.tmp',
-            '**/.vscode/**',
-            '**/.idea/**'
-        ],
-        includeTextContentOnly: false,
-        processBinaryFiles: false
-    };
+    // 与索引使用相同的目录忽略规则，同时避免监听到自身缓存目录（.vscode）的写入
+    const chunker = getChunkerInstance(userId, deviceId, workspacePath, token);
+    const watcher = new WorkspaceWatcher(workspacePath, {
+        debounceMs: SILENT_MONITOR_CONFIG.debounceMs,
+        maxWaitMs: SILENT_MONITOR_CONFIG.maxWaitMs,
+        ignoredDirectories: chunker.config.ignoredDirectories,
+        ignorePatterns: Array.isArray(ignorePatterns) ? ignorePatterns : [],
+        onChanges: changedPaths => executeWorkspaceMonitor(workspaceKey, changedPaths)
+    });
     
-    const fileScanner = new FileScanner(monitorConfig);
+    try {
+        watcher.start();
+    } catch (error) {
+        watcher.stop();
+        console.error(`Failed to start workspace monitor ${workspaceKey}:`, error.message);
+        return false;
+    }
     
-    // 创建定时器
-    const intervalId = setInterval(async () => {
-        await executeWorkspaceMonitor(workspaceKey, {
-            userId, deviceId, workspacePath, token, fileScanner
-        });
-    }, SILENT_MONITOR_CONFIG.intervalMs);
+    // 文件事件可能丢失（如 inotify 队列溢出），定期做一次完整的增量检查兜底
+    const rescanIntervalId = SILENT_MONITOR_CONFIG.rescanIntervalMs > 0
+        ? setInterval(() => watcher.requestRescan(), SILENT_MONITOR_CONFIG.rescanIntervalMs)
+        : null;
     
     // 存储程序信息
     silentPrograms.set(workspaceKey, {
-        intervalId,
+        watcher,
+        rescanIntervalId,
         startTime: new Date(),
         workspaceKey,
         status: 'monitoring',
@@ -95,10 +219,10 @@ function startWorkspaceMonitor(userId, deviceId, workspacePath, token) {
         deviceId,
         workspacePath,
         token,
-        fileScanner
+        ignorePatterns: Array.isArray(ignorePatterns) ? ignorePatterns : []
     });
     
-    console.log(`✅ Workspace monitor started: ${workspaceKey}`);
+    console.log(`✅ Workspace monitor started: ${workspaceKey} (${watcher.watchMode}, ${watcher.watchedDirectoryCount} watchers)`);
     return true;
 }
 
@@ -111,156 +235,156 @@ function stopWorkspaceMonitor(userId, deviceId, workspacePath) {
     }
     
     const program = silentPrograms.get(workspaceKey);
-    clearInterval(program.intervalId);
+    program.watcher.stop();
+    clearInterval(program.rescanIntervalId);
     
     const runTime = Date.now() - program.startTime.getTime();
     console.log(`🛑 Workspace monitor stopped: ${workspaceKey} (${(runTime/1000).toFixed(2)}s, ${program.executeCount} executions)`);
     
-    // 清理缓存
-    merkleTreeCache.delete(workspaceKey);
     silentPrograms.delete(workspaceKey);
     
     return true;
 }
 
-// 执行工作空间监控任务
-async function executeWorkspaceMonitor(workspaceKey, context) {
-    const { userId, deviceId, workspacePath, token, fileScanner } = context;
+// 合并变更路径，'' 表示需要完整检查
+function mergeChangedPaths(paths, morePaths) {
+    if (paths.includes('') || morePaths.includes('')) return [''];
+    return Array.from(new Set([...paths, ...morePaths]));
+}
+
+// 工作空间监控检测到变更，changedPaths 中的 '' 表示需要完整检查
+// 与处理接口提交的任务使用同一个任务队列和工作空间键，同一工作空间的处理不会重叠
+function executeWorkspaceMonitor(workspaceKey, changedPaths) {
     const program = silentPrograms.get(workspaceKey);
     
     if (!program) return;
     
+    const { userId, deviceId, workspacePath, token, ignorePatterns } = program;
+    
+    if (changedPaths.includes('')) {
+        console.log(`🔄 Periodic full check: ${workspaceKey}`);
+    } else {
+        console.log(`📝 Changes detected in ${workspaceKey}: ${changedPaths.length} paths`);
+    }
+    
+    // 排队中的任务尚未开始扫描，变更并入该任务；完整处理的任务本身会检查所有文件
+    const queuedJob = jobManager.findQueuedJob(workspaceKey);
+    if (queuedJob) {
+        if (queuedJob.payload.changedPaths) {
+            queuedJob.payload.changedPaths = mergeChangedPaths(queuedJob.payload.changedPaths, changedPaths);
+        }
+        console.log(`📎 Changes merged into queued job ${queuedJob.id}: ${workspaceKey}`);
+        return;
+    }
+    
+    try {
+        const { job } = jobManager.enqueue({
+            key: workspaceKey,
+            meta: { userId, deviceId, workspacePath, trigger: 'monitor' },
+            payload: { token, ignorePatterns, forceFullRebuild: false, changedPaths },
+            getProgress: () => getWorkspaceProgress(workspaceKey),
+            run: context => runWorkspaceMonitorJob(program, context),
+            queueBehindRunning: true
+        });
+        program.lastJobId = job.id;
+    } catch (error) {
+        // 队列已满时放弃本批变更，定期的完整检查会补上
+        console.error(`Failed to queue workspace monitor job ${workspaceKey}:`, error.message);
+    }
+}
+
+// 执行工作空间监控任务（由任务队列调用）
+async function runWorkspaceMonitorJob(program, context) {
+    const { workspaceKey, userId, deviceId, workspacePath } = program;
+    
     try {
         program.executeCount++;
+        program.status = 'reprocessing';
         
-        // 1. 扫描工作空间生成新的哈希树
-        const scanResult = await fileScanner.scanWorkspace(workspacePath);
-        const newMerkleTree = scanResult.merkleTree;
-        
-        // 2. 获取上次的哈希树
-        const lastMerkleTree = merkleTreeCache.get(workspaceKey);
+        const result = await runProcessWorkspaceJob({ userId, deviceId, workspacePath, ...context.payload, ...context });
         
-        if (!lastMerkleTree) {
-            // 首次扫描，直接缓存
-            merkleTreeCache.set(workspaceKey, newMerkleTree);
-            return;
+        if (result.success) {
+            console.log(`✅ Incremental update completed: ${workspaceKey}`);
+        } else {
+            console.log(`❌ Incremental update failed: ${workspaceKey}`);
         }
-        
-        // 3. 比较哈希树
-        const changedFiles = FileScanner.findChangedFiles(lastMerkleTree, newMerkleTree);
-        
-        if (changedFiles.length > 0) {
-            console.log(`📝 Changes detected in ${workspaceKey}: ${changedFiles.length} files`);
-            
-            // 4. 自动重新处理工作空间
-            program.status = 'reprocessing';
+        return result;
+    } catch (error) {
+        if (!context.signal.aborted) {
+            console.error(`Error in workspace monitor ${workspaceKey}:`, error.message);
             
-            try {
-                console.log(`🔄 Auto-reprocessing: ${workspaceKey}`);
-                const success = await processWorkspace(userId, deviceId, workspacePath, token);
-                
-                if (success) {
-                    merkleTreeCache.set(workspaceKey, newMerkleTree);
-                    program.status = 'monitoring';
-                    console.log(`✅ Auto-reprocessing completed: ${workspaceKey}`);
-                } else {
-                    console.log(`❌ Auto-reprocessing failed: ${workspaceKey}`);
-                    program.status = 'monitoring';
-                }
-            } catch (error) {
-                console.error(`Error in auto-reprocessing ${workspaceKey}:`, error.message);
-                program.status = 'monitoring';
+            // 错误次数过多时停止监控
+            program.errorCount = (program.errorCount || 0) + 1;
+            if (program.errorCount > 3) {
+                console.log(`⚠️ Too many errors, stopping monitor: ${workspaceKey}`);
+                stopWorkspaceMonitor(userId, deviceId, workspacePath);
             }
         }
-        
-    } catch (error) {
-        console.error(`Error in workspace monitor ${workspaceKey}:`, error.message);
-        
-        // 错误次数过多时停止监控
-        program.errorCount = (program.errorCount || 0) + 1;
-        if (program.errorCount > 3) {
-            console.log(`⚠️ Too many errors, stopping monitor: ${workspaceKey}`);
-            stopWorkspaceMonitor(userId, deviceId, workspacePath);
-        }
+        throw error;
+    } finally {
+        program.status = 'monitoring';
     }
 }
 
+function getWorkspaceProgress(workspaceKey) {
+    const chunker = chunkerInstances.get(workspaceKey);
+    return chunker ? chunker.getFileProcessingDetails() : null;
+}
+
+// 执行工作空间处理任务（由任务队列调用），成功后启动工作空间监控
+// changedPaths 为监控检测到的变更路径，只把这些路径交给增量更新，未变更的文件沿用上次的索引状态
+async function runProcessWorkspaceJob({ userId, deviceId, workspacePath, token, ignorePatterns, forceFullRebuild, changedPaths, signal, setPhase, emitEvent }) {
+    console.log(`Processing workspace: ${workspacePath} for user ${userId}`);
+    
+    const fullCheck = !changedPaths || changedPaths.includes('');
+    const success = await processWorkspace(userId, deviceId, workspacePath, token, ignorePatterns, {
+        ...(fullCheck ? {} : { changedPaths }),
+        forceFullRebuild,
+        signal,
+        onPhase: setPhase,
+        onProgress: emitEvent
+    });
+    
+    if (!success) {
+        const chunker = chunkerInstances.get(`${userId}_${deviceId}_${workspacePath}`);
+        const failedFiles = chunker && chunker.progressTracker
+            ? chunker.progressTracker.getFileStatusDetails()
+                .filter(file => file.status === 'failed')
+                .map(file => file.filePath)
+            : [];
+        return {
+            success: false,
+            message: 'Failed to process workspace: some chunks could not be sent',
+            failedFiles: failedFiles.slice(0, 100),
+            failedFileCount: failedFiles.length
+        };
+    }
+    
+    const monitorStarted = startWorkspaceMonitor(userId, deviceId, workspacePath, token, ignorePatterns);
+    return { success: true, workspaceMonitorStarted: monitorStarted };
+}
+
 // 删除指定用户和设备的collection索引
+// 使用与索引相同的向量数据库配置：本地向量数据库删除集合及其磁盘文件，api_only 模式下只清除本地索引状态
 async function deleteCollectionIndex(userID, deviceID, workspacePath, token) {
+    const instanceKey = `${userID}_${deviceID}_${workspacePath}`;
+    const collectionName = createCollectionName(userID, deviceID, workspacePath);
     let chunker = null;
     
     try {
-        // 创建临时的CodeChunker实例用于删除操作
-        const chunkerConfig = {
-            workspacePath,
-            token,
-            userId: userID,
-            deviceId: deviceID,
-            vectorManager: {
-                enabled: true,
-                logLevel: 'info',
-                database: {
-                    type: 'tencent_cloud',
-                    connection: {
-                        type: 'tencent',
-                        host: 'http://nj-vdb-dz5mmt48.sql.tencentcdb.com',
-                        port: 8100,
-                        database: 'vectordb-test',
-                        username: 'root',
-                        apiKey: '4xVMtNrcgYd3FQ35A3YkWuFTcvn63t0hkBkDWfKS',
-                        timeout: 30000
-                    },
-                    collections: {
-                        vectorDimension: 768,
-                        metricType: 'COSINE',
-                        indexType: 'HNSW'
-                    },
-                    query: {
-                        defaultDatabase: 'vectordb-test'
-                    },
-                    batchSize: 100
-                }
-            }
-        };
-
-        chunker = new CodeChunker(chunkerConfig);
-
-        // 使用统一的collection名称生成工具
-        const collectionName = createCollectionName(userID, deviceID, workspacePath);
-        const databaseName = 'vectordb-test';
-
-        // 确保VectorManager已初始化
-        if (!chunker.vectorManager) {
-            const VectorManager = require('./src/vectorManager');
-            chunker.vectorManager = new VectorManager(chunkerConfig.vectorManager);
-            await chunker.vectorManager.initialize();
-        }
-
-        // 检查VectorManager和数据库连接
-        if (!chunker.vectorManager.vectorDB || !chunker.vectorManager.vectorDB.implementation) {
-            throw new Error('VectorDB not properly initialized');
-        }
-
-        // 执行删除操作
-        const deleteResult = await chunker.vectorManager.vectorDB.implementation.dropCollection(databaseName, collectionName);
-
-        // 清理本地缓存的实例
-        const instanceKey = `${userID}_${deviceID}_${workspacePath}`;
-        if (chunkerInstances.has(instanceKey)) {
-            const cachedChunker = chunkerInstances.get(instanceKey);
-            try {
-                await cachedChunker.shutdown();
-            } catch (shutdownError) {
-                console.warn('清理缓存实例时出现警告:', shutdownError.message);
-            }
-            chunkerInstances.delete(instanceKey);
-        }
+        // 复用缓存的实例（没有时按配置创建），删除后关闭，避免实例中未落盘的集合在删除后再次写入磁盘
+        chunker = getChunkerInstance(userID, deviceID, workspacePath, token);
+        const deleteResult = await chunker.deleteIndex(userID, deviceID, workspacePath);
 
         return {
             success: true,
             collectionName,
-            databaseName,
-            result: deleteResult
+            databaseName: deleteResult.databaseName,
+            vectorDB: deleteResult.vectorDB,
+            result: deleteResult.result,
+            ...(!deleteResult.vectorDB && {
+                message: 'No vector database configured (api_only mode), only local index state was cleared'
+            })
         };
 
     } catch (error) {
@@ -274,13 +398,14 @@ async function deleteCollectionIndex(userID, deviceID, workspacePath, token) {
             error.code === 'COLLECTION_NOT_FOUND' || 
             error.status === 404) {
             
-            // 使用统一的collection名称生成工具
-            const collectionName = createCollectionName(userID, deviceID, workspacePath);
-            
+            try {
+                await chunker.resetIncrementalState(userID, deviceID, workspacePath);
+            } catch (resetError) {
+                console.warn('清除增量状态时出现警告:', resetError.message);
+            }
             return {
                 success: true,
                 collectionName,
-                databaseName: 'vectordb-test',
                 message: 'Collection does not exist (already deleted or never created)'
             };
         }
@@ -296,13 +421,14 @@ async function deleteCollectionIndex(userID, deviceID, workspacePath, token) {
         };
 
     } finally {
-        // 清理临时chunker实例
+        // 关闭并移除缓存的实例，下次处理时重新创建
         if (chunker) {
             try {
                 await chunker.shutdown();
-            } catch (cleanupError) {
-                console.warn('清理临时实例时发生错误:', cleanupError.message);
+            } catch (shutdownError) {
+                console.warn('清理缓存实例时出现警告:', shutdownError.message);
             }
+            chunkerInstances.delete(instanceKey);
         }
     }
 }
@@ -313,7 +439,8 @@ app.get('/health', (req, res) => {
         status: 'ok',
         timestamp: new Date().toISOString(),
         service: 'CodeChunker API',
-        version: '0.1.0'
+        version: '0.1.0',
+        jobs: jobManager.getStats()
     });
 });
 
@@ -323,8 +450,8 @@ app.get('/api/cors-info', (req, res) => {
         success: true,
         cors: {
             enabled: true,
-            allowAllOrigins: true,
-            allowedOrigins: ['*'],
+            allowAllOrigins: SERVER_CONFIG.cors.allowedOrigins.includes('*'),
+            allowedOrigins: SERVER_CONFIG.cors.allowedOrigins,
             allowedMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
             allowCredentials: false,
             maxAge: 86400,
@@ -337,7 +464,7 @@ app.get('/api/cors-info', (req, res) => {
 // 处理工作空间接口
 app.post('/api/process-workspace', async (req, res) => {
     try {
-        const { userId, deviceId, workspacePath, token, ignorePatterns } = req.body;
+        const { userId, deviceId, workspacePath, token, ignorePatterns, forceFullRebuild } = req.body;
         
         // 参数验证
         if (!userId || !deviceId || !workspacePath || !token) {
@@ -356,34 +483,49 @@ app.post('/api/process-workspace', async (req, res) => {
             });
         }
 
-        console.log(`Processing workspace: ${workspacePath} for user ${userId}`);
-        
-        // 调用处理函数
-        const result = await processWorkspace(userId, deviceId, workspacePath, token, ignorePatterns);
-        
-        if (result) {
-            // 启动工作空间监控
-            const monitorStarted = startWorkspaceMonitor(userId, deviceId, workspacePath, token);
-            
-            res.json({
-                success: true,
-                message: 'Workspace processed successfully',
-                userId,
-                deviceId,
-                workspacePath,
-                workspaceMonitorStarted: monitorStarted,
-                timestamp: new Date().toISOString()
-            });
+        // 任务入队后立即返回，通过 GET /api/jobs/:id 查询状态
+        const workspaceKey = `${userId}_${deviceId}_${workspacePath}`;
+        const payload = { token, ignorePatterns, forceFullRebuild: forceFullRebuild === true, changedPaths: null };
+        const activeJob = jobManager.findActiveJob(workspaceKey);
+        let job;
+        let existing;
+        if (activeJob && activeJob.state === 'queued' && activeJob.meta.trigger === 'monitor') {
+            // 排队中的监控任务尚未开始扫描，改为完整处理
+            job = activeJob;
+            existing = true;
+            Object.assign(job.meta, { trigger: 'api', forceFullRebuild: payload.forceFullRebuild });
+            Object.assign(job.payload, payload);
         } else {
-            res.status(500).json({
-                error: 'Failed to process workspace',
-                userId,
-                deviceId,
-                workspacePath
-            });
+            // 运行中的监控任务只处理变更路径，完整处理排在其后
+            ({ job, existing } = jobManager.enqueue({
+                key: workspaceKey,
+                meta: { userId, deviceId, workspacePath, trigger: 'api', forceFullRebuild: payload.forceFullRebuild },
+                payload,
+                getProgress: () => getWorkspaceProgress(workspaceKey),
+                run: context => runProcessWorkspaceJob({ userId, deviceId, workspacePath, ...context.payload, ...context }),
+                queueBehindRunning: activeJob?.meta.trigger === 'monitor'
+            }));
         }
+
+        console.log(`${existing ? 'Workspace job already active' : 'Queued workspace job'}: ${job.id} (${workspacePath})`);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            existing,
+            message: existing ? 'Workspace is already being processed' : 'Workspace processing queued',
+            job: jobManager.toJSON(job),
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        console.error('Error processing workspace:', error.message);
+        if (error.code === 'QUEUE_FULL') {
+            return res.status(429).json({
+                error: 'Job queue is full',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        console.error('Error queueing workspace job:', error.message);
         res.status(500).json({
             error: 'Internal server error',
             message: error.message,
@@ -392,10 +534,94 @@ app.post('/api/process-workspace', async (req, res) => {
     }
 });
 
+// 查询处理任务状态
+app.get('/api/jobs/:id', (req, res) => {
+    const job = findAccessibleJob(req, res);
+    if (!job) return;
+
+    res.json({
+        success: true,
+        job: jobManager.toJSON(job),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// 任务进度事件流（Server-Sent Events）
+// 连接后先发送 snapshot（任务当前状态），之后推送 phase / file / throughput / summary / state 事件，
+// 任务结束时发送 end 并关闭连接
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = findAccessibleJob(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // 禁止反向代理缓冲事件
+    });
+
+    let eventId = 0;
+    const send = (type, data) => {
+        res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const isFinished = () => !['queued', 'running'].includes(job.state);
+
+    send('snapshot', jobManager.toJSON(job));
+    if (isFinished()) {
+        send('end', jobManager.toJSON(job));
+        return res.end();
+    }
+
+    const onEvent = event => {
+        send(event.type, event);
+        if (event.type === 'state' && isFinished()) {
+            send('end', jobManager.toJSON(job));
+            cleanup();
+            res.end();
+        }
+    };
+    // 注释行作为心跳，避免空闲连接被代理断开
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const unsubscribe = subscribeJobEvents(job.id, onEvent);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    req.on('close', cleanup);
+});
+
+// 取消处理任务（运行中的任务在当前步骤结束后停止）
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = findAccessibleJob(req, res);
+    if (!job) return;
+
+    const cancelled = jobManager.cancel(job.id);
+    if (!cancelled) {
+        return res.status(409).json({
+            error: 'Job already finished',
+            job: jobManager.toJSON(job)
+        });
+    }
+
+    console.log(`Cancel requested for job ${job.id} (${job.state})`);
+    res.json({
+        success: true,
+        message: job.state === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+        job: jobManager.toJSON(job),
+        timestamp: new Date().toISOString()
+    });
+});
+
 // 搜索接口
 app.post('/api/search', async (req, res) => {
     try {
         const { query, userId, deviceId, workspacePath, options = {} } = req.body;
+        // 检索模式：vector | lexical | hybrid，未指定时使用配置的默认模式
+        const mode = req.body.mode || options.mode;
+        // 过滤条件：{ language, include, exclude, type, parser, modifiedSince, lineRange }
+        // 字段说明见 src/search/searchFilter.js
+        const filter = req.body.filter || options.filter;
         
         // 参数验证
         if (!query || !userId || !deviceId || !workspacePath) {
@@ -405,7 +631,15 @@ app.post('/api/search', async (req, res) => {
             });
         }
 
-        console.log(`Search: "${query}" for user ${userId}`);
+        if (mode && !['vector', 'lexical', 'hybrid'].includes(mode)) {
+            return res.status(400).json({
+                error: 'Invalid search mode',
+                mode,
+                allowed: ['vector', 'lexical', 'hybrid']
+            });
+        }
+
+        console.log(`Search: "${query}" for user ${userId}${mode ? ` (${mode})` : ''}`);
         
         // 获取CodeChunker实例
         const chunker = getChunkerInstance(userId, deviceId, workspacePath);
@@ -413,12 +647,15 @@ app.post('/api/search', async (req, res) => {
         // 执行搜索
         const searchResults = await chunker.search(query, {
             topK: options.topK || 10,
-            ...options
+            ...options,
+            mode,
+            filter
         });
         
         res.json({
             success: true,
             query,
+            mode: mode || chunker.config.search?.defaultMode || 'vector',
             results: searchResults,
             resultCount: searchResults.length,
             timestamp: new Date().toISOString()
@@ -427,6 +664,14 @@ app.post('/api/search', async (req, res) => {
     } catch (error) {
         console.error('Error searching:', error.message);
         
+        // 过滤条件或检索模式不合法
+        if (error.message.startsWith('Invalid search')) {
+            return res.status(400).json({
+                error: 'Invalid search request',
+                message: error.message
+            });
+        }
+        
         // 特殊处理VectorManager未启用的错误
         if (error.message.includes('VectorManager is not enabled')) {
             return res.status(400).json({
@@ -458,11 +703,16 @@ app.get('/api/workspace-status', async (req, res) => {
         const hasInstance = chunkerInstances.has(key);
         
         let vectorManagerStatus = 'not_initialized';
+        let effectiveConfig;
         if (hasInstance) {
             const chunker = chunkerInstances.get(key);
             if (chunker.vectorManager) {
                 vectorManagerStatus = 'initialized';
             }
+            effectiveConfig = await chunker.getEffectiveConfig(workspacePath);
+        } else {
+            // 尚未处理过的工作空间同样展示合并 .codechunker.yaml 后的配置
+            effectiveConfig = await CodeChunker.describeEffectiveConfig(APP_CONFIG, workspacePath);
         }
 
         res.json({
@@ -472,6 +722,7 @@ app.get('/api/workspace-status', async (req, res) => {
                 vectorManagerStatus,
                 canSearch: hasInstance && vectorManagerStatus === 'initialized'
             },
+            effectiveConfig,
             timestamp: new Date().toISOString()
         });
         
@@ -487,23 +738,14 @@ app.get('/api/workspace-status', async (req, res) => {
 // 获取处理进度接口
 app.get('/api/get-process', async (req, res) => {
     try {
-        const { userID, deviceID, workspacePath, token } = req.query;
+        const { userID, deviceID, workspacePath } = req.query;
         
-        // 参数验证
-        if (!userID || !deviceID || !workspacePath || !token) {
+        // 参数验证（令牌由认证中间件校验）
+        if (!userID || !deviceID || !workspacePath) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required parameters',
-                required: ['userID', 'deviceID', 'workspacePath', 'token']
-            });
-        }
-
-        // 简单的token验证
-        const validTokens = ['test_auth_token', 'development_token'];
-        if (!validTokens.includes(token) && process.env.NODE_ENV !== 'development') {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
+                required: ['userID', 'deviceID', 'workspacePath']
             });
         }
 
@@ -586,15 +828,6 @@ app.post('/api/delete-index', async (req, res) => {
             });
         }
 
-        // 简单的token验证
-        const validTokens = ['test_auth_token', 'development_token'];
-        if (!validTokens.includes(token) && process.env.NODE_ENV !== 'development') {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
-
         console.log(`Deleting index for user ${userID} in ${workspacePath}`);
 
         // 停止工作空间监控
@@ -610,6 +843,7 @@ app.post('/api/delete-index', async (req, res) => {
                 data: {
                     collectionName: deleteResult.collectionName,
                     databaseName: deleteResult.databaseName,
+                    vectorDB: deleteResult.vectorDB,
                     deletedAt: new Date().toISOString()
                 },
                 workspaceMonitorStopped: monitorStopped,
@@ -646,16 +880,25 @@ app.get('/api/workspace-monitors', (req, res) => {
     try {
         const monitors = [];
         for (const [key, program] of silentPrograms) {
+            if (!AuthManager.canAccess(req.principal, program.userId, program.deviceId)) continue;
             monitors.push({
                 workspaceKey: key,
                 userId: program.userId,
                 deviceId: program.deviceId,
                 workspacePath: program.workspacePath,
                 status: program.status,
+                lastJobId: program.lastJobId || null,
                 startTime: program.startTime,
                 runningTime: Date.now() - program.startTime.getTime(),
                 executeCount: program.executeCount,
-                errorCount: program.errorCount || 0
+                errorCount: program.errorCount || 0,
+                watchMode: program.watcher.watchMode,
+                watchedDirectories: program.watcher.watchedDirectoryCount,
+                pendingChanges: program.watcher.pendingCount,
+                eventCount: program.watcher.stats.eventCount,
+                lastEventAt: program.watcher.stats.lastEventAt,
+                lastBatchSize: program.watcher.stats.lastBatchSize,
+                lastError: program.watcher.stats.lastError
             });
         }
         
@@ -711,6 +954,7 @@ app.get('/api/silent-monitor-config', (req, res) => {
 
 // 更新静默监控配置
 app.post('/api/silent-monitor-config', (req, res) => {
+    if (!requireAdmin(req, res)) return;
     try {
         const { config } = req.body;
         
@@ -761,6 +1005,7 @@ app.post('/api/cleanup', async (req, res) => {
             }
         } else {
             // 清理所有实例
+            if (!requireAdmin(req, res)) return;
             const keys = Array.from(chunkerInstances.keys());
             for (const [key, chunker] of chunkerInstances) {
                 try {
@@ -807,6 +1052,9 @@ app.use((req, res) => {
             'GET /health',
             'GET /api/cors-info',   
             'POST /api/process-workspace',
+            'GET /api/jobs/:id',
+            'GET /api/jobs/:id/events',
+            'POST /api/jobs/:id/cancel',
             'POST /api/search',
             'GET /api/get-process',
             'POST /api/delete-index',
@@ -824,6 +1072,9 @@ app.use((req, res) => {
 process.on('SIGTERM', async () => {
     console.log('Received SIGTERM, shutting down gracefully...');
     
+    // 取消排队和运行中的处理任务
+    jobManager.cancelAll();
+    
     // 停止所有工作空间监控程序
     const monitorKeys = Array.from(silentPrograms.keys());
     for (const key of monitorKeys) {
@@ -847,6 +1098,9 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
     console.log('Received SIGINT, shutting down gracefully...');
     
+    // 取消排队和运行中的处理任务
+    jobManager.cancelAll();
+    
     // 停止所有工作空间监控程序
     const monitorKeys = Array.from(silentPrograms.keys());
     for (const key of monitorKeys) {
@@ -871,10 +1125,14 @@ process.on('SIGINT', async () => {
 app.listen(PORT, () => {
     console.log(`🚀 CodeChunker API Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health`);
-    console.log(`🔄 Workspace monitoring enabled (${SILENT_MONITOR_CONFIG.intervalMs/1000}s intervals)`);
+    console.log(`🔐 API authentication: ${authManager.enabled ? authManager.providerNames.join(', ') || 'no providers (all requests rejected)' : 'disabled'}`);
+    console.log(`🔄 Workspace monitoring enabled (file events, ${SILENT_MONITOR_CONFIG.debounceMs}ms debounce)`);
     console.log(`📋 Available endpoints: ${[
         'GET /health',
         'POST /api/process-workspace',
+        'GET /api/jobs/:id',
+        'GET /api/jobs/:id/events',
+        'POST /api/jobs/:id/cancel',
         'POST /api/search',
         'GET /api/get-process',
         'POST /api/delete-index',
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * 静态API Key认证，密钥保存在本地JSON文件中，文件修改后自动重新加载
+ *
+ * 文件格式：
+ * {
+ *   "keys": [
+ *     { "name": "alice-laptop", "keyHash": "sha256:<hex>", "userId": "alice", "deviceIds": ["laptop"] },
+ *     { "name": "ops", "keyHash": "sha256:<hex>", "admin": true }
+ *   ]
+ * }
+ *
+ * keyHash 为密钥的 SHA-256 十六进制摘要（可用 ApiKeyProvider.hashKey 生成）；也可以用 key 直接写明文密钥。
+ * deviceIds 省略或为 "*" 时可访问该用户的所有设备；admin 为 true 时可访问所有用户。
+ */
+class ApiKeyProvider {
+    constructor(filePath) {
+        this.name = 'api-key';
+        this.filePath = filePath;
+        this.keys = new Map(); // 密钥摘要 -> 身份
+        this.loadedMtimeMs = null;
+    }
+
+    static hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    /**
+     * @returns {Object|null} 身份信息；不是有效的API Key时返回null，交给其他认证方式处理
+     */
+    verify(token) {
+        this._reloadIfChanged();
+        const entry = this.keys.get(ApiKeyProvider.hashKey(token));
+        if (!entry) return null;
+
+        return {
+            id: entry.name,
+            provider: this.name,
+            userId: entry.userId,
+            deviceIds: entry.admin ? '*' : entry.deviceIds,
+            admin: entry.admin,
+        };
+    }
+
+    // 内部方法
+    _reloadIfChanged() {
+        let stats;
+        try {
+            stats = fs.statSync(this.filePath);
+        } catch (error) {
+            if (this.loadedMtimeMs !== -1) {
+                console.warn(`⚠️ API Key文件不可用: ${this.filePath} (${error.message})`);
+            }
+            this.keys.clear();
+            this.loadedMtimeMs = -1;
+            return;
+        }
+        if (stats.mtimeMs === this.loadedMtimeMs) return;
+
+        const keys = new Map();
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            (data.keys || []).forEach((entry, index) => {
+                const keyHash = entry.keyHash
+                    ? String(entry.keyHash)
+                          .replace(/^sha256:/, '')
+                          .toLowerCase()
+                    : entry.key && ApiKeyProvider.hashKey(String(entry.key));
+                if (!keyHash || (!entry.admin && !entry.userId)) {
+                    console.warn(`⚠️ 忽略无效的API Key配置: 第 ${index + 1} 项缺少密钥或 userId`);
+                    return;
+                }
+                keys.set(keyHash, {
+                    name: entry.name || `key-${index + 1}`,
+                    userId: entry.userId ? String(entry.userId) : null,
+                    deviceIds:
+                        !entry.deviceIds || entry.deviceIds === '*'
+                            ? '*'
+                            : [].concat(entry.deviceIds).map(String),
+                    admin: entry.admin === true,
+                });
+            });
+        } catch (error) {
+            // 文件格式错误时保留上次成功加载的密钥，避免编辑过程中误拒所有请求
+            console.error(`❌ API Key文件解析失败: ${this.filePath} (${error.message})`);
+            return;
+        }
+
+        this.keys = keys;
+        this.loadedMtimeMs = stats.mtimeMs;
+        console.log(`🔑 已加载 ${keys.size} 个API Key: ${this.filePath}`);
+    }
+}
+
+module.exports = ApiKeyProvider;
@@ -0,0 +1,136 @@
+const ApiKeyProvider = require('./apiKeyProvider');
+const HmacTokenProvider = require('./hmacTokenProvider');
+const JwtProvider = require('./jwtProvider');
+
+// 各接口参数命名不统一，同一字段的所有写法
+const IDENTITY_PARAMS = {
+    userId: ['userId', 'userID'],
+    deviceId: ['deviceId', 'deviceID'],
+};
+
+/**
+ * REST服务认证与授权
+ *
+ * 按顺序尝试已配置的认证方式（HMAC令牌、JWT、静态API Key）。每种方式对不属于自己格式的令牌返回null，
+ * 对属于自己但无效的令牌（签名错误、过期等）抛出错误。认证结果是绑定了 userId / deviceIds 的身份：
+ *   { id, provider, userId: string | null, deviceIds: string[] | '*', admin: boolean }
+ * admin 为 true 表示管理员，可操作所有用户的数据；只有 API Key 配置（以及关闭认证时的匿名身份）会授予管理员，
+ * 令牌中的声明不能授予管理员。
+ */
+class AuthManager {
+    /**
+     * @param {Object} options
+     * @param {boolean} [options.enabled=true] - 关闭后所有请求都以匿名管理员身份通过
+     * @param {Array} [options.providers] - 认证方式实例
+     */
+    constructor({ enabled = true, providers = [] } = {}) {
+        this.enabled = enabled;
+        this.providers = providers;
+    }
+
+    /**
+     * 根据 config.server.auth 创建实例
+     * 开发环境（NODE_ENV=development）下未配置任何认证方式时不做认证，其他环境下拒绝所有请求
+     */
+    static fromConfig(authConfig = {}) {
+        const providers = [];
+        if (authConfig.hmac?.secret) {
+            providers.push(new HmacTokenProvider(authConfig.hmac));
+        }
+        if (authConfig.jwt?.jwksFile) {
+            providers.push(new JwtProvider(authConfig.jwt));
+        }
+        if (authConfig.apiKeysFile) {
+            providers.push(new ApiKeyProvider(authConfig.apiKeysFile));
+        }
+
+        let enabled = authConfig.enabled !== false;
+        if (enabled && providers.length === 0) {
+            if (process.env.NODE_ENV === 'development') {
+                console.warn('⚠️ 未配置任何认证方式，开发环境下 /api/* 接口不做认证');
+                enabled = false;
+            } else {
+                console.warn('⚠️ 未配置任何认证方式，所有 /api/* 请求都将被拒绝');
+            }
+        }
+        return new AuthManager({ enabled, providers });
+    }
+
+    get providerNames() {
+        return this.providers.map(provider => provider.name);
+    }
+
+    /**
+     * 校验令牌
+     * @returns {Object} 身份信息
+     * @throws {Error} 令牌缺失或无效时抛出 code 为 AUTH_REQUIRED / AUTH_INVALID 的错误
+     */
+    authenticate(token) {
+        if (!this.enabled) {
+            return { id: 'anonymous', provider: 'none', userId: null, deviceIds: '*', admin: true };
+        }
+        if (!token) {
+            throw AuthManager._error('AUTH_REQUIRED', 'Authentication required');
+        }
+
+        for (const provider of this.providers) {
+            let principal;
+            try {
+                principal = provider.verify(token);
+            } catch (error) {
+                throw AuthManager._error('AUTH_INVALID', error.message);
+            }
+            if (principal) return principal;
+        }
+        throw AuthManager._error('AUTH_INVALID', 'Invalid credentials');
+    }
+
+    static isAdmin(principal) {
+        return principal?.admin === true;
+    }
+
+    /**
+     * 身份是否可以操作指定用户/设备的数据；deviceId 为空时只检查用户
+     */
+    static canAccess(principal, userId, deviceId) {
+        if (!principal) return false;
+        if (AuthManager.isAdmin(principal)) return true;
+        if (principal.userId !== String(userId)) return false;
+        if (deviceId === undefined || deviceId === null || principal.deviceIds === '*') return true;
+        return principal.deviceIds.includes(String(deviceId));
+    }
+
+    /**
+     * 读取请求参数中的 userId / deviceId，查询参数和请求体中的所有写法（userId / userID）都会读取
+     * 同一字段出现不同的值时抛出 code 为 PARAM_CONFLICT 的错误，避免按一种写法授权、接口按另一种写法执行
+     * @param {...Object} sources - 参数来源，如 req.query、req.body
+     * @returns {{userId: *, deviceId: *}} 未提供的字段为 undefined
+     */
+    static getRequestIdentity(...sources) {
+        const identity = {};
+        for (const [field, names] of Object.entries(IDENTITY_PARAMS)) {
+            const values = new Set();
+            for (const source of sources) {
+                for (const name of names) {
+                    if (source?.[name] !== undefined) values.add(String(source[name]));
+                }
+            }
+            if (values.size > 1) {
+                throw AuthManager._error(
+                    'PARAM_CONFLICT',
+                    `Conflicting values for ${names.join(' / ')} in request`
+                );
+            }
+            identity[field] = values.size === 1 ? [...values][0] : undefined;
+        }
+        return identity;
+    }
+
+    static _error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+module.exports = AuthManager;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'cc1';
+
+/**
+ * HMAC签名令牌，格式为 cc1.<base64url(payload)>.<base64url(HMAC-SHA256)>
+ *
+ * payload 字段：
+ *   sub  {string}          用户ID，不能为 "*"；HMAC令牌不能授予管理员
+ *   dev  {string[]|"*"}    可访问的设备ID
+ *   iat  {number}          签发时间（秒），必填，用于检查有效期上限
+ *   exp  {number}          过期时间（秒）
+ */
+class HmacTokenProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.secret - 签名密钥
+     * @param {number} [options.maxTtlSeconds] - 允许的最长有效期，超出的令牌视为无效
+     */
+    constructor({ secret, maxTtlSeconds = 30 * 24 * 3600 }) {
+        this.name = 'hmac';
+        this.secret = secret;
+        this.maxTtlSeconds = maxTtlSeconds;
+    }
+
+    /**
+     * 签发令牌
+     * @param {string} secret
+     * @param {Object} claims
+     * @param {string} claims.userId - 用户ID；HMAC令牌不能授予管理员，管理员使用 API Key
+     * @param {string[]|string} [claims.deviceIds='*'] - 可访问的设备ID
+     * @param {number} [claims.ttlSeconds=86400] - 有效期
+     */
+    static issue(secret, { userId, deviceIds = '*', ttlSeconds = 86400 }) {
+        if (!secret) throw new Error('HMAC secret is required');
+        if (!userId) throw new Error('userId is required');
+        if (String(userId) === '*') throw new Error('userId "*" is not a valid user');
+
+        const now = Math.floor(Date.now() / 1000);
+        const payload = Buffer.from(
+            JSON.stringify({
+                sub: String(userId),
+                dev: deviceIds === '*' ? '*' : [].concat(deviceIds).map(String),
+                iat: now,
+                exp: now + ttlSeconds,
+            })
+        ).toString('base64url');
+        const signature = HmacTokenProvider._sign(secret, `${TOKEN_PREFIX}.${payload}`);
+        return `${TOKEN_PREFIX}.${payload}.${signature}`;
+    }
+
+    verify(token) {
+        if (!token.startsWith(`${TOKEN_PREFIX}.`)) return null;
+
+        const parts = token.split('.');
+        if (parts.length !== 3) {
+            throw new Error('Malformed HMAC token');
+        }
+
+        const expected = Buffer.from(
+            HmacTokenProvider._sign(this.secret, `${parts[0]}.${parts[1]}`)
+        );
+        const actual = Buffer.from(parts[2]);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new Error('Invalid HMAC token signature');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Malformed HMAC token payload');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (!Number.isFinite(payload.exp) || payload.exp <= now) {
+            throw new Error('HMAC token expired');
+        }
+        if (!Number.isFinite(payload.iat)) {
+            throw new Error('HMAC token has no issue time');
+        }
+        if (payload.exp - payload.iat > this.maxTtlSeconds) {
+            throw new Error('HMAC token lifetime exceeds the allowed maximum');
+        }
+        if (!payload.sub) {
+            throw new Error('HMAC token has no subject');
+        }
+        if (String(payload.sub) === '*') {
+            throw new Error('HMAC token subject "*" is not a valid user');
+        }
+
+        return {
+            id: `hmac:${payload.sub}`,
+            provider: this.name,
+            userId: String(payload.sub),
+            deviceIds: !payload.dev || payload.dev === '*' ? '*' : [].concat(payload.dev),
+            admin: false,
+            expiresAt: payload.exp * 1000,
+        };
+    }
+
+    static _sign(secret, data) {
+        return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+    }
+}
+
+module.exports = HmacTokenProvider;
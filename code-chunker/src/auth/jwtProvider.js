@@ -0,0 +1,171 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// JWT alg -> Node crypto 校验参数
+const ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { hash: null },
+};
+
+/**
+ * JWT认证，使用本地JWKS文件中的公钥校验签名（不访问网络）
+ * 只接受非对称签名算法；用户ID与设备ID分别取自 userIdClaim / deviceIdClaim 声明
+ */
+class JwtProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.jwksFile - JWKS文件路径（{ "keys": [...] }）
+     * @param {string} [options.issuer] - 要求的 iss
+     * @param {string} [options.audience] - 要求 aud 包含的值
+     * @param {string} [options.userIdClaim='sub']
+     * @param {string} [options.deviceIdClaim='device_id'] - 缺省时可访问该用户的所有设备
+     * @param {number} [options.clockToleranceSeconds=30]
+     */
+    constructor(options) {
+        this.name = 'jwt';
+        this.jwksFile = options.jwksFile;
+        this.issuer = options.issuer || null;
+        this.audience = options.audience || null;
+        this.userIdClaim = options.userIdClaim || 'sub';
+        this.deviceIdClaim = options.deviceIdClaim || 'device_id';
+        this.clockToleranceSeconds = options.clockToleranceSeconds ?? 30;
+
+        this.keys = [];
+        this.loadedMtimeMs = null;
+    }
+
+    verify(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3 || !parts[0].startsWith('eyJ')) return null;
+
+        let header;
+        let claims;
+        try {
+            header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+            claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Malformed JWT');
+        }
+
+        const algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw new Error(`Unsupported JWT algorithm: ${header.alg}`);
+        }
+
+        const key = this._findKey(header);
+        if (!key) {
+            throw new Error(`No matching JWKS key for JWT (kid: ${header.kid || 'none'})`);
+        }
+
+        const verified = crypto.verify(
+            algorithm.hash,
+            Buffer.from(`${parts[0]}.${parts[1]}`),
+            {
+                key,
+                padding: algorithm.padding,
+                dsaEncoding: algorithm.dsaEncoding,
+            },
+            Buffer.from(parts[2], 'base64url')
+        );
+        if (!verified) {
+            throw new Error('Invalid JWT signature');
+        }
+
+        this._validateClaims(claims);
+
+        const userId = claims[this.userIdClaim];
+        if (!userId) {
+            throw new Error(`JWT has no ${this.userIdClaim} claim`);
+        }
+        // '*' 曾表示管理员，身份提供方签发的令牌不能借此获得所有用户的数据
+        if (String(userId) === '*') {
+            throw new Error(`JWT ${this.userIdClaim} claim "*" is not a valid user`);
+        }
+        const deviceIds = claims[this.deviceIdClaim];
+
+        return {
+            id: `jwt:${claims.iss || 'local'}:${userId}`,
+            provider: this.name,
+            userId: String(userId),
+            deviceIds: !deviceIds || deviceIds === '*' ? '*' : [].concat(deviceIds).map(String),
+            admin: false,
+            expiresAt: claims.exp ? claims.exp * 1000 : null,
+        };
+    }
+
+    // 内部方法
+    _validateClaims(claims) {
+        const now = Math.floor(Date.now() / 1000);
+        const tolerance = this.clockToleranceSeconds;
+
+        if (claims.exp !== undefined && claims.exp + tolerance <= now) {
+            throw new Error('JWT expired');
+        }
+        if (claims.nbf !== undefined && claims.nbf - tolerance > now) {
+            throw new Error('JWT not yet valid');
+        }
+        if (this.issuer && claims.iss !== this.issuer) {
+            throw new Error('JWT issuer mismatch');
+        }
+        if (this.audience && ![].concat(claims.aud || []).includes(this.audience)) {
+            throw new Error('JWT audience mismatch');
+        }
+    }
+
+    _findKey(header) {
+        this._reloadIfChanged();
+        const candidates = this.keys.filter(
+            ({ jwk }) => (!jwk.alg || jwk.alg === header.alg) && (!jwk.use || jwk.use === 'sig')
+        );
+        const match = header.kid
+            ? candidates.find(({ jwk }) => jwk.kid === header.kid)
+            : candidates.length === 1
+              ? candidates[0]
+              : null;
+        return match ? match.key : null;
+    }
+
+    _reloadIfChanged() {
+        let stats;
+        try {
+            stats = fs.statSync(this.jwksFile);
+        } catch (error) {
+            if (this.loadedMtimeMs !== -1) {
+                console.warn(`⚠️ JWKS文件不可用: ${this.jwksFile} (${error.message})`);
+            }
+            this.keys = [];
+            this.loadedMtimeMs = -1;
+            return;
+        }
+        if (stats.mtimeMs === this.loadedMtimeMs) return;
+
+        try {
+            const jwks = JSON.parse(fs.readFileSync(this.jwksFile, 'utf8'));
+            const keys = [];
+            for (const jwk of jwks.keys || []) {
+                // 对称密钥（oct）不能作为公钥分发，直接忽略
+                if (jwk.kty === 'oct') continue;
+                try {
+                    keys.push({ jwk, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) });
+                } catch (error) {
+                    console.warn(`⚠️ 忽略无法解析的JWKS公钥 ${jwk.kid || ''}: ${error.message}`);
+                }
+            }
+            this.keys = keys;
+            this.loadedMtimeMs = stats.mtimeMs;
+            console.log(`🔑 已加载 ${keys.length} 个JWKS公钥: ${this.jwksFile}`);
+        } catch (error) {
+            console.error(`❌ JWKS文件解析失败: ${this.jwksFile} (${error.message})`);
+        }
+    }
+}
+
+module.exports = JwtProvider;
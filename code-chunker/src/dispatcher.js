@@ -1,28 +1,63 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { Worker } = require('worker_threads');
+const os = require('os');
 const ParserSelector = require('./parserSelector');
+const { createChunkId } = require('./utils/chunkId');
+const WorkerPool = require('./workerPool');
+
+// Worker异常退出或无法启动时，该文件回退到主线程同步解析；超时的文件不回退，避免卡住主线程
+const SYNC_FALLBACK_ERRORS = ['WORKER_CRASHED', 'WORKER_UNAVAILABLE', 'UNCAUGHT_EXCEPTION'];
 
 class Dispatcher {
-    constructor(config) {
+    /**
+     * @param {Object} config
+     * @param {PerformanceAnalyzer} [performanceAnalyzer]
+     * @param {WorkerPool} [workerPool] - 复用的解析Worker池，缺省时按配置创建
+     */
+    constructor(config, performanceAnalyzer = null, workerPool = null) {
         this.config = config;
-        // 更激进地降低最大Worker数量，默认禁用Worker
-        this.maxWorkers = Math.min(config.maxWorkers || 1, 1); // 最多1个Worker
+        this.performanceAnalyzer = performanceAnalyzer;
+        this.maxWorkers = Dispatcher.resolveWorkerCount(config.maxWorkers);
         this.workspacePath = config.workspacePath;
         this.progressTracker = config.progressTracker;
+        this.signal = config.signal || null; // 取消信号，每个文件处理前检查
 
-        // 默认禁用Worker模式，优先使用同步处理避免内存问题
-        this.useWorkers = false; // 改为默认禁用
+        this.useWorkers = config.useWorkers !== false;
+        this.workerPool =
+            workerPool || (this.useWorkers ? Dispatcher.createWorkerPool(config) : null);
+        // 未被下游消费的解析结果上限，达到后暂停分发解析任务
+        this.maxPendingResults = config.maxPendingParseResults || this.maxWorkers * 2;
 
-        // 添加Worker统计
-        this.activeWorkers = 0;
-        this.maxActiveWorkers = 0;
+        // Worker统计
         this.workerFailures = 0;
+        this.workerFiles = 0;
+        this.syncFiles = 0;
+        this.failedFiles = 0;
 
         // 添加内存监控
         this.memoryThreshold = 0.7; // 70%内存使用率时停止Worker
         this.processedFiles = 0;
-        this.maxFilesPerBatch = 100; // 每批最多处理100个文件
+        this.maxFilesPerBatch = 100; // 同步模式下每批最多处理100个文件
+    }
+
+    /**
+     * Worker数量：配置为0或未配置时使用 CPU核数 - 1（至少1个）
+     */
+    static resolveWorkerCount(maxWorkers) {
+        if (maxWorkers > 0) return maxWorkers;
+        return Math.max(1, os.cpus().length - 1);
+    }
+
+    /**
+     * 按配置创建解析Worker池；Worker在首次有任务时才启动
+     */
+    static createWorkerPool(config) {
+        return new WorkerPool({
+            workerPath: Dispatcher._resolveWorkerPath(),
+            size: Dispatcher.resolveWorkerCount(config.maxWorkers),
+            taskTimeoutMs: config.workerTaskTimeoutMs || 30000,
+            idleTimeoutMs: config.workerIdleTimeoutMs ?? 60000,
+        });
     }
 
     log(message) {
@@ -38,10 +73,10 @@ class Dispatcher {
     }
 
     async processFiles(fileList, parserSelector) {
-        this.log('fileList:', fileList);
         const chunks = [];
 
         for (const file of fileList) {
+            this.signal?.throwIfAborted();
             if (!file || !file.path) {
                 this.warn('Invalid file entry:', file);
                 continue;
@@ -49,21 +84,12 @@ class Dispatcher {
             try {
                 const fullPath = path.join(this.workspacePath, file.path);
                 const content = await fs.readFile(fullPath, 'utf8');
-                const parser = parserSelector.selectParser(file.path);
-                // 修复：使用正确的参数顺序 parse(filePath, content)
-                const fileChunks = await parser.parse(fullPath, content);
+                const fileChunks = await parserSelector.parseFile(fullPath, content);
 
                 // 为同步方法手动设置chunk属性（因为没有worker处理）
                 fileChunks.forEach((chunk, index) => {
                     // 生成唯一的chunk ID，包含路径哈希确保唯一性
-                    const crypto = require('crypto');
-                    const pathHash = crypto
-                        .createHash('md5')
-                        .update(file.path)
-                        .digest('hex')
-                        .substring(0, 8);
-                    const timestamp = Date.now().toString(36);
-                    chunk.id = `${path.basename(file.path, path.extname(file.path))}_${pathHash}_${chunk.startLine || index}-${chunk.endLine || index}_${timestamp}_${index}`;
+                    chunk.id = createChunkId(file.path, chunk, index);
                     chunk.filePath = file.path;
 
                     // 注册 chunk 到 ProgressTracker
@@ -81,7 +107,9 @@ class Dispatcher {
                 });
 
                 chunks.push(...fileChunks);
+                this.syncFiles++;
             } catch (error) {
+                this.failedFiles++;
                 console.error(`[Dispatcher] Error processing file ${file && file.path}:`, error);
                 console.error(`[Dispatcher] Error details:`, {
                     name: error.name,
@@ -97,7 +125,16 @@ class Dispatcher {
         return chunks;
     }
 
-    async processFilesConcurrently(fileList, parserSelector) {
+    /**
+     * 解析文件列表
+     * @param {Array} fileList - { path, merkleProof } 文件列表
+     * @param {ParserSelector} parserSelector - 同步解析（及Worker失败回退）使用的解析器选择器
+     * @param {Object} [options]
+     * @param {Function} [options.onChunks] - async (chunks, file) => void，每个文件解析完成后调用；
+     *   提供时解析结果直接交给下游而不再汇总返回，下游处理慢时Worker池暂停分发（反压）
+     * @returns {Promise<Array>} 未提供 onChunks 时返回全部代码块
+     */
+    async processFilesConcurrently(fileList, parserSelector, options = {}) {
         const chunks = [];
         const validFiles = fileList.filter(file => file && file.path);
 
@@ -110,194 +147,148 @@ class Dispatcher {
         const memUsage = this.checkMemoryUsage();
         this.log(`当前内存使用率: ${(memUsage * 100).toFixed(2)}%`);
 
-        // 对于大型项目，分批处理以避免内存问题
-        if (validFiles.length > this.maxFilesPerBatch) {
-            this.warn(`文件数量过多 (${validFiles.length})，分批处理以避免内存问题`);
-
-            const batches = [];
-            for (let i = 0; i < validFiles.length; i += this.maxFilesPerBatch) {
-                batches.push(validFiles.slice(i, i + this.maxFilesPerBatch));
-            }
-
-            for (let i = 0; i < batches.length; i++) {
-                this.log(`处理批次 ${i + 1}/${batches.length} (${batches[i].length} 个文件)`);
-
-                const batchChunks = await this.processFiles(batches[i], parserSelector);
-                chunks.push(...batchChunks);
-
-                // 批次间检查内存并强制垃圾回收
-                this.checkMemoryUsage();
-                if (global.gc) {
-                    global.gc();
-                }
-
-                // 批次间小延迟，释放资源
-                await new Promise(resolve => setTimeout(resolve, 1000));
+        const deliver = async (fileChunks, file) => {
+            if (options.onChunks) {
+                await options.onChunks(fileChunks, file);
+            } else {
+                chunks.push(...fileChunks);
             }
+        };
 
+        if (this.useWorkers && this.workerPool) {
+            this.log(`使用Worker池解析 ${validFiles.length} 个文件 (${this.maxWorkers} 个Worker)`);
+            await this._processFilesWithPool(validFiles, parserSelector, deliver);
             return chunks;
         }
 
-        // 如果worker不可用或文件数量适中，使用同步处理
-        if (!this.useWorkers) {
-            this.log('使用同步处理模式 (Worker已禁用或不可用)');
-            return await this.processFiles(validFiles, parserSelector);
-        }
-
-        try {
-            // 使用批处理方式控制并发数量
-            const batchSize = this.maxWorkers;
-            const batches = [];
-
-            for (let i = 0; i < validFiles.length; i += batchSize) {
-                batches.push(validFiles.slice(i, i + batchSize));
-            }
-
-            // 按批次处理文件
-            for (const batch of batches) {
-                const batchPromises = batch.map(file =>
-                    this._createWorkerPromise(file, chunks, parserSelector)
+        this.log('使用同步处理模式 (Worker已禁用或不可用)');
+        // 对于大型项目，分批处理以避免内存问题
+        for (let i = 0; i < validFiles.length; i += this.maxFilesPerBatch) {
+            const batch = validFiles.slice(i, i + this.maxFilesPerBatch);
+            if (validFiles.length > this.maxFilesPerBatch) {
+                this.log(
+                    `处理批次 ${i / this.maxFilesPerBatch + 1}/${Math.ceil(validFiles.length / this.maxFilesPerBatch)} (${batch.length} 个文件)`
                 );
+            }
 
-                // 等待当前批次的所有 worker 完成
-                const results = await Promise.allSettled(batchPromises);
-
-                // 记录任何失败的任务
-                results.forEach((result, index) => {
-                    if (result.status === 'rejected') {
-                        this.error(
-                            `Batch processing failed for file ${batch[index].path}:`,
-                            result.reason
-                        );
-                    }
-                });
+            for (const file of batch) {
+                await deliver(await this.processFiles([file], parserSelector), file);
+            }
 
-                // 批次间检查内存
-                this.checkMemoryUsage();
+            // 批次间检查内存并强制垃圾回收
+            this.checkMemoryUsage();
+            if (global.gc) {
+                global.gc();
             }
-        } catch (error) {
-            this.error('Worker processing failed, switching to synchronous mode:', error);
-            this.useWorkers = false;
-            return await this.processFiles(validFiles, parserSelector);
         }
 
         return chunks;
     }
 
     /**
-     * 创建Worker Promise，负责协调worker的执行
-     * 注意：chunk的id和filePath属性由worker.js负责设置，此方法只负责ProgressTracker注册
+     * 解析异步产生的文件流（如边扫描边产出的文件），每个文件的代码块通过 options.onChunks 交给下游
+     * @param {AsyncIterable} files - { path } 文件流
+     * @param {ParserSelector} parserSelector
+     * @param {Object} options
+     * @param {Function} options.onChunks - async (chunks, file) => void
      */
-    _createWorkerPromise(file, chunks, parserSelector) {
-        return new Promise((resolve, reject) => {
-            let worker;
-
-            // 检查Worker失败率，如果太高就直接使用同步处理
-            if (this.workerFailures > 10) {
-                this.warn(`Worker失败次数过多(${this.workerFailures})，切换到同步处理模式`);
-                this.useWorkers = false;
-                this._processSingleFileSync(file, chunks, parserSelector)
-                    .then(resolve)
-                    .catch(reject);
-                return;
-            }
+    async processFileStream(files, parserSelector, options) {
+        this.checkMemoryUsage();
 
-            try {
-                worker = this._createWorker(file);
-                this.activeWorkers++;
-                this.maxActiveWorkers = Math.max(this.maxActiveWorkers, this.activeWorkers);
-            } catch (error) {
-                this.workerFailures++;
-                this.error(
-                    `Failed to create worker for file ${file.path} (失败次数: ${this.workerFailures}):`,
-                    error
-                );
-                // 回退到同步处理单个文件
-                this._processSingleFileSync(file, chunks, parserSelector)
-                    .then(resolve)
-                    .catch(reject);
-                return;
-            }
-
-            // 设置超时处理（防止worker卡死）
-            const timeout = setTimeout(() => {
-                if (worker) {
-                    worker.terminate();
-                }
-                reject(new Error(`Worker timeout for file ${file.path}`));
-            }, 30000); // 30秒超时
-
-            worker.on('message', result => {
-                clearTimeout(timeout);
-                this.activeWorkers--;
-
-                if (result.chunks) {
-                    // chunk的id和filePath已经在worker中设置，这里只需要进行ProgressTracker注册
-                    result.chunks.forEach(chunk => {
-                        // 验证worker是否正确设置了必要属性
-                        if (!chunk.id || !chunk.filePath) {
-                            this.warn(
-                                `Missing chunk properties from worker for file ${file.path}:`,
-                                {
-                                    hasId: !!chunk.id,
-                                    hasFilePath: !!chunk.filePath,
-                                }
-                            );
-                        }
-
-                        // 注册 chunk 到 ProgressTracker
-                        if (this.progressTracker && chunk.id) {
-                            this.progressTracker.registerChunk(chunk.id, {
-                                filePath: chunk.filePath,
-                                startLine: chunk.startLine,
-                                endLine: chunk.endLine,
-                                content: chunk.content,
-                                parser: chunk.parser,
-                                type: chunk.type,
-                                language: chunk.language,
-                            });
-                        }
-                    });
-                    chunks.push(...result.chunks);
-                }
-                resolve(result);
-            });
+        if (this.useWorkers && this.workerPool) {
+            this.log(`使用Worker池流式解析文件 (${this.maxWorkers} 个Worker)`);
+            await this._processFilesWithPool(files, parserSelector, options.onChunks);
+            return;
+        }
 
-            worker.on('error', error => {
-                clearTimeout(timeout);
-                this.activeWorkers--;
-                this.workerFailures++;
-                this.error(
-                    `Worker error for file ${file.path} (失败次数: ${this.workerFailures}):`,
-                    error
-                );
+        this.log('使用同步处理模式 (Worker已禁用或不可用)');
+        let processed = 0;
+        for await (const file of files) {
+            if (!file || !file.path) continue;
+            await options.onChunks(await this.processFiles([file], parserSelector), file);
 
-                // 回退到同步处理
-                this._processSingleFileSync(file, chunks, parserSelector)
-                    .then(() => resolve({ chunks: [] }))
-                    .catch(reject);
-            });
+            if (++processed % this.maxFilesPerBatch === 0) {
+                this.checkMemoryUsage();
+                if (global.gc) {
+                    global.gc();
+                }
+            }
+        }
+    }
 
-            worker.on('exit', code => {
-                clearTimeout(timeout);
-                this.activeWorkers--;
-                if (code !== 0) {
+    /**
+     * 在Worker池上解析文件，chunk的id和filePath由worker.js设置，这里只负责ProgressTracker注册
+     * @param {Array|AsyncIterable} files
+     */
+    async _processFilesWithPool(files, parserSelector, deliver) {
+        this.workerPool.configure({ config: this._getWorkerConfig() });
+        const workspacePath = this.workspacePath;
+        const payloads = Array.isArray(files)
+            ? files.map(file => ({ file, workspacePath }))
+            : (async function* () {
+                  for await (const file of files) {
+                      if (file && file.path) yield { file, workspacePath };
+                  }
+              })();
+
+        await this.workerPool.run(
+            payloads,
+            async ({ file }, result) => {
+                if (result.error) {
                     this.workerFailures++;
-                    const error = new Error(`Worker stopped with exit code ${code}`);
-                    this.error(
-                        `Worker exit error for file ${file.path} (失败次数: ${this.workerFailures}):`,
-                        error
+                    if (!SYNC_FALLBACK_ERRORS.includes(result.error.code)) {
+                        this.failedFiles++;
+                        this.error(
+                            `Worker failed to process file ${file.path} (${result.error.code}): ${result.error.message}`
+                        );
+                        return;
+                    }
+
+                    this.warn(
+                        `Worker不可用 (${result.error.code}: ${result.error.message})，同步处理文件 ${file.path}`
                     );
+                    const fileChunks = [];
+                    await this._processSingleFileSync(file, fileChunks, parserSelector);
+                    await deliver(fileChunks, file);
+                    return;
+                }
 
-                    // 回退到同步处理
-                    this._processSingleFileSync(file, chunks, parserSelector)
-                        .then(() => resolve({ chunks: [] }))
-                        .catch(reject);
-                } else {
-                    resolve();
+                if (result.warning) {
+                    this.warn(result.warning);
                 }
+                const fileChunks = result.chunks || [];
+                this._registerChunks(fileChunks);
+                this.workerFiles++;
+                await deliver(fileChunks, file);
+            },
+            { maxPendingResults: this.maxPendingResults, signal: this.signal }
+        );
+    }
+
+    _registerChunks(chunks) {
+        if (!this.progressTracker) return;
+
+        for (const chunk of chunks) {
+            if (!chunk.id) continue;
+            this.progressTracker.registerChunk(chunk.id, {
+                filePath: chunk.filePath,
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                content: chunk.content,
+                parser: chunk.parser,
+                type: chunk.type,
+                language: chunk.language,
             });
-        });
+        }
+    }
+
+    /**
+     * 传给Worker的配置：去掉运行期对象（进度跟踪器、取消信号）和解析用不到的向量库配置，
+     * 只保留可结构化克隆的数据
+     */
+    _getWorkerConfig() {
+        const { progressTracker, signal, vectorManager, token, ...parseConfig } = this.config;
+        return JSON.parse(JSON.stringify(parseConfig));
     }
 
     /**
@@ -307,19 +298,12 @@ class Dispatcher {
         try {
             const fullPath = path.join(this.workspacePath, file.path);
             const content = await fs.readFile(fullPath, 'utf8');
-            const parser = parserSelector.selectParser(file.path);
-            const fileChunks = await parser.parse(fullPath, content);
+            const fileChunks = await parserSelector.parseFile(fullPath, content);
 
             // 设置chunk属性
             fileChunks.forEach((chunk, index) => {
-                const crypto = require('crypto');
-                const pathHash = crypto
-                    .createHash('md5')
-                    .update(file.path)
-                    .digest('hex')
-                    .substring(0, 8);
-                const timestamp = Date.now().toString(36);
-                chunk.id = `${path.basename(file.path, path.extname(file.path))}_${pathHash}_${chunk.startLine || index}-${chunk.endLine || index}_${timestamp}_${index}`;
+                // 生成唯一的chunk ID，包含路径哈希确保唯一性
+                chunk.id = createChunkId(file.path, chunk, index);
                 chunk.filePath = file.path;
 
                 // 注册 chunk 到 ProgressTracker
@@ -337,13 +321,15 @@ class Dispatcher {
             });
 
             chunks.push(...fileChunks);
+            this.syncFiles++;
             this.log(`Processed file synchronously: ${file.path} (${fileChunks.length} chunks)`);
         } catch (error) {
+            this.failedFiles++;
             this.error(`Error in sync processing for file ${file.path}:`, error);
         }
     }
 
-    _createWorker(file) {
+    static _resolveWorkerPath() {
         // 尝试多个可能的worker路径
         const possiblePaths = [
             path.join(__dirname, 'worker.js'),
@@ -352,29 +338,13 @@ class Dispatcher {
             path.join(process.cwd(), 'src', 'worker.js'),
         ];
 
-        let workerPath = null;
-        for (const p of possiblePaths) {
-            if (fs.existsSync(p)) {
-                workerPath = p;
-                break;
-            }
-        }
-
+        const workerPath = possiblePaths.find(p => fs.existsSync(p));
         if (!workerPath) {
             throw new Error(
                 `Worker script not found at any of these paths: ${possiblePaths.join(', ')}`
             );
         }
-
-        const worker = new Worker(workerPath, {
-            workerData: {
-                file,
-                workspacePath: this.workspacePath,
-                config: this.config,
-            },
-        });
-
-        return worker;
+        return workerPath;
     }
 
     /**
@@ -383,10 +353,12 @@ class Dispatcher {
     getWorkerStats() {
         return {
             maxWorkers: this.maxWorkers,
-            activeWorkers: this.activeWorkers,
-            maxActiveWorkers: this.maxActiveWorkers,
             workerFailures: this.workerFailures,
+            workerFiles: this.workerFiles,
+            syncFiles: this.syncFiles,
+            failedFiles: this.failedFiles,
             useWorkers: this.useWorkers,
+            pool: this.workerPool ? this.workerPool.getStats() : null,
         };
     }
 
@@ -394,16 +366,17 @@ class Dispatcher {
      * 重置Worker统计
      */
     resetWorkerStats() {
-        this.activeWorkers = 0;
-        this.maxActiveWorkers = 0;
         this.workerFailures = 0;
-        this.useWorkers = false;
+        this.workerFiles = 0;
+        this.syncFiles = 0;
+        this.failedFiles = 0;
+        this.useWorkers = this.config.useWorkers !== false;
     }
 
     // 检查内存使用情况
     checkMemoryUsage() {
         const memUsage = process.memoryUsage();
-        const totalMem = require('os').totalmem();
+        const totalMem = os.totalmem();
         const usedPercentage = memUsage.heapUsed / totalMem;
 
         if (usedPercentage > this.memoryThreshold) {
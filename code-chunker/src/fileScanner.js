@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const PathUtils = require('./utils/pathUtils');
 const FileTypeDetector = require('./utils/fileTypeDetector');
 const IntelligentFileFilter = require('./utils/intelligentFileFilter');
+const IgnoreRules = require('./utils/ignoreRules');
 
 class FileScanner {
     constructor(config, performanceAnalyzer = null) {
@@ -28,6 +29,8 @@ class FileScanner {
         this.ignorePatterns = config.ignorePatterns || [];
 
         this.maxFileSize = config.maxFileSize || 2 * 1024 * 1024; // 默认2MB
+        // Notebook 的输出（图片等）不参与索引，文件大小限制单独放宽
+        this.maxNotebookFileSize = config.maxNotebookFileSize || 20 * 1024 * 1024;
         this.workspacePath = config.workspacePath || null;
 
         // 添加符号链接循环检测
@@ -49,9 +52,24 @@ class FileScanner {
 
         // 🔥 完全依赖配置的目录忽略列表
         this.ignoredDirectories = new Set(config.ignoredDirectories || []);
+
+        // 工作空间内 .gitignore 风格的忽略文件，每次扫描重新读取
+        this.ignoreFiles = config.ignoreFiles || ['.gitignore', '.codechunkerignore'];
+        this.ignoreRules = null;
+
+        // 取消信号（AbortSignal），任务被取消时在遍历过程中停止扫描
+        this.signal = config.signal || null;
     }
 
-    async scanWorkspace(workspacePath) {
+    /**
+     * 扫描整个工作空间
+     * @param {string} workspacePath
+     * @param {Object} [options]
+     * @param {Function} [options.onFile] - async (relativePath) => void，每发现一个文件调用一次并等待，
+     *   用于边扫描边把文件交给下游处理
+     * @param {boolean} [options.collectContents=true] - 是否在结果中返回文件内容，流式处理时应关闭以节省内存
+     */
+    async scanWorkspace(workspacePath, options = {}) {
         // 开始计时：FileScanner初始化
         if (this.performanceAnalyzer) {
             this.performanceAnalyzer.startModuleTimer('fileScanner', 'initTime');
@@ -87,6 +105,8 @@ class FileScanner {
 
         this.workspacePath = path.resolve(workspacePath); // 规范化路径
         this.visitedPaths.clear(); // 清理之前的访问记录
+        this._setScanOptions(options);
+        this.ignoreRules = new IgnoreRules(this.workspacePath, this.ignoreFiles);
         const fileList = [];
         const fileHashes = {};
         const fileContents = [];
@@ -141,11 +161,102 @@ class FileScanner {
                 scanStats: this.scanStats,
             };
         } catch (error) {
-            console.error('[FileScanner] ❌ 扫描工作区时出错:', error);
+            if (!this.signal?.aborted) {
+                console.error('[FileScanner] ❌ 扫描工作区时出错:', error);
+            }
             throw error;
         }
     }
 
+    /**
+     * 只扫描工作空间内指定的相对路径（文件或目录），用于文件监控触发的局部更新
+     * 已不存在的路径会被跳过，由调用方按删除处理
+     */
+    async scanPaths(workspacePath, relativePaths, options = {}) {
+        this.workspacePath = path.resolve(workspacePath);
+        this.visitedPaths.clear();
+        this._setScanOptions(options);
+        this.ignoreRules = new IgnoreRules(this.workspacePath, this.ignoreFiles);
+        const fileList = [];
+        const fileHashes = {};
+        const fileContents = [];
+        const fileInfos = [];
+
+        this.scanStats = {
+            totalFilesScanned: 0,
+            skippedFiles: 0,
+            processedFiles: 0,
+            skippedDirectories: 0,
+        };
+
+        // 排序后父目录总在其子路径之前，已扫描目录下的路径无需重复处理
+        const targets = Array.from(
+            new Set(relativePaths.map(p => PathUtils.normalizePath(p).replace(/\/+$/, '')))
+        ).sort();
+        const scannedDirs = [];
+
+        for (const relativePath of targets) {
+            this.signal?.throwIfAborted();
+            if (!relativePath || relativePath === '.' || relativePath.startsWith('../')) continue;
+            if (scannedDirs.some(dir => relativePath.startsWith(`${dir}/`))) continue;
+
+            const fullPath = path.join(this.workspacePath, relativePath);
+            let stats;
+            try {
+                stats = await fs.stat(fullPath);
+            } catch (error) {
+                continue;
+            }
+
+            // 只扫描部分路径时，上级目录中的忽略文件同样生效
+            await this.ignoreRules.loadAncestors(relativePath);
+            const ignored = this.ignoreRules.isIgnored(relativePath, stats.isDirectory(), {
+                checkParents: true,
+            });
+
+            if (stats.isDirectory()) {
+                if (ignored || !this._shouldScan(relativePath + '/')) {
+                    this.scanStats.skippedDirectories++;
+                    continue;
+                }
+                scannedDirs.push(relativePath);
+                await this._scanDirectory(
+                    fullPath,
+                    fileList,
+                    fileHashes,
+                    fileContents,
+                    fileInfos,
+                    0,
+                    relativePath.split('/').length
+                );
+            } else if (stats.isFile()) {
+                this.scanStats.totalFilesScanned++;
+
+                if (
+                    ignored ||
+                    !this._shouldScan(relativePath) ||
+                    (this.enableIntelligentFiltering &&
+                        !this.intelligentFilter.isValuableFile(relativePath))
+                ) {
+                    this.scanStats.skippedFiles++;
+                    continue;
+                }
+
+                await this._processFile(
+                    fullPath,
+                    relativePath,
+                    fileList,
+                    fileHashes,
+                    fileContents,
+                    fileInfos
+                );
+                this.scanStats.processedFiles++;
+            }
+        }
+
+        return { fileList, fileHashes, fileContents, scanStats: this.scanStats };
+    }
+
     async _scanDirectory(
         dir,
         fileList,
@@ -169,9 +280,13 @@ class FileScanner {
         if (this.ignoredDirectories.has(dirName)) {
             return;
         }
+        await this.ignoreRules.loadDirectory(
+            PathUtils.normalizePath(path.relative(this.workspacePath, dir))
+        );
 
         const entries = await fs.readdir(dir, { withFileTypes: true });
         for (const entry of entries) {
+            this.signal?.throwIfAborted();
             const fullPath = path.join(dir, entry.name);
             let relativePath = path.relative(this.workspacePath, fullPath);
 
@@ -187,7 +302,10 @@ class FileScanner {
                 }
 
                 // 使用新的扫描逻辑检查目录
-                if (!this._shouldScan(relativePath + '/')) {
+                if (
+                    this.ignoreRules.isIgnored(relativePath, true) ||
+                    !this._shouldScan(relativePath + '/')
+                ) {
                     // 目录路径加斜杠
                     this.scanStats.skippedDirectories++;
                     continue;
@@ -205,8 +323,11 @@ class FileScanner {
             } else if (entry.isFile()) {
                 this.scanStats.totalFilesScanned++;
 
-                // 1. 🔥 新的白名单扫描检查
-                if (!this._shouldScan(relativePath)) {
+                // 1. 🔥 新的白名单扫描检查（含 .gitignore / .codechunkerignore）
+                if (
+                    this.ignoreRules.isIgnored(relativePath, false) ||
+                    !this._shouldScan(relativePath)
+                ) {
                     this.scanStats.skippedFiles++;
                     continue;
                 }
@@ -230,7 +351,10 @@ class FileScanner {
                 this.scanStats.processedFiles++;
             } else if (entry.isSymbolicLink()) {
                 // 检查符号链接是否应该扫描
-                if (!this._shouldScan(relativePath)) {
+                if (
+                    this.ignoreRules.isIgnored(relativePath, false) ||
+                    !this._shouldScan(relativePath)
+                ) {
                     continue;
                 }
 
@@ -350,15 +474,25 @@ class FileScanner {
         return !this._shouldScan(filePath);
     }
 
+    _setScanOptions(options) {
+        this.onFile = options.onFile || null;
+        this.collectContents = options.collectContents !== false;
+    }
+
     // 提取文件处理逻辑为独立方法
     async _processFile(fullPath, relativePath, fileList, fileHashes, fileContents, fileInfos) {
+        let added = false;
         try {
             const stats = await fs.stat(fullPath);
 
             // 🔥 提前检查文件大小 - 避免读取大文件
-            if (stats.size > this.maxFileSize) {
+            const maxFileSize =
+                path.extname(relativePath).toLowerCase() === '.ipynb'
+                    ? this.maxNotebookFileSize
+                    : this.maxFileSize;
+            if (stats.size > maxFileSize) {
                 console.warn(
-                    `File ${relativePath} exceeds maximum size limit (${stats.size} bytes, max: ${this.maxFileSize} bytes)`
+                    `File ${relativePath} exceeds maximum size limit (${stats.size} bytes, max: ${maxFileSize} bytes)`
                 );
                 this.scanStats.skippedFiles++;
                 return;
@@ -393,20 +527,24 @@ class FileScanner {
                 encoding: fileInfo.encoding,
             });
 
-            if (fileInfo.isBinary) {
-                // 对于二进制文件，存储特殊标记而不是内容
-                if (this.includeTextContentOnly) {
-                    fileContents.push(
-                        `[BINARY FILE: ${stats.size} bytes, type: ${this._getFileType(relativePath)}]`
-                    );
+            // 流式处理时不保留内容，下游按路径重新读取
+            if (this.collectContents) {
+                if (fileInfo.isBinary) {
+                    // 对于二进制文件，存储特殊标记而不是内容
+                    if (this.includeTextContentOnly) {
+                        fileContents.push(
+                            `[BINARY FILE: ${stats.size} bytes, type: ${this._getFileType(relativePath)}]`
+                        );
+                    } else {
+                        // 如果需要包含二进制文件，可以存储base64编码
+                        fileContents.push(`[BINARY:${buffer.toString('base64')}]`);
+                    }
                 } else {
-                    // 如果需要包含二进制文件，可以存储base64编码
-                    fileContents.push(`[BINARY:${buffer.toString('base64')}]`);
+                    // 对于文本文件，存储内容
+                    fileContents.push(fileInfo.content);
                 }
-            } else {
-                // 对于文本文件，存储内容
-                fileContents.push(fileInfo.content);
             }
+            added = true;
         } catch (error) {
             // 完整的错误处理：处理各种可能的错误情况
             if (error.code === 'ENOENT') {
@@ -428,6 +566,11 @@ class FileScanner {
             }
             // 处理失败的文件不会被添加到任何数组中，保持数据一致性
         }
+
+        // 下游的错误（如任务取消）需要终止扫描，不能当作文件读取失败忽略
+        if (added && this.onFile) {
+            await this.onFile(relativePath);
+        }
     }
 
     // 符号链接处理方法
@@ -0,0 +1,131 @@
+const BoundedQueue = require('./utils/boundedQueue');
+
+/**
+ * 流式索引流水线：文件 → 解析 → 密钥扫描 → 生成向量并写入数据库
+ *
+ * 三个阶段同时运行，之间用有界队列连接：下游变慢时上游在队列满处等待，
+ * 同一时刻内存中的文件与代码块数量只取决于队列大小，与仓库规模无关。
+ * 任一阶段出错或任务取消时终止两侧队列，其余阶段随之结束。
+ * 提供 secretScanner 时，代码块在进入发送队列前按文件扫描，被跳过的代码块不会离开本机。
+ */
+class IndexingPipeline {
+    /**
+     * @param {Object} options
+     * @param {Dispatcher} options.dispatcher
+     * @param {ParserSelector} options.parserSelector
+     * @param {Sender} options.sender
+     * @param {SecretScanner} [options.secretScanner] - 密钥扫描器，不提供时不扫描
+     * @param {Function} [options.onChunksSkipped] - (chunks, file) => void，代码块因包含密钥被跳过时调用
+     * @param {Function} [options.onFileChunks] - (chunks, file) => void，文件的代码块进入发送队列前调用
+     * @param {Function} [options.onStageComplete] - (stage, stats) => void，'files' 或 'parse' 阶段结束时调用
+     * @param {number} [options.fileQueueSize=256] - 等待解析的文件数上限
+     * @param {number} [options.chunkQueueSize=200] - 等待发送的代码块数上限
+     * @param {AbortSignal} [options.signal] - 取消信号
+     */
+    constructor({
+        dispatcher,
+        parserSelector,
+        sender,
+        secretScanner = null,
+        onChunksSkipped = null,
+        onFileChunks = null,
+        onStageComplete = null,
+        fileQueueSize = 256,
+        chunkQueueSize = 200,
+        signal = null,
+    }) {
+        this.dispatcher = dispatcher;
+        this.parserSelector = parserSelector;
+        this.sender = sender;
+        this.secretScanner = secretScanner;
+        this.onChunksSkipped = onChunksSkipped;
+        this.onFileChunks = onFileChunks;
+        this.onStageComplete = onStageComplete;
+        this.fileQueueSize = fileQueueSize;
+        this.chunkQueueSize = chunkQueueSize;
+        this.signal = signal;
+    }
+
+    /**
+     * 运行流水线
+     * @param {Function} produceFiles - async (push) => void，逐个产出 { path } 文件；
+     *   push 在文件队列满时等待，流水线出错时抛出错误
+     * @returns {Promise<Object>} { files, chunks, totalChunkSize, largestChunk, sendResult, secrets }
+     *   secrets 为密钥扫描报告，未启用扫描时为 null
+     */
+    async run(produceFiles) {
+        const fileQueue = new BoundedQueue(this.fileQueueSize);
+        const chunkQueue = new BoundedQueue(this.chunkQueueSize);
+        const stats = { files: 0, chunks: 0, totalChunkSize: 0, largestChunk: 0 };
+
+        let firstError = null;
+        const fail = error => {
+            // 队列被终止引起的连带错误不掩盖真正的原因
+            if (!firstError || firstError.code === 'QUEUE_STOPPED') firstError = error;
+            fileQueue.fail(error);
+            chunkQueue.fail(error);
+        };
+        const onAbort = () => fail(this.signal.reason);
+        this.signal?.addEventListener('abort', onAbort, { once: true });
+
+        const produce = async () => {
+            await produceFiles(async file => {
+                stats.files++;
+                await fileQueue.push(file);
+            });
+            fileQueue.close();
+            this.onStageComplete?.('files', stats);
+        };
+
+        const parse = async () => {
+            await this.dispatcher.processFileStream(fileQueue, this.parserSelector, {
+                onChunks: async (parsedChunks, file) => {
+                    const chunks = this._scanSecrets(parsedChunks, file);
+                    this.onFileChunks?.(chunks, file);
+                    for (const chunk of chunks) {
+                        const size = chunk.content ? chunk.content.length : 0;
+                        stats.chunks++;
+                        stats.totalChunkSize += size;
+                        stats.largestChunk = Math.max(stats.largestChunk, size);
+                        await chunkQueue.push(chunk);
+                    }
+                },
+            });
+            chunkQueue.close();
+            this.onStageComplete?.('parse', stats);
+        };
+
+        try {
+            const results = await Promise.allSettled(
+                [produce, parse, () => this.sender.sendChunkStream(chunkQueue)].map(stage =>
+                    stage().catch(error => {
+                        fail(error);
+                        throw error;
+                    })
+                )
+            );
+            this.signal?.throwIfAborted();
+            if (firstError) throw firstError;
+
+            return {
+                ...stats,
+                sendResult: results[2].value,
+                secrets: this.secretScanner ? this.secretScanner.getReport() : null,
+            };
+        } finally {
+            this.signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    _scanSecrets(chunks, file) {
+        if (!this.secretScanner || chunks.length === 0) return chunks;
+
+        const result = this.secretScanner.scanFile(file.path, chunks);
+        if (result.skipped.length > 0) {
+            this.onChunksSkipped?.(result.skipped, file);
+        }
+        return result.chunks;
+    }
+}
+
+module.exports = IndexingPipeline;
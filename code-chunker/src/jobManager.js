@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const ACTIVE_STATES = ['queued', 'running'];
+
+/**
+ * 工作空间处理任务队列
+ * 请求入队后立即返回任务ID，任务按提交顺序执行，同时运行的任务数量受限，
+ * 同一 key 的任务依次执行；运行中的任务通过 AbortSignal 协作式取消
+ *
+ * 事件：'event' (job, event)，event 为任务上报的进度事件或状态变化 { type: 'state', state }
+ */
+class JobManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxConcurrentJobs=1] - 同时运行的任务数
+     * @param {number} [options.maxQueuedJobs=20] - 排队任务上限，超出时拒绝入队
+     * @param {number} [options.retentionMs=3600000] - 已结束任务的保留时间
+     */
+    constructor(options = {}) {
+        super();
+        this.maxConcurrentJobs = options.maxConcurrentJobs ?? 1;
+        this.maxQueuedJobs = options.maxQueuedJobs ?? 20;
+        this.retentionMs = options.retentionMs ?? 3600000;
+
+        this.jobs = new Map(); // 任务ID -> 任务
+        this.queue = []; // 排队中的任务ID
+        this.runningCount = 0;
+    }
+
+    /**
+     * 提交任务；同一 key 已有排队或运行中的任务时直接返回该任务
+     * @param {Object} params
+     * @param {string} params.key - 去重键（工作空间标识）
+     * @param {Object} [params.meta] - 随任务返回的描述信息
+     * @param {Object} [params.payload] - 任务参数，不随任务返回；任务开始前可以修改（如合并变更路径）
+     * @param {Function} params.run - 任务函数，参数为 { signal, setPhase, emitEvent, payload }
+     * @param {Function} [params.getProgress] - 返回当前进度
+     * @param {boolean} [params.queueBehindRunning=false] - 只与排队中的任务去重，
+     *        同一 key 的任务正在运行时排在其后（运行中的任务已经扫描过文件，看不到之后的变更）
+     * @returns {{job: Object, existing: boolean}}
+     * @throws {Error} 队列已满时抛出 code 为 QUEUE_FULL 的错误
+     */
+    enqueue({ key, meta = {}, payload = {}, run, getProgress = null, queueBehindRunning = false }) {
+        this._pruneFinishedJobs();
+
+        const existing = queueBehindRunning ? this.findQueuedJob(key) : this.findActiveJob(key);
+        if (existing) {
+            return { job: existing, existing: true };
+        }
+
+        if (this.queue.length >= this.maxQueuedJobs) {
+            const error = new Error(`Job queue is full (${this.maxQueuedJobs} queued jobs)`);
+            error.code = 'QUEUE_FULL';
+            throw error;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            key,
+            meta,
+            state: 'queued',
+            phase: null,
+            errors: [],
+            result: null,
+            summary: null,
+            cancelRequested: false,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            controller: new AbortController(),
+            payload,
+            run,
+            getProgress,
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job.id);
+        this._drain();
+        return { job, existing: false };
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    findActiveJob(key) {
+        for (const job of this.jobs.values()) {
+            if (job.key === key && ACTIVE_STATES.includes(job.state)) return job;
+        }
+        return null;
+    }
+
+    findQueuedJob(key) {
+        for (const jobId of this.queue) {
+            const job = this.jobs.get(jobId);
+            if (job && job.key === key) return job;
+        }
+        return null;
+    }
+
+    /**
+     * 取消任务：排队中的任务直接移出队列，运行中的任务发出取消信号，待当前步骤结束后停止
+     * @returns {boolean} 任务已结束时返回false
+     */
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || !ACTIVE_STATES.includes(job.state)) return false;
+
+        job.cancelRequested = true;
+        if (job.state === 'queued') {
+            this.queue = this.queue.filter(id => id !== jobId);
+            this._finish(job, 'cancelled');
+        } else {
+            job.controller.abort();
+        }
+        return true;
+    }
+
+    /**
+     * 取消所有未结束的任务（服务关闭时调用）
+     */
+    cancelAll() {
+        for (const job of this.jobs.values()) {
+            this.cancel(job.id);
+        }
+    }
+
+    /**
+     * 任务的对外表示
+     */
+    toJSON(job) {
+        let progress = null;
+        if (job.getProgress && job.state !== 'queued') {
+            try {
+                progress = job.getProgress();
+            } catch (error) {
+                progress = null;
+            }
+        }
+
+        return {
+            jobId: job.id,
+            state: job.state,
+            phase: job.phase,
+            cancelRequested: job.cancelRequested,
+            queuePosition: job.state === 'queued' ? this.queue.indexOf(job.id) + 1 : null,
+            progress,
+            errors: job.errors,
+            result: job.result,
+            summary: job.summary,
+            ...job.meta,
+            createdAt: new Date(job.createdAt).toISOString(),
+            startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+            finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+        };
+    }
+
+    getStats() {
+        const stats = { queued: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+        for (const job of this.jobs.values()) {
+            stats[job.state]++;
+        }
+        return {
+            ...stats,
+            maxConcurrentJobs: this.maxConcurrentJobs,
+            maxQueuedJobs: this.maxQueuedJobs,
+        };
+    }
+
+    // 内部方法
+    _drain() {
+        for (const jobId of [...this.queue]) {
+            if (this.runningCount >= this.maxConcurrentJobs) break;
+
+            const job = this.jobs.get(jobId);
+            // 同一 key 的任务共用处理实例，不能同时运行，等前一个任务结束后再开始
+            if (this._isKeyRunning(job.key)) continue;
+
+            this.queue = this.queue.filter(id => id !== jobId);
+            this._start(job);
+        }
+    }
+
+    _isKeyRunning(key) {
+        for (const job of this.jobs.values()) {
+            if (job.key === key && job.state === 'running') return true;
+        }
+        return false;
+    }
+
+    async _start(job) {
+        this.runningCount++;
+        job.state = 'running';
+        job.startedAt = Date.now();
+        this._emitEvent(job, { type: 'state', state: job.state });
+
+        const context = {
+            signal: job.controller.signal,
+            payload: job.payload,
+            setPhase: phase => {
+                job.phase = phase;
+            },
+            emitEvent: event => {
+                if (event.type === 'summary') job.summary = event;
+                this._emitEvent(job, event);
+            },
+        };
+
+        try {
+            job.result = (await job.run(context)) ?? null;
+            // 任务函数返回 success: false 表示处理未完全成功（如部分代码块发送失败）
+            if (job.result?.success === false) {
+                job.errors.push({ message: job.result.message || 'Job failed', phase: job.phase });
+                this._finish(job, 'failed');
+            } else {
+                this._finish(job, 'completed');
+            }
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                this._finish(job, 'cancelled');
+            } else {
+                job.errors.push({ message: error.message, phase: job.phase });
+                this._finish(job, 'failed');
+            }
+        } finally {
+            this.runningCount--;
+            this._drain();
+        }
+    }
+
+    _finish(job, state) {
+        job.state = state;
+        job.finishedAt = Date.now();
+        // 进度在结束时固定下来，之后不再依赖处理实例的状态
+        if (job.getProgress && job.startedAt) {
+            try {
+                const progress = job.getProgress();
+                job.getProgress = () => progress;
+            } catch (error) {
+                job.getProgress = null;
+            }
+        }
+        job.run = null;
+        job.payload = null;
+        this._emitEvent(job, { type: 'state', state });
+    }
+
+    _emitEvent(job, event) {
+        this.emit(
+            'event',
+            job,
+            event.timestamp ? event : { ...event, timestamp: new Date().toISOString() }
+        );
+    }
+
+    _pruneFinishedJobs() {
+        const now = Date.now();
+        for (const [jobId, job] of this.jobs) {
+            if (job.finishedAt && now - job.finishedAt > this.retentionMs) {
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+}
+
+module.exports = JobManager;
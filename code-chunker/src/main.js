@@ -6,23 +6,61 @@ const ProgressTracker = require('./progressTracker');
 const MerkleTree = require('./utils/merkleTree');
 const VectorManager = require('./vectorManager');
 const PerformanceAnalyzer = require('./utils/performanceAnalyzer');
+const MerkleTreeManager = require('./utils/MerkleTreeManager');
+const PathUtils = require('./utils/pathUtils');
+const ProgressReporter = require('./utils/progressReporter');
+const IndexingPipeline = require('./indexingPipeline');
+const SecretScanner = require('./security/secretScanner');
+const LexicalIndex = require('./search/lexicalIndex');
+const { reciprocalRankFusion } = require('./search/rankFusion');
+const SearchFilter = require('./search/searchFilter');
+const { createCollectionName } = require('./utils/collectionNameUtils');
+const {
+    PROJECT_CONFIG_FILE,
+    loadProjectConfig,
+    applyProjectConfig,
+} = require('./utils/projectConfig');
+const path = require('path');
+
+const SEARCH_MODES = ['vector', 'lexical', 'hybrid'];
+// 存在需要在取回结果后过滤的条件时，向量检索多取的候选倍数
+const FILTER_OVERFETCH = 5;
+// 解析器输出的代码块格式版本，变化后已有的代码块需要全部重新生成
+// 2: AST解析器生效，代码块附带符号信息
+// 3: TypeScript/TSX 使用独立的语法解析
+// 4: Markdown、reStructuredText 按标题层级分块，代码块附带章节信息
+// 5: JSON、YAML、TOML、XML、.properties 按键的层级结构分块，代码块附带键路径
+// 6: Jupyter Notebook 按单元格分块，代码块附带单元格位置
+const CHUNK_FORMAT_VERSION = 6;
 
 class CodeChunker {
     constructor(userConfig) {
-        this.config = this._loadConfig(userConfig);
+        // 每次处理都在 baseConfig 上合并工作空间的 .codechunker.yaml，项目配置删除后不会残留
+        this.baseConfig = this._loadConfig(userConfig);
+        this.config = this.baseConfig;
+        this.projectConfig = null;
         this.progressTracker = new ProgressTracker();
         this.fileScanner = new FileScanner(this.config);
         this.parserSelector = new ParserSelector(this.config);
-        this.dispatcher = new Dispatcher(this.config);
+        // 解析Worker池在多次处理之间复用，Worker只在启动时加载一次解析器
+        this.workerPool =
+            this.config.useWorkers !== false ? Dispatcher.createWorkerPool(this.config) : null;
+        this.dispatcher = new Dispatcher(this.config, null, this.workerPool);
+        // 代码块发送前检测并处理其中的密钥
+        this.secretScanner =
+            this.config.secretScanning?.enabled !== false
+                ? new SecretScanner(this.config.secretScanning)
+                : null;
         this.merkleTree = new MerkleTree();
 
         // 初始化性能分析器
         this.performanceAnalyzer = new PerformanceAnalyzer();
 
         // 初始化 VectorManager（只有在明确启用时才初始化）
+        this.vectorManagerReady = Promise.resolve();
         if (this.config.vectorManager?.enabled === true) {
             this.vectorManager = new VectorManager(this.config.vectorManager);
-            this.vectorManager.initialize().catch(error => {
+            this.vectorManagerReady = this.vectorManager.initialize().catch(error => {
                 this.error('Failed to initialize VectorManager:', error);
             });
         } else {
@@ -41,10 +79,23 @@ class CodeChunker {
             const appConfig = configModule.getApplication();
 
             // 合并用户配置
-            return {
+            const config = {
                 ...appConfig,
                 ...userConfig,
             };
+
+            // 本地向量数据库默认持久化到当前工作空间的缓存目录
+            if (config.vectorManager?.database?.type === 'local') {
+                config.vectorManager = {
+                    ...config.vectorManager,
+                    database: {
+                        ...config.vectorManager.database,
+                        workspacePath: config.workspacePath,
+                    },
+                };
+            }
+
+            return config;
         } catch (error) {
             console.error('❌ 致命错误：无法加载配置文件:', error.message);
             throw new Error(
@@ -65,8 +116,37 @@ class CodeChunker {
         console.warn(message);
     }
 
-    async processWorkspace(userId, deviceId, workspacePath, token, ignorePatterns = []) {
+    /**
+     * 处理工作空间：扫描、分块、生成向量并写入向量数据库
+     * 默认增量处理，只重新处理相对上次成功索引发生变更的文件
+     *
+     * @param {Object} [options] - 处理选项
+     * @param {boolean} [options.forceFullRebuild=false] - 忽略增量状态，强制全量重建
+     * @param {string[]} [options.changedPaths] - 已知的变更路径（文件监控提供），只重新扫描这些路径
+     * @param {AbortSignal} [options.signal] - 取消信号，扫描、解析、发送各阶段会在批次间检查
+     * @param {Function} [options.onPhase] - 阶段变化回调：scanning | planning | parsing | indexing | embedding | finalizing
+     * @param {Function} [options.onProgress] - 进度事件回调（阶段、文件完成、吞吐、性能摘要），事件格式见 utils/progressReporter.js
+     * @returns {Promise<boolean>} 所有代码块均成功发送时返回true
+     */
+    async processWorkspace(
+        userId,
+        deviceId,
+        workspacePath,
+        token,
+        ignorePatterns = [],
+        options = {}
+    ) {
         const startTime = Date.now();
+        const signal = options.signal || null;
+        const reporter = new ProgressReporter(options.onProgress);
+        const reportPhase = phase => {
+            if (options.onPhase) options.onPhase(phase);
+            reporter.setPhase(phase);
+        };
+        const enterPhase = phase => {
+            signal?.throwIfAborted();
+            reportPhase(phase);
+        };
 
         try {
             // 开始性能分析
@@ -74,9 +154,16 @@ class CodeChunker {
 
             this.log(`Starting Code Chunker v${this.version} for workspace: ${workspacePath}`);
 
-            // 更新配置
+            // 更新配置：应用配置 + 工作空间的 .codechunker.yaml
+            this.projectConfig = await loadProjectConfig(workspacePath);
+            if (this.projectConfig.exists) {
+                this.log(`📋 使用项目配置: ${this.projectConfig.path}`);
+            }
+            for (const error of this.projectConfig.errors) {
+                this.warn(`⚠️ ${error}`);
+            }
             const updatedConfig = {
-                ...this.config,
+                ...applyProjectConfig(this.baseConfig, this.projectConfig.overrides),
                 workspacePath,
                 ignorePatterns: Array.isArray(ignorePatterns) ? ignorePatterns : [],
                 userId,
@@ -86,11 +173,16 @@ class CodeChunker {
 
             // 重新初始化组件
             this.progressTracker = new ProgressTracker();
-            this.config = { ...updatedConfig, progressTracker: this.progressTracker };
+            this.config = { ...updatedConfig, progressTracker: this.progressTracker, signal };
+            reporter.attach(this.progressTracker);
 
             this.fileScanner = new FileScanner(this.config, this.performanceAnalyzer);
             this.parserSelector = new ParserSelector(this.config, this.performanceAnalyzer);
-            this.dispatcher = new Dispatcher(this.config, this.performanceAnalyzer);
+            this.dispatcher = new Dispatcher(
+                this.config,
+                this.performanceAnalyzer,
+                this.workerPool
+            );
             this.merkleTree = new MerkleTree();
 
             // 重新初始化Sender，传入现有的VectorManager和性能分析器
@@ -110,91 +202,157 @@ class CodeChunker {
                 // 不需要重新初始化，VectorManager可以重用
             }
 
-            // return;
-            this.log('Scanning workspace...');
-            this.performanceAnalyzer.startFileScanning();
-            const {
-                fileList,
-                fileContents,
-                merkleTree: scanMerkleTree,
-                fileHashes,
-                scanStats,
-            } = await this.fileScanner.scanWorkspace(workspacePath);
-            this.performanceAnalyzer.endFileScanning(
-                fileList.length,
-                scanStats ? scanStats.skippedFiles : 0
+            // 需要全量构建时（首次索引、强制重建等）不必等扫描结束，扫描到的文件直接进入流水线；
+            // 增量构建需要完整的文件哈希才能确定变更，先扫描再只处理变更的文件
+            const fullBuildReason = await this._getFullBuildReason(
+                userId,
+                deviceId,
+                workspacePath,
+                options
             );
-            this.log(`Found ${fileList.length} files to process.`);
-
-            // 新增：注册文件到进度跟踪器
-            this.progressTracker.registerFiles(fileList);
-            this.log(`Registered ${fileList.length} files for progress tracking.`);
-
-            // 构建 Merkle 树 - 优化：使用fileScanner中已计算的哈希值
-            let rootHash, tree;
-            if (scanMerkleTree && scanMerkleTree.rootHash) {
-                // 如果fileScanner已经构建了增强的Merkle树，直接使用
-                rootHash = scanMerkleTree.rootHash;
-                tree = scanMerkleTree.tree;
-                this.merkleTree.leaves = scanMerkleTree.leaves || [];
-                this.merkleTree.tree = tree || [];
-            } else {
-                // 从已计算的哈希构建Merkle树（避免重复哈希计算）
-                const hashArray = fileList.map(filePath => fileHashes[filePath]);
-                const result = this.merkleTree.buildTree(hashArray);
-                rootHash = result.rootHash;
-                tree = result.tree;
-            }
-            this.log(`Generated Merkle tree with root hash: ${rootHash}`);
 
-            this.log('Processing files concurrently...');
-            this.performanceAnalyzer.startFileParsing(fileList.length);
-            const fileObjects = fileList.map((f, index) => ({
-                path: f,
-                merkleProof: this.merkleTree.getProof(index),
-            }));
-            const chunks = await this.dispatcher.processFilesConcurrently(
-                fileObjects,
-                this.parserSelector
-            );
+            let fileList;
+            let plan;
+            let pipelineResult;
+            if (fullBuildReason) {
+                this.log(fullBuildReason);
+                plan = { incremental: false };
+
+                enterPhase('indexing');
+                this.performanceAnalyzer.startVectorDBOperations();
+                await this._prepareFullBuild(userId, deviceId, workspacePath);
+
+                enterPhase('scanning');
+                this.log('Scanning workspace and processing files as they are found...');
+                this.performanceAnalyzer.startFileScanning();
+                this.performanceAnalyzer.startFileParsing(0);
+                let scanResult;
+                pipelineResult = await this._runIndexingPipeline(
+                    userId,
+                    deviceId,
+                    workspacePath,
+                    async push => {
+                        scanResult = await this.fileScanner.scanWorkspace(workspacePath, {
+                            collectContents: false,
+                            onFile: async filePath => {
+                                this.progressTracker.registerFile(filePath);
+                                await push({ path: filePath });
+                            },
+                        });
+                        this.performanceAnalyzer.endFileScanning(
+                            scanResult.fileList.length,
+                            scanResult.scanStats ? scanResult.scanStats.skippedFiles : 0
+                        );
+                        this.log(`Found ${scanResult.fileList.length} files to process.`);
+                    },
+                    stage => reportPhase(stage === 'files' ? 'parsing' : 'embedding')
+                );
 
-            // 获取真实的Worker统计信息
-            const workerStats = this.dispatcher.getWorkerStats();
-            const successFiles = chunks.length > 0 ? fileList.length : 0;
-            const failedFiles = fileList.length - successFiles;
-            const syncCount = workerStats.useWorkers ? 0 : fileList.length;
-            const workerCount = workerStats.useWorkers ? fileList.length : 0;
-
-            this.performanceAnalyzer.endFileParsing(
-                successFiles,
-                failedFiles,
-                workerStats.workerFailures,
-                syncCount,
-                workerCount
-            );
-            this.log(`Generated ${chunks.length} chunks`);
+                fileList = scanResult.fileList;
+                this._buildMerkleTree(scanResult);
+                if (this.merkleTreeManager) {
+                    await this.merkleTreeManager.buildFromFiles(
+                        fileList.map(filePath => ({
+                            path: filePath,
+                            hash: scanResult.fileHashes[filePath],
+                        }))
+                    );
+                }
+            } else {
+                enterPhase('scanning');
+                this.log('Scanning workspace...');
+                this.performanceAnalyzer.startFileScanning();
+                const scanResult = await this._scanWorkspaceFiles(
+                    userId,
+                    deviceId,
+                    workspacePath,
+                    options
+                );
+                fileList = scanResult.fileList;
+                this.performanceAnalyzer.endFileScanning(
+                    fileList.length,
+                    scanResult.scanStats ? scanResult.scanStats.skippedFiles : 0
+                );
+                this.log(`Found ${fileList.length} files to process.`);
+
+                // 新增：注册文件到进度跟踪器
+                this.progressTracker.registerFiles(fileList);
+                this.log(`Registered ${fileList.length} files for progress tracking.`);
+                this._buildMerkleTree(scanResult);
+
+                // ============ 增量变更检测 ============
+                enterPhase('planning');
+                plan = await this._planIncrementalRun(fileList, scanResult.fileHashes);
+
+                if (plan.incremental) {
+                    // 未变更的文件无需重新处理，直接标记为完成
+                    const pending = new Set(plan.filesToProcess);
+                    for (const filePath of fileList) {
+                        if (!pending.has(filePath)) {
+                            this.progressTracker.updateFileStatus(filePath, 'completed');
+                        }
+                    }
 
-            // 记录分块生成信息
-            const chunkSizes = chunks.map(chunk => (chunk.content ? chunk.content.length : 0));
-            this.performanceAnalyzer.recordChunkGeneration(chunks.length, chunkSizes);
+                    if (plan.filesToProcess.length === 0 && plan.filesToDelete.length === 0) {
+                        this.log('✅ 增量检测：工作空间无变更，跳过处理');
+                        await this.merkleTreeManager.saveCurrentState();
+                        reporter.finish(true);
+                        return true;
+                    }
+                }
 
-            // ============ 集合清理和重新创建 - 强制执行 ============
-            this.log('开始清理和重新创建集合（强制执行）');
-            this.performanceAnalyzer.startVectorDBOperations();
-            await this._cleanAndRecreateCollection(userId, deviceId, workspacePath);
-            this.log('集合清理和重新创建完成');
+                enterPhase('indexing');
+                this.performanceAnalyzer.startVectorDBOperations();
+                if (plan.incremental) {
+                    // ============ 增量模式：只删除变更/删除文件的旧向量 ============
+                    this.log(`增量模式：删除 ${plan.filesToDelete.length} 个文件的旧向量`);
+                    await this._deleteFileVectors(
+                        userId,
+                        deviceId,
+                        workspacePath,
+                        plan.filesToDelete
+                    );
+                    await this._removeFromLexicalIndex(
+                        userId,
+                        deviceId,
+                        workspacePath,
+                        plan.filesToDelete
+                    );
+                } else {
+                    await this._prepareFullBuild(userId, deviceId, workspacePath);
+                }
 
-            this.log('Sending chunks to embedding service...');
-            this.performanceAnalyzer.startEmbeddingGeneration();
-            await this.sender.sendChunks(chunks, rootHash);
+                enterPhase('parsing');
+                this.log('Processing files...');
+                this.performanceAnalyzer.startFileParsing(plan.filesToProcess.length);
+                pipelineResult = await this._runIndexingPipeline(
+                    userId,
+                    deviceId,
+                    workspacePath,
+                    async push => {
+                        for (const filePath of plan.filesToProcess) {
+                            await push({ path: filePath });
+                        }
+                    },
+                    stage => {
+                        if (stage === 'parse') reportPhase('embedding');
+                    }
+                );
+            }
 
             // 数据已直接发送到向量数据库，无需额外持久化
+            // 发送完成后不再响应取消，保证本次结果的增量状态能够保存
+            reportPhase('finalizing');
+            this._reportSecretScan(pipelineResult.secrets, reporter);
 
             // 更新文件处理状态为完成
+            let performanceReport = null;
             if (this.progressTracker) {
-                // 将所有文件标记为已完成
+                // 将其余文件标记为已完成（如没有产生代码块的文件），失败的文件保留失败状态和原因
                 for (const filePath of fileList) {
-                    this.progressTracker.updateFileStatus(filePath, 'completed');
+                    if (this.progressTracker.fileStatus.get(filePath) !== 'failed') {
+                        this.progressTracker.updateFileStatus(filePath, 'completed');
+                    }
                 }
 
                 const finalProgress = this.progressTracker.getOverallProgress();
@@ -216,10 +374,10 @@ class CodeChunker {
 
                 // 完成性能分析并生成报告
                 this.performanceAnalyzer.endVectorDBOperations(
-                    chunks.length,
-                    Math.ceil(chunks.length / 10)
-                ); // 假设每批10个
-                const performanceReport = await this.performanceAnalyzer.endAnalysis();
+                    pipelineResult.chunks,
+                    pipelineResult.sendResult?.totalBatches || 0
+                );
+                performanceReport = await this.performanceAnalyzer.endAnalysis();
 
                 this.log(`\n🎉 ============== 项目处理完成 ==============`);
                 this.log(`📊 性能测速报告已自动生成:`);
@@ -293,16 +451,38 @@ class CodeChunker {
             );
 
             // 只有当所有代码块都成功发送时才认为处理成功
-            const isSuccess = this.progressTracker ? 
-                this.progressTracker.getOverallProgress().successRate >= 100 : 
-                true;
+            // 增量模式下可能只有删除操作、没有需要发送的代码块，此时同样视为成功
+            const overallProgress = this.progressTracker
+                ? this.progressTracker.getOverallProgress()
+                : null;
+            const isSuccess =
+                !overallProgress ||
+                overallProgress.successRate >= 100 ||
+                (plan.incremental && overallProgress.totalChunks === 0);
             
             if (!isSuccess) {
-                this.warn(`处理未完全成功，成功率: ${this.progressTracker.getOverallProgress().successRate.toFixed(2)}%`);
+                this.warn(`处理未完全成功，成功率: ${overallProgress.successRate.toFixed(2)}%`);
+            } else if (this.merkleTreeManager) {
+                // 只有完全成功时才记录增量状态，失败的变更会在下次运行时重新处理
+                await this.merkleTreeManager.saveCurrentState();
             }
 
+            reporter.finish(
+                isSuccess,
+                performanceReport,
+                performanceReport
+                    ? this.performanceAnalyzer._calculatePerformanceScore(performanceReport)
+                    : null
+            );
             return isSuccess;
         } catch (error) {
+            reporter.detach();
+            if (signal?.aborted) {
+                // 取消时不保存增量状态，下次运行会重新处理未完成的变更
+                this.log(`⏹️ 工作空间处理已取消: ${workspacePath}`);
+                throw error;
+            }
+
             this.error('❌ Error in processWorkspace:', error);
             this.error('❌ Error details:', {
                 name: error.name,
@@ -315,19 +495,68 @@ class CodeChunker {
         }
     }
 
-    // 添加搜索方法
+    /**
+     * 工作空间当前生效的扫描与分块配置（应用配置合并 .codechunker.yaml），供状态接口展示
+     * 每次调用都重新读取项目配置，反映尚未用于处理的修改
+     */
+    async getEffectiveConfig(workspacePath) {
+        return CodeChunker.describeEffectiveConfig(this.baseConfig, workspacePath);
+    }
+
+    /**
+     * 不依赖实例计算生效配置，用于尚未创建处理实例的工作空间
+     * @param {Object} baseConfig - 应用配置
+     */
+    static async describeEffectiveConfig(baseConfig, workspacePath) {
+        const projectConfig = await loadProjectConfig(workspacePath);
+        const config = applyProjectConfig(baseConfig, projectConfig.overrides);
+        return {
+            projectConfig: {
+                path: projectConfig.path,
+                exists: projectConfig.exists,
+                overrides: projectConfig.overrides,
+                errors: projectConfig.errors,
+            },
+            ignoreFiles: config.ignoreFiles || [],
+            scanFileExtensions: config.scanFileExtensions || [],
+            ignoredDirectories: config.ignoredDirectories || [],
+            linesPerChunk: config.linesPerChunk || null,
+            languageMapping: config.languageMapping || {},
+            maxFileSize: config.maxFileSize || null,
+        };
+    }
+
+    /**
+     * 搜索代码块
+     * @param {string} query - 查询文本
+     * @param {Object} [options]
+     * @param {number} [options.topK=10] - 返回数量
+     * @param {'vector'|'lexical'|'hybrid'} [options.mode] - 检索模式，默认取 search.defaultMode
+     * @param {Object} [options.filter] - 过滤条件，字段说明见 search/searchFilter.js
+     */
     async search(query, options = {}) {
-        if (!this.vectorManager) {
+        const filter = SearchFilter.from(options.filter);
+        const mode = options.mode || this.config.search?.defaultMode || 'vector';
+        if (!SEARCH_MODES.includes(mode)) {
+            throw new Error(
+                `Invalid search mode: ${mode}, expected one of ${SEARCH_MODES.join(', ')}`
+            );
+        }
+        if (mode !== 'lexical' && !this.vectorManager) {
             throw new Error('VectorManager is not enabled');
         }
 
+        const topK = options.topK || 10;
+
         try {
-            const searchResults = await this.vectorManager.search(query, options.topK || 10, {
-                userId: this.config.userId,
-                deviceId: this.config.deviceId,
-                workspacePath: this.config.workspacePath,
-                ...options,
-            });
+            let searchResults;
+            if (mode === 'vector') {
+                searchResults = await this._vectorSearch(query, topK, options, filter);
+            } else if (mode === 'lexical') {
+                searchResults = await this._lexicalSearch(query, topK, filter);
+            } else {
+                searchResults = await this._hybridSearch(query, topK, options, filter);
+            }
 
             // 过滤掉包含"unknown"的结果
             const filteredResults = this._filterUnknownResults(searchResults);
@@ -346,6 +575,184 @@ class CodeChunker {
         }
     }
 
+    async _vectorSearch(query, topK, options, filter) {
+        const { userId, deviceId, workspacePath } = this.config;
+        const results = await this.vectorManager.search(
+            query,
+            filter ? topK * FILTER_OVERFETCH : topK,
+            {
+                userId,
+                deviceId,
+                workspacePath,
+                ...options,
+                // 本地数据库保存了语言/类型/解析器字段，可以一并下推
+                filter: filter?.toDatabaseFilter({
+                    supportsMetadata: !!this.vectorManager.vectorDB?.useLocal,
+                }),
+            }
+        );
+
+        // 远程数据库不保存代码块类型、符号、章节、键路径、单元格等字段，从词法索引中按位置补全
+        const lexicalIndex =
+            this.config.search?.lexicalIndex?.enabled === false
+                ? null
+                : await this._getLexicalIndex(userId, deviceId, workspacePath);
+        for (const result of results) {
+            if (!result.metadata) continue;
+            const document = lexicalIndex?.getDocumentAt(
+                result.filePath,
+                result.startLine,
+                result.endLine,
+                result.content
+            );
+            result.metadata.symbol = result.metadata.symbol || document?.symbol || null;
+            result.metadata.section = result.metadata.section || document?.section || null;
+            result.metadata.keyPath = result.metadata.keyPath ?? document?.keyPath ?? null;
+            result.metadata.cell = result.metadata.cell || document?.cell || null;
+        }
+        if (!filter) return results;
+
+        const filtered = await filter.apply(results, {
+            workspacePath,
+            describe: result => this._describeSearchResult(result, lexicalIndex),
+        });
+        return filtered.slice(0, topK);
+    }
+
+    async _lexicalSearch(query, topK, filter) {
+        const { userId, deviceId, workspacePath } = this.config;
+        const lexicalIndex = await this._getLexicalIndex(userId, deviceId, workspacePath);
+        // 修改时间需要读取文件，只能在检索后过滤，其余条件在打分前过滤
+        let results = lexicalIndex.search(
+            query,
+            filter?.modifiedSince ? topK * FILTER_OVERFETCH : topK,
+            filter ? document => filter.matches(document) : null
+        );
+        if (filter?.modifiedSince) {
+            results = (
+                await filter.apply(results, { workspacePath, describe: result => result.document })
+            ).slice(0, topK);
+        }
+        const topScore = results.length > 0 ? results[0].score : 0;
+
+        return results.map(({ id, score, document }) => ({
+            chunkId: id,
+            score: topScore > 0 ? score / topScore : 0, // BM25分数无上限，按最高分归一化
+            similarity: topScore > 0 ? score / topScore : 0,
+            filePath: document.filePath,
+            fileName: null,
+            offset: 0,
+            content: document.content,
+            startLine: document.startLine,
+            endLine: document.endLine,
+            metadata: {
+                userId,
+                deviceId,
+                workspacePath,
+                language: document.language,
+                parser: document.parser,
+                type: document.type,
+                symbol: document.symbol || null,
+                section: document.section || null,
+                keyPath: document.keyPath ?? null,
+                cell: document.cell || null,
+                vectorModel: 'bm25',
+                originalScore: score,
+            },
+        }));
+    }
+
+    /**
+     * 混合检索：向量与词法两路分别召回候选，再用倒数排名融合
+     * 向量检索失败（如embedding服务不可用）时退化为纯词法结果
+     */
+    async _hybridSearch(query, topK, options, filter) {
+        const searchConfig = this.config.search || {};
+        const candidateCount = topK * (searchConfig.candidateMultiplier || 3);
+
+        const [vectorResults, lexicalResults] = await Promise.all([
+            this._vectorSearch(query, candidateCount, options, filter).catch(error => {
+                this.warn(`向量检索失败，仅使用词法检索结果: ${error.message}`);
+                return null;
+            }),
+            this._lexicalSearch(query, candidateCount, filter),
+        ]);
+
+        if (!vectorResults) {
+            if (lexicalResults.length === 0) {
+                throw new Error('Vector search failed and lexical index returned no results');
+            }
+            return lexicalResults.slice(0, topK);
+        }
+
+        const fused = reciprocalRankFusion(
+            [
+                { results: vectorResults, weight: searchConfig.vectorWeight ?? 1 },
+                { results: lexicalResults, weight: searchConfig.lexicalWeight ?? 1 },
+            ],
+            {
+                k: searchConfig.rrfK || 60,
+                // 两路结果的ID生成方式可能不同，按文件位置合并
+                getKey: result => this._getResultLocationKey(result),
+            }
+        );
+
+        return fused.slice(0, topK).map(({ score, items, ranks }) => {
+            const [vectorResult, lexicalResult] = items;
+            const base = vectorResult || lexicalResult;
+            return {
+                ...base,
+                score,
+                similarity: score,
+                metadata: {
+                    ...base.metadata,
+                    searchMode: 'hybrid',
+                    vectorRank: ranks[0],
+                    lexicalRank: ranks[1],
+                    vectorScore: vectorResult ? vectorResult.score : null,
+                    lexicalScore: lexicalResult ? lexicalResult.metadata.originalScore : null,
+                },
+            };
+        });
+    }
+
+    /**
+     * 检索结果在文件中的位置，Notebook 的多个单元格可能位于相同的文件行，再加上单元格序号和分块序号
+     */
+    _getResultLocationKey(result) {
+        const cell = result.metadata?.cell;
+        const location = `${result.filePath}:${result.startLine}-${result.endLine}`;
+        return cell ? `${location}#${cell.index}.${cell.part || 0}` : location;
+    }
+
+    _describeSearchResult(result, lexicalIndex) {
+        const metadata = result.metadata || {};
+        const document = lexicalIndex?.getDocumentAt(
+            result.filePath,
+            result.startLine,
+            result.endLine,
+            result.content
+        );
+        const languageMapping = this.config.languageMapping || {};
+
+        return {
+            filePath: result.filePath,
+            startLine: result.startLine,
+            endLine: result.endLine,
+            language:
+                metadata.language ||
+                document?.language ||
+                languageMapping[path.extname(result.filePath || '').toLowerCase()] ||
+                '',
+            type: metadata.type || document?.type || '',
+            parser: metadata.parser || document?.parser || '',
+            symbol: metadata.symbol || document?.symbol || null,
+            section: metadata.section || document?.section || null,
+            keyPath: metadata.keyPath ?? document?.keyPath ?? null,
+            cell: metadata.cell || document?.cell || null,
+        };
+    }
+
     /**
      * 过滤包含"unknown"的搜索结果
      * @param {Array} results - 原始搜索结果
@@ -423,6 +830,30 @@ class CodeChunker {
         return this.progressTracker.getFileProgress();
     }
 
+    /**
+     * 工作空间已保存的索引概况，供扩展的索引状态视图展示，不触发任何处理
+     * @returns {Promise<{collectionName: string, lastIndexedAt: number|null, indexedFiles: number|null, indexedChunks: number|null}>}
+     *          从未成功索引时时间和数量为null；词法索引关闭时代码块数量为null
+     */
+    async getIndexSummary(userId, deviceId, workspacePath) {
+        const merkleTreeManager = this._createMerkleTreeManager(userId, deviceId, workspacePath);
+        await merkleTreeManager.loadLastState();
+        const lastState = merkleTreeManager.lastState;
+
+        let indexedChunks = null;
+        if (this.config.search?.lexicalIndex?.enabled !== false) {
+            const lexicalIndex = await this._getLexicalIndex(userId, deviceId, workspacePath);
+            indexedChunks = lexicalIndex.persisted ? lexicalIndex.size : null;
+        }
+
+        return {
+            collectionName: createCollectionName(userId, deviceId, workspacePath),
+            lastIndexedAt: lastState?.timestamp ?? null,
+            indexedFiles: lastState?.fileCount ?? null,
+            indexedChunks,
+        };
+    }
+
     // 添加关闭方法
     async shutdown() {
         try {
@@ -432,11 +863,456 @@ class CodeChunker {
             if (this.sender) {
                 await this.sender.shutdown();
             }
+            if (this.workerPool) {
+                await this.workerPool.terminate();
+            }
         } catch (error) {
             this.error('Error during shutdown:', error);
         }
     }
 
+    /**
+     * 删除工作空间的索引：配置的向量数据库中的集合（本地向量数据库同时删除磁盘上的文件）、词法索引和增量状态
+     * api_only 模式下没有可删除的向量数据库集合，只清除本地状态
+     * @returns {Promise<Object>} { collectionName, databaseName, vectorDB, result }，vectorDB 为向量数据库类型，
+     *   没有可用的向量数据库时 vectorDB、databaseName、result 为 null
+     */
+    async deleteIndex(userId, deviceId, workspacePath) {
+        await this.vectorManagerReady;
+
+        const collectionName = createCollectionName(userId, deviceId, workspacePath);
+        const implementation = this.vectorManager?.vectorDB?.implementation || null;
+        const databaseName = implementation ? this._getDatabaseName() : null;
+        const result = implementation
+            ? await implementation.dropCollection(databaseName, collectionName)
+            : null;
+
+        // 索引已删除，清除增量状态，确保下次处理时全量重建
+        await this.resetIncrementalState(userId, deviceId, workspacePath);
+        return {
+            collectionName,
+            databaseName,
+            vectorDB: implementation ? this.config.vectorManager.database.type : null,
+            result,
+        };
+    }
+
+    /**
+     * 重置增量索引状态，下次处理时执行全量构建（例如索引被删除后）
+     */
+    async resetIncrementalState(userId, deviceId, workspacePath) {
+        await this._createMerkleTreeManager(userId, deviceId, workspacePath).reset();
+        await (await this._getLexicalIndex(userId, deviceId, workspacePath)).delete();
+        this.log(`已重置增量索引状态: ${workspacePath}`);
+    }
+
+    _createMerkleTreeManager(userId, deviceId, workspacePath) {
+        const stateDir = this.config.incremental?.stateDir;
+        return new MerkleTreeManager(workspacePath, {
+            persistencePath: stateDir || path.join(workspacePath, '.vscode', 'merkle-cache'),
+            // 同一工作空间可能被不同用户/设备索引，状态按集合区分
+            stateFileName: `merkle-state-${createCollectionName(userId, deviceId, workspacePath)}.json`,
+            includeMetadata: false,
+            chunkingConfig: this._getChunkingFingerprint(),
+        });
+    }
+
+    // 影响分块结果的配置，变化后已有的代码块需要全部重新生成
+    _getChunkingFingerprint() {
+        return JSON.stringify({
+            chunkFormat: CHUNK_FORMAT_VERSION,
+            linesPerChunk: this.config.linesPerChunk || null,
+            languageMapping: this.config.languageMapping || null,
+        });
+    }
+
+    async _getLexicalIndex(userId, deviceId, workspacePath) {
+        const collectionName = createCollectionName(userId, deviceId, workspacePath);
+        if (this.lexicalIndex?.collectionName === collectionName) {
+            return this.lexicalIndex;
+        }
+
+        const indexDir = this.config.search?.lexicalIndex?.indexDir;
+        const lexicalIndex = new LexicalIndex({
+            persistencePath: indexDir || path.join(workspacePath, '.vscode', 'lexical-cache'),
+            fileName: `lexical-${collectionName}.json.gz`,
+        });
+        lexicalIndex.collectionName = collectionName;
+        await lexicalIndex.load();
+
+        this.lexicalIndex = lexicalIndex;
+        return lexicalIndex;
+    }
+
+    async _isLexicalIndexMissing(userId, deviceId, workspacePath) {
+        if (this.config.search?.lexicalIndex?.enabled === false) return false;
+        const lexicalIndex = await this._getLexicalIndex(userId, deviceId, workspacePath);
+        return !lexicalIndex.persisted;
+    }
+
+    /**
+     * 本地向量集合的维度与当前嵌入模型不一致（更换了嵌入模型），旧向量无法与新查询比较
+     */
+    async _isEmbeddingDimensionChanged(userId, deviceId, workspacePath) {
+        const dimension = this.vectorManager?.embeddingClient?.getDimension?.();
+        const vectorDB = this.vectorManager?.vectorDB;
+        if (!dimension || !vectorDB?.useLocal) return false;
+
+        try {
+            const response = await vectorDB.implementation.describeCollection(
+                this._getDatabaseName(),
+                createCollectionName(userId, deviceId, workspacePath)
+            );
+            const existing = response.data.dimension;
+            return Boolean(existing) && existing !== dimension;
+        } catch (error) {
+            // 集合不存在时没有可比较的维度
+            return false;
+        }
+    }
+
+    /**
+     * 从词法索引中移除变更/删除文件的旧代码块，新代码块在流水线中逐个文件加入
+     */
+    async _removeFromLexicalIndex(userId, deviceId, workspacePath, filePaths) {
+        if (this.config.search?.lexicalIndex?.enabled === false) return;
+
+        try {
+            const lexicalIndex = await this._getLexicalIndex(userId, deviceId, workspacePath);
+            lexicalIndex.removeFiles(filePaths);
+        } catch (error) {
+            this.warn(`词法索引更新失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 全量构建前清空上次的索引：增量状态、向量集合和词法索引
+     */
+    async _prepareFullBuild(userId, deviceId, workspacePath) {
+        // 全量构建会清空集合，先丢弃旧状态，避免中途失败后下次按旧状态增量处理
+        if (this.merkleTreeManager) {
+            await this.merkleTreeManager.reset();
+        }
+
+        // ============ 集合清理和重新创建 - 全量模式 ============
+        this.log('开始清理和重新创建集合（全量模式）');
+        await this._cleanAndRecreateCollection(userId, deviceId, workspacePath);
+        this.log('集合清理和重新创建完成');
+
+        if (this.config.search?.lexicalIndex?.enabled !== false) {
+            try {
+                (await this._getLexicalIndex(userId, deviceId, workspacePath)).clear();
+            } catch (error) {
+                this.warn(`词法索引更新失败: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 运行 解析 → 嵌入与写入 流水线，同时把解析出的代码块加入词法索引
+     * @param {Function} produceFiles - async (push) => void，产出待处理的文件
+     * @param {Function} onStageComplete - (stage) => void，见 IndexingPipeline
+     */
+    async _runIndexingPipeline(userId, deviceId, workspacePath, produceFiles, onStageComplete) {
+        let lexicalIndex = null;
+        if (this.config.search?.lexicalIndex?.enabled !== false) {
+            try {
+                lexicalIndex = await this._getLexicalIndex(userId, deviceId, workspacePath);
+            } catch (error) {
+                this.warn(`词法索引加载失败: ${error.message}`);
+            }
+        }
+
+        this.secretScanner?.reset();
+        const pipelineConfig = this.config.pipeline || {};
+        const pipeline = new IndexingPipeline({
+            dispatcher: this.dispatcher,
+            parserSelector: this.parserSelector,
+            sender: this.sender,
+            secretScanner: this.secretScanner,
+            signal: this.config.signal,
+            fileQueueSize: pipelineConfig.fileQueueSize,
+            chunkQueueSize: pipelineConfig.chunkQueueSize,
+            onChunksSkipped: chunks => {
+                // 按策略不发送的代码块视为已处理，不影响本次结果的成功率
+                for (const chunk of chunks) {
+                    this.progressTracker.updateChunkStatus(chunk.id, 'completed');
+                }
+            },
+            onFileChunks: chunks => {
+                if (!lexicalIndex) return;
+                try {
+                    lexicalIndex.addChunks(chunks);
+                } catch (error) {
+                    this.warn(`词法索引更新失败: ${error.message}`);
+                    lexicalIndex = null;
+                }
+            },
+            onStageComplete: (stage, stats) => {
+                if (stage === 'parse') this._recordParsingStats(stats);
+                onStageComplete(stage);
+            },
+        });
+
+        this.performanceAnalyzer.startEmbeddingGeneration();
+        const result = await pipeline.run(produceFiles);
+        this.log(`Generated ${result.chunks} chunks`);
+
+        if (lexicalIndex) {
+            try {
+                await lexicalIndex.save();
+                this.log(`🔤 词法索引已更新: 共 ${lexicalIndex.size} 个代码块`);
+            } catch (error) {
+                this.warn(`词法索引更新失败: ${error.message}`);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 输出本次处理的密钥扫描报告（只包含位置和规则，不包含密钥）
+     */
+    _reportSecretScan(report, reporter) {
+        if (!report) return;
+
+        const findings = report.findings.length;
+        if (findings === 0) {
+            this.log(`🔐 密钥扫描: ${report.scannedChunks} 个代码块中未发现密钥`);
+        } else {
+            this.warn(
+                `🔐 密钥扫描: 遮蔽 ${report.redactedSecrets} 处密钥，跳过 ${report.skippedChunks} 个代码块、${report.skippedFiles} 个文件`
+            );
+            for (const finding of report.findings) {
+                this.warn(
+                    `   ${finding.filePath}:${finding.line} [${finding.rule}] ${finding.action}`
+                );
+            }
+            if (report.truncated) {
+                this.warn('   （明细过多，只列出部分）');
+            }
+        }
+        reporter.reportSecrets(report);
+    }
+
+    _recordParsingStats(stats) {
+        // 获取真实的Worker统计信息
+        const workerStats = this.dispatcher.getWorkerStats();
+        this.performanceAnalyzer.endFileParsing(
+            workerStats.workerFiles + workerStats.syncFiles,
+            workerStats.failedFiles,
+            workerStats.workerFailures,
+            workerStats.syncFiles,
+            workerStats.workerFiles
+        );
+
+        // 记录分块生成信息
+        this.performanceAnalyzer.recordChunkGeneration(stats.chunks, {
+            totalSize: stats.totalChunkSize,
+            largest: stats.largestChunk,
+        });
+    }
+
+    _buildMerkleTree({ fileList, fileHashes, merkleTree: scanMerkleTree }) {
+        // 构建 Merkle 树 - 优化：使用fileScanner中已计算的哈希值
+        let rootHash, tree;
+        if (scanMerkleTree && scanMerkleTree.rootHash) {
+            // 如果fileScanner已经构建了增强的Merkle树，直接使用
+            rootHash = scanMerkleTree.rootHash;
+            tree = scanMerkleTree.tree;
+            this.merkleTree.leaves = scanMerkleTree.leaves || [];
+            this.merkleTree.tree = tree || [];
+        } else {
+            // 从已计算的哈希构建Merkle树（避免重复哈希计算）
+            const hashArray = fileList.map(filePath => fileHashes[filePath]);
+            const result = this.merkleTree.buildTree(hashArray);
+            rootHash = result.rootHash;
+        }
+        this.log(`Generated Merkle tree with root hash: ${rootHash}`);
+    }
+
+    /**
+     * 扫描工作空间文件
+     * 提供了变更路径且存在上次索引状态时，只扫描变更路径，其余文件沿用上次记录的哈希
+     */
+    async _scanWorkspaceFiles(userId, deviceId, workspacePath, options) {
+        const changedPaths = options.changedPaths;
+        // 忽略文件或项目配置变化会影响其他路径是否被扫描，需要完整扫描
+        const scanRuleFiles = [...(this.config.ignoreFiles || []), PROJECT_CONFIG_FILE];
+        const canScanPartially =
+            Array.isArray(changedPaths) &&
+            !changedPaths.some(p => !p || p === '.' || scanRuleFiles.includes(path.basename(p))) &&
+            !options.forceFullRebuild &&
+            this.config.incremental?.enabled !== false;
+
+        if (canScanPartially) {
+            const merkleTreeManager = this._createMerkleTreeManager(
+                userId,
+                deviceId,
+                workspacePath
+            );
+            await merkleTreeManager.initialize();
+            const lastFileMap = merkleTreeManager.lastState?.fileHashMap;
+
+            if (lastFileMap) {
+                const partial = await this.fileScanner.scanPaths(workspacePath, changedPaths, {
+                    collectContents: false,
+                });
+                const targets = changedPaths.map(p =>
+                    PathUtils.normalizePath(p).replace(/\/+$/, '')
+                );
+                const isTargeted = filePath =>
+                    targets.some(t => filePath === t || filePath.startsWith(`${t}/`));
+
+                // 变更路径下的旧记录以本次扫描结果为准，扫描不到的即视为已删除
+                const fileHashes = {};
+                for (const [filePath, entry] of Object.entries(lastFileMap)) {
+                    if (!isTargeted(filePath)) fileHashes[filePath] = entry.hash;
+                }
+                Object.assign(fileHashes, partial.fileHashes);
+
+                this.log(`⚡ 局部扫描 ${changedPaths.length} 个变更路径`);
+                return {
+                    fileList: Object.keys(fileHashes),
+                    fileContents: partial.fileContents,
+                    merkleTree: null,
+                    fileHashes,
+                    scanStats: partial.scanStats,
+                };
+            }
+            this.log('未找到上次索引状态，执行完整扫描');
+        }
+
+        return this.fileScanner.scanWorkspace(workspacePath, { collectContents: false });
+    }
+
+    /**
+     * 不需要扫描结果就能确定必须全量构建的情况，返回原因；可以增量处理时返回null
+     * 同时准备好本次使用的增量状态管理器（增量索引禁用时为null）
+     */
+    async _getFullBuildReason(userId, deviceId, workspacePath, options) {
+        this.merkleTreeManager = null;
+        if (this.config.incremental?.enabled === false) {
+            return '增量索引已禁用，执行全量构建';
+        }
+
+        try {
+            this.merkleTreeManager = this._createMerkleTreeManager(userId, deviceId, workspacePath);
+            await this.merkleTreeManager.initialize();
+        } catch (error) {
+            this.merkleTreeManager = null;
+            return `增量状态读取失败，执行全量构建: ${error.message}`;
+        }
+
+        if (options.forceFullRebuild) {
+            return '强制全量重建，忽略增量状态';
+        }
+        if (!this._canDeleteFileVectors()) {
+            // 增量处理需要删除变更/删除文件的旧向量，做不到时每次全量构建，
+            // 保存的状态只用于索引概况，不作为增量处理的依据
+            return '当前向量数据库不支持删除旧向量（如 api_only 模式），执行全量构建';
+        }
+        if (!this.merkleTreeManager.lastState) {
+            return '未找到上次索引状态，执行全量构建';
+        }
+        if (await this._isLexicalIndexMissing(userId, deviceId, workspacePath)) {
+            // 词法索引由代码块构建，缺失时（如升级前建立的索引）只能全量重建一次
+            return '未找到词法索引，执行全量构建';
+        }
+        if (await this._isEmbeddingDimensionChanged(userId, deviceId, workspacePath)) {
+            return '嵌入模型维度已变化，执行全量构建';
+        }
+        // 升级前保存的状态没有记录分块配置，不因此触发重建
+        const lastChunkingConfig = this.merkleTreeManager.lastState.chunkingConfig;
+        if (lastChunkingConfig && lastChunkingConfig !== this._getChunkingFingerprint()) {
+            return '分块配置已变化，执行全量构建';
+        }
+        return null;
+    }
+
+    /**
+     * 对比上次成功索引的状态，生成本次处理计划
+     * @returns {Promise<{incremental: boolean, filesToProcess: string[], filesToDelete: string[]}>}
+     */
+    async _planIncrementalRun(fileList, fileHashes) {
+        const fullPlan = { incremental: false, filesToProcess: fileList, filesToDelete: [] };
+
+        try {
+            const files = fileList.map(filePath => ({
+                path: filePath,
+                hash: fileHashes[filePath],
+            }));
+            await this.merkleTreeManager.buildFromFiles(files);
+
+            const changes = await this.merkleTreeManager.detectChanges();
+            if (changes.changeType === 'initial_build') {
+                this.log('未找到上次索引状态，执行全量构建');
+                return fullPlan;
+            }
+
+            const filesToProcess = [];
+            const filesToDelete = [];
+            for (const change of changes.changedFiles) {
+                // 修改的文件需要先删除旧向量再重新处理
+                if (change.changeType !== 'added') filesToDelete.push(change.path);
+                if (change.changeType !== 'deleted') filesToProcess.push(change.path);
+            }
+
+            const { added, modified, deleted } = changes.summary;
+            this.log(`🔍 增量检测: 新增 ${added}, 修改 ${modified}, 删除 ${deleted} 个文件`);
+            return { incremental: true, filesToProcess, filesToDelete };
+        } catch (error) {
+            this.warn(`增量检测失败，回退到全量构建: ${error.message}`);
+            this.merkleTreeManager = null;
+            return fullPlan;
+        }
+    }
+
+    _canDeleteFileVectors() {
+        return Boolean(this.vectorManager?.vectorDB?.implementation?.deleteDocuments);
+    }
+
+    /**
+     * 删除指定文件在向量数据库中的所有向量
+     * 无法删除时抛出错误，本次处理失败且不保存增量状态，避免旧向量永久残留
+     */
+    async _deleteFileVectors(userId, deviceId, workspacePath, filePaths) {
+        if (filePaths.length === 0) {
+            return 0;
+        }
+
+        if (!this._canDeleteFileVectors()) {
+            throw new Error(`VectorDB不可用，无法删除 ${filePaths.length} 个文件的旧向量`);
+        }
+
+        const vectorDB = this.vectorManager.vectorDB;
+        const implementation = vectorDB.implementation;
+        const collectionName = createCollectionName(userId, deviceId, workspacePath);
+        const databaseName = this._getDatabaseName();
+        let deletedCount = 0;
+
+        // 分批构造过滤条件，避免过滤表达式过长
+        for (let i = 0; i < filePaths.length; i += 100) {
+            const filter = { file_path: filePaths.slice(i, i + 100) };
+            const response = await implementation.deleteDocuments(
+                databaseName,
+                collectionName,
+                vectorDB.useLocal ? filter : implementation._convertFilterToTencentFormat(filter)
+            );
+            deletedCount += response?.data?.affectedCount || 0;
+        }
+
+        this.log(`🗑️ 已删除 ${filePaths.length} 个文件的 ${deletedCount} 个旧向量`);
+        return deletedCount;
+    }
+
+    _getDatabaseName() {
+        return (
+            this.vectorManager?.vectorDB?.implementation?.defaultDatabase ||
+            this.config.vectorManager?.database?.query?.defaultDatabase ||
+            'vectorservice-test'
+        );
+    }
+
     /**
      * 清理并重新创建集合
      * 确保每次处理工作空间时都有一个干净的向量数据库集合
@@ -469,7 +1345,6 @@ class CodeChunker {
 
         // 生成集合标识符（与VectorManager保持一致）
         const crypto = require('crypto');
-        const { createCollectionName } = require('./utils/collectionNameUtils');
         const workspaceHash = crypto
             .createHash('sha256')
             .update(workspacePath)
@@ -477,8 +1352,7 @@ class CodeChunker {
             .substring(0, 16); // 取前16位
         // 使用统一的collection名称生成工具
         const collectionName = createCollectionName(userId, deviceId, workspacePath);
-        const databaseName =
-            this.config.vectorManager?.database?.query?.defaultDatabase || 'vectorservice-test';
+        const databaseName = this._getDatabaseName();
 
         this.log(`集合标识: ${collectionName}`);
         this.log(`数据库名: ${databaseName}`);
@@ -538,7 +1412,9 @@ class CodeChunker {
                             fieldName: 'vector',
                             fieldType: 'vector',
                             indexType: 'HNSW',
+                            // 集合维度跟随当前嵌入模型（本地模型可配置），未知时使用配置值
                             dimension:
+                                this.vectorManager.embeddingClient?.getDimension?.() ||
                                 this.config.vectorManager?.database?.collections?.vectorDimension ||
                                 768,
                             metricType:
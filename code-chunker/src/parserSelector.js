@@ -1,8 +1,16 @@
 const path = require('path');
 const BaseParser = require('./parsers/BaseParser');
-const AstParser = require('./parsers/AstParser');
+const AstParser = require('./parsers/AstParser/index');
 const ReadlineParser = require('./parsers/ReadlineParser');
 const FilenameParser = require('./parsers/FilenameParser');
+const DocumentParser = require('./parsers/DocumentParser');
+const ConfigParser = require('./parsers/ConfigParser');
+const NotebookParser = require('./parsers/NotebookParser');
+
+// 这些语言的文件按标题层级分块
+const DOCUMENT_LANGUAGES = ['markdown', 'restructuredtext'];
+// 这些语言的文件按键的层级结构分块
+const CONFIG_LANGUAGES = ['json', 'yaml', 'toml', 'xml', 'properties'];
 
 class ParserSelector {
     constructor(config) {
@@ -17,6 +25,9 @@ class ParserSelector {
         this.parsers.set('ast', this.astParser);
         this.parsers.set('readline', new ReadlineParser(this.config));
         this.parsers.set('filename', new FilenameParser(this.config));
+        this.parsers.set('document', new DocumentParser(this.config));
+        this.parsers.set('config', new ConfigParser(this.config));
+        this.parsers.set('notebook', new NotebookParser(this.config));
     }
 
     selectParser(filePath) {
@@ -34,29 +45,47 @@ class ParserSelector {
                 '.h': 'c',
             '.js': 'javascript',
             '.jsx': 'javascript',
-            '.ts': 'javascript',
-            '.tsx': 'javascript',
+            '.ts': 'typescript',
+            '.tsx': 'typescript',
+            '.mts': 'typescript',
+            '.cts': 'typescript',
             '.php': 'php',
             '.cpp': 'cpp',
             '.cxx': 'cpp',
             '.cc': 'cpp',
             '.hpp': 'cpp',
             '.hxx': 'cpp',
+            '.rb': 'ruby',
+            '.rake': 'ruby',
+            '.gemspec': 'ruby',
+            '.kt': 'kotlin',
+            '.kts': 'kotlin',
+            '.swift': 'swift',
+            '.scala': 'scala',
+            '.sc': 'scala',
+            '.lua': 'lua',
+            '.sh': 'bash',
+            '.bash': 'bash',
+            '.md': 'markdown',
+            '.markdown': 'markdown',
+            '.mdx': 'markdown',
+            '.rst': 'restructuredtext',
+            '.json': 'json',
+            '.jsonc': 'json',
+            '.yaml': 'yaml',
+            '.yml': 'yaml',
+            '.toml': 'toml',
+            '.xml': 'xml',
+            '.properties': 'properties',
+            '.ipynb': 'jupyter',
                 // 添加更多文件类型支持
-                '.json': null,     // JSON文件使用readline解析器
-                '.yaml': null,     // YAML文件使用readline解析器
-                '.yml': null,      // YAML文件使用readline解析器
-                '.xml': null,      // XML文件使用readline解析器
                 '.html': null,     // HTML文件使用readline解析器
                 '.css': null,      // CSS文件使用readline解析器
-                '.md': null,       // Markdown文件使用readline解析器
                 '.txt': null,      // 文本文件使用readline解析器
                 '.log': null,      // 日志文件使用readline解析器
                 '.conf': null,     // 配置文件使用readline解析器
                 '.config': null,   // 配置文件使用readline解析器
                 '.ini': null,      // INI文件使用readline解析器
-                '.toml': null,     // TOML文件使用readline解析器
-                '.sh': null,       // Shell脚本使用readline解析器
                 '.bat': null,      // 批处理文件使用readline解析器
                 '.ps1': null,      // PowerShell脚本使用readline解析器
                 '.sql': null,      // SQL文件使用readline解析器
@@ -80,6 +109,21 @@ class ParserSelector {
                 return this.parsers.get('readline');
         }
 
+            if (DOCUMENT_LANGUAGES.includes(language)) {
+                console.log(`[ParserSelector] 使用文档解析器 for ${language}`);
+                return this.parsers.get('document');
+            }
+
+            if (language === 'jupyter') {
+                console.log(`[ParserSelector] 使用Notebook解析器 for ${extension} 文件`);
+                return this.parsers.get('notebook');
+            }
+
+            if (CONFIG_LANGUAGES.includes(language)) {
+                console.log(`[ParserSelector] 使用配置文件解析器 for ${language}`);
+                return this.parsers.get('config');
+            }
+
         // 使用插件系统检查语言支持
         if (this.astParser.isLanguageSupported(language)) {
                 console.log(`[ParserSelector] 使用AST解析器 for ${language}`);
@@ -94,6 +138,43 @@ class ParserSelector {
         }
     }
 
+    /**
+     * 选择解析器并解析文件内容，Worker和主线程同步解析共用
+     * 解析失败时（如AST解析器的语法未安装）回退到按行分块
+     * @param {string} filePath - 文件完整路径
+     * @param {string} content - 文件内容
+     * @returns {Promise<Array>} 代码块列表
+     */
+    async parseFile(filePath, content) {
+        const parser = this.selectParser(filePath);
+        const fallbackParser = this.parsers.get('readline');
+
+        let chunks;
+        try {
+            chunks = await parser.parse(filePath, content);
+        } catch (parseError) {
+            if (parser === fallbackParser) {
+                throw parseError;
+            }
+            console.error(`[ParserSelector] 解析失败 ${filePath}:`, parseError);
+
+            try {
+                chunks = await fallbackParser.parse(filePath, content);
+                console.warn(`[ParserSelector] 已回退到readline解析器 for ${filePath}`);
+            } catch (fallbackError) {
+                throw new Error(
+                    `Both primary and fallback parsing failed for ${filePath}: ${parseError.message} | ${fallbackError.message}`
+                );
+            }
+        }
+
+        if (!Array.isArray(chunks)) {
+            console.warn(`[ParserSelector] 解析结果不是数组 for ${filePath}，已转换为数组`);
+            chunks = chunks ? [chunks] : [];
+        }
+        return chunks;
+    }
+
     // 获取支持的语言列表
     getSupportedLanguages() {
         return this.astParser.getSupportedLanguages();
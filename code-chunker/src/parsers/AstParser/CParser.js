@@ -6,12 +6,14 @@ try {
     console.warn('tree-sitter-c not available:', error.message);
 }
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class CParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('c');
         // C节点类型分类，基于tree-sitter-c的AST节点
         this.nodeTypes = {
             include: ['preproc_include'],
@@ -79,10 +81,10 @@ class CParser extends BaseParser {
     }
 
     async parseContent(content, filePath = null) {
-        try {
-            // 确保解析器已初始化
-            this._ensureParserInitialized();
+        // 确保解析器已初始化；语法不可用时抛出，由调用方回退到按行分块
+        this._ensureParserInitialized();
 
+        try {
             if (!content || typeof content !== 'string') {
                 console.warn(`Invalid content for C parsing in file: ${filePath || 'unknown'}`);
                 return [];
@@ -182,6 +184,7 @@ class CParser extends BaseParser {
                 parser: 'c_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(`Error parsing C content in file: ${filePath || 'unknown'}:`, error);
@@ -216,6 +219,7 @@ class CParser extends BaseParser {
                     type: 'macro',
                     name: macroName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -252,6 +256,7 @@ class CParser extends BaseParser {
                     type: 'type',
                     name: typeName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -271,6 +276,7 @@ class CParser extends BaseParser {
                     type: 'function',
                     name: functionName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -290,6 +296,7 @@ class CParser extends BaseParser {
                     type: 'variable',
                     name: variableName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -309,6 +316,7 @@ class CParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -334,7 +342,13 @@ class CParser extends BaseParser {
         for (let i = 1; i < sortedChunks.length; i++) {
             const next = sortedChunks[i];
 
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 let content = current.content;
                 if (next.startLine > current.endLine) {
                     content += '\n'.repeat(next.startLine - current.endLine);
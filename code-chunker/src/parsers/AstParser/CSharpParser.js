@@ -1,12 +1,14 @@
 const Parser = require('tree-sitter');
 const CSharp = require('tree-sitter-c-sharp');
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class CSharpParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('csharp');
         // C#节点类型分类，基于tree-sitter-c-sharp的AST节点
         this.nodeTypes = {
             using: ['using_directive'],
@@ -166,6 +168,7 @@ class CSharpParser extends BaseParser {
                 parser: 'csharp_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(`Error parsing C# content in file: ${filePath || 'unknown'}:`, error);
@@ -203,6 +206,7 @@ class CSharpParser extends BaseParser {
                     type: 'namespace',
                     name: namespaceName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -224,6 +228,7 @@ class CSharpParser extends BaseParser {
                     type: 'method',
                     name: methodName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -245,6 +250,7 @@ class CSharpParser extends BaseParser {
                     type: 'field',
                     name: fieldName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -284,6 +290,7 @@ class CSharpParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -310,7 +317,13 @@ class CSharpParser extends BaseParser {
         for (let i = 1; i < sortedChunks.length; i++) {
             const next = sortedChunks[i];
 
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 let content = current.content;
                 if (next.startLine > current.endLine) {
                     content += '\n'.repeat(next.startLine - current.endLine);
@@ -1,12 +1,14 @@
 const Parser = require('tree-sitter');
 const Cpp = require('tree-sitter-cpp');
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class CppParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('cpp');
         // C++节点类型分类，基于tree-sitter-cpp的AST节点
         this.nodeTypes = {
             preprocessor: ['preproc_include', 'preproc_def', 'preproc_function_def'],
@@ -153,6 +155,7 @@ class CppParser extends BaseParser {
                 parser: 'cpp_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(`Error parsing C++ content in file: ${filePath || 'unknown'}:`, error);
@@ -187,6 +190,7 @@ class CppParser extends BaseParser {
                     type: 'import',
                     name: importName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -206,6 +210,7 @@ class CppParser extends BaseParser {
                     type: 'type',
                     name: typeName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -225,6 +230,7 @@ class CppParser extends BaseParser {
                     type: 'declaration',
                     name: declarationName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -261,6 +267,7 @@ class CppParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -286,7 +293,13 @@ class CppParser extends BaseParser {
         for (let i = 1; i < sortedChunks.length; i++) {
             const next = sortedChunks[i];
 
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 let content = current.content;
                 if (next.startLine > current.endLine) {
                     content += '\n'.repeat(next.startLine - current.endLine);
@@ -1,12 +1,14 @@
 const Parser = require('tree-sitter');
 const Go = require('tree-sitter-go');
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class GoParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('go');
         // Go节点类型分类，基于tree-sitter-go的AST节点
         this.nodeTypes = {
             module: ['package_clause', 'import_declaration'],
@@ -150,6 +152,7 @@ class GoParser extends BaseParser {
                 parser: 'go_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(`Error parsing Go content in file: ${filePath || 'unknown'}:`, error);
@@ -184,6 +187,7 @@ class GoParser extends BaseParser {
                     type: 'constant',
                     name: constantName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -203,6 +207,7 @@ class GoParser extends BaseParser {
                     type: 'variable',
                     name: variableName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -222,6 +227,7 @@ class GoParser extends BaseParser {
                     type: 'type',
                     name: typeName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -241,6 +247,7 @@ class GoParser extends BaseParser {
                     type: 'function',
                     name: functionName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -277,6 +284,7 @@ class GoParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -302,7 +310,13 @@ class GoParser extends BaseParser {
         for (let i = 1; i < sortedChunks.length; i++) {
             const next = sortedChunks[i];
 
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 let content = current.content;
                 if (next.startLine > current.endLine) {
                     content += '\n'.repeat(next.startLine - current.endLine);
@@ -1,12 +1,14 @@
 const Parser = require('tree-sitter');
 const Java = require('tree-sitter-java');
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class JavaParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('java');
         // Java节点类型分类，基于tree-sitter-java的AST节点
         this.nodeTypes = {
             module: ['package_declaration', 'import_declaration'],
@@ -167,6 +169,7 @@ class JavaParser extends BaseParser {
                 parser: 'java_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(`Error parsing Java content in file: ${filePath || 'unknown'}:`, error);
@@ -207,6 +210,7 @@ class JavaParser extends BaseParser {
                     type: 'class',
                     name: className,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -230,6 +234,7 @@ class JavaParser extends BaseParser {
                     type: 'method',
                     name: methodName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -253,6 +258,7 @@ class JavaParser extends BaseParser {
                     type: 'field',
                     name: fieldName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -296,6 +302,7 @@ class JavaParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -325,7 +332,13 @@ class JavaParser extends BaseParser {
             const next = sortedChunks[i];
 
             // 如果是相同类型且相邻或非常接近（最多1行间隔）
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 // 合并chunks
                 let content = current.content;
                 if (next.startLine > current.endLine) {
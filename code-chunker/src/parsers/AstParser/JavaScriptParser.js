@@ -1,12 +1,14 @@
 const Parser = require('tree-sitter');
 const JavaScript = require('tree-sitter-javascript');
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class JavaScriptParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('javascript');
         // JavaScript节点类型分类，基于tree-sitter-javascript的AST节点
         this.nodeTypes = {
             import: ['import_statement'],
@@ -30,9 +32,9 @@ class JavaScriptParser extends BaseParser {
         return {
             name: 'javascript',
             displayName: 'JavaScript',
-            extensions: ['.js', '.jsx', '.ts', '.tsx'],
+            extensions: ['.js', '.jsx'],
             version: '1.0.0',
-            description: 'JavaScript/TypeScript语言AST解析器',
+            description: 'JavaScript语言AST解析器',
             nodeTypes: {
                 import: ['import_statement'],
                 export: ['export_statement'],
@@ -153,6 +155,7 @@ class JavaScriptParser extends BaseParser {
                 parser: 'javascript_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(
@@ -206,6 +209,7 @@ class JavaScriptParser extends BaseParser {
                     type: 'function',
                     name: functionName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -225,6 +229,7 @@ class JavaScriptParser extends BaseParser {
                     type: 'variable',
                     name: variableName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -244,6 +249,7 @@ class JavaScriptParser extends BaseParser {
                     type: 'class',
                     name: className,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -280,6 +286,7 @@ class JavaScriptParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -305,7 +312,13 @@ class JavaScriptParser extends BaseParser {
         for (let i = 1; i < sortedChunks.length; i++) {
             const next = sortedChunks[i];
 
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 let content = current.content;
                 if (next.startLine > current.endLine) {
                     content += '\n'.repeat(next.startLine - current.endLine);
@@ -7,12 +7,14 @@ try {
     console.warn('tree-sitter-php not available:', error.message);
 }
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class PHPParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('php');
         // PHP节点类型分类，基于tree-sitter-php的AST节点
         this.nodeTypes = {
             namespace: ['namespace_definition', 'namespace_use_declaration'],
@@ -160,6 +162,7 @@ class PHPParser extends BaseParser {
                 parser: 'php_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(`Error parsing PHP content in file: ${filePath || 'unknown'}:`, error);
@@ -178,6 +181,7 @@ class PHPParser extends BaseParser {
                     type: 'namespace',
                     name: namespaceName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -197,6 +201,7 @@ class PHPParser extends BaseParser {
                     type: 'class',
                     name: className,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -216,6 +221,7 @@ class PHPParser extends BaseParser {
                     type: 'function',
                     name: functionName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -268,6 +274,7 @@ class PHPParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -293,7 +300,13 @@ class PHPParser extends BaseParser {
         for (let i = 1; i < sortedChunks.length; i++) {
             const next = sortedChunks[i];
 
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 let content = current.content;
                 if (next.startLine > current.endLine) {
                     content += '\n'.repeat(next.startLine - current.endLine);
@@ -2,15 +2,22 @@ const fs = require('fs');
 const path = require('path');
 
 // 静态导入所有解析器 - 这样webpack就能在编译时知道这些模块
+const BashParser = require('./BashParser');
 const CParser = require('./CParser');
 const CppParser = require('./CppParser');
 const CSharpParser = require('./CSharpParser');
 const GoParser = require('./GoParser');
 const JavaParser = require('./JavaParser');
 const JavaScriptParser = require('./JavaScriptParser');
+const KotlinParser = require('./KotlinParser');
+const LuaParser = require('./LuaParser');
 const PHPParser = require('./PHPParser');
 const PythonParser = require('./PythonParser');
+const RubyParser = require('./RubyParser');
 const RustParser = require('./RustParser');
+const ScalaParser = require('./ScalaParser');
+const SwiftParser = require('./SwiftParser');
+const TypeScriptParser = require('./TypeScriptParser');
 
 class PluginManager {
     constructor() {
@@ -19,15 +26,22 @@ class PluginManager {
 
         // 使用静态导入而不是动态require
         this.availableParsers = {
+            BashParser: BashParser,
             CParser: CParser,
             CppParser: CppParser,
             CSharpParser: CSharpParser,
             GoParser: GoParser,
             JavaParser: JavaParser,
             JavaScriptParser: JavaScriptParser,
+            KotlinParser: KotlinParser,
+            LuaParser: LuaParser,
             PHPParser: PHPParser,
             PythonParser: PythonParser,
+            RubyParser: RubyParser,
             RustParser: RustParser,
+            ScalaParser: ScalaParser,
+            SwiftParser: SwiftParser,
+            TypeScriptParser: TypeScriptParser,
         };
 
         console.log('🔌 [PluginManager] 初始化插件管理器...');
@@ -108,15 +122,22 @@ class PluginManager {
     // 从文件名推断元数据
     inferMetadataFromName(languageName) {
         const extensionMap = {
+            bash: ['.sh', '.bash'],
             c: ['.c', '.h'],
             cpp: ['.cpp', '.cxx', '.cc', '.hpp', '.hxx'],
             csharp: ['.cs'],
             go: ['.go'],
             java: ['.java'],
-            javascript: ['.js', '.mjs', '.ts', '.tsx'],
+            javascript: ['.js', '.mjs'],
+            kotlin: ['.kt', '.kts'],
+            lua: ['.lua'],
             php: ['.php'],
             python: ['.py', '.pyx', '.pyi', '.pyw'],
+            ruby: ['.rb', '.rake', '.gemspec'],
             rust: ['.rs'],
+            scala: ['.scala', '.sc'],
+            swift: ['.swift'],
+            typescript: ['.ts', '.tsx', '.mts', '.cts'],
         };
 
         return {
@@ -1,12 +1,14 @@
 const Parser = require('tree-sitter');
 const Python = require('tree-sitter-python');
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class PythonParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('python');
         // 节点类型分类
         this.nodeTypes = {
             import: ['import_statement', 'import_from_statement'],
@@ -152,6 +154,7 @@ class PythonParser extends BaseParser {
                 parser: 'python_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(`Error parsing Python content in file: ${filePath || 'unknown'}:`, error);
@@ -192,6 +195,7 @@ class PythonParser extends BaseParser {
                     type: 'class',
                     name: className,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -214,6 +218,7 @@ class PythonParser extends BaseParser {
                     type: 'function',
                     name: funcName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -256,6 +261,7 @@ class PythonParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -277,7 +283,13 @@ class PythonParser extends BaseParser {
             const next = sortedChunks[i];
 
             // 如果是相同类型且相邻或非常接近（最多1行间隔）
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 // 合并chunks
                 let content = current.content;
                 if (next.startLine > current.endLine) {
@@ -0,0 +1,321 @@
+const Parser = require('tree-sitter');
+let Ruby;
+try {
+    Ruby = require('tree-sitter-ruby');
+} catch (error) {
+    console.warn('tree-sitter-ruby not available:', error.message);
+}
+const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
+const crypto = require('crypto');
+const path = require('path');
+
+// 顶层的这些调用视为导入语句
+const REQUIRE_METHODS = ['require', 'require_relative', 'load'];
+
+class RubyParser extends BaseParser {
+    constructor(config) {
+        super(config);
+        this.symbolExtractor = new SymbolExtractor('ruby');
+        // Ruby节点类型分类，基于tree-sitter-ruby的AST节点
+        this.nodeTypes = {
+            class: ['class', 'module', 'singleton_class'],
+            method: ['method', 'singleton_method'],
+            comment: ['comment'],
+        };
+
+        // 延迟初始化tree-sitter Ruby解析器
+        this.parser = null;
+        this.languageAvailable = false;
+
+        // 10KB限制（留1KB余量）
+        this.maxChunkSize = 9 * 1024;
+    }
+
+    // 插件元数据
+    static getMetadata() {
+        return {
+            name: 'ruby',
+            displayName: 'Ruby',
+            extensions: ['.rb', '.rake', '.gemspec'],
+            version: '1.0.0',
+            description: 'Ruby语言AST解析器',
+            nodeTypes: {
+                class: ['class', 'module'],
+                method: ['method', 'singleton_method'],
+                comment: ['comment'],
+            },
+        };
+    }
+
+    _ensureParserInitialized() {
+        if (!this.parser) {
+            this.parser = new Parser();
+
+            if (Ruby) {
+                try {
+                    this.parser.setLanguage(Ruby);
+                    this.languageAvailable = true;
+                } catch (error) {
+                    console.warn('Failed to set Ruby language:', error.message);
+                    this.languageAvailable = false;
+                }
+            } else {
+                console.warn('Ruby language parser not available');
+                this.languageAvailable = false;
+            }
+        }
+
+        if (!this.languageAvailable) {
+            throw new Error('Ruby language parser not available');
+        }
+    }
+
+    // tree-sitter 的 startIndex/endIndex 是字符串下标，直接按字符切片
+    _extractNodeCode(code, startIndex, endIndex) {
+        return code.slice(startIndex, endIndex);
+    }
+
+    async parseContent(content, filePath = null) {
+        // 确保解析器已初始化；语法不可用时抛出，由调用方回退到按行分块
+        this._ensureParserInitialized();
+
+        try {
+            if (!content || typeof content !== 'string') {
+                console.warn(`Invalid content for Ruby parsing in file: ${filePath || 'unknown'}`);
+                return [];
+            }
+
+            if (content.length > 10 * 1024 * 1024) {
+                console.warn(
+                    `Content too large for Ruby parsing in file: ${filePath || 'unknown'} (${content.length} bytes)`
+                );
+                return [];
+            }
+
+            let cleanContent = content.replace(/\0/g, '');
+
+            if (cleanContent.length > 1024 * 1024) {
+                console.warn(
+                    `Large Ruby file detected: ${filePath || 'unknown'} (${cleanContent.length} bytes), truncating for parsing`
+                );
+                cleanContent = cleanContent.substring(0, 1024 * 1024);
+            }
+
+            let tree;
+            try {
+                tree = this.parser.parse(cleanContent);
+            } catch (parseError) {
+                console.warn(
+                    `Direct parsing failed for ${filePath || 'unknown'}: ${parseError.message}`
+                );
+
+                cleanContent = cleanContent
+                    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+                    .replace(/\r\n/g, '\n')
+                    .replace(/\r/g, '\n');
+
+                try {
+                    tree = this.parser.parse(cleanContent);
+                } catch (secondError) {
+                    console.error(
+                        `All parsing attempts failed for ${filePath || 'unknown'}: ${secondError.message}`
+                    );
+                    return [];
+                }
+            }
+
+            if (!tree || !tree.rootNode) {
+                console.warn(`Failed to parse AST for file: ${filePath || 'unknown'}`);
+                return [];
+            }
+
+            const relativePath = filePath ? path.basename(filePath) : 'unknown';
+
+            // 提取不同类型的代码块
+            const imports = this._extractImports(tree, cleanContent);
+            const classes = this._extractClasses(tree, cleanContent);
+            const methods = this._extractMethods(tree, cleanContent);
+            const comments = this._extractComments(tree, cleanContent);
+            const other = this._extractOther(tree, cleanContent);
+
+            const allChunks = [...imports, ...classes, ...methods, ...comments, ...other];
+            const mergedChunks = this._mergeAdjacentChunks(allChunks);
+
+            return mergedChunks.map(chunk => ({
+                chunkId: this.generateChunkId(relativePath, chunk.startLine, chunk.endLine),
+                filePath: relativePath,
+                language: 'ruby',
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                content: chunk.content,
+                parser: 'ruby_parser',
+                type: chunk.type,
+                ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
+            }));
+        } catch (error) {
+            console.error(`Error parsing Ruby content in file: ${filePath || 'unknown'}:`, error);
+            return [];
+        }
+    }
+
+    _extractImports(tree, code) {
+        const imports = [];
+
+        for (const child of tree.rootNode.namedChildren) {
+            if (this._isRequire(child)) {
+                imports.push({
+                    type: 'import',
+                    content: this._extractNodeCode(code, child.startIndex, child.endIndex),
+                    startLine: child.startPosition.row + 1,
+                    endLine: child.endPosition.row + 1,
+                });
+            }
+        }
+
+        return imports;
+    }
+
+    // 遍历所有节点，module 内嵌套的 class 各自成块
+    _extractClasses(tree, code) {
+        const classes = [];
+
+        this._traverseNodes(tree.rootNode, node => {
+            if (this.nodeTypes.class.includes(node.type)) {
+                classes.push({
+                    type: 'class',
+                    name: this._getDefinitionName(node),
+                    content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+                    symbol: this.symbolExtractor.describe(node),
+                    startLine: node.startPosition.row + 1,
+                    endLine: node.endPosition.row + 1,
+                });
+            }
+        });
+
+        return classes;
+    }
+
+    _extractMethods(tree, code) {
+        const methods = [];
+
+        this._traverseNodes(tree.rootNode, node => {
+            if (this.nodeTypes.method.includes(node.type)) {
+                methods.push({
+                    type: 'method',
+                    name: this._getDefinitionName(node),
+                    content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+                    symbol: this.symbolExtractor.describe(node),
+                    startLine: node.startPosition.row + 1,
+                    endLine: node.endPosition.row + 1,
+                });
+            }
+        });
+
+        return methods;
+    }
+
+    _extractComments(tree, code) {
+        const comments = [];
+
+        this._traverseNodes(tree.rootNode, node => {
+            if (this.nodeTypes.comment.includes(node.type)) {
+                comments.push({
+                    type: 'comment',
+                    content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+                    startLine: node.startPosition.row + 1,
+                    endLine: node.endPosition.row + 1,
+                });
+            }
+        });
+
+        return comments;
+    }
+
+    _extractOther(tree, code) {
+        const other = [];
+        const allDefinedTypes = Object.values(this.nodeTypes).flat();
+
+        for (const child of tree.rootNode.namedChildren) {
+            if (!allDefinedTypes.includes(child.type) && !this._isRequire(child)) {
+                other.push({
+                    type: 'other',
+                    content: this._extractNodeCode(code, child.startIndex, child.endIndex),
+                    symbol: this.symbolExtractor.describe(child),
+                    startLine: child.startPosition.row + 1,
+                    endLine: child.endPosition.row + 1,
+                });
+            }
+        }
+
+        return other;
+    }
+
+    _isRequire(node) {
+        if (node.type !== 'call' || node.childForFieldName('receiver')) return false;
+        const method = node.childForFieldName('method');
+        return !!method && REQUIRE_METHODS.includes(method.text);
+    }
+
+    // 只遍历具名节点，class、module 等关键字本身也是同名的匿名节点
+    _traverseNodes(node, callback) {
+        callback(node);
+        for (const child of node.namedChildren) {
+            this._traverseNodes(child, callback);
+        }
+    }
+
+    _mergeAdjacentChunks(chunks) {
+        if (!chunks.length) return [];
+
+        const sortedChunks = chunks.sort((a, b) => a.startLine - b.startLine);
+        const merged = [];
+        let current = sortedChunks[0];
+
+        for (let i = 1; i < sortedChunks.length; i++) {
+            const next = sortedChunks[i];
+
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
+                let content = current.content;
+                if (next.startLine > current.endLine) {
+                    content += '\n'.repeat(next.startLine - current.endLine);
+                }
+                content += next.content;
+
+                current = {
+                    type: current.type,
+                    content: content,
+                    startLine: current.startLine,
+                    endLine: next.endLine,
+                    ...(current.name && { name: current.name }),
+                    ...(next.name && !current.name && { name: next.name }),
+                };
+            } else {
+                merged.push(current);
+                current = next;
+            }
+        }
+
+        merged.push(current);
+        return merged;
+    }
+
+    _getDefinitionName(node) {
+        const nameNode = node.childForFieldName('name');
+        return nameNode ? nameNode.text : '';
+    }
+
+    generateChunkId(filePath, startLine, endLine) {
+        const identifier = `${filePath}:${startLine}:${endLine}`;
+        return crypto.createHash('sha256').update(identifier).digest('hex');
+    }
+}
+
+module.exports = RubyParser;
@@ -1,12 +1,14 @@
 const Parser = require('tree-sitter');
 const Rust = require('tree-sitter-rust');
 const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
 const crypto = require('crypto');
 const path = require('path');
 
 class RustParser extends BaseParser {
     constructor(config) {
         super(config);
+        this.symbolExtractor = new SymbolExtractor('rust');
         // Rust节点类型分类，基于tree-sitter-rust的AST节点
         this.nodeTypes = {
             module: ['mod_item', 'use_declaration'],
@@ -157,6 +159,7 @@ class RustParser extends BaseParser {
                 parser: 'rust_parser',
                 type: chunk.type,
                 ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
             }));
         } catch (error) {
             console.error(`Error parsing Rust content in file: ${filePath || 'unknown'}:`, error);
@@ -191,6 +194,7 @@ class RustParser extends BaseParser {
                     type: 'function',
                     name: functionName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -210,6 +214,7 @@ class RustParser extends BaseParser {
                     type: 'type',
                     name: typeName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -229,6 +234,7 @@ class RustParser extends BaseParser {
                     type: 'variable',
                     name: variableName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -248,6 +254,7 @@ class RustParser extends BaseParser {
                     type: 'macro',
                     name: macroName,
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(node),
                     startLine: node.startPosition.row + 1,
                     endLine: node.endPosition.row + 1,
                 });
@@ -284,6 +291,7 @@ class RustParser extends BaseParser {
                 other.push({
                     type: 'other',
                     content: nodeCode,
+                    symbol: this.symbolExtractor.describe(child),
                     startLine: child.startPosition.row + 1,
                     endLine: child.endPosition.row + 1,
                 });
@@ -309,7 +317,13 @@ class RustParser extends BaseParser {
         for (let i = 1; i < sortedChunks.length; i++) {
             const next = sortedChunks[i];
 
-            if (current.type === next.type && next.startLine <= current.endLine + 2) {
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
                 let content = current.content;
                 if (next.startLine > current.endLine) {
                     content += '\n'.repeat(next.startLine - current.endLine);
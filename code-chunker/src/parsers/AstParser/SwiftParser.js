@@ -0,0 +1,375 @@
+const Parser = require('tree-sitter');
+let Swift;
+try {
+    Swift = require('tree-sitter-swift');
+} catch (error) {
+    console.warn('tree-sitter-swift not available:', error.message);
+}
+const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
+const crypto = require('crypto');
+const path = require('path');
+
+class SwiftParser extends BaseParser {
+    constructor(config) {
+        super(config);
+        this.symbolExtractor = new SymbolExtractor('swift');
+        // Swift节点类型分类，基于tree-sitter-swift的AST节点
+        this.nodeTypes = {
+            module: ['import_declaration'],
+            class: ['class_declaration', 'protocol_declaration'],
+            function: [
+                'function_declaration',
+                'init_declaration',
+                'deinit_declaration',
+                'protocol_function_declaration',
+            ],
+            property: ['property_declaration'],
+            type: ['typealias_declaration'],
+            comment: ['comment', 'multiline_comment'],
+        };
+
+        // 延迟初始化tree-sitter Swift解析器
+        this.parser = null;
+        this.languageAvailable = false;
+
+        // 10KB限制（留1KB余量）
+        this.maxChunkSize = 9 * 1024;
+    }
+
+    // 插件元数据
+    static getMetadata() {
+        return {
+            name: 'swift',
+            displayName: 'Swift',
+            extensions: ['.swift'],
+            version: '1.0.0',
+            description: 'Swift语言AST解析器',
+            nodeTypes: {
+                module: ['import_declaration'],
+                class: ['class_declaration', 'protocol_declaration'],
+                function: ['function_declaration', 'init_declaration'],
+                property: ['property_declaration'],
+                comment: ['comment', 'multiline_comment'],
+            },
+        };
+    }
+
+    _ensureParserInitialized() {
+        if (!this.parser) {
+            this.parser = new Parser();
+
+            if (Swift) {
+                try {
+                    this.parser.setLanguage(Swift);
+                    this.languageAvailable = true;
+                } catch (error) {
+                    console.warn('Failed to set Swift language:', error.message);
+                    this.languageAvailable = false;
+                }
+            } else {
+                console.warn('Swift language parser not available');
+                this.languageAvailable = false;
+            }
+        }
+
+        if (!this.languageAvailable) {
+            throw new Error('Swift language parser not available');
+        }
+    }
+
+    // tree-sitter 的 startIndex/endIndex 是字符串下标，直接按字符切片
+    _extractNodeCode(code, startIndex, endIndex) {
+        return code.slice(startIndex, endIndex);
+    }
+
+    async parseContent(content, filePath = null) {
+        // 确保解析器已初始化；语法不可用时抛出，由调用方回退到按行分块
+        this._ensureParserInitialized();
+
+        try {
+            if (!content || typeof content !== 'string') {
+                console.warn(`Invalid content for Swift parsing in file: ${filePath || 'unknown'}`);
+                return [];
+            }
+
+            if (content.length > 10 * 1024 * 1024) {
+                console.warn(
+                    `Content too large for Swift parsing in file: ${filePath || 'unknown'} (${content.length} bytes)`
+                );
+                return [];
+            }
+
+            let cleanContent = content.replace(/\0/g, '');
+
+            if (cleanContent.length > 1024 * 1024) {
+                console.warn(
+                    `Large Swift file detected: ${filePath || 'unknown'} (${cleanContent.length} bytes), truncating for parsing`
+                );
+                cleanContent = cleanContent.substring(0, 1024 * 1024);
+            }
+
+            let tree;
+            try {
+                tree = this.parser.parse(cleanContent);
+            } catch (parseError) {
+                console.warn(
+                    `Direct parsing failed for ${filePath || 'unknown'}: ${parseError.message}`
+                );
+
+                cleanContent = cleanContent
+                    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+                    .replace(/\r\n/g, '\n')
+                    .replace(/\r/g, '\n');
+
+                try {
+                    tree = this.parser.parse(cleanContent);
+                } catch (secondError) {
+                    console.error(
+                        `All parsing attempts failed for ${filePath || 'unknown'}: ${secondError.message}`
+                    );
+                    return [];
+                }
+            }
+
+            if (!tree || !tree.rootNode) {
+                console.warn(`Failed to parse AST for file: ${filePath || 'unknown'}`);
+                return [];
+            }
+
+            const relativePath = filePath ? path.basename(filePath) : 'unknown';
+
+            // 提取不同类型的代码块
+            const modules = this._extractModules(tree, cleanContent);
+            const classes = this._extractClasses(tree, cleanContent);
+            const functions = this._extractFunctions(tree, cleanContent);
+            const properties = this._extractProperties(tree, cleanContent);
+            const types = this._extractTypes(tree, cleanContent);
+            const comments = this._extractComments(tree, cleanContent);
+            const other = this._extractOther(tree, cleanContent);
+
+            const allChunks = [
+                ...modules,
+                ...classes,
+                ...functions,
+                ...properties,
+                ...types,
+                ...comments,
+                ...other,
+            ];
+            const mergedChunks = this._mergeAdjacentChunks(allChunks);
+
+            return mergedChunks.map(chunk => ({
+                chunkId: this.generateChunkId(relativePath, chunk.startLine, chunk.endLine),
+                filePath: relativePath,
+                language: 'swift',
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                content: chunk.content,
+                parser: 'swift_parser',
+                type: chunk.type,
+                ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
+            }));
+        } catch (error) {
+            console.error(`Error parsing Swift content in file: ${filePath || 'unknown'}:`, error);
+            return [];
+        }
+    }
+
+    _extractModules(tree, code) {
+        const modules = [];
+
+        for (const child of tree.rootNode.namedChildren) {
+            if (this.nodeTypes.module.includes(child.type)) {
+                modules.push({
+                    type: 'module',
+                    content: this._extractNodeCode(code, child.startIndex, child.endIndex),
+                    startLine: child.startPosition.row + 1,
+                    endLine: child.endPosition.row + 1,
+                });
+            }
+        }
+
+        return modules;
+    }
+
+    // class、struct、enum、extension 与 actor 都是 class_declaration，嵌套类型各自成块
+    _extractClasses(tree, code) {
+        const classes = [];
+
+        this._traverseNodes(tree.rootNode, node => {
+            if (this.nodeTypes.class.includes(node.type)) {
+                classes.push({
+                    type: 'class',
+                    name: this._getDefinitionName(node),
+                    content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+                    symbol: this.symbolExtractor.describe(node),
+                    startLine: node.startPosition.row + 1,
+                    endLine: node.endPosition.row + 1,
+                });
+            }
+        });
+
+        return classes;
+    }
+
+    _extractFunctions(tree, code) {
+        const functions = [];
+
+        this._traverseNodes(tree.rootNode, node => {
+            if (this.nodeTypes.function.includes(node.type)) {
+                functions.push({
+                    type: 'function',
+                    name: this._getDefinitionName(node),
+                    content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+                    symbol: this.symbolExtractor.describe(node),
+                    startLine: node.startPosition.row + 1,
+                    endLine: node.endPosition.row + 1,
+                });
+            }
+        });
+
+        return functions;
+    }
+
+    // 只取顶层与类型成员的属性，函数体内的局部变量不单独成块
+    _extractProperties(tree, code) {
+        const properties = [];
+
+        this._traverseNodes(tree.rootNode, node => {
+            if (this.nodeTypes.property.includes(node.type) && this._isMemberLevel(node)) {
+                properties.push({
+                    type: 'property',
+                    name: this._getDefinitionName(node),
+                    content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+                    symbol: this.symbolExtractor.describe(node),
+                    startLine: node.startPosition.row + 1,
+                    endLine: node.endPosition.row + 1,
+                });
+            }
+        });
+
+        return properties;
+    }
+
+    _extractTypes(tree, code) {
+        const types = [];
+
+        for (const child of tree.rootNode.namedChildren) {
+            if (this.nodeTypes.type.includes(child.type)) {
+                types.push({
+                    type: 'type',
+                    name: this._getDefinitionName(child),
+                    content: this._extractNodeCode(code, child.startIndex, child.endIndex),
+                    symbol: this.symbolExtractor.describe(child),
+                    startLine: child.startPosition.row + 1,
+                    endLine: child.endPosition.row + 1,
+                });
+            }
+        }
+
+        return types;
+    }
+
+    _extractComments(tree, code) {
+        const comments = [];
+
+        this._traverseNodes(tree.rootNode, node => {
+            if (this.nodeTypes.comment.includes(node.type)) {
+                comments.push({
+                    type: 'comment',
+                    content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+                    startLine: node.startPosition.row + 1,
+                    endLine: node.endPosition.row + 1,
+                });
+            }
+        });
+
+        return comments;
+    }
+
+    _extractOther(tree, code) {
+        const other = [];
+        const allDefinedTypes = Object.values(this.nodeTypes).flat();
+
+        for (const child of tree.rootNode.namedChildren) {
+            if (!allDefinedTypes.includes(child.type)) {
+                other.push({
+                    type: 'other',
+                    content: this._extractNodeCode(code, child.startIndex, child.endIndex),
+                    symbol: this.symbolExtractor.describe(child),
+                    startLine: child.startPosition.row + 1,
+                    endLine: child.endPosition.row + 1,
+                });
+            }
+        }
+
+        return other;
+    }
+
+    _isMemberLevel(node) {
+        return ['source_file', 'class_body', 'enum_class_body'].includes(node.parent?.type);
+    }
+
+    // 只遍历具名节点，关键字等匿名节点可能与定义节点同名
+    _traverseNodes(node, callback) {
+        callback(node);
+        for (const child of node.namedChildren) {
+            this._traverseNodes(child, callback);
+        }
+    }
+
+    _mergeAdjacentChunks(chunks) {
+        if (!chunks.length) return [];
+
+        const sortedChunks = chunks.sort((a, b) => a.startLine - b.startLine);
+        const merged = [];
+        let current = sortedChunks[0];
+
+        for (let i = 1; i < sortedChunks.length; i++) {
+            const next = sortedChunks[i];
+
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
+                let content = current.content;
+                if (next.startLine > current.endLine) {
+                    content += '\n'.repeat(next.startLine - current.endLine);
+                }
+                content += next.content;
+
+                current = {
+                    type: current.type,
+                    content: content,
+                    startLine: current.startLine,
+                    endLine: next.endLine,
+                    ...(current.name && { name: current.name }),
+                    ...(next.name && !current.name && { name: next.name }),
+                };
+            } else {
+                merged.push(current);
+                current = next;
+            }
+        }
+
+        merged.push(current);
+        return merged;
+    }
+
+    _getDefinitionName(node) {
+        const nameNode = node.childForFieldName('name');
+        return nameNode ? nameNode.text : '';
+    }
+
+    generateChunkId(filePath, startLine, endLine) {
+        const identifier = `${filePath}:${startLine}:${endLine}`;
+        return crypto.createHash('sha256').update(identifier).digest('hex');
+    }
+}
+
+module.exports = SwiftParser;
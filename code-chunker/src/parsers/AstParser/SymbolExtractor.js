@@ -0,0 +1,622 @@
+// 超过该长度的文档注释会被截断，避免元数据字段过大
+const MAX_DOC_COMMENT_LENGTH = 1000;
+// 定义在这些类型内部的函数视为方法
+const TYPE_KINDS = new Set([
+    'class',
+    'interface',
+    'struct',
+    'enum',
+    'record',
+    'trait',
+    'impl',
+    'union',
+    'object',
+    'extension',
+]);
+const FUNCTION_KINDS = new Set(['function', 'method', 'constructor']);
+
+/**
+ * 各语言的符号定义
+ *   symbols   节点类型 → 符号种类
+ *   wrappers  本身不是符号、但包裹一个符号定义的节点（export、装饰器、声明语句等）
+ *   comments  注释节点类型，紧挨在定义之前的注释作为文档注释
+ *   skip      查找文档注释时跳过的节点（属性、注解等）
+ *   trailingComments  语法把紧随其后的注释并入自身末尾的节点，文档注释要到这些节点内部查找
+ *   module    从根节点读取文件级的包名/命名空间
+ *   keywordKinds  多种定义共用一种节点时，按关键字区分种类（如 Kotlin 的 enum class、Swift 的 struct）
+ *   nameTypes/bodyTypes  语法没有 name/body 字段时，按子节点类型查找名称与定义体
+ *   bodies    透明的语句体节点，体内第一条定义的文档注释位于语句体之前（如 Ruby）
+ */
+const LANGUAGE_SPECS = {
+    javascript: {
+        symbols: {
+            class_declaration: 'class',
+            function_declaration: 'function',
+            generator_function_declaration: 'function',
+            method_definition: 'method',
+            // 只有值为函数时才是符号，如 const foo = () => {}
+            variable_declarator: 'function',
+        },
+        wrappers: ['export_statement', 'lexical_declaration', 'variable_declaration'],
+        comments: ['comment'],
+    },
+    typescript: {
+        symbols: {
+            class_declaration: 'class',
+            abstract_class_declaration: 'class',
+            interface_declaration: 'interface',
+            enum_declaration: 'enum',
+            type_alias_declaration: 'type',
+            internal_module: 'namespace',
+            module: 'namespace',
+            function_declaration: 'function',
+            generator_function_declaration: 'function',
+            function_signature: 'function',
+            method_definition: 'method',
+            abstract_method_signature: 'method',
+            method_signature: 'method',
+            variable_declarator: 'function',
+        },
+        // namespace Foo {} 在语法树中位于表达式语句内，declare 声明位于 ambient_declaration 内
+        wrappers: [
+            'export_statement',
+            'lexical_declaration',
+            'variable_declaration',
+            'ambient_declaration',
+            'expression_statement',
+        ],
+        comments: ['comment'],
+        skip: ['decorator'],
+    },
+    python: {
+        symbols: {
+            class_definition: 'class',
+            function_definition: 'function',
+        },
+        wrappers: ['decorated_definition'],
+        comments: ['comment'],
+        docstring: true,
+    },
+    java: {
+        symbols: {
+            class_declaration: 'class',
+            interface_declaration: 'interface',
+            enum_declaration: 'enum',
+            record_declaration: 'record',
+            annotation_type_declaration: 'interface',
+            method_declaration: 'method',
+            constructor_declaration: 'constructor',
+        },
+        comments: ['line_comment', 'block_comment'],
+        module: ['package_declaration'],
+    },
+    go: {
+        symbols: {
+            function_declaration: 'function',
+            method_declaration: 'method',
+            type_spec: 'type',
+        },
+        wrappers: ['type_declaration'],
+        comments: ['comment'],
+        module: ['package_clause'],
+    },
+    rust: {
+        symbols: {
+            function_item: 'function',
+            function_signature_item: 'function',
+            struct_item: 'struct',
+            enum_item: 'enum',
+            union_item: 'union',
+            trait_item: 'trait',
+            impl_item: 'impl',
+            type_item: 'type',
+            mod_item: 'module',
+            macro_definition: 'macro',
+        },
+        comments: ['line_comment', 'block_comment'],
+        skip: ['attribute_item'],
+    },
+    c: {
+        symbols: {
+            function_definition: 'function',
+            struct_specifier: 'struct',
+            enum_specifier: 'enum',
+            union_specifier: 'union',
+            type_definition: 'type',
+        },
+        comments: ['comment'],
+    },
+    cpp: {
+        symbols: {
+            function_definition: 'function',
+            class_specifier: 'class',
+            struct_specifier: 'struct',
+            enum_specifier: 'enum',
+            union_specifier: 'union',
+            type_definition: 'type',
+            namespace_definition: 'namespace',
+        },
+        wrappers: ['template_declaration'],
+        comments: ['comment'],
+    },
+    csharp: {
+        symbols: {
+            class_declaration: 'class',
+            interface_declaration: 'interface',
+            struct_declaration: 'struct',
+            enum_declaration: 'enum',
+            record_declaration: 'record',
+            namespace_declaration: 'namespace',
+            method_declaration: 'method',
+            constructor_declaration: 'constructor',
+            destructor_declaration: 'method',
+            operator_declaration: 'method',
+            property_declaration: 'property',
+        },
+        comments: ['comment'],
+        skip: ['attribute_list'],
+        module: ['file_scoped_namespace_declaration'],
+    },
+    ruby: {
+        symbols: {
+            class: 'class',
+            module: 'module',
+            method: 'method',
+            singleton_method: 'method',
+        },
+        comments: ['comment'],
+        bodies: ['body_statement'],
+    },
+    kotlin: {
+        symbols: {
+            class_declaration: 'class',
+            object_declaration: 'object',
+            companion_object: 'object',
+            function_declaration: 'function',
+            type_alias: 'type',
+        },
+        keywordKinds: { interface: 'interface', enum: 'enum' },
+        nameTypes: ['type_identifier', 'simple_identifier'],
+        bodyTypes: ['class_body', 'enum_class_body', 'function_body'],
+        comments: ['line_comment', 'multiline_comment'],
+        // package/import 之后、第一个定义之前的注释属于 package_header 或 import_header
+        trailingComments: ['package_header', 'import_list', 'import_header'],
+        module: ['package_header'],
+    },
+    swift: {
+        symbols: {
+            class_declaration: 'class',
+            protocol_declaration: 'interface',
+            function_declaration: 'function',
+            protocol_function_declaration: 'function',
+            init_declaration: 'constructor',
+            typealias_declaration: 'type',
+        },
+        keywordKinds: { struct: 'struct', enum: 'enum', extension: 'extension', actor: 'class' },
+        comments: ['comment', 'multiline_comment'],
+    },
+    scala: {
+        symbols: {
+            class_definition: 'class',
+            object_definition: 'object',
+            trait_definition: 'trait',
+            enum_definition: 'enum',
+            function_definition: 'function',
+            function_declaration: 'function',
+            type_definition: 'type',
+        },
+        comments: ['comment', 'block_comment'],
+        module: ['package_clause'],
+    },
+    lua: {
+        symbols: {
+            function_declaration: 'function',
+        },
+        comments: ['comment'],
+    },
+    bash: {
+        symbols: {
+            function_definition: 'function',
+        },
+        comments: ['comment'],
+    },
+    php: {
+        symbols: {
+            class_declaration: 'class',
+            interface_declaration: 'interface',
+            trait_declaration: 'trait',
+            enum_declaration: 'enum',
+            function_definition: 'function',
+            method_declaration: 'method',
+            namespace_definition: 'namespace',
+        },
+        comments: ['comment'],
+        skip: ['attribute_list'],
+        // 不带花括号的 namespace App\Models; 作用于文件剩余部分
+        module: ['namespace_definition'],
+    },
+};
+
+const QUALIFIED_NAME_TYPES = [
+    'scope_resolution',
+    'dot_index_expression',
+    'method_index_expression',
+];
+
+const FUNCTION_VALUE_TYPES = [
+    'arrow_function',
+    'function_expression',
+    'function',
+    'generator_function',
+];
+
+/**
+ * 从 tree-sitter 语法树中提取代码块对应的符号信息：
+ * 名称、种类、所在的类/命名空间/包、签名以及紧挨在定义之前的文档注释（Python 为 docstring）
+ */
+class SymbolExtractor {
+    /**
+     * @param {string} language - 插件语言名称，与 LANGUAGE_SPECS 的键一致
+     */
+    constructor(language) {
+        this.language = language;
+        this.spec = LANGUAGE_SPECS[language] || null;
+    }
+
+    static isSupported(language) {
+        return Object.prototype.hasOwnProperty.call(LANGUAGE_SPECS, language);
+    }
+
+    /**
+     * 描述代码块节点定义的符号
+     * @param {Object} node - 代码块对应的语法树节点
+     * @returns {Object|null} { name, kind, container, qualifiedName, signature, docComment }，
+     *   节点不是符号定义（或包裹多个定义）时返回 null
+     */
+    describe(node) {
+        if (!this.spec || !node) return null;
+
+        try {
+            const definition = this._resolveDefinition(node);
+            if (!definition || this._isModuleDeclaration(definition)) return null;
+
+            const nameInfo = this._getName(definition);
+            if (!nameInfo || !nameInfo.name) return null;
+
+            const containers = [...this._getContainers(definition), ...nameInfo.scope];
+            const container = containers.join('.');
+            let kind = this._getKind(definition);
+            if (kind === 'function' && this._hasTypeContainer(definition, nameInfo.scope)) {
+                kind = 'method';
+            }
+
+            return {
+                name: nameInfo.name,
+                kind,
+                container,
+                qualifiedName: container ? `${container}.${nameInfo.name}` : nameInfo.name,
+                signature: this._getSignature(definition, nameInfo),
+                docComment: this._getDocComment(definition),
+            };
+        } catch (error) {
+            // 符号信息只是附加元数据，提取失败不影响分块
+            console.warn(`⚠️ 提取符号信息失败 (${this.language}): ${error.message}`);
+            return null;
+        }
+    }
+
+    // 内部方法
+    _resolveDefinition(node) {
+        if (this._isSymbol(node)) return node;
+        if (!(this.spec.wrappers || []).includes(node.type)) return null;
+
+        const candidates = node.namedChildren
+            .map(child => this._resolveDefinition(child))
+            .filter(Boolean);
+        return candidates.length === 1 ? candidates[0] : null;
+    }
+
+    _isSymbol(node) {
+        if (!this.spec.symbols[node.type]) return false;
+        if (node.type === 'variable_declarator') {
+            const value = node.childForFieldName('value');
+            return !!value && FUNCTION_VALUE_TYPES.includes(value.type);
+        }
+        // C/C++ 中只有带成员列表的 struct/enum 才是定义，struct Foo *p; 只是引用
+        if (/_specifier$/.test(node.type)) {
+            return !!node.childForFieldName('body') && !!node.childForFieldName('name');
+        }
+        return true;
+    }
+
+    _getKind(node) {
+        if (this.spec.keywordKinds) {
+            const keyword = node.children.find(
+                child =>
+                    !child.isNamed &&
+                    Object.prototype.hasOwnProperty.call(this.spec.keywordKinds, child.type)
+            );
+            if (keyword) return this.spec.keywordKinds[keyword.type];
+        }
+        if (node.type === 'type_spec') {
+            const type = node.childForFieldName('type');
+            if (type?.type === 'struct_type') return 'struct';
+            if (type?.type === 'interface_type') return 'interface';
+        }
+        return this.spec.symbols[node.type];
+    }
+
+    /**
+     * @returns {{name: string, scope: string[], node: Object}|null}
+     *   scope 为名称自带的限定部分，如 C++ 的 Service::find 中的 Service
+     */
+    _getName(node) {
+        if (node.type === 'impl_item') {
+            const type = node.childForFieldName('type');
+            return type ? { name: stripGenerics(type.text), scope: [], node: type } : null;
+        }
+        if (node.type === 'type_definition' && (this.language === 'c' || this.language === 'cpp')) {
+            const declarator = this._innermostDeclarator(node.childForFieldName('declarator'));
+            return declarator ? { name: declarator.text, scope: [], node: declarator } : null;
+        }
+        if (
+            node.type === 'function_definition' &&
+            (this.language === 'c' || this.language === 'cpp')
+        ) {
+            return this._getDeclaratorName(node.childForFieldName('declarator'));
+        }
+        if (node.type === 'method_declaration' && this.language === 'go') {
+            // Go 方法的容器是接收者类型，如 func (s *Service) Find() 属于 Service
+            const nameNode = node.childForFieldName('name');
+            const receiver = node.childForFieldName('receiver')?.namedChildren[0];
+            const receiverType = receiver?.childForFieldName('type');
+            const scope = receiverType ? [stripGenerics(receiverType.text.replace(/^\*/, ''))] : [];
+            return nameNode ? { name: nameNode.text, scope, node: nameNode } : null;
+        }
+
+        const nameNode = this._getField(node, 'name');
+        if (!nameNode) return null;
+        // Ruby 的 class A::B、Lua 的 function M.new / M:new，名称自带所属的模块或表
+        if (QUALIFIED_NAME_TYPES.includes(nameNode.type)) {
+            const parts = nameNode.text.split(/::|[.:]/);
+            return { name: parts[parts.length - 1], scope: parts.slice(0, -1), node: nameNode };
+        }
+        // TypeScript 的 declare module 'foo' {} 以字符串命名
+        if (nameNode.type === 'string') {
+            return { name: nameNode.text.slice(1, -1), scope: [], node: nameNode };
+        }
+        if (nameNode.type === 'qualified_name' || nameNode.type === 'namespace_name') {
+            return { name: nameNode.text.replace(/\\/g, '.'), scope: [], node: nameNode };
+        }
+        return { name: nameNode.text, scope: [], node: nameNode };
+    }
+
+    // 优先使用语法字段，没有字段的语法（如 Kotlin）按子节点类型查找
+    _getField(node, field) {
+        const child = node.childForFieldName(field);
+        if (child) return child;
+
+        const types = field === 'name' ? this.spec.nameTypes : this.spec.bodyTypes;
+        return types ? node.namedChildren.find(c => types.includes(c.type)) || null : null;
+    }
+
+    _getDeclaratorName(declarator) {
+        const inner = this._innermostDeclarator(declarator);
+        if (!inner) return null;
+        if (inner.type !== 'qualified_identifier') {
+            return { name: inner.text, scope: [], node: inner };
+        }
+
+        const parts = inner.text.split('::').map(part => stripGenerics(part.trim()));
+        return {
+            name: parts[parts.length - 1],
+            scope: parts.slice(0, -1).filter(Boolean),
+            node: inner,
+        };
+    }
+
+    // 沿 declarator 字段向内查找，跳过指针、引用、函数参数等修饰
+    _innermostDeclarator(declarator) {
+        let current = declarator;
+        while (current) {
+            const next = current.childForFieldName('declarator');
+            if (!next) break;
+            if (current.type === 'qualified_identifier') break;
+            current = next;
+        }
+        return current;
+    }
+
+    _getContainers(node) {
+        const names = [];
+        for (let parent = node.parent; parent; parent = parent.parent) {
+            const name = this._getContainerName(parent);
+            if (name) names.unshift(name);
+        }
+
+        const moduleName = this._getModuleName(this._root(node));
+        if (moduleName) names.unshift(moduleName);
+        return names;
+    }
+
+    // 所有外层定义都计入限定名，函数内部定义的函数记为 outer.inner
+    _getContainerName(node) {
+        if (!this._isSymbol(node)) return null;
+        return this._getName(node)?.name || null;
+    }
+
+    // Java 包名、Go 包名、C# 文件级命名空间、PHP 不带花括号的命名空间
+    _getModuleName(root) {
+        if (!root || !this.spec.module) return null;
+
+        const declaration = root.namedChildren.find(child => this._isModuleDeclaration(child));
+        if (!declaration) return null;
+
+        const nameNode =
+            declaration.childForFieldName('name') ||
+            declaration.namedChildren.find(child => !this._isComment(child));
+        return nameNode ? nameNode.text.replace(/\\/g, '.') : null;
+    }
+
+    _hasTypeContainer(node, scope) {
+        if (scope.length > 0) return true;
+        for (let parent = node.parent; parent; parent = parent.parent) {
+            const kind = this._isSymbol(parent) ? this._getKind(parent) : null;
+            if (kind && TYPE_KINDS.has(kind)) return true;
+            // 函数内部定义的函数不是方法
+            if (kind && FUNCTION_KINDS.has(kind)) return false;
+        }
+        return false;
+    }
+
+    /**
+     * 签名从名称开始到定义体之前，如 findById(id)、find_by_id(self, id) -> User；
+     * const foo = (a) => ... 记为 foo(a)
+     */
+    _getSignature(node, nameInfo) {
+        let signature;
+        if (node.type === 'variable_declarator') {
+            const value = node.childForFieldName('value');
+            const parameters =
+                value.childForFieldName('parameters') || value.childForFieldName('parameter');
+            const params = parameters ? parameters.text : '()';
+            signature = `${nameInfo.name}${params.startsWith('(') ? params : `(${params})`}`;
+        } else {
+            const body = this._getField(node, 'body');
+            const start = node.type === 'impl_item' ? node.startIndex : nameInfo.node.startIndex;
+            signature = node.text.slice(start - node.startIndex);
+            // 没有定义体的节点（如 Go 的 type Service struct）只取第一行
+            signature = body
+                ? signature.slice(0, body.startIndex - start)
+                : signature.split('\n')[0];
+            if (this.language === 'ruby') {
+                // Ruby 的定义头只有一行，类名与语句体之间可能夹着注释，空方法 def close; end 写在同一行
+                signature = signature.split('\n')[0].split(';')[0];
+            }
+            if (nameInfo.node.type === 'qualified_identifier') {
+                // C++ 类外定义的成员函数，去掉名称中的 Service:: 前缀
+                signature = nameInfo.name + signature.slice(nameInfo.node.text.length);
+            }
+        }
+
+        return signature
+            .replace(/\s+/g, ' ')
+            .replace(/\s*[{:;=]?\s*$/, '')
+            .trim();
+    }
+
+    _getDocComment(definition) {
+        if (this.spec.docstring) {
+            const docstring = this._getDocstring(definition);
+            if (docstring) return docstring;
+        }
+
+        // 从最外层的包裹节点开始向前查找，如 export class 之前的注释
+        let anchor = definition;
+        while (anchor.parent && (this.spec.wrappers || []).includes(anchor.parent.type)) {
+            anchor = anchor.parent;
+        }
+        // 语句体内的第一条定义，注释在语句体之外，如 Ruby 的 class Foo 与第一个 def 之间
+        while (
+            !anchor.previousNamedSibling &&
+            anchor.parent &&
+            (this.spec.bodies || []).includes(anchor.parent.type)
+        ) {
+            anchor = anchor.parent;
+        }
+
+        const comments = [];
+        let expectedRow = anchor.startPosition.row;
+        for (let sibling = this._previousSibling(anchor); sibling; ) {
+            if ((this.spec.skip || []).includes(sibling.type)) {
+                expectedRow = sibling.startPosition.row;
+                sibling = sibling.previousNamedSibling;
+                continue;
+            }
+            // 注释与定义（或下一段注释）之间不能有空行
+            if (!this._isComment(sibling) || sibling.endPosition.row < expectedRow - 1) break;
+
+            comments.unshift(sibling.text);
+            expectedRow = sibling.startPosition.row;
+            sibling = sibling.previousNamedSibling;
+        }
+        return truncate(comments.map(cleanComment).filter(Boolean).join('\n'));
+    }
+
+    _getDocstring(node) {
+        const body = node.childForFieldName('body');
+        const first = body?.namedChildren[0];
+        if (!first || first.type !== 'expression_statement') return '';
+
+        const string = first.namedChildren[0];
+        if (!string || string.type !== 'string') return '';
+        const content = string.namedChildren.find(child => child.type === 'string_content');
+        return truncate(dedent(content ? content.text : ''));
+    }
+
+    _isModuleDeclaration(node) {
+        return (this.spec.module || []).includes(node.type) && !node.childForFieldName('body');
+    }
+
+    _previousSibling(node) {
+        let sibling = node.previousNamedSibling;
+        while (
+            sibling?.lastNamedChild &&
+            (this.spec.trailingComments || []).includes(sibling.type)
+        ) {
+            sibling = sibling.lastNamedChild;
+        }
+        return sibling;
+    }
+
+    // 脚本首行的 #! 不是文档注释
+    _isComment(node) {
+        return this.spec.comments.includes(node.type) && !node.text.startsWith('#!');
+    }
+
+    _root(node) {
+        let current = node;
+        while (current.parent) current = current.parent;
+        return current;
+    }
+}
+
+// 去掉注释标记：// /// /* */ /** * # -- --[[ ]] 以及 XML 文档注释标签
+function cleanComment(text) {
+    return text
+        .replace(/^\/\*+!?/, '')
+        .replace(/\*+\/$/, '')
+        .replace(/^--\[=*\[/, '')
+        .replace(/\]=*\]$/, '')
+        .split('\n')
+        .map(line =>
+            line
+                .replace(/^\s*(\/\/+!?|#+|--+|\*(?!\/))\s?/, '')
+                .replace(/<\/?(summary|remarks|returns)>/g, '')
+                .trimEnd()
+        )
+        .join('\n')
+        .trim();
+}
+
+function dedent(text) {
+    const lines = text.split('\n');
+    const indents = lines
+        .slice(1)
+        .filter(line => line.trim())
+        .map(line => line.match(/^\s*/)[0].length);
+    const indent = indents.length > 0 ? Math.min(...indents) : 0;
+    return [lines[0], ...lines.slice(1).map(line => line.slice(indent))].join('\n').trim();
+}
+
+function stripGenerics(name) {
+    return name.replace(/<.*>$/s, '').trim();
+}
+
+function truncate(text) {
+    return text.length > MAX_DOC_COMMENT_LENGTH
+        ? `${text.slice(0, MAX_DOC_COMMENT_LENGTH)}...`
+        : text;
+}
+
+module.exports = SymbolExtractor;
@@ -0,0 +1,405 @@
+const Parser = require('tree-sitter');
+const TypeScript = require('tree-sitter-typescript');
+const BaseParser = require('../BaseParser');
+const SymbolExtractor = require('./SymbolExtractor');
+const crypto = require('crypto');
+const path = require('path');
+
+class TypeScriptParser extends BaseParser {
+    constructor(config) {
+        super(config);
+        this.symbolExtractor = new SymbolExtractor('typescript');
+        // TypeScript节点类型分类，基于tree-sitter-typescript的AST节点
+        this.nodeTypes = {
+            import: ['import_statement'],
+            export: ['export_statement'],
+            class: ['class_declaration', 'abstract_class_declaration'],
+            interface: ['interface_declaration'],
+            type: ['type_alias_declaration'],
+            enum: ['enum_declaration'],
+            namespace: ['internal_module', 'module'],
+            function: [
+                'function_declaration',
+                'generator_function_declaration',
+                'function_signature',
+            ],
+            variable: ['lexical_declaration', 'variable_declaration'],
+            method: ['method_definition', 'abstract_method_signature'],
+            field: ['public_field_definition'],
+            comment: ['comment'],
+        };
+
+        // .ts 与 .tsx 使用不同的语法，JSX 中的 <T>x 与类型断言有歧义
+        this.parser = new Parser();
+        this.parser.setLanguage(TypeScript.typescript);
+        this.tsxParser = new Parser();
+        this.tsxParser.setLanguage(TypeScript.tsx);
+
+        // 10KB限制（留1KB余量）
+        this.maxChunkSize = 9 * 1024;
+    }
+
+    // 插件元数据
+    static getMetadata() {
+        return {
+            name: 'typescript',
+            displayName: 'TypeScript',
+            extensions: ['.ts', '.tsx', '.mts', '.cts'],
+            version: '1.0.0',
+            description: 'TypeScript/TSX语言AST解析器',
+            nodeTypes: {
+                import: ['import_statement'],
+                export: ['export_statement'],
+                class: ['class_declaration', 'abstract_class_declaration'],
+                interface: ['interface_declaration'],
+                type: ['type_alias_declaration'],
+                enum: ['enum_declaration'],
+                namespace: ['internal_module'],
+                function: ['function_declaration'],
+                method: ['method_definition'],
+            },
+        };
+    }
+
+    // tree-sitter 的 startIndex/endIndex 是字符串下标，直接按字符切片
+    _extractNodeCode(code, startIndex, endIndex) {
+        return code.slice(startIndex, endIndex);
+    }
+
+    async parseContent(content, filePath = null) {
+        try {
+            if (!content || typeof content !== 'string') {
+                console.warn(
+                    `Invalid content for TypeScript parsing in file: ${filePath || 'unknown'}`
+                );
+                return [];
+            }
+
+            if (content.length > 10 * 1024 * 1024) {
+                console.warn(
+                    `Content too large for TypeScript parsing in file: ${filePath || 'unknown'} (${content.length} bytes)`
+                );
+                return [];
+            }
+
+            let cleanContent = content.replace(/\0/g, '');
+
+            if (cleanContent.length > 1024 * 1024) {
+                console.warn(
+                    `Large TypeScript file detected: ${filePath || 'unknown'} (${cleanContent.length} bytes), truncating for parsing`
+                );
+                cleanContent = cleanContent.substring(0, 1024 * 1024);
+            }
+
+            const parser = this._getParserForFile(filePath);
+            let tree;
+            try {
+                tree = parser.parse(cleanContent);
+            } catch (parseError) {
+                console.warn(
+                    `Direct parsing failed for ${filePath || 'unknown'}: ${parseError.message}`
+                );
+
+                cleanContent = cleanContent
+                    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+                    .replace(/\r\n/g, '\n')
+                    .replace(/\r/g, '\n');
+
+                try {
+                    tree = parser.parse(cleanContent);
+                } catch (secondError) {
+                    console.error(
+                        `All parsing attempts failed for ${filePath || 'unknown'}: ${secondError.message}`
+                    );
+                    return [];
+                }
+            }
+
+            if (!tree || !tree.rootNode) {
+                console.warn(`Failed to parse AST for file: ${filePath || 'unknown'}`);
+                return [];
+            }
+
+            const relativePath = filePath ? path.basename(filePath) : 'unknown';
+            const statements = this._collectStatements(tree.rootNode);
+
+            // 提取不同类型的代码块
+            const imports = this._extractImports(statements, cleanContent);
+            const exports = this._extractExports(statements, cleanContent);
+            const declarations = this._extractDeclarations(statements, cleanContent);
+            const functions = this._extractFunctions(statements, cleanContent);
+            const variables = this._extractVariables(statements, cleanContent);
+            const members = this._extractMembers(tree, cleanContent);
+            const comments = this._extractComments(tree, cleanContent);
+            const other = this._extractOther(statements, cleanContent);
+
+            const allChunks = [
+                ...imports,
+                ...exports,
+                ...declarations,
+                ...functions,
+                ...variables,
+                ...members,
+                ...comments,
+                ...other,
+            ];
+            const mergedChunks = this._mergeAdjacentChunks(allChunks);
+
+            return mergedChunks.map(chunk => ({
+                chunkId: this.generateChunkId(relativePath, chunk.startLine, chunk.endLine),
+                filePath: relativePath,
+                language: 'typescript',
+                startLine: chunk.startLine,
+                endLine: chunk.endLine,
+                content: chunk.content,
+                parser: 'typescript_parser',
+                type: chunk.type,
+                ...(chunk.name && { name: chunk.name }),
+                ...(chunk.symbol && { symbol: chunk.symbol }),
+            }));
+        } catch (error) {
+            console.error(
+                `Error parsing TypeScript content in file: ${filePath || 'unknown'}:`,
+                error
+            );
+            return [];
+        }
+    }
+
+    _getParserForFile(filePath) {
+        const extension = filePath ? path.extname(filePath).toLowerCase() : '';
+        return extension === '.tsx' ? this.tsxParser : this.parser;
+    }
+
+    /**
+     * 收集顶层语句以及 namespace / declare module 内部的语句
+     * @returns {Array<{node: Object, declaration: Object, nested: boolean}>}
+     *   node 为完整语句（含 export、declare 与装饰器），declaration 为其中的定义节点
+     */
+    _collectStatements(rootNode) {
+        const statements = [];
+        const visit = (parent, nested) => {
+            for (const node of parent.namedChildren) {
+                const declaration = this._unwrapDeclaration(node);
+                statements.push({ node, declaration, nested });
+
+                if (this.nodeTypes.namespace.includes(declaration.type)) {
+                    const body = declaration.childForFieldName('body');
+                    if (body) visit(body, true);
+                }
+            }
+        };
+        visit(rootNode, false);
+        return statements;
+    }
+
+    // 去掉 export、declare 以及 namespace 外层的表达式语句，返回其中的定义
+    _unwrapDeclaration(node) {
+        if (node.type === 'export_statement') {
+            const declaration = node.childForFieldName('declaration');
+            return declaration ? this._unwrapDeclaration(declaration) : node;
+        }
+        if (node.type === 'ambient_declaration' || node.type === 'expression_statement') {
+            const inner = node.namedChildren.find(child => child.type !== 'comment');
+            if (inner && this._isKnownType(inner.type)) {
+                return this._unwrapDeclaration(inner);
+            }
+        }
+        return node;
+    }
+
+    _isKnownType(type) {
+        return Object.values(this.nodeTypes).flat().includes(type);
+    }
+
+    _extractImports(statements, code) {
+        return statements
+            .filter(({ node, nested }) => !nested && this.nodeTypes.import.includes(node.type))
+            .map(({ node }) => this._createChunk('import', node, code));
+    }
+
+    // 不包含定义的导出语句，如 export { a, b }、export * from './x'、export default foo
+    _extractExports(statements, code) {
+        return statements
+            .filter(
+                ({ node, declaration, nested }) =>
+                    !nested && node === declaration && this.nodeTypes.export.includes(node.type)
+            )
+            .map(({ node }) => this._createChunk('export', node, code));
+    }
+
+    _extractDeclarations(statements, code) {
+        const declarations = [];
+        const types = ['class', 'interface', 'type', 'enum', 'namespace'];
+
+        for (const { node, declaration } of statements) {
+            const type = types.find(key => this.nodeTypes[key].includes(declaration.type));
+            if (type) {
+                declarations.push(this._createChunk(type, node, code, declaration));
+            }
+        }
+
+        return declarations;
+    }
+
+    _extractFunctions(statements, code) {
+        return statements
+            .filter(({ declaration }) => this.nodeTypes.function.includes(declaration.type))
+            .map(({ node, declaration }) => this._createChunk('function', node, code, declaration));
+    }
+
+    _extractVariables(statements, code) {
+        return statements
+            .filter(({ declaration }) => this.nodeTypes.variable.includes(declaration.type))
+            .map(({ node, declaration }) => this._createChunk('variable', node, code, declaration));
+    }
+
+    // 类成员：方法、构造函数、访问器与字段，装饰器计入成员代码块
+    _extractMembers(tree, code) {
+        const members = [];
+
+        this._traverseNodes(tree.rootNode, node => {
+            if (node.type !== 'class_body') return;
+
+            let decorators = [];
+            for (const child of node.namedChildren) {
+                if (child.type === 'decorator') {
+                    decorators.push(child);
+                    continue;
+                }
+
+                const type = ['method', 'field'].find(key =>
+                    this.nodeTypes[key].includes(child.type)
+                );
+                if (type) {
+                    const start = decorators.length > 0 ? decorators[0] : child;
+                    members.push({
+                        type,
+                        name: this._getDefinitionName(child),
+                        content: this._extractNodeCode(code, start.startIndex, child.endIndex),
+                        symbol: this.symbolExtractor.describe(child),
+                        startLine: start.startPosition.row + 1,
+                        endLine: child.endPosition.row + 1,
+                    });
+                }
+                decorators = [];
+            }
+        });
+
+        return members;
+    }
+
+    _extractComments(tree, code) {
+        const comments = [];
+        this._traverseNodes(tree.rootNode, node => {
+            if (this.nodeTypes.comment.includes(node.type)) {
+                comments.push(this._createChunk('comment', node, code));
+            }
+        });
+        return comments;
+    }
+
+    _extractOther(statements, code) {
+        return statements
+            .filter(
+                ({ node, declaration, nested }) =>
+                    !nested && !this._isKnownType(node.type) && !this._isKnownType(declaration.type)
+            )
+            .map(({ node }) => ({
+                type: 'other',
+                content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+                symbol: this.symbolExtractor.describe(node),
+                startLine: node.startPosition.row + 1,
+                endLine: node.endPosition.row + 1,
+            }));
+    }
+
+    _createChunk(type, node, code, definition = null) {
+        return {
+            type,
+            ...(definition && {
+                name: this._getDefinitionName(definition),
+                symbol: this.symbolExtractor.describe(node),
+            }),
+            content: this._extractNodeCode(code, node.startIndex, node.endIndex),
+            startLine: node.startPosition.row + 1,
+            endLine: node.endPosition.row + 1,
+        };
+    }
+
+    _traverseNodes(node, callback) {
+        callback(node);
+        for (const child of node.children) {
+            this._traverseNodes(child, callback);
+        }
+    }
+
+    _mergeAdjacentChunks(chunks) {
+        if (!chunks.length) return [];
+
+        const sortedChunks = chunks.sort((a, b) => a.startLine - b.startLine);
+        const merged = [];
+        let current = sortedChunks[0];
+
+        for (let i = 1; i < sortedChunks.length; i++) {
+            const next = sortedChunks[i];
+
+            // 带符号信息的定义各自成块，不与相邻代码块合并
+            if (
+                current.type === next.type &&
+                !current.symbol &&
+                !next.symbol &&
+                next.startLine <= current.endLine + 2
+            ) {
+                let content = current.content;
+                if (next.startLine > current.endLine) {
+                    content += '\n'.repeat(next.startLine - current.endLine);
+                }
+                content += next.content;
+
+                current = {
+                    type: current.type,
+                    content: content,
+                    startLine: current.startLine,
+                    endLine: next.endLine,
+                    ...(current.name && { name: current.name }),
+                    ...(next.name && !current.name && { name: next.name }),
+                };
+            } else {
+                merged.push(current);
+                current = next;
+            }
+        }
+
+        merged.push(current);
+        return merged;
+    }
+
+    _getDefinitionName(node) {
+        const nameNode = node.childForFieldName('name');
+        if (nameNode) return nameNode.text;
+
+        const identifiers = [];
+        this._findIdentifiers(node, identifiers);
+        return identifiers.length > 0 ? identifiers[0] : '';
+    }
+
+    _findIdentifiers(node, identifiers) {
+        if (['identifier', 'type_identifier', 'property_identifier'].includes(node.type)) {
+            identifiers.push(node.text);
+            return;
+        }
+
+        for (const child of node.children) {
+            this._findIdentifiers(child, identifiers);
+            if (identifiers.length > 0) break;
+        }
+    }
+
+    generateChunkId(filePath, startLine, endLine) {
+        const identifier = `${filePath}:${startLine}:${endLine}`;
+        return crypto.createHash('sha256').update(identifier).digest('hex');
+    }
+}
+
+module.exports = TypeScriptParser;
@@ -0,0 +1,575 @@
+const BaseParser = require('./BaseParser');
+const path = require('path');
+
+// 未在 languageMapping 中配置时按扩展名识别配置格式
+const CONFIG_FORMATS = {
+    '.json': 'json',
+    '.jsonc': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.toml': 'toml',
+    '.xml': 'xml',
+    '.properties': 'properties',
+};
+
+const YAML_DOCUMENT_MARKER = /^(?:---|\.\.\.)(?:\s|$)/;
+const YAML_MAPPING_KEY =
+    /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[][^#]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+const TOML_TABLE_HEADER = /^\s*(\[\[?)\s*([^\]]+?)\s*\]\]?\s*(?:#.*)?$/;
+const TOML_KEY = /^\s*([^=#\s][^=]*?)\s*=/;
+const XML_TOKEN =
+    /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/?([^\s/>]+)(?:"[^"]*"|'[^']*'|[^'">])*>/g;
+
+/**
+ * JSON、YAML、TOML、XML 和 .properties 配置文件的解析器
+ *
+ * 先按行号解析出键的层级结构，顶层的每个对象（YAML 的每个文档、TOML 的每个表、XML 根元素的每个子元素）
+ * 单独成块，相邻的标量值合并成块；超过大小限制的对象逐层拆分到子键。每个代码块记录键路径 keyPath，
+ * 如 'spring.datasource'、'spec.containers[0]'；由多个同级键合并而成的代码块记录它们的上级路径。
+ * 内容无法解析时按行分块。
+ */
+class ConfigParser extends BaseParser {
+    async parse(filePath, content) {
+        if (!content || content.trim().length === 0) {
+            return [];
+        }
+
+        const language = this._detectLanguage(filePath);
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+
+        let root;
+        try {
+            root = this._scan(language, lines);
+        } catch (error) {
+            console.warn(`⚠️ 配置文件解析失败，按行分块: ${filePath} (${error.message})`);
+            return this._splitIntoChunks(content, filePath, language);
+        }
+
+        // offsets[i] 为前 i 行的字节数（含换行符），用于计算任意行区间的大小
+        const offsets = [0];
+        for (const line of lines) {
+            offsets.push(offsets[offsets.length - 1] + Buffer.byteLength(line, 'utf8') + 1);
+        }
+        const sizeOf = (start, end) => offsets[end + 1] - offsets[start] - 1;
+
+        const ranges = [];
+        this._chunkNode(root, 0, lines.length - 1, true, ranges, sizeOf);
+
+        const chunks = [];
+        for (let { start, end, keyPath } of ranges) {
+            while (start <= end && lines[start].trim() === '') start++;
+            while (end >= start && lines[end].trim() === '') end--;
+            if (start > end) continue;
+
+            const chunk = this._createChunk(
+                lines.slice(start, end + 1).join('\n'),
+                start + 1,
+                end + 1,
+                filePath,
+                language,
+                'entry'
+            );
+            chunk.keyPath = keyPath;
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    /**
+     * 解析 JSON（允许 JSONC 的注释和尾随逗号）的层级结构，Notebook 解析器也用它定位单元格所在的行
+     * @param {string[]} lines - 文件内容的各行
+     * @returns {{path: string, start: number, end: number, children: Array, isArray: boolean}} 根节点，行号从 0 开始
+     */
+    scanJson(lines) {
+        const text = lines.join('\n');
+        const lineAt = this._lineLocator(text);
+
+        let pos = 0;
+        const fail = message => {
+            throw new Error(`${message} (第 ${lineAt(pos) + 1} 行)`);
+        };
+        const skipWhitespace = () => {
+            while (pos < text.length) {
+                if (/\s/.test(text[pos])) {
+                    pos++;
+                } else if (text.startsWith('//', pos)) {
+                    const next = text.indexOf('\n', pos);
+                    pos = next === -1 ? text.length : next;
+                } else if (text.startsWith('/*', pos)) {
+                    const next = text.indexOf('*/', pos + 2);
+                    if (next === -1) fail('注释未闭合');
+                    pos = next + 2;
+                } else {
+                    break;
+                }
+            }
+        };
+        const parseString = () => {
+            const match = /"(?:[^"\\\n]|\\.)*"/y;
+            match.lastIndex = pos;
+            const result = match.exec(text);
+            if (!result) fail('字符串格式错误');
+            pos = match.lastIndex;
+            return JSON.parse(result[0]);
+        };
+        const parseValue = valuePath => {
+            skipWhitespace();
+            const start = pos;
+            const children = [];
+            let isArray = false;
+
+            if (text[pos] === '{' || text[pos] === '[') {
+                isArray = text[pos] === '[';
+                const close = isArray ? ']' : '}';
+                pos++;
+                for (;;) {
+                    skipWhitespace();
+                    if (text[pos] === close) break;
+
+                    let child;
+                    if (isArray) {
+                        child = parseValue(`${valuePath}[${children.length}]`);
+                    } else {
+                        const keyStart = pos;
+                        if (text[pos] !== '"') fail('缺少键名');
+                        const key = parseString();
+                        skipWhitespace();
+                        if (text[pos] !== ':') fail('缺少冒号');
+                        pos++;
+                        child = parseValue(this._joinPath(valuePath, key));
+                        child.start = lineAt(keyStart);
+                    }
+                    children.push(child);
+
+                    skipWhitespace();
+                    if (text[pos] === ',') {
+                        pos++;
+                    } else if (text[pos] !== close) {
+                        fail(`缺少 ${close}`);
+                    }
+                }
+                pos++;
+            } else if (text[pos] === '"') {
+                parseString();
+            } else {
+                const literal = /-?\d[\d.eE+-]*|true|false|null/y;
+                literal.lastIndex = pos;
+                if (!literal.exec(text)) fail('无法识别的值');
+                pos = literal.lastIndex;
+            }
+
+            return this._node(valuePath, lineAt(start), lineAt(pos - 1), children, isArray);
+        };
+
+        const root = parseValue('');
+        skipWhitespace();
+        if (pos < text.length) fail('值之后存在多余内容');
+        return root;
+    }
+
+    // 内部方法
+
+    _detectLanguage(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        const languageMapping = this.config.languageMapping || {};
+        return languageMapping[extension] || CONFIG_FORMATS[extension] || 'json';
+    }
+
+    /**
+     * 解析出键的层级结构，节点为 { path, start, end, children, isArray }，start/end 为从 0 开始的行号
+     */
+    _scan(language, lines) {
+        switch (language) {
+            case 'yaml':
+                return this._scanYaml(lines);
+            case 'toml':
+                return this._scanToml(lines);
+            case 'xml':
+                return this._scanXml(lines);
+            case 'properties':
+                return this._scanProperties(lines);
+            default:
+                return this.scanJson(lines);
+        }
+    }
+
+    /**
+     * 把节点覆盖的行区间 [start, end] 分成若干代码块。区间包含节点之前的空行、注释以及
+     * 末尾的括号、结束标签，保证整个文件都被覆盖
+     */
+    _chunkNode(node, start, end, isRoot, ranges, sizeOf) {
+        if (!isRoot && sizeOf(start, end) <= this.maxChunkSize) {
+            ranges.push({ start, end, keyPath: node.path });
+            return;
+        }
+        if (node.children.length === 0) {
+            this._splitLines(node.path, start, end, ranges, sizeOf);
+            return;
+        }
+
+        // 顶层对象的子对象各自成块；拆分过大的对象或数组时，同级元素按大小合并
+        const separateContainers = isRoot && !node.isArray;
+        let group = null;
+        const flush = () => {
+            if (!group) return;
+            const keyPath = group.members.length === 1 ? group.members[0].path : node.path;
+            ranges.push({ start: group.start, end: group.end, keyPath });
+            group = null;
+        };
+
+        let cursor = start;
+        node.children.forEach((child, index) => {
+            // 最后一个子节点同时覆盖父节点末尾的括号、结束标签等
+            const childEnd = index === node.children.length - 1 ? end : child.end;
+            if (childEnd < cursor) {
+                // 与前一个子节点写在同一行，已包含在前一个代码块中
+                return;
+            }
+            const childStart = cursor;
+            cursor = childEnd + 1;
+
+            if (
+                (separateContainers && child.children.length > 0) ||
+                sizeOf(childStart, childEnd) > this.maxChunkSize
+            ) {
+                flush();
+                this._chunkNode(child, childStart, childEnd, false, ranges, sizeOf);
+                return;
+            }
+
+            if (group && sizeOf(group.start, childEnd) <= this.maxChunkSize) {
+                group.end = childEnd;
+                group.members.push(child);
+                return;
+            }
+            flush();
+            group = { start: childStart, end: childEnd, members: [child] };
+        });
+        flush();
+    }
+
+    // 无法再按键拆分的内容（如很长的字符串或标量数组）按行拆分
+    _splitLines(keyPath, start, end, ranges, sizeOf) {
+        let lineStart = start;
+        for (let i = start + 1; i <= end; i++) {
+            if (sizeOf(lineStart, i) > this.maxChunkSize) {
+                ranges.push({ start: lineStart, end: i - 1, keyPath });
+                lineStart = i;
+            }
+        }
+        ranges.push({ start: lineStart, end, keyPath });
+    }
+
+    _node(path, start, end, children = [], isArray = false) {
+        return { path, start, end, children, isArray };
+    }
+
+    _joinPath(parent, key) {
+        return parent ? `${parent}.${key}` : key;
+    }
+
+    // 返回把字符串下标换算为行号（从 0 开始）的函数
+    _lineLocator(text) {
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') lineStarts.push(i + 1);
+        }
+        return offset => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= offset) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return low;
+        };
+    }
+
+    /**
+     * YAML 的块结构（按缩进识别映射和序列），多个文档时每个文档是根节点的一个子节点
+     */
+    _scanYaml(lines) {
+        const documents = [];
+        let start = 0;
+        for (let i = 0; i <= lines.length; i++) {
+            if (i === lines.length || YAML_DOCUMENT_MARKER.test(lines[i])) {
+                if (!this._isYamlBlank(lines, start, i - 1)) {
+                    documents.push([start, i - 1]);
+                }
+                start = i + 1;
+            }
+        }
+
+        if (documents.length <= 1) {
+            const [docStart, docEnd] = documents[0] || [0, lines.length - 1];
+            return this._parseYamlBlock(lines, docStart, docEnd, '', null);
+        }
+        const children = documents.map(([docStart, docEnd], index) =>
+            this._parseYamlBlock(lines, docStart, docEnd, `[${index}]`, null)
+        );
+        return this._node('', 0, lines.length - 1, children, false);
+    }
+
+    /**
+     * 解析 [start, end] 行内同一缩进层级的映射或序列。firstIndent 不为 null 时，
+     * 第一行从该列开始（序列项 "- " 之后的内容）
+     */
+    _parseYamlBlock(lines, start, end, blockPath, firstIndent) {
+        const indentOf = i =>
+            i === start && firstIndent !== null ? firstIndent : lines[i].search(/\S/);
+        const isContent = i => /^\s*[^\s#]/.test(lines[i]) || (i === start && firstIndent !== null);
+
+        const children = [];
+        let isArray = false;
+        let baseIndent = null;
+        let lastContent = start;
+
+        for (let i = start; i <= end; i++) {
+            if (!isContent(i)) continue;
+            lastContent = i;
+            const indent = indentOf(i);
+            if (baseIndent === null) baseIndent = indent;
+            if (indent !== baseIndent) continue;
+
+            const text = lines[i].slice(indent);
+            const item = /^-(?:[ \t]+|$)/.exec(text);
+            const mapping = item ? null : YAML_MAPPING_KEY.exec(text);
+            const value = mapping ? (mapping[2] || '').trim() : '';
+
+            // 条目延续到下一个同级或更浅的行；值为空的键下面可以是同一缩进的序列
+            let entryEnd = i;
+            for (let j = i + 1; j <= end; j++) {
+                if (!isContent(j)) continue;
+                const nextIndent = indentOf(j);
+                const nestedSequence =
+                    mapping &&
+                    !value &&
+                    nextIndent === baseIndent &&
+                    /^-(\s|$)/.test(lines[j].slice(nextIndent));
+                if (nextIndent < baseIndent || (nextIndent === baseIndent && !nestedSequence)) {
+                    break;
+                }
+                entryEnd = j;
+            }
+
+            if (item) {
+                isArray = true;
+                const itemPath = `${blockPath}[${children.length}]`;
+                const rest = text.slice(item[0].length);
+                if (rest === '' && entryEnd > i) {
+                    // 单独一行的 "-"，内容在之后的缩进行中
+                    children.push({
+                        ...this._parseYamlBlock(lines, i + 1, entryEnd, itemPath, null),
+                        start: i,
+                    });
+                } else if (YAML_MAPPING_KEY.test(rest) || /^-(\s|$)/.test(rest)) {
+                    // "- key: value" 之后的行与 key 对齐
+                    children.push(
+                        this._parseYamlBlock(lines, i, entryEnd, itemPath, indent + item[0].length)
+                    );
+                } else {
+                    children.push(this._node(itemPath, i, entryEnd));
+                }
+            } else if (mapping) {
+                const key = mapping[1].replace(/^(["'])(.*)\1$/, '$2');
+                const keyPath = this._joinPath(blockPath, key);
+                // 块标量（| 或 >）和行内值没有子键
+                const nested = entryEnd > i && (!value || /^[&!]\S*$/.test(value));
+                children.push(
+                    nested
+                        ? {
+                              ...this._parseYamlBlock(lines, i + 1, entryEnd, keyPath, null),
+                              start: i,
+                          }
+                        : this._node(keyPath, i, entryEnd)
+                );
+            } else {
+                children.push(this._node(blockPath, i, entryEnd));
+            }
+            lastContent = entryEnd;
+            i = entryEnd;
+        }
+
+        return this._node(blockPath, start, lastContent, children, isArray);
+    }
+
+    _isYamlBlank(lines, start, end) {
+        for (let i = start; i <= end; i++) {
+            if (/^\s*[^\s#]/.test(lines[i])) return false;
+        }
+        return true;
+    }
+
+    /**
+     * TOML：顶层键值对和每个表（[table] 或 [[array]]）是根节点的子节点
+     */
+    _scanToml(lines) {
+        const children = [];
+        const arrayCounts = new Map();
+        let table = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const header = TOML_TABLE_HEADER.exec(lines[i]);
+            if (header && !TOML_KEY.test(lines[i])) {
+                let tablePath = header[2].replace(/\s*\.\s*/g, '.');
+                if (header[1] === '[[') {
+                    const count = arrayCounts.get(tablePath) || 0;
+                    arrayCounts.set(tablePath, count + 1);
+                    tablePath = `${tablePath}[${count}]`;
+                }
+                table = this._node(tablePath, i, i);
+                children.push(table);
+                continue;
+            }
+
+            const key = TOML_KEY.exec(lines[i]);
+            if (!key) continue;
+
+            const end = this._findTomlValueEnd(lines, i, lines[i].slice(key[0].length));
+            const entry = this._node(this._joinPath(table ? table.path : '', key[1]), i, end);
+            if (table) {
+                table.children.push(entry);
+                table.end = end;
+            } else {
+                children.push(entry);
+            }
+            i = end;
+        }
+
+        return this._node('', 0, lines.length - 1, children, false);
+    }
+
+    // 多行字符串和跨行的数组、内联表延续到引号或括号闭合的行
+    _findTomlValueEnd(lines, start, value) {
+        const multiline = /^\s*("""|''')/.exec(value);
+        if (multiline) {
+            const rest = value.slice(value.indexOf(multiline[1]) + 3);
+            if (rest.includes(multiline[1])) return start;
+            for (let i = start + 1; i < lines.length; i++) {
+                if (lines[i].includes(multiline[1])) return i;
+            }
+            throw new Error(`多行字符串未闭合 (第 ${start + 1} 行)`);
+        }
+
+        let depth = 0;
+        for (let i = start; i < lines.length; i++) {
+            const text = (i === start ? value : lines[i])
+                .replace(/"(?:[^"\\]|\\.)*"|'[^']*'/g, '')
+                .replace(/#.*$/, '');
+            for (const char of text) {
+                if (char === '[' || char === '{') {
+                    depth++;
+                } else if (char === ']' || char === '}') {
+                    depth--;
+                }
+            }
+            if (depth <= 0) return i;
+        }
+        throw new Error(`数组或内联表未闭合 (第 ${start + 1} 行)`);
+    }
+
+    /**
+     * XML：根元素为根节点，子元素按名称组成路径，同名的兄弟元素追加序号
+     */
+    _scanXml(lines) {
+        const text = lines.join('\n');
+        const lineAt = this._lineLocator(text);
+
+        const document = { name: '', children: [] };
+        const stack = [document];
+        for (const match of text.matchAll(XML_TOKEN)) {
+            const name = match[1];
+            if (!name) continue;
+
+            const tag = match[0];
+            const startLine = lineAt(match.index);
+            const endLine = lineAt(match.index + tag.length - 1);
+            if (tag.startsWith('</')) {
+                const index = stack.map(element => element.name).lastIndexOf(name);
+                if (index <= 0) {
+                    throw new Error(
+                        `结束标签 </${name}> 没有对应的开始标签 (第 ${startLine + 1} 行)`
+                    );
+                }
+                stack.length = index + 1;
+                stack.pop().end = endLine;
+                continue;
+            }
+
+            const element = { name, start: startLine, end: endLine, children: [] };
+            stack[stack.length - 1].children.push(element);
+            if (!tag.endsWith('/>')) stack.push(element);
+        }
+
+        const rootElement = document.children[0];
+        if (!rootElement) {
+            throw new Error('缺少根元素');
+        }
+        return this._xmlNode(rootElement, rootElement.name);
+    }
+
+    _xmlNode(element, elementPath) {
+        const counts = new Map();
+        for (const child of element.children) {
+            counts.set(child.name, (counts.get(child.name) || 0) + 1);
+        }
+
+        const seen = new Map();
+        const children = element.children.map(child => {
+            const index = seen.get(child.name) || 0;
+            seen.set(child.name, index + 1);
+            const name = counts.get(child.name) > 1 ? `${child.name}[${index}]` : child.name;
+            return this._xmlNode(child, `${elementPath}.${name}`);
+        });
+        return this._node(elementPath, element.start, element.end, children, false);
+    }
+
+    /**
+     * .properties：相邻的、第一段相同的键（如 spring.datasource.url、spring.jpa.show-sql）组成一个节点
+     */
+    _scanProperties(lines) {
+        const entries = [];
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line === '' || line.startsWith('#') || line.startsWith('!')) continue;
+
+            // 以奇数个反斜杠结尾的行延续到下一行
+            let end = i;
+            while (end + 1 < lines.length && /(^|[^\\])(\\\\)*\\$/.test(lines[end])) {
+                end++;
+            }
+            const key = /^((?:[^\\=:\s]|\\.)+)/.exec(line);
+            entries.push(this._node(key ? key[1] : line, i, end));
+            i = end;
+        }
+
+        const children = [];
+        for (const entry of entries) {
+            const prefix = entry.path.split('.')[0];
+            const previous = children[children.length - 1];
+            if (previous && previous.prefix === prefix) {
+                previous.node.children.push(entry);
+                previous.node.end = entry.end;
+            } else {
+                children.push({
+                    prefix,
+                    node: this._node(prefix, entry.start, entry.end, [entry]),
+                });
+            }
+        }
+
+        return this._node(
+            '',
+            0,
+            lines.length - 1,
+            children.map(({ node }) => (node.children.length === 1 ? node.children[0] : node)),
+            false
+        );
+    }
+}
+
+module.exports = ConfigParser;
@@ -0,0 +1,352 @@
+const BaseParser = require('./BaseParser');
+const path = require('path');
+
+// 未在 languageMapping 中配置时按扩展名识别文档格式
+const DOCUMENT_FORMATS = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.mdx': 'markdown',
+    '.rst': 'restructuredtext',
+    '.rest': 'restructuredtext',
+};
+
+// 面包屑中各级标题的分隔符
+const BREADCRUMB_SEPARATOR = ' > ';
+
+const MD_FENCE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const MD_ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/;
+const MD_SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const MD_BLOCK_START = /^ {0,3}(?:[-+*>]|\d{1,9}[.)])(?:[ \t]|$)/;
+const MD_FRONT_MATTER = { '---': 'yaml', '+++': 'toml' };
+
+const RST_ADORNMENT = /^([!-/:-@[-`{-~])\1+[ \t]*$/;
+const RST_CODE_DIRECTIVE = /^([ \t]*)\.\.[ \t]+(?:code-block|code|sourcecode)::[ \t]*(\S*)/;
+
+/**
+ * Markdown、reStructuredText 等文档的解析器
+ *
+ * 按标题层级分块：每个标题到下一个标题之间为一个章节，只有标题的父章节与其第一个子章节合并。
+ * 代码块不会被拆开，章节超过大小限制时在段落之间拆分。每个代码块附带 section 元数据：
+ * { title, level, breadcrumb, codeLanguages }，breadcrumb 形如 'Install > Linux > Proxy'。
+ */
+class DocumentParser extends BaseParser {
+    async parse(filePath, content) {
+        if (!content || content.trim().length === 0) {
+            return [];
+        }
+
+        const language = this._detectLanguage(filePath);
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        const { headings, codeBlocks } =
+            language === 'restructuredtext' ? this._scanRst(lines) : this._scanMarkdown(lines);
+
+        const chunks = [];
+        for (const section of this._buildSections(lines, headings)) {
+            chunks.push(...this._chunkSection(lines, section, codeBlocks, filePath, language));
+        }
+        return chunks;
+    }
+
+    // 内部方法
+
+    _detectLanguage(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        const languageMapping = this.config.languageMapping || {};
+        return languageMapping[extension] || DOCUMENT_FORMATS[extension] || 'markdown';
+    }
+
+    /**
+     * 扫描 Markdown 的 ATX/Setext 标题和围栏代码块，文件开头的 front matter 视为代码块
+     * @returns {{headings: Array<{start: number, end: number, level: number, title: string}>, codeBlocks: Array<{start: number, end: number, language: string}>}}
+     */
+    _scanMarkdown(lines) {
+        const headings = [];
+        const codeBlocks = [];
+        let i = 0;
+
+        const frontMatterLanguage = MD_FRONT_MATTER[lines[0].trimEnd()];
+        if (frontMatterLanguage) {
+            const end = lines.findIndex(
+                (line, index) => index > 0 && line.trimEnd() === lines[0].trimEnd()
+            );
+            if (end > 0) {
+                codeBlocks.push({ start: 0, end, language: frontMatterLanguage });
+                i = end + 1;
+            }
+        }
+
+        for (; i < lines.length; i++) {
+            const line = lines[i];
+
+            const fence = MD_FENCE.exec(line);
+            if (fence && !(fence[1][0] === '`' && fence[2].includes('`'))) {
+                const end = this._findFenceEnd(lines, i, fence[1]);
+                codeBlocks.push({ start: i, end, language: this._fenceLanguage(fence[2]) });
+                i = end;
+                continue;
+            }
+
+            const atx = MD_ATX_HEADING.exec(line);
+            if (atx) {
+                // 去掉可选的结尾 # 序列
+                const title = (atx[2] || '').replace(/(?:^|[ \t]+)#+[ \t]*$/, '').trim();
+                headings.push({ start: i, end: i, level: atx[1].length, title });
+                continue;
+            }
+
+            // Setext 标题只认单行段落，避免把列表项、引用下的 --- 当成标题
+            const underline = i + 1 < lines.length && MD_SETEXT_UNDERLINE.exec(lines[i + 1]);
+            if (
+                underline &&
+                line.trim() !== '' &&
+                !/^( {4}|\t)/.test(line) &&
+                !MD_BLOCK_START.test(line) &&
+                (i === 0 || lines[i - 1].trim() === '')
+            ) {
+                headings.push({
+                    start: i,
+                    end: i + 1,
+                    level: underline[1][0] === '=' ? 1 : 2,
+                    title: line.trim(),
+                });
+                i++;
+            }
+        }
+
+        return { headings, codeBlocks };
+    }
+
+    // 结束围栏使用相同字符且长度不短于开始围栏，未闭合时延续到文件末尾
+    _findFenceEnd(lines, start, marker) {
+        const closing = new RegExp(`^ {0,3}${marker[0]}{${marker.length},}[ \\t]*$`);
+        for (let i = start + 1; i < lines.length; i++) {
+            if (closing.test(lines[i])) {
+                return i;
+            }
+        }
+        return lines.length - 1;
+    }
+
+    // 信息字符串的第一个词为语言，兼容 {.python}、{python} 写法
+    _fenceLanguage(info) {
+        const [word = ''] = info.split(/[\s{},]+/).filter(Boolean);
+        return word.replace(/^\./, '').toLowerCase();
+    }
+
+    /**
+     * 扫描 reStructuredText 的标题和代码块。标题级别由装饰样式（字符、是否有上划线）首次出现的顺序决定
+     */
+    _scanRst(lines) {
+        const headings = [];
+        const codeBlocks = [];
+        const styles = [];
+        const levelOf = style => {
+            if (!styles.includes(style)) styles.push(style);
+            return styles.indexOf(style) + 1;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            const directive = RST_CODE_DIRECTIVE.exec(line);
+            if (directive) {
+                const end = this._findIndentedBlockEnd(lines, i, directive[1].length);
+                codeBlocks.push({ start: i, end, language: directive[2].toLowerCase() });
+                i = end;
+                continue;
+            }
+
+            // 以 :: 结尾的段落之后的缩进内容为字面量块，不标注语言
+            if (/::[ \t]*$/.test(line) && !/^[ \t]*\.\./.test(line)) {
+                const indent = line.match(/^[ \t]*/)[0].length;
+                const end = this._findIndentedBlockEnd(lines, i, indent);
+                if (end > i) {
+                    codeBlocks.push({ start: i + 1, end, language: '' });
+                    i = end;
+                }
+                continue;
+            }
+
+            const overline = RST_ADORNMENT.exec(line);
+            if (
+                overline &&
+                i + 2 < lines.length &&
+                lines[i + 1].trim() !== '' &&
+                !RST_ADORNMENT.test(lines[i + 1]) &&
+                lines[i + 2].trim() === line.trim()
+            ) {
+                const level = levelOf(`over${overline[1]}`);
+                headings.push({ start: i, end: i + 2, level, title: lines[i + 1].trim() });
+                i += 2;
+                continue;
+            }
+
+            const underline = i + 1 < lines.length && RST_ADORNMENT.exec(lines[i + 1]);
+            if (
+                underline &&
+                /^\S/.test(line) &&
+                !RST_ADORNMENT.test(line) &&
+                (i === 0 || lines[i - 1].trim() === '')
+            ) {
+                const level = levelOf(`under${underline[1]}`);
+                headings.push({ start: i, end: i + 1, level, title: line.trim() });
+                i++;
+            }
+        }
+
+        return { headings, codeBlocks };
+    }
+
+    // 返回 start 之后缩进大于 indent 的连续内容的最后一行，其中可以有空行
+    _findIndentedBlockEnd(lines, start, indent) {
+        let end = start;
+        for (let i = start + 1; i < lines.length; i++) {
+            if (lines[i].trim() === '') continue;
+            if (lines[i].match(/^[ \t]*/)[0].length <= indent) break;
+            end = i;
+        }
+        return end;
+    }
+
+    /**
+     * 按标题划分章节，并为每个章节计算标题面包屑
+     * @returns {Array<{start: number, end: number, title: string, level: number, breadcrumb: string}>}
+     */
+    _buildSections(lines, headings) {
+        const sections = [];
+        const firstStart = headings.length > 0 ? headings[0].start : lines.length;
+        if (firstStart > 0) {
+            sections.push({ start: 0, end: firstStart - 1, title: '', level: 0, breadcrumb: '' });
+        }
+
+        const stack = [];
+        headings.forEach((heading, index) => {
+            while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+                stack.pop();
+            }
+            stack.push(heading);
+
+            const next = headings[index + 1];
+            const section = {
+                start: heading.start,
+                end: next ? next.start - 1 : lines.length - 1,
+                title: heading.title,
+                level: heading.level,
+                breadcrumb: stack.map(item => item.title).join(BREADCRUMB_SEPARATOR),
+            };
+
+            // 只有标题的章节并入其第一个子章节，子章节的面包屑已包含该标题
+            const previous = sections[sections.length - 1];
+            if (previous && previous.headingOnly && previous.level < section.level) {
+                section.start = previous.start;
+                sections.pop();
+            }
+            section.headingOnly = this._isBlank(lines, heading.end + 1, section.end);
+            sections.push(section);
+        });
+
+        return sections;
+    }
+
+    _chunkSection(lines, section, codeBlocks, filePath, language) {
+        let { start, end } = section;
+        while (start <= end && lines[start].trim() === '') start++;
+        while (end >= start && lines[end].trim() === '') end--;
+        if (start > end) {
+            return [];
+        }
+
+        return this._splitSection(lines, start, end, codeBlocks).map(([rangeStart, rangeEnd]) => {
+            const chunk = this._createChunk(
+                lines.slice(rangeStart, rangeEnd + 1).join('\n'),
+                rangeStart + 1,
+                rangeEnd + 1,
+                filePath,
+                language,
+                section.level > 0 ? 'section' : 'preamble'
+            );
+            chunk.section = {
+                title: section.title,
+                level: section.level,
+                breadcrumb: section.breadcrumb,
+                codeLanguages: this._codeLanguages(codeBlocks, rangeStart, rangeEnd),
+            };
+            return chunk;
+        });
+    }
+
+    // 以段落和代码块为单位拆分章节，不超过大小限制的章节保持为一个区间；单个代码块仍然过大时才按行拆分
+    _splitSection(lines, start, end, codeBlocks) {
+        // offsets[i] 为第 start 行到第 i - 1 行的字节数（含换行符），用于计算任意区间的大小
+        const offsets = [0];
+        for (let i = start; i <= end; i++) {
+            offsets.push(offsets[offsets.length - 1] + Buffer.byteLength(lines[i], 'utf8') + 1);
+        }
+        const sizeOf = (from, to) => offsets[to - start + 1] - offsets[from - start] - 1;
+
+        const units = [];
+        for (let i = start; i <= end; i++) {
+            if (lines[i].trim() === '') continue;
+
+            const block = codeBlocks.find(item => item.start <= i && item.end >= i);
+            let unitEnd = i;
+            if (block) {
+                unitEnd = Math.min(block.end, end);
+            } else {
+                while (
+                    unitEnd < end &&
+                    lines[unitEnd + 1].trim() !== '' &&
+                    !codeBlocks.some(item => item.start === unitEnd + 1)
+                ) {
+                    unitEnd++;
+                }
+            }
+            units.push([i, unitEnd]);
+            i = unitEnd;
+        }
+
+        const ranges = [];
+        let current = null;
+        for (const [unitStart, unitEnd] of units) {
+            if (current && sizeOf(current[0], unitEnd) <= this.maxChunkSize) {
+                current[1] = unitEnd;
+                continue;
+            }
+            if (current) ranges.push(current);
+
+            if (sizeOf(unitStart, unitEnd) <= this.maxChunkSize) {
+                current = [unitStart, unitEnd];
+                continue;
+            }
+            current = null;
+            let lineStart = unitStart;
+            for (let i = unitStart + 1; i <= unitEnd; i++) {
+                if (sizeOf(lineStart, i) > this.maxChunkSize) {
+                    ranges.push([lineStart, i - 1]);
+                    lineStart = i;
+                }
+            }
+            ranges.push([lineStart, unitEnd]);
+        }
+        if (current) ranges.push(current);
+
+        return ranges;
+    }
+
+    // 与该行区间有交集的代码块所标注的语言，去重并保持出现顺序
+    _codeLanguages(codeBlocks, start, end) {
+        const languages = codeBlocks
+            .filter(block => block.language && block.start <= end && block.end >= start)
+            .map(block => block.language);
+        return [...new Set(languages)];
+    }
+
+    _isBlank(lines, start, end) {
+        for (let i = start; i <= end; i++) {
+            if (lines[i].trim() !== '') return false;
+        }
+        return true;
+    }
+}
+
+module.exports = DocumentParser;
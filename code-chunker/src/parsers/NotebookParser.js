@@ -0,0 +1,149 @@
+const BaseParser = require('./BaseParser');
+const ConfigParser = require('./ConfigParser');
+
+// 需要索引的单元格类型及对应的代码块类型，raw 单元格不参与索引
+const CELL_CHUNK_TYPES = {
+    code: 'code_cell',
+    markdown: 'markdown_cell',
+};
+
+// Markdown 单元格中内嵌的 base64 图片
+const BASE64_DATA_URI = /data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g;
+
+/**
+ * Jupyter Notebook（.ipynb，nbformat 4）的解析器
+ *
+ * 每个代码单元格和 Markdown 单元格单独成块，输出结果（包括 base64 图片）不参与索引。
+ * 代码块的行号是单元格源码在 .ipynb 文件中所在的行，另外附带 cell 元数据：
+ * { index, cellType, executionCount, startLine, endLine, part }，其中 startLine/endLine 为单元格内的行号，
+ * part 为单元格内的分块序号，打开搜索结果时据此定位到单元格。
+ * 压缩成一行的 Notebook 或 source 为单个字符串的单元格中，多个代码块的文件行号相同，
+ * createChunkId 因此在代码块ID中加入单元格序号和分块序号（见 utils/chunkId.js）。
+ */
+class NotebookParser extends BaseParser {
+    constructor(config, workspacePath = null) {
+        super(config, workspacePath);
+        this.configParser = new ConfigParser(config);
+    }
+
+    async parse(filePath, content) {
+        if (!content || content.trim().length === 0) {
+            return [];
+        }
+
+        const lines = content.replace(/\r\n?/g, '\n').split('\n');
+        let notebook;
+        let root;
+        try {
+            notebook = JSON.parse(content);
+            root = this.configParser.scanJson(lines);
+        } catch (error) {
+            console.warn(`⚠️ Notebook 解析失败，跳过: ${filePath} (${error.message})`);
+            return [];
+        }
+
+        if (!Array.isArray(notebook.cells)) {
+            console.warn(
+                `⚠️ 不支持的 Notebook 格式（nbformat ${notebook.nbformat}），跳过: ${filePath}`
+            );
+            return [];
+        }
+
+        const language = this._detectLanguage(notebook);
+        const cellNodes = root.children.find(node => node.path === 'cells')?.children || [];
+        const chunks = [];
+        notebook.cells.forEach((cell, index) => {
+            const type = CELL_CHUNK_TYPES[cell.cell_type];
+            const sourceNode = cellNodes[index]?.children.find(
+                node => node.path === `cells[${index}].source`
+            );
+            if (!type || !sourceNode) return;
+
+            chunks.push(
+                ...this._chunkCell(cell, index, sourceNode, {
+                    filePath,
+                    language: cell.cell_type === 'code' ? language : 'markdown',
+                    type,
+                })
+            );
+        });
+        return chunks;
+    }
+
+    // 内部方法
+
+    _detectLanguage(notebook) {
+        const metadata = notebook.metadata || {};
+        const language = metadata.kernelspec?.language || metadata.language_info?.name || 'python';
+        return language.toLowerCase();
+    }
+
+    /**
+     * 把单元格源码切分为不超过大小限制的代码块
+     * @param {Object} sourceNode - 单元格 source 字段在文件中的位置，数组形式时每个元素一个子节点
+     */
+    _chunkCell(cell, index, sourceNode, { filePath, language, type }) {
+        const source = Array.isArray(cell.source) ? cell.source : [cell.source || ''];
+
+        // 单元格内每一行对应的文件行号；source 为单个字符串时所有行都在同一行
+        const cellLines = [];
+        const fileLines = [];
+        let pending = '';
+        source.forEach((part, partIndex) => {
+            const fileLine = (sourceNode.children[partIndex] || sourceNode).start;
+            const pieces = (pending + part).split('\n');
+            pending = pieces.pop();
+            for (const piece of pieces) {
+                cellLines.push(piece);
+                fileLines.push(fileLine);
+            }
+            if (pending !== '' && partIndex === source.length - 1) {
+                cellLines.push(pending);
+                fileLines.push(fileLine);
+            }
+        });
+
+        if (type === 'markdown_cell') {
+            for (let i = 0; i < cellLines.length; i++) {
+                cellLines[i] = cellLines[i].replace(BASE64_DATA_URI, 'data:[base64]');
+            }
+        }
+
+        const chunks = [];
+        let start = 0;
+        let size = 0;
+        for (let i = 0; i <= cellLines.length; i++) {
+            const lineSize = i < cellLines.length ? Buffer.byteLength(cellLines[i], 'utf8') + 1 : 0;
+            if (i < cellLines.length && (i === start || size + lineSize <= this.maxChunkSize)) {
+                size += lineSize;
+                continue;
+            }
+
+            const text = cellLines.slice(start, i).join('\n');
+            if (text.trim() !== '') {
+                const chunk = this._createChunk(
+                    text,
+                    fileLines[start] + 1,
+                    fileLines[i - 1] + 1,
+                    filePath,
+                    language,
+                    type
+                );
+                chunk.cell = {
+                    index,
+                    cellType: cell.cell_type,
+                    executionCount: cell.execution_count ?? null,
+                    startLine: start + 1,
+                    endLine: i,
+                    part: chunks.length,
+                };
+                chunks.push(chunk);
+            }
+            start = i;
+            size = lineSize;
+        }
+        return chunks;
+    }
+}
+
+module.exports = NotebookParser;
@@ -1,7 +1,14 @@
 const path = require('path');
-
-class ProgressTracker {
+const { EventEmitter } = require('events');
+
+/**
+ * 代码块与文件级别的处理进度
+ * 状态变化时触发事件：'file' { filePath, status, previousStatus, error }、'chunk' { chunkId, filePath, status }
+ * 文件失败时 error 为其中第一个失败代码块的原因
+ */
+class ProgressTracker extends EventEmitter {
     constructor() {
+        super();
         this.chunks = new Map();
         this.fileProgress = new Map();
 
@@ -11,6 +18,7 @@ class ProgressTracker {
         this.completedFiles = 0;
         this.processingFiles = 0;
         this.failedFiles = 0;
+        this.fileErrors = new Map(); // filePath -> 失败原因
     }
 
     registerChunk(chunkId, metadata) {
@@ -117,7 +125,10 @@ class ProgressTracker {
         return parserMap[ext] || 'default_parser';
     }
 
-    updateChunkStatus(chunkId, status) {
+    /**
+     * @param {Object} [details] - 附加信息，失败时其中的 error 记为所在文件的失败原因
+     */
+    updateChunkStatus(chunkId, status, details = null) {
         const chunk = this.chunks.get(chunkId);
         if (!chunk) {
             // 检查是否是分割代码块，如果是，尝试处理原始代码块
@@ -125,6 +136,9 @@ class ProgressTracker {
                 const originalChunkId = chunkId.replace(/_part_\d+$/, '');
                 const originalChunk = this.chunks.get(originalChunkId);
                 if (originalChunk) {
+                    if (status === 'failed') {
+                        this._recordFileError(originalChunk.filePath, details);
+                    }
                     // 找到原始代码块，更新其状态
                     this._updateSplitChunkStatus(originalChunkId, chunkId, status);
                     return;
@@ -140,8 +154,16 @@ class ProgressTracker {
         chunk.status = status;
         chunk.endTime = ['completed', 'failed'].includes(status) ? Date.now() : null;
 
+        // 处理结束的代码块不再需要内容，释放内存，避免流式处理时内存随仓库规模增长
+        if (chunk.endTime) {
+            chunk.content = '';
+            chunk.metadata = { ...chunk.metadata, content: undefined };
+        }
+
         if (status === 'processing') {
             chunk.retries++;
+        } else if (status === 'failed') {
+            this._recordFileError(chunk.filePath, details);
         }
 
         // 更新文件进度
@@ -158,6 +180,10 @@ class ProgressTracker {
         fileStats[status]++;
         }
 
+        if (oldStatus !== status) {
+            this.emit('chunk', { chunkId, filePath, status });
+        }
+
         // 新增：自动更新文件级别的状态
         this._updateFileStatusByChunks();
     }
@@ -216,6 +242,8 @@ class ProgressTracker {
                 fileStats[newOriginalStatus]++;
             }
 
+            this.emit('chunk', { chunkId: originalChunkId, filePath, status: newOriginalStatus });
+
             // 更新文件级别的状态
             this._updateFileStatusByChunks();
         }
@@ -357,6 +385,29 @@ class ProgressTracker {
                 this.failedFiles++;
                 break;
         }
+
+        if (oldStatus !== status) {
+            this.emit('file', {
+                filePath,
+                status,
+                previousStatus: oldStatus || null,
+                error: status === 'failed' ? this.fileErrors.get(filePath) || null : null,
+            });
+        }
+    }
+
+    /**
+     * 获取处理失败的文件及失败原因
+     * @returns {Array<{filePath: string, error: string|null}>}
+     */
+    getFailedFiles() {
+        const failed = [];
+        for (const [filePath, status] of this.fileStatus.entries()) {
+            if (status === 'failed') {
+                failed.push({ filePath, error: this.fileErrors.get(filePath) || null });
+            }
+        }
+        return failed;
     }
 
     /**
@@ -400,6 +451,17 @@ class ProgressTracker {
         return details;
     }
 
+    // 只保留文件中第一个失败代码块的原因
+    _recordFileError(filePath, details) {
+        if (!details || this.fileErrors.has(filePath)) return;
+        const error = details.error;
+        const reason =
+            typeof error === 'string' ? error : error?.message || (error ? String(error) : '');
+        if (reason) {
+            this.fileErrors.set(filePath, reason);
+        }
+    }
+
     /**
      * 根据文件中的chunks来自动更新文件状态
      * 当文件中所有chunks都完成时，文件状态自动变为completed
@@ -0,0 +1,294 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+
+const INDEX_VERSION = 5;
+
+/**
+ * 基于BM25的本地倒排索引
+ * 与向量索引使用相同的代码块构建，用于精确匹配标识符、错误信息等字面内容
+ */
+class LexicalIndex {
+    /**
+     * @param {Object} options
+     * @param {string} [options.persistencePath] - 索引保存目录，不设置时只保存在内存中
+     * @param {string} [options.fileName] - 索引文件名
+     * @param {number} [options.k1=1.2] - BM25词频饱和参数
+     * @param {number} [options.b=0.75] - BM25文档长度归一化参数
+     */
+    constructor(options = {}) {
+        this.persistencePath = options.persistencePath || null;
+        this.fileName = options.fileName || 'lexical-index.json.gz';
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+
+        this.documents = new Map(); // 文档ID -> { filePath, startLine, endLine, language, symbol, section, keyPath, cell, content, length, termFreqs }
+        this.postings = new Map(); // 词项 -> Map(文档ID -> 词频)
+        this.fileDocuments = new Map(); // 文件路径 -> Set(文档ID)
+        this.totalLength = 0;
+        this.persisted = false; // 磁盘上是否存在索引文件
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * 将代码标识符拆分为检索词项
+     * 完整标识符与 camelCase / snake_case 拆分后的子词都会被索引，中文按单字切分
+     */
+    static tokenize(text) {
+        if (!text) return [];
+
+        const tokens = [];
+        const words = String(text).match(/[A-Za-z0-9_$]+|[一-鿿]/g) || [];
+
+        for (const word of words) {
+            const identifier = word.replace(/^[_$]+|[_$]+$/g, '');
+            if (!identifier) continue;
+
+            const lower = identifier.toLowerCase();
+            if (lower.length > 64) continue; // 过长的通常是哈希、base64等无意义内容
+
+            tokens.push(lower);
+
+            const parts = identifier
+                .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+                .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+                .split(/[\s_$]+/);
+            if (parts.length > 1) {
+                for (const part of parts) {
+                    if (part.length > 1) tokens.push(part.toLowerCase());
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 加入代码块，同一文件已有的文档会先被替换
+     * @param {Array<Object>} chunks - 分块结果（需包含 id、filePath、content）
+     */
+    addChunks(chunks) {
+        const filePaths = new Set(chunks.map(chunk => chunk.filePath).filter(Boolean));
+        this.removeFiles(Array.from(filePaths));
+
+        for (const chunk of chunks) {
+            if (!chunk.id || !chunk.filePath || !chunk.content) continue;
+
+            const termFreqs = Object.create(null);
+            let length = 0;
+            // 文件路径、符号限定名、文档注释、章节面包屑和配置键路径同样参与检索，便于按文件名、类名或上级标题查找
+            const symbolText = chunk.symbol
+                ? `${chunk.symbol.qualifiedName}\n${chunk.symbol.docComment || ''}`
+                : '';
+            const sectionText = chunk.section ? chunk.section.breadcrumb : '';
+            const text = `${chunk.filePath}\n${symbolText}\n${sectionText}\n${chunk.keyPath || ''}\n${chunk.content}`;
+            for (const token of LexicalIndex.tokenize(text)) {
+                termFreqs[token] = (termFreqs[token] || 0) + 1;
+                length++;
+            }
+
+            this._addDocument(chunk.id, {
+                filePath: chunk.filePath,
+                startLine: chunk.startLine || 0,
+                endLine: chunk.endLine || 0,
+                language: chunk.language || '',
+                parser: chunk.parser || '',
+                type: chunk.type || '',
+                symbol: chunk.symbol || null,
+                section: chunk.section || null,
+                keyPath: chunk.keyPath ?? null,
+                cell: chunk.cell || null,
+                content: chunk.content,
+                length,
+                termFreqs,
+            });
+        }
+    }
+
+    /**
+     * 删除指定文件的所有文档
+     * @returns {number} 删除的文档数量
+     */
+    removeFiles(filePaths) {
+        let removed = 0;
+        for (const filePath of filePaths) {
+            const docIds = this.fileDocuments.get(filePath);
+            if (!docIds) continue;
+
+            for (const docId of docIds) {
+                this._removeDocument(docId);
+                removed++;
+            }
+            this.fileDocuments.delete(filePath);
+        }
+        return removed;
+    }
+
+    clear() {
+        this.documents.clear();
+        this.postings.clear();
+        this.fileDocuments.clear();
+        this.totalLength = 0;
+    }
+
+    /**
+     * BM25检索
+     * @param {string} query - 查询文本
+     * @param {number} topK - 返回数量
+     * @param {Function} [predicate] - 文档过滤函数，在截取topK之前过滤
+     * @returns {Array<{id: string, score: number, document: Object}>} 按分数降序排列
+     */
+    search(query, topK = 10, predicate = null) {
+        const queryTerms = Array.from(new Set(LexicalIndex.tokenize(query)));
+        if (queryTerms.length === 0 || this.documents.size === 0) return [];
+
+        const docCount = this.documents.size;
+        const avgLength = this.totalLength / docCount || 1;
+        const scores = new Map();
+        const accepted = new Map(); // 每个文档只判断一次过滤条件
+
+        for (const term of queryTerms) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+
+            const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+            for (const [docId, tf] of posting) {
+                const doc = this.documents.get(docId);
+                if (predicate) {
+                    if (!accepted.has(docId)) accepted.set(docId, predicate(doc));
+                    if (!accepted.get(docId)) continue;
+                }
+                const norm = this.k1 * (1 - this.b + (this.b * doc.length) / avgLength);
+                const termScore = (idf * tf * (this.k1 + 1)) / (tf + norm);
+                scores.set(docId, (scores.get(docId) || 0) + termScore);
+            }
+        }
+
+        return Array.from(scores, ([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK)
+            .map(result => ({ ...result, document: this.documents.get(result.id) }));
+    }
+
+    /**
+     * 按文件位置查找文档，用于给缺少元数据的向量检索结果补全语言、类型等信息
+     * 多个文档位于相同的行（如压缩成一行的 Notebook 中的各单元格）时按内容区分
+     * @param {string} [content] - 代码块内容，没有内容相同的文档时返回该位置的第一个文档
+     */
+    getDocumentAt(filePath, startLine, endLine, content = null) {
+        let found = null;
+        for (const docId of this.fileDocuments.get(filePath) || []) {
+            const doc = this.documents.get(docId);
+            if (doc.startLine !== startLine || doc.endLine !== endLine) continue;
+            if (!content || doc.content === content) return doc;
+            found = found || doc;
+        }
+        return found;
+    }
+
+    /**
+     * 从磁盘加载索引，文件不存在或版本不兼容时保持为空
+     */
+    async load() {
+        if (!this.persistencePath) return false;
+
+        const indexPath = path.join(this.persistencePath, this.fileName);
+        let data;
+        try {
+            const buffer = await fs.readFile(indexPath);
+            data = JSON.parse(zlib.gunzipSync(buffer).toString());
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️ 词法索引加载失败，将重新构建: ${error.message}`);
+            }
+            return false;
+        }
+
+        if (data.version !== INDEX_VERSION) {
+            return false;
+        }
+
+        this.clear();
+        for (const doc of data.documents || []) {
+            const { id, termFreqs, ...rest } = doc;
+            this._addDocument(id, {
+                ...rest,
+                termFreqs: Object.assign(Object.create(null), termFreqs),
+            });
+        }
+        this.persisted = true;
+        return true;
+    }
+
+    async save() {
+        if (!this.persistencePath) return false;
+
+        const documents = [];
+        for (const [id, doc] of this.documents) {
+            documents.push({ id, ...doc });
+        }
+
+        await fs.mkdir(this.persistencePath, { recursive: true });
+        const indexPath = path.join(this.persistencePath, this.fileName);
+        const tempPath = `${indexPath}.tmp`;
+        await fs.writeFile(
+            tempPath,
+            zlib.gzipSync(JSON.stringify({ version: INDEX_VERSION, documents }))
+        );
+        await fs.rename(tempPath, indexPath);
+        this.persisted = true;
+        return true;
+    }
+
+    async delete() {
+        this.clear();
+        this.persisted = false;
+        if (!this.persistencePath) return;
+        await fs.rm(path.join(this.persistencePath, this.fileName), { force: true });
+    }
+
+    // 内部方法
+    _addDocument(id, doc) {
+        if (this.documents.has(id)) {
+            this._removeDocument(id);
+        }
+
+        this.documents.set(id, doc);
+        this.totalLength += doc.length;
+
+        for (const [term, tf] of Object.entries(doc.termFreqs)) {
+            let posting = this.postings.get(term);
+            if (!posting) {
+                posting = new Map();
+                this.postings.set(term, posting);
+            }
+            posting.set(id, tf);
+        }
+
+        if (!this.fileDocuments.has(doc.filePath)) {
+            this.fileDocuments.set(doc.filePath, new Set());
+        }
+        this.fileDocuments.get(doc.filePath).add(id);
+    }
+
+    _removeDocument(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return;
+
+        for (const term of Object.keys(doc.termFreqs)) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+            posting.delete(id);
+            if (posting.size === 0) this.postings.delete(term);
+        }
+
+        this.documents.delete(id);
+        this.totalLength -= doc.length;
+        this.fileDocuments.get(doc.filePath)?.delete(id);
+    }
+}
+
+module.exports = LexicalIndex;
@@ -0,0 +1,45 @@
+/**
+ * 倒数排名融合（Reciprocal Rank Fusion）
+ * 只依赖各路结果的排名，无需把向量相似度与BM25分数归一化到同一尺度
+ *
+ * @param {Array<{results: Array, weight?: number}>} rankings - 各路已排序的结果
+ * @param {Object} options
+ * @param {Function} options.getKey - 生成结果唯一键，用于合并不同来源的同一结果
+ * @param {number} [options.k=60] - 平滑常数，越大排名靠后的结果权重衰减越慢
+ * @returns {Array<{key: string, score: number, items: Array, ranks: Array<number|null>}>}
+ *   score 已归一化到 0~1，所有来源均排第一时为1
+ */
+function reciprocalRankFusion(rankings, { getKey, k = 60 }) {
+    const fused = new Map();
+    let maxScore = 0;
+
+    rankings.forEach(({ results, weight = 1 }, source) => {
+        maxScore += weight / (k + 1);
+
+        results.forEach((item, index) => {
+            const key = getKey(item);
+            let entry = fused.get(key);
+            if (!entry) {
+                entry = {
+                    key,
+                    score: 0,
+                    items: new Array(rankings.length).fill(null),
+                    ranks: new Array(rankings.length).fill(null),
+                };
+                fused.set(key, entry);
+            }
+            // 同一来源中重复出现时只计最高排名
+            if (entry.ranks[source] !== null) return;
+
+            entry.score += weight / (k + index + 1);
+            entry.items[source] = item;
+            entry.ranks[source] = index + 1;
+        });
+    });
+
+    return Array.from(fused.values())
+        .map(entry => ({ ...entry, score: maxScore > 0 ? entry.score / maxScore : 0 }))
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = { reciprocalRankFusion };
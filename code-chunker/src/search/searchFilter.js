@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+const LIST_FIELDS = ['language', 'include', 'exclude', 'type', 'parser', 'symbol'];
+const GLOB_CHARS = /[*?[\]{}!]/;
+
+/**
+ * 搜索过滤条件
+ *
+ * 支持的字段（均可选，多个字段之间为"且"关系，列表字段内为"或"关系）：
+ *   language      {string|string[]}  语言，如 'python'、['java', 'go']
+ *   include       {string|string[]}  文件路径（相对工作空间）需匹配的glob，如 'src/**'
+ *   exclude       {string|string[]}  需排除的文件路径glob
+ *   type          {string|string[]}  代码块类型，如 'class'、'function'
+ *   parser        {string|string[]}  生成代码块的解析器，如 'python_parser'
+ *   symbol        {string|string[]}  代码块定义的符号，匹配名称或限定名的结尾，如 'findById'、
+ *                                    'UserService.findById'，支持glob如 'UserService.*'
+ *   modifiedSince {string|number}    文件最近修改时间下限，ISO时间字符串或毫秒时间戳
+ *   lineRange     {{start?: number, end?: number}}  代码块需与该行号区间有交集
+ *
+ * 行号区间与明确的 include 文件路径会下推到向量数据库，本地数据库还会下推语言/类型/解析器；
+ * 其余条件在取回结果后过滤
+ */
+class SearchFilter {
+    constructor(conditions) {
+        this.language = conditions.language || null;
+        this.include = conditions.include || null;
+        this.exclude = conditions.exclude || null;
+        this.type = conditions.type || null;
+        this.parser = conditions.parser || null;
+        this.symbol = conditions.symbol || null;
+        this.modifiedSince = conditions.modifiedSince || null;
+        this.lineRange = conditions.lineRange || null;
+    }
+
+    /**
+     * 校验并规范化请求中的过滤条件
+     * @returns {SearchFilter|null} 没有任何有效条件时返回null
+     * @throws {Error} 条件格式不正确时抛出 "Invalid search filter" 错误
+     */
+    static from(raw) {
+        if (raw === undefined || raw === null) return null;
+        if (raw instanceof SearchFilter) return raw;
+        if (typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('Invalid search filter: filter must be an object');
+        }
+
+        const conditions = {};
+        for (const field of LIST_FIELDS) {
+            if (raw[field] === undefined || raw[field] === null) continue;
+
+            const values = Array.isArray(raw[field]) ? raw[field] : [raw[field]];
+            if (values.some(value => typeof value !== 'string' || value.trim() === '')) {
+                throw new Error(
+                    `Invalid search filter: ${field} must be a string or an array of strings`
+                );
+            }
+            if (values.length > 0) {
+                // 语言、类型、解析器、符号不区分大小写；路径glob保持原样
+                conditions[field] = ['include', 'exclude'].includes(field)
+                    ? values.map(value => value.trim().replace(/\\/g, '/').replace(/^\.\//, ''))
+                    : values.map(value => value.trim().toLowerCase());
+            }
+        }
+
+        if (raw.modifiedSince !== undefined && raw.modifiedSince !== null) {
+            const timestamp =
+                typeof raw.modifiedSince === 'number'
+                    ? raw.modifiedSince
+                    : Date.parse(raw.modifiedSince);
+            if (!Number.isFinite(timestamp)) {
+                throw new Error(
+                    'Invalid search filter: modifiedSince must be an ISO date string or a timestamp'
+                );
+            }
+            conditions.modifiedSince = timestamp;
+        }
+
+        if (raw.lineRange !== undefined && raw.lineRange !== null) {
+            const { start, end } = raw.lineRange;
+            const isLine = value => value === undefined || (Number.isInteger(value) && value >= 0);
+            if (typeof raw.lineRange !== 'object' || !isLine(start) || !isLine(end)) {
+                throw new Error(
+                    'Invalid search filter: lineRange must be { start?: number, end?: number }'
+                );
+            }
+            if (start !== undefined && end !== undefined && start > end) {
+                throw new Error('Invalid search filter: lineRange.start must not exceed end');
+            }
+            if (start !== undefined || end !== undefined) {
+                conditions.lineRange = { start, end };
+            }
+        }
+
+        return Object.keys(conditions).length > 0 ? new SearchFilter(conditions) : null;
+    }
+
+    /**
+     * 生成可下推到向量数据库的过滤对象
+     * 格式与 TencentVectorDB._convertFilterToTencentFormat / LocalVectorDB 的过滤条件一致
+     * @param {Object} [options]
+     * @param {boolean} [options.supportsMetadata=false] - 数据库文档中是否保存了 language/type/parser 字段
+     * @returns {Object|null}
+     */
+    toDatabaseFilter({ supportsMetadata = false } = {}) {
+        const filter = {};
+
+        // 代码块 [start_line, end_line] 与区间 [start, end] 有交集
+        if (this.lineRange?.end !== undefined) {
+            filter.start_line = { $lte: this.lineRange.end };
+        }
+        if (this.lineRange?.start !== undefined) {
+            filter.end_line = { $gte: this.lineRange.start };
+        }
+
+        // include 全部是明确的文件路径（带扩展名、不含通配符）时可精确匹配，目录前缀无法下推
+        if (
+            this.include &&
+            this.include.every(pattern => !GLOB_CHARS.test(pattern) && path.extname(pattern))
+        ) {
+            filter.file_path = this.include;
+        }
+
+        if (supportsMetadata) {
+            if (this.language) filter.language = this.language;
+            if (this.type) filter.type = this.type;
+            if (this.parser) filter.parser = this.parser;
+        }
+
+        return Object.keys(filter).length > 0 ? filter : null;
+    }
+
+    /**
+     * 判断代码块是否满足除修改时间以外的条件
+     * @param {{filePath: string, startLine: number, endLine: number, language?: string, type?: string, parser?: string, symbol?: Object}} target
+     */
+    matches(target) {
+        const filePath = (target.filePath || '').replace(/\\/g, '/');
+
+        if (this.language && !this.language.includes((target.language || '').toLowerCase())) {
+            return false;
+        }
+        if (this.type && !this.type.includes((target.type || '').toLowerCase())) {
+            return false;
+        }
+        if (this.parser && !this.parser.includes((target.parser || '').toLowerCase())) {
+            return false;
+        }
+        if (
+            this.symbol &&
+            !this.symbol.some(pattern => this._matchSymbol(target.symbol, pattern))
+        ) {
+            return false;
+        }
+        if (this.include && !this.include.some(pattern => this._matchPath(filePath, pattern))) {
+            return false;
+        }
+        if (this.exclude && this.exclude.some(pattern => this._matchPath(filePath, pattern))) {
+            return false;
+        }
+        if (this.lineRange) {
+            const { start, end } = this.lineRange;
+            if (end !== undefined && (target.startLine || 0) > end) return false;
+            if (start !== undefined && (target.endLine || 0) < start) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 过滤搜索结果
+     * @param {Array} results - 搜索结果
+     * @param {Object} options
+     * @param {string} options.workspacePath - 用于解析文件修改时间
+     * @param {Function} options.describe - 将结果转换为 matches() 所需的目标对象
+     */
+    async apply(results, { workspacePath, describe }) {
+        const matched = results.filter(result => this.matches(describe(result)));
+        if (!this.modifiedSince) return matched;
+
+        // 同一文件的多个代码块只读取一次修改时间
+        const mtimes = new Map();
+        const filtered = [];
+        for (const result of matched) {
+            const { filePath } = describe(result);
+            if (!mtimes.has(filePath)) {
+                const fullPath = path.isAbsolute(filePath)
+                    ? filePath
+                    : path.join(workspacePath, filePath);
+                mtimes.set(
+                    filePath,
+                    await fs.stat(fullPath).then(
+                        stats => stats.mtimeMs,
+                        () => null
+                    )
+                );
+            }
+            const mtime = mtimes.get(filePath);
+            if (mtime !== null && mtime >= this.modifiedSince) {
+                filtered.push(result);
+            }
+        }
+        return filtered;
+    }
+
+    _matchSymbol(symbol, pattern) {
+        if (!symbol || !symbol.name) return false;
+
+        // 匹配限定名按 . 分段的任意后缀，UserService.findById 可以匹配 com.example.UserService.findById
+        const parts = (symbol.qualifiedName || symbol.name).toLowerCase().split('.');
+        return parts.some((_, index) => {
+            const name = parts.slice(index).join('.');
+            return GLOB_CHARS.test(pattern) ? minimatch(name, pattern) : name === pattern;
+        });
+    }
+
+    _matchPath(filePath, pattern) {
+        // 目录前缀（如 'src' 或 'src/'）视为该目录下的所有文件
+        if (!GLOB_CHARS.test(pattern)) {
+            const prefix = pattern.replace(/\/+$/, '');
+            return filePath === prefix || filePath.startsWith(`${prefix}/`);
+        }
+        return minimatch(filePath, pattern, { dot: true, matchBase: !pattern.includes('/') });
+    }
+}
+
+module.exports = SearchFilter;
@@ -1,8 +1,9 @@
 const axios = require('axios');
 const ProgressTracker = require('./progressTracker');
 const VectorManager = require('./vectorManager');
-const EmbeddingClient = require('./vectorManager/embedding/embeddingClient');
+const { createEmbeddingClient } = require('./vectorManager/embedding');
 const config = require('./config');
+const { createCollectionName } = require('./utils/collectionNameUtils');
 
 class Sender {
     constructor(
@@ -15,14 +16,20 @@ class Sender {
         this.config = senderConfig || config.getAll();
         this.progressTracker = progressTracker;
         this.performanceAnalyzer = performanceAnalyzer;
+        this.signal = this.config.signal || null; // 取消信号，每组批次发送前检查
 
         // 确保必要的API锁定配置存在
         this.config.userId = this.config.userId || 'user123';
         this.config.deviceId = this.config.deviceId || 'device123';
         this.config.workspacePath = this.config.workspacePath || process.cwd();
 
-        // 初始化嵌入客户端
-        this.embeddingClient = new EmbeddingClient({
+        // 初始化嵌入客户端（远程嵌入服务或本地模型，由 vectorManager.embedding.provider 决定）
+        const embeddingConfig = this.config.vectorManager?.embedding || {};
+        this.embeddingClient = createEmbeddingClient({
+            provider: embeddingConfig.provider,
+            local: embeddingConfig.local,
+            protocol: embeddingConfig.protocol,
+            compatible: embeddingConfig.compatible,
             apiEndpoint: this.config.apiEndpoint,
             token: this.config.token,
             timeout: this.config.timeout,
@@ -523,6 +530,20 @@ class Sender {
                     return false;
                 }
 
+                // 本地向量数据库：直接写入本地索引，不调用远程upsert接口
+                const localVectorDB = this._getLocalVectorDB();
+                if (localVectorDB) {
+                    return await this._storeVectorLocally(localVectorDB, result, originalChunk);
+                }
+
+                // 本地模型和兼容协议的嵌入服务没有 upsert 接口，向量维度也与后端集合不一致
+                if (!this.embeddingClient.supportsUpsert) {
+                    console.warn(
+                        `⚠️ 当前嵌入服务需要配合本地向量数据库 (VECTOR_DB_TYPE=local)，跳过 Chunk: ${result.chunkId}`
+                    );
+                    return false;
+                }
+
                 // 生成锁定键：基于snippet_id + user_id + device_id
                 const lockKey = `${result.chunkId}_${this.config.userId}_${this.config.deviceId}`;
 
@@ -837,85 +858,117 @@ class Sender {
 
     async sendChunks(chunks, merkleRootHash) {
         // 注意：merkleRootHash参数已不再使用，保留仅为向后兼容
+        return this.sendChunkStream(chunks);
+    }
 
+    /**
+     * 流式发送代码块：按 batchSize 组批，最多 maxConcurrentBatches 个批次同时生成向量并写入数据库
+     * 从异步数据源（如解析阶段的输出队列）读取时，发送跟不上会让上游等待，不会积压全部代码块
+     * @param {Array|AsyncIterable} chunkSource - 代码块数组或异步迭代器
+     * @returns {Promise<Object>} 批次统计
+     */
+    async sendChunkStream(chunkSource) {
         // 开始计时：Sender初始化和准备
         if (this.performanceAnalyzer) {
             this.performanceAnalyzer.startModuleTimer('sender', 'initTime');
             this.performanceAnalyzer.recordMemoryUsage('sender_start');
         }
 
-        // 检查是否为测试模式，跳过网络请求
-        if (process.env.NODE_ENV === 'development' && this.config.testMode !== false) {
-            // 更新进度跟踪器状态
-            if (this.progressTracker) {
-                chunks.forEach(chunk => {
+        // 检查是否为测试模式，跳过网络请求（本地嵌入模型不访问网络，照常生成向量）
+        if (
+            process.env.NODE_ENV === 'development' &&
+            this.config.testMode !== false &&
+            this.embeddingClient.provider !== 'local'
+        ) {
+            let chunkCount = 0;
+            for await (const chunk of chunkSource) {
+                chunkCount++;
+                // 更新进度跟踪器状态
+                if (this.progressTracker) {
                     this.progressTracker.updateChunkStatus(chunk.id, 'completed', {
                         testMode: true,
                         skippedNetworkRequest: true,
                         timestamp: new Date().toISOString(),
                     });
-                });
+                }
             }
 
+            const batchCount = Math.ceil(chunkCount / this.batchSize);
             return {
-                totalBatches: Math.ceil(chunks.length / this.batchSize),
-                successful: Math.ceil(chunks.length / this.batchSize),
+                totalBatches: batchCount,
+                successful: batchCount,
                 failed: 0,
                 asyncPending: 0,
-                completedImmediately: Math.ceil(chunks.length / this.batchSize),
+                completedImmediately: batchCount,
                 testMode: true,
-                results: [],
             };
         }
 
-        // 开始计时：数据准备
+        // 结束初始化，开始发送
         if (this.performanceAnalyzer) {
             this.performanceAnalyzer.endModuleTimer('sender', 'initTime');
-            this.performanceAnalyzer.startModuleTimer('sender', 'prepareTime');
-        }
-
-        const batches = [];
-        for (let i = 0; i < chunks.length; i += this.batchSize) {
-            batches.push(chunks.slice(i, i + this.batchSize));
-        }
-
-        // 结束数据准备，开始发送
-        if (this.performanceAnalyzer) {
-            this.performanceAnalyzer.endModuleTimer('sender', 'prepareTime');
             this.performanceAnalyzer.startModuleTimer('sender', 'sendTime');
         }
 
-        // 并发发送所有批次，但控制并发数（降低并发以提高成功率）
+        // 控制同时进行的批次数（降低并发以提高成功率）
         const maxConcurrentBatches = this.config.maxConcurrentBatches || 1;
-        const results = [];
+        const inFlight = new Set();
+        const stats = {
+            totalBatches: 0,
+            successful: 0,
+            failed: 0,
+            asyncPending: 0,
+            completedImmediately: 0,
+        };
 
-        for (let i = 0; i < batches.length; i += maxConcurrentBatches) {
-            const currentBatches = batches.slice(i, i + maxConcurrentBatches);
-            const batchPromises = currentBatches.map(batch => this._sendBatch(batch));
-            const batchResults = await Promise.allSettled(batchPromises);
-            results.push(...batchResults);
-        }
+        const sendBatch = async batch => {
+            this.signal?.throwIfAborted();
+            while (inFlight.size >= maxConcurrentBatches) {
+                await Promise.race(inFlight);
+            }
+
+            const batchIndex = stats.totalBatches++;
+            const sending = this._sendBatch(batch)
+                .then(
+                    result => {
+                        stats.successful++;
+                        if (result.status === 'accepted') stats.asyncPending++;
+                        if (result.status === 'completed') stats.completedImmediately++;
+                    },
+                    error => {
+                        stats.failed++;
+                        console.error(`🔥 Batch ${batchIndex} failure:`, error?.message || error);
+                        console.error(`🔥 Batch ${batchIndex} detailed error:`, {
+                            name: error?.name,
+                            message: error?.message,
+                            stack: error?.stack,
+                            embeddingError: error?.embeddingError,
+                        });
+                    }
+                )
+                .finally(() => inFlight.delete(sending));
+            inFlight.add(sending);
+        };
 
-        // 统计结果
-        const successfulBatches = results.filter(r => r.status === 'fulfilled');
-        const failedBatches = results.filter(r => r.status === 'rejected');
-        const asyncBatches = successfulBatches.filter(r => r.value.status === 'accepted');
-        const completedBatches = successfulBatches.filter(r => r.value.status === 'completed');
+        try {
+            let batch = [];
+            for await (const chunk of chunkSource) {
+                batch.push(chunk);
+                if (batch.length >= this.batchSize) {
+                    await sendBatch(batch);
+                    batch = [];
+                }
+            }
+            if (batch.length > 0) {
+                await sendBatch(batch);
+            }
+        } finally {
+            // 出错或取消时也等待已发出的批次结束，避免处理结束后仍有写入
+            await Promise.all(inFlight);
+        }
 
-        if (failedBatches.length > 0) {
-            console.warn(`${failedBatches.length} batches failed to send`);
-            failedBatches.forEach((failure, index) => {
-                console.error(
-                    `🔥 Batch ${index} failure:`,
-                    failure.reason?.message || failure.reason
-                );
-                console.error(`🔥 Batch ${index} detailed error:`, {
-                    name: failure.reason?.name,
-                    message: failure.reason?.message,
-                    stack: failure.reason?.stack,
-                    embeddingError: failure.reason?.embeddingError,
-                });
-            });
+        if (stats.failed > 0) {
+            console.warn(`${stats.failed} batches failed to send`);
         }
 
         // 结束发送计时，开始批处理计时
@@ -926,17 +979,22 @@ class Sender {
 
         // 记录embedding生成完成统计
         if (this.performanceAnalyzer) {
-            const totalRequests = batches.length;
-            const successRequests = successfulBatches.length;
-            const failedRequests = failedBatches.length;
             this.performanceAnalyzer.endEmbeddingGeneration(
-                totalRequests,
-                successRequests,
-                failedRequests
+                stats.totalBatches,
+                stats.successful,
+                stats.failed
             );
         }
 
-        // 数据已直接发送到向量数据库，无需额外持久化
+        // 数据已直接发送到向量数据库；本地向量数据库需要将索引落盘
+        const localVectorDB = this._getLocalVectorDB();
+        if (localVectorDB) {
+            try {
+                await localVectorDB.flush();
+            } catch (error) {
+                console.error('❌ 本地向量索引保存失败:', error.message);
+            }
+        }
 
         // 结束批处理计时
         if (this.performanceAnalyzer) {
@@ -945,16 +1003,77 @@ class Sender {
         }
 
         return {
-            totalBatches: batches.length,
-            successful: successfulBatches.length,
-            failed: failedBatches.length,
-            asyncPending: asyncBatches.length,
-            completedImmediately: completedBatches.length,
+            ...stats,
             pendingAsyncRequests: Array.from(this.pendingAsyncResults.keys()),
-            results: results,
         };
     }
 
+    /**
+     * 获取已启用的本地向量数据库，未启用时返回null
+     */
+    _getLocalVectorDB() {
+        const vectorDB = this.vectorManager?.vectorDB;
+        return vectorDB && vectorDB.useLocal && vectorDB.isConnected ? vectorDB : null;
+    }
+
+    async _storeVectorLocally(vectorDB, result, originalChunk) {
+        if (result.isCompressed || !Array.isArray(result.vector)) {
+            console.warn(`⚠️ 本地向量数据库不支持压缩向量，跳过 Chunk: ${result.chunkId}`);
+            return false;
+        }
+
+        const comboKey = createCollectionName(
+            this.config.userId,
+            this.config.deviceId,
+            this.config.workspacePath
+        );
+
+        const upsertResult = await vectorDB.batchUpsert(comboKey, [
+            {
+                id: result.chunkId,
+                vector: result.vector,
+                user_id: this.config.userId,
+                device_id: this.config.deviceId,
+                workspace_path: this.config.workspacePath,
+                file_path: originalChunk.filePath || 'unknown',
+                start_line: originalChunk.startLine || 1,
+                end_line: originalChunk.endLine || 1,
+                code: originalChunk.content || '',
+                vector_model: result.modelVersion || 'CoCoSoDa-v1.0',
+                metadata: {
+                    language: originalChunk.language,
+                    parser: originalChunk.parser,
+                    type: originalChunk.type,
+                    ...(originalChunk.symbol && {
+                        symbolName: originalChunk.symbol.name,
+                        symbolKind: originalChunk.symbol.kind,
+                        symbolContainer: originalChunk.symbol.container,
+                        qualifiedName: originalChunk.symbol.qualifiedName,
+                        signature: originalChunk.symbol.signature,
+                        docComment: originalChunk.symbol.docComment,
+                    }),
+                    ...(originalChunk.section && {
+                        sectionTitle: originalChunk.section.title,
+                        sectionLevel: originalChunk.section.level,
+                        headingPath: originalChunk.section.breadcrumb,
+                        codeLanguages: originalChunk.section.codeLanguages,
+                    }),
+                    ...(originalChunk.keyPath !== undefined && { keyPath: originalChunk.keyPath }),
+                    ...(originalChunk.cell && {
+                        cellIndex: originalChunk.cell.index,
+                        cellType: originalChunk.cell.cellType,
+                        executionCount: originalChunk.cell.executionCount,
+                        cellStartLine: originalChunk.cell.startLine,
+                        cellEndLine: originalChunk.cell.endLine,
+                        cellPart: originalChunk.cell.part,
+                    }),
+                },
+            },
+        ]);
+
+        return upsertResult.success;
+    }
+
     async getPendingAsyncResults() {
         return Array.from(this.pendingAsyncResults.entries()).map(([requestId, info]) => ({
             requestId,
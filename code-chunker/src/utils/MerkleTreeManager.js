@@ -20,6 +20,9 @@ class MerkleTreeManager {
             hashAlgorithm: config.hashAlgorithm || 'sha256',
             includeMetadata: config.includeMetadata !== false,
             
+            // 影响分块结果的配置摘要，随状态保存，变化后旧代码块不再可用
+            chunkingConfig: config.chunkingConfig || null,
+            
             // 性能配置
             maxCacheAge: config.maxCacheAge || 7 * 24 * 60 * 60 * 1000, // 7天
             enableAsyncProcessing: config.enableAsyncProcessing !== false,
@@ -111,6 +114,7 @@ class MerkleTreeManager {
                 fileCount: files.length,
                 fileHashMap: Object.fromEntries(fileHashMap),
                 workspacePath: this.workspacePath,
+                chunkingConfig: this.config.chunkingConfig,
                 version: '2.0'
             };
             
@@ -0,0 +1,100 @@
+/**
+ * 有界异步队列，连接流水线中相邻的两个阶段
+ *
+ * 队列满时 push 会等待消费者取走数据，慢的下游因此会让上游暂停（反压）；
+ * 生产者结束后调用 close()，任一方出错时调用 fail(error)，等待中的 push / shift 都会收到该错误。
+ * 支持 for await...of 消费。
+ */
+class BoundedQueue {
+    /**
+     * @param {number} capacity - 队列中最多缓存的元素数
+     */
+    constructor(capacity) {
+        this.capacity = Math.max(1, capacity);
+        this.items = [];
+        this.closed = false;
+        this.error = null;
+        this.waitingConsumers = []; // { resolve, reject }
+        this.waitingProducers = []; // { resolve, reject }
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * 放入一个元素，队列满时等待
+     */
+    async push(item) {
+        while (!this.error && !this.closed && this.items.length >= this.capacity) {
+            await new Promise((resolve, reject) => this.waitingProducers.push({ resolve, reject }));
+        }
+        if (this.error) throw this.error;
+        if (this.closed) throw new Error('Cannot push to a closed queue');
+
+        const consumer = this.waitingConsumers.shift();
+        if (consumer) {
+            consumer.resolve({ value: item, done: false });
+        } else {
+            this.items.push(item);
+        }
+    }
+
+    /**
+     * 取出一个元素，队列为空时等待；队列关闭且已取完时返回 { done: true }
+     * @returns {Promise<{value: *, done: boolean}>}
+     */
+    next() {
+        if (this.error) return Promise.reject(this.error);
+        if (this.items.length > 0) {
+            const value = this.items.shift();
+            this.waitingProducers.shift()?.resolve();
+            return Promise.resolve({ value, done: false });
+        }
+        if (this.closed) return Promise.resolve({ value: undefined, done: true });
+
+        return new Promise((resolve, reject) => this.waitingConsumers.push({ resolve, reject }));
+    }
+
+    /**
+     * 生产者已结束，消费者取完剩余元素后结束
+     */
+    close() {
+        if (this.closed || this.error) return;
+        this.closed = true;
+        for (const consumer of this.waitingConsumers.splice(0)) {
+            consumer.resolve({ value: undefined, done: true });
+        }
+        for (const producer of this.waitingProducers.splice(0)) {
+            producer.resolve();
+        }
+    }
+
+    /**
+     * 以错误终止队列，丢弃缓存的元素并唤醒所有等待方
+     */
+    fail(error) {
+        if (this.error) return;
+        this.error = error;
+        this.items = [];
+        const waiters = [...this.waitingConsumers.splice(0), ...this.waitingProducers.splice(0)];
+        for (const waiter of waiters) {
+            waiter.reject(error);
+        }
+    }
+
+    [Symbol.asyncIterator]() {
+        return {
+            next: () => this.next(),
+            // 消费者提前退出（break 或抛错）时，生产者不应继续等待
+            return: () => {
+                const error = new Error('Queue consumer stopped');
+                error.code = 'QUEUE_STOPPED';
+                this.fail(error);
+                return Promise.resolve({ value: undefined, done: true });
+            },
+        };
+    }
+}
+
+module.exports = BoundedQueue;
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * 生成代码块ID，Worker和主线程同步解析共用
+ * 格式：文件名_路径哈希_起止行[_cell单元格序号.分段序号]_时间戳_序号
+ * Notebook的多个单元格会映射到相同的行号，ID中带上单元格和分段序号以区分
+ *
+ * @param {string} filePath - 文件相对路径
+ * @param {Object} chunk - 解析器生成的代码块
+ * @param {number} index - 代码块在文件中的序号
+ * @returns {string} 代码块ID
+ */
+function createChunkId(filePath, chunk, index) {
+    const pathHash = crypto.createHash('md5').update(filePath).digest('hex').substring(0, 8);
+    const timestamp = Date.now().toString(36);
+    const cell = chunk.cell ? `_cell${chunk.cell.index}.${chunk.cell.part}` : '';
+    return `${path.basename(filePath, path.extname(filePath))}_${pathHash}_${chunk.startLine || index}-${chunk.endLine || index}${cell}_${timestamp}_${index}`;
+}
+
+module.exports = {
+    createChunkId,
+};
@@ -63,6 +63,7 @@ class FileTypeDetector {
             '.txt',
             '.md',
             '.json',
+            '.ipynb',
             '.xml',
             '.html',
             '.htm',
@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Minimatch } = require('minimatch');
+
+/**
+ * 工作空间内 .gitignore 风格的忽略文件（.gitignore、.codechunkerignore 等）
+ *
+ * 与 git 相同的语义：规则相对忽略文件所在目录；不含 / 的规则匹配任意层级的文件名，
+ * 含 / 的规则从该目录开始匹配；以 / 结尾只匹配目录；! 重新包含之前被忽略的路径；
+ * 同一目录内后出现的规则、以及更深层目录的规则优先。
+ * 各目录的忽略文件在扫描到该目录时按需加载并缓存。
+ */
+class IgnoreRules {
+    /**
+     * @param {string} workspacePath - 工作空间根目录
+     * @param {string[]} [fileNames] - 按顺序读取的忽略文件名，后读取的文件优先
+     */
+    constructor(workspacePath, fileNames = ['.gitignore', '.codechunkerignore']) {
+        this.workspacePath = workspacePath;
+        this.fileNames = fileNames;
+        this.rulesByDir = new Map(); // 相对目录（根目录为 ''）→ 规则列表
+    }
+
+    /**
+     * 解析忽略文件内容
+     * @returns {Array} 规则列表 { pattern, negate, dirOnly, matcher }
+     */
+    static parse(content) {
+        const rules = [];
+        for (const rawLine of content.split(/\r?\n/)) {
+            // 行尾未转义的空格不属于规则
+            let line = rawLine.replace(/(?<!\\)\s+$/, '');
+            if (!line || line.startsWith('#')) continue;
+
+            let negate = false;
+            if (line.startsWith('!')) {
+                negate = true;
+                line = line.slice(1);
+            } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+                line = line.slice(1);
+            }
+
+            const dirOnly = line.endsWith('/');
+            if (dirOnly) line = line.replace(/\/+$/, '');
+            if (!line) continue;
+
+            // 中间或开头带 / 的规则相对忽略文件所在目录，否则匹配任意层级
+            const anchored = line.includes('/');
+            const pattern = anchored ? line.replace(/^\//, '') : `**/${line}`;
+            rules.push({
+                pattern: rawLine.trim(),
+                negate,
+                dirOnly,
+                matcher: new Minimatch(pattern, { dot: true }),
+            });
+        }
+        return rules;
+    }
+
+    /**
+     * 读取目录下的忽略文件（已读取过的目录直接返回）
+     * @param {string} relativeDir - 相对工作空间的目录，根目录为 ''
+     */
+    async loadDirectory(relativeDir) {
+        if (this.rulesByDir.has(relativeDir)) return;
+
+        const rules = [];
+        for (const fileName of this.fileNames) {
+            const filePath = path.join(this.workspacePath, relativeDir, fileName);
+            try {
+                rules.push(...IgnoreRules.parse(await fs.readFile(filePath, 'utf8')));
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                    console.warn(`⚠️ 读取忽略文件失败 ${filePath}: ${error.message}`);
+                }
+            }
+        }
+        this.rulesByDir.set(relativeDir, rules);
+    }
+
+    /**
+     * 读取从根目录到该路径所在目录的全部忽略文件，用于只扫描部分路径的场景
+     */
+    async loadAncestors(relativePath) {
+        const segments = relativePath.split('/');
+        for (let depth = 0; depth < segments.length; depth++) {
+            await this.loadDirectory(segments.slice(0, depth).join('/'));
+        }
+    }
+
+    /**
+     * 判断路径是否被忽略，只使用已加载的忽略文件
+     * @param {string} relativePath - 相对工作空间、以 / 分隔的路径
+     * @param {boolean} isDirectory
+     * @param {Object} [options]
+     * @param {boolean} [options.checkParents=false] - 同时检查上级目录；逐层遍历时上级目录已检查过，无需开启
+     */
+    isIgnored(relativePath, isDirectory, options = {}) {
+        const segments = relativePath.split('/');
+        if (options.checkParents) {
+            for (let depth = 1; depth < segments.length; depth++) {
+                if (this._matches(segments.slice(0, depth), true)) return true;
+            }
+        }
+        return this._matches(segments, isDirectory);
+    }
+
+    /**
+     * 已加载且包含规则的忽略文件所在目录
+     */
+    getLoadedSources() {
+        return Array.from(this.rulesByDir.entries())
+            .filter(([, rules]) => rules.length > 0)
+            .map(([dir, rules]) => ({ dir: dir || '.', rules: rules.length }));
+    }
+
+    // 内部方法
+    _matches(segments, isDirectory) {
+        let ignored = false;
+        // 从根目录到最深的目录依次应用，后匹配的规则覆盖之前的结果
+        for (let depth = 0; depth < segments.length; depth++) {
+            const rules = this.rulesByDir.get(segments.slice(0, depth).join('/'));
+            if (!rules || rules.length === 0) continue;
+
+            const target = segments.slice(depth).join('/');
+            for (const rule of rules) {
+                if (rule.dirOnly && !isDirectory) continue;
+                if (rule.negate === ignored && rule.matcher.match(target)) {
+                    ignored = !rule.negate;
+                }
+            }
+        }
+        return ignored;
+    }
+}
+
+module.exports = IgnoreRules;
@@ -14,6 +14,8 @@ class IntelligentFileFilter {
             '.jsx',
             '.ts',
             '.tsx',
+            '.mts',
+            '.cts',
             '.vue',
             '.svelte',
             '.css',
@@ -26,6 +28,7 @@ class IntelligentFileFilter {
 
             // 后端语言
             '.py',
+            '.ipynb',
             '.rb',
             '.php',
             '.java',
@@ -56,11 +59,18 @@ class IntelligentFileFilter {
             '.graphql',
             '.yaml',
             '.yml',
+            '.properties',
 
             // 脚本和自动化
             '.lua',
             '.pl',
             '.r',
+
+            // 文档（按标题层级分块）
+            '.md',
+            '.markdown',
+            '.mdx',
+            '.rst',
         ]);
 
         // 🚫 应该处理但需要特别注意的文件（通常是用户配置）
@@ -127,11 +137,7 @@ class IntelligentFileFilter {
             'changelog',
             'changelog.txt',
             'changelog.md',
-            'readme',
             'readme.txt',
-            'readme.md',
-            'contributing',
-            'contributing.md',
             'code_of_conduct.md',
             'security.md',
             'authors',
@@ -238,6 +244,8 @@ class IntelligentFileFilter {
             '.jsx',
             '.ts',
             '.tsx',
+            '.mts',
+            '.cts',
             '.py',
             '.java',
             '.c',
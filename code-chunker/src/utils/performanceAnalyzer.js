@@ -212,14 +212,16 @@ class PerformanceAnalyzer {
 
     /**
      * 记录分块生成信息
+     * @param {number} totalChunks - 代码块数量
+     * @param {Object} [sizes] - 流式处理时累计的 { totalSize, largest }（字符数）
      */
-    recordChunkGeneration(totalChunks, chunkSizes) {
+    recordChunkGeneration(totalChunks, sizes) {
         this.metrics.chunkGeneration.totalChunks = totalChunks;
-        if (chunkSizes && chunkSizes.length > 0) {
+        if (sizes && totalChunks > 0) {
             this.metrics.chunkGeneration.averageChunkSize = Math.round(
-                chunkSizes.reduce((a, b) => a + b, 0) / chunkSizes.length
+                sizes.totalSize / totalChunks
             );
-            this.metrics.chunkGeneration.largestChunk = Math.max(...chunkSizes);
+            this.metrics.chunkGeneration.largestChunk = sizes.largest;
         }
     }
 
@@ -0,0 +1,171 @@
+/**
+ * 将一次工作空间处理的进度整理为事件流，供 SSE 接口和扩展端实时展示
+ *
+ * 事件均包含 type 与 timestamp：
+ *   phase      { phase }                                    阶段切换
+ *   file       { filePath, status, error, completedFiles, failedFiles, totalFiles }  文件完成或失败，error 为失败原因
+ *   throughput { completedChunks, failedChunks, totalChunks, chunksPerSecond } 代码块吞吐（节流）
+ *   secrets    { redactedSecrets, skippedChunks, skippedFiles, findings, ... } 密钥扫描报告（启用扫描时）
+ *   summary    { success, durationMs, totalFiles, processedFiles, totalChunks, ... } 处理结束时的性能摘要
+ */
+class ProgressReporter {
+    /**
+     * @param {Function|null} listener - 事件回调，为空时不产生任何事件
+     * @param {Object} [options]
+     * @param {number} [options.throughputIntervalMs=1000] - 吞吐事件的最小间隔
+     */
+    constructor(listener, options = {}) {
+        this.listener = listener || null;
+        this.throughputIntervalMs = options.throughputIntervalMs ?? 1000;
+
+        this.progressTracker = null;
+        this.phase = null;
+        this.lastThroughputAt = 0;
+        this.throughputTimer = null;
+        this.chunkWindowStart = null; // 首个代码块完成的时间，用于计算吞吐
+
+        this._onFile = this._onFile.bind(this);
+        this._onChunk = this._onChunk.bind(this);
+    }
+
+    /**
+     * 订阅进度跟踪器的文件与代码块状态变化
+     */
+    attach(progressTracker) {
+        this.detach();
+        if (!this.listener) return;
+
+        this.progressTracker = progressTracker;
+        progressTracker.on('file', this._onFile);
+        progressTracker.on('chunk', this._onChunk);
+    }
+
+    detach() {
+        clearTimeout(this.throughputTimer);
+        this.throughputTimer = null;
+        if (!this.progressTracker) return;
+
+        this.progressTracker.off('file', this._onFile);
+        this.progressTracker.off('chunk', this._onChunk);
+        this.progressTracker = null;
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        this._emit({ type: 'phase', phase });
+    }
+
+    /**
+     * 发送密钥扫描报告：每处密钥所在的文件、行号、命中的规则及处理结果
+     * @param {Object} report - SecretScanner.getReport() 的结果
+     */
+    reportSecrets(report) {
+        this._emit({
+            type: 'secrets',
+            scannedChunks: report.scannedChunks,
+            redactedSecrets: report.redactedSecrets,
+            skippedChunks: report.skippedChunks,
+            skippedFiles: report.skippedFiles,
+            findings: report.findings,
+            truncated: report.truncated,
+        });
+    }
+
+    /**
+     * 发送最终吞吐与性能摘要，并停止订阅
+     * @param {boolean} success - 处理是否完全成功
+     * @param {Object|null} performanceReport - PerformanceAnalyzer.endAnalysis() 的结果
+     * @param {number|null} performanceScore - 性能评分
+     */
+    finish(success, performanceReport = null, performanceScore = null) {
+        if (this.progressTracker) {
+            this._emitThroughput();
+        }
+
+        const summary = performanceReport?.summary || {};
+        this._emit({
+            type: 'summary',
+            success,
+            durationMs: summary.totalDuration ?? null,
+            totalFiles: summary.totalFiles ?? null,
+            processedFiles: summary.processedFiles ?? null,
+            totalChunks: summary.totalChunks ?? null,
+            embeddingRequests: summary.totalEmbeddingRequests ?? null,
+            insertedVectors: summary.insertedVectors ?? null,
+            performanceScore,
+            bottlenecks: (performanceReport?.performance?.bottlenecks || []).map(
+                bottleneck => `${bottleneck.phase}: ${bottleneck.description}`
+            ),
+        });
+        this.detach();
+    }
+
+    // 内部方法
+    _emit(event) {
+        if (!this.listener) return;
+        try {
+            this.listener({ ...event, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.warn(`⚠️ 进度事件回调出错: ${error.message}`);
+        }
+    }
+
+    _onFile({ filePath, status, error }) {
+        // 增量规划时会把大量未变更的文件直接标记为完成，这些不是本次处理产生的进度
+        if (this.phase === 'planning') return;
+        if (status !== 'completed' && status !== 'failed') return;
+
+        const { completedFiles, failedFiles, totalFiles } = this.progressTracker;
+        this._emit({
+            type: 'file',
+            filePath,
+            status,
+            error: error || null,
+            completedFiles,
+            failedFiles,
+            totalFiles,
+        });
+    }
+
+    _onChunk({ status }) {
+        if (status !== 'completed' && status !== 'failed') return;
+        if (this.chunkWindowStart === null) {
+            this.chunkWindowStart = Date.now();
+        }
+
+        const elapsed = Date.now() - this.lastThroughputAt;
+        if (elapsed >= this.throughputIntervalMs) {
+            this._emitThroughput();
+        } else if (!this.throughputTimer) {
+            // 保证最后一批状态变化之后也能发出一次吞吐事件
+            this.throughputTimer = setTimeout(
+                () => this._emitThroughput(),
+                this.throughputIntervalMs - elapsed
+            );
+        }
+    }
+
+    _emitThroughput() {
+        clearTimeout(this.throughputTimer);
+        this.throughputTimer = null;
+        if (!this.progressTracker) return;
+
+        this.lastThroughputAt = Date.now();
+        const { completedChunks, failedChunks, totalChunks } =
+            this.progressTracker.getOverallProgress();
+        const seconds = this.chunkWindowStart
+            ? (this.lastThroughputAt - this.chunkWindowStart) / 1000
+            : 0;
+        const finishedChunks = completedChunks + failedChunks;
+
+        this._emit({
+            type: 'throughput',
+            completedChunks,
+            failedChunks,
+            totalChunks,
+            chunksPerSecond: seconds > 0 ? Number((finishedChunks / seconds).toFixed(2)) : null,
+        });
+    }
+}
+
+module.exports = ProgressReporter;
@@ -0,0 +1,143 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+
+const PROJECT_CONFIG_FILE = '.codechunker.yaml';
+
+// 列表字段可以直接给出完整列表（替换默认值），也可以用 { add, remove } 在默认值基础上增删
+const LIST_FIELDS = ['scanFileExtensions', 'ignoredDirectories'];
+
+/**
+ * 读取工作空间根目录下的 .codechunker.yaml
+ *
+ * 支持的字段：
+ *   scanFileExtensions  {string[]|{add?, remove?}}  扫描的文件扩展名
+ *   ignoredDirectories  {string[]|{add?, remove?}}  忽略的目录名
+ *   linesPerChunk       {number}                    每个代码块的行数
+ *   languageMapping     {Object}                    扩展名 → 语言，与默认映射合并
+ *
+ * 文件格式错误或字段无效时不影响索引，只忽略对应内容并在 errors 中说明
+ * @returns {Promise<Object>} { path, exists, overrides, errors }
+ */
+async function loadProjectConfig(workspacePath) {
+    const filePath = path.join(workspacePath, PROJECT_CONFIG_FILE);
+    const result = { path: filePath, exists: false, overrides: {}, errors: [] };
+
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            result.errors.push(`无法读取 ${PROJECT_CONFIG_FILE}: ${error.message}`);
+        }
+        return result;
+    }
+    result.exists = true;
+
+    let raw;
+    try {
+        raw = YAML.parse(content);
+    } catch (error) {
+        result.errors.push(`${PROJECT_CONFIG_FILE} 格式错误: ${error.message}`);
+        return result;
+    }
+    if (raw === null || raw === undefined) return result;
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        result.errors.push(`${PROJECT_CONFIG_FILE} 顶层必须是对象`);
+        return result;
+    }
+
+    for (const [key, value] of Object.entries(raw)) {
+        const error = validateField(key, value);
+        if (error) {
+            result.errors.push(`${PROJECT_CONFIG_FILE} 字段 ${key} 无效: ${error}`);
+        } else {
+            result.overrides[key] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * 把项目配置合并到应用配置上，返回新的配置对象
+ */
+function applyProjectConfig(config, overrides) {
+    const merged = { ...config };
+
+    for (const field of LIST_FIELDS) {
+        const value = overrides[field];
+        if (value === undefined) continue;
+
+        if (Array.isArray(value)) {
+            merged[field] = normalizeList(field, value);
+        } else {
+            const remove = new Set(normalizeList(field, value.remove || []));
+            merged[field] = [
+                ...new Set([
+                    ...(config[field] || []).filter(item => !remove.has(item)),
+                    ...normalizeList(field, value.add || []),
+                ]),
+            ];
+        }
+    }
+
+    if (overrides.linesPerChunk !== undefined) {
+        merged.linesPerChunk = overrides.linesPerChunk;
+    }
+    if (overrides.languageMapping !== undefined) {
+        const mapping = { ...(config.languageMapping || {}) };
+        for (const [ext, language] of Object.entries(overrides.languageMapping)) {
+            mapping[normalizeExtension(ext)] = language;
+        }
+        merged.languageMapping = mapping;
+    }
+    return merged;
+}
+
+// 内部方法
+function validateField(key, value) {
+    if (LIST_FIELDS.includes(key)) {
+        if (isStringList(value)) return null;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const unknown = Object.keys(value).filter(k => k !== 'add' && k !== 'remove');
+            if (unknown.length > 0) return `未知的键 ${unknown.join(', ')}，只支持 add / remove`;
+            if (value.add !== undefined && !isStringList(value.add)) return 'add 必须是字符串列表';
+            if (value.remove !== undefined && !isStringList(value.remove)) {
+                return 'remove 必须是字符串列表';
+            }
+            return null;
+        }
+        return '必须是字符串列表或 { add, remove }';
+    }
+    if (key === 'linesPerChunk') {
+        return Number.isInteger(value) && value > 0 ? null : '必须是正整数';
+    }
+    if (key === 'languageMapping') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return '必须是对象';
+        return Object.values(value).every(language => typeof language === 'string')
+            ? null
+            : '语言名称必须是字符串';
+    }
+    return '不支持的字段';
+}
+
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+function normalizeList(field, values) {
+    return values.map(value =>
+        field === 'scanFileExtensions' ? normalizeExtension(value) : value.trim()
+    );
+}
+
+function normalizeExtension(ext) {
+    const trimmed = ext.trim().toLowerCase();
+    return trimmed.startsWith('.') ? trimmed : `.${trimmed}`;
+}
+
+module.exports = {
+    PROJECT_CONFIG_FILE,
+    loadProjectConfig,
+    applyProjectConfig,
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+const PathUtils = require('./pathUtils');
+
+/**
+ * 基于文件系统事件的工作空间监控器
+ * 事件经过防抖合并后批量回调，git checkout 等短时间内的大量变更只触发一次处理
+ */
+class WorkspaceWatcher {
+    /**
+     * @param {string} workspacePath - 工作空间根目录
+     * @param {Object} options
+     * @param {number} [options.debounceMs=2000] - 最后一次事件后等待的静默时间
+     * @param {number} [options.maxWaitMs=15000] - 持续有事件时，距首个事件的最长等待时间
+     * @param {string[]} [options.ignoredDirectories] - 不监听的目录名
+     * @param {string[]} [options.ignorePatterns] - 忽略的路径模式（minimatch）
+     * @param {Function} options.onChanges - 批量回调，参数为变更的相对路径数组；'' 表示需要完整检查
+     */
+    constructor(workspacePath, options = {}) {
+        this.workspacePath = path.resolve(workspacePath);
+        this.debounceMs = options.debounceMs ?? 2000;
+        this.maxWaitMs = options.maxWaitMs ?? 15000;
+        this.ignoredDirectories = new Set(options.ignoredDirectories || []);
+        this.ignorePatterns = options.ignorePatterns || [];
+        this.onChanges = options.onChanges || null;
+
+        // macOS/Windows 原生支持递归监听；Linux 下逐目录监听，以便跳过 node_modules 等目录
+        this.recursive =
+            options.recursive ?? (process.platform === 'darwin' || process.platform === 'win32');
+
+        this.watchers = new Map(); // 相对目录 -> FSWatcher
+        this.pendingPaths = new Set();
+        this.debounceTimer = null;
+        this.maxWaitTimer = null;
+        this.processing = false;
+        this.running = false;
+
+        this.stats = {
+            eventCount: 0,
+            batchCount: 0,
+            lastEventAt: null,
+            lastBatchAt: null,
+            lastBatchSize: 0,
+            lastError: null,
+        };
+    }
+
+    get watchMode() {
+        return this.recursive ? 'recursive' : 'per-directory';
+    }
+
+    get watchedDirectoryCount() {
+        return this.watchers.size;
+    }
+
+    get pendingCount() {
+        return this.pendingPaths.size;
+    }
+
+    start() {
+        if (this.running) return;
+
+        const stats = fs.statSync(this.workspacePath);
+        if (!stats.isDirectory()) {
+            throw new Error(`Path is not a directory: ${this.workspacePath}`);
+        }
+
+        this.running = true;
+        if (this.recursive) {
+            this._watchDirectory('', { recursive: true });
+        } else {
+            this._watchTree('');
+        }
+    }
+
+    stop() {
+        this.running = false;
+        this._clearTimers();
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+        this.pendingPaths.clear();
+    }
+
+    /**
+     * 请求一次完整检查，用于兜底文件事件丢失的情况（如 inotify 队列溢出）
+     */
+    requestRescan() {
+        this._enqueue('');
+    }
+
+    // 内部方法
+    _watchTree(relativeDir) {
+        if (!this._watchDirectory(relativeDir)) return;
+
+        let entries;
+        try {
+            entries = fs.readdirSync(path.join(this.workspacePath, relativeDir), {
+                withFileTypes: true,
+            });
+        } catch (error) {
+            return; // 目录可能在遍历过程中被删除
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+            const childDir = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (!this._isIgnored(childDir, true)) {
+                this._watchTree(childDir);
+            }
+        }
+    }
+
+    _watchDirectory(relativeDir, watchOptions = {}) {
+        if (this.watchers.has(relativeDir)) return false;
+
+        try {
+            const watcher = fs.watch(
+                path.join(this.workspacePath, relativeDir),
+                watchOptions,
+                (eventType, fileName) => this._handleEvent(relativeDir, fileName)
+            );
+            watcher.on('error', error => {
+                this.stats.lastError = error.message;
+                this._unwatchDirectory(relativeDir);
+            });
+            this.watchers.set(relativeDir, watcher);
+            return true;
+        } catch (error) {
+            // ENOSPC/EMFILE 表示超出系统监听数量上限，此时依赖定期完整检查兜底
+            if (error.code !== 'ENOENT') {
+                this.stats.lastError = error.message;
+                console.warn(`⚠️ 无法监听目录 ${relativeDir || '.'}: ${error.message}`);
+            }
+            return false;
+        }
+    }
+
+    _unwatchDirectory(relativeDir) {
+        for (const [dir, watcher] of this.watchers) {
+            if (dir === relativeDir || dir.startsWith(`${relativeDir}/`)) {
+                watcher.close();
+                this.watchers.delete(dir);
+            }
+        }
+    }
+
+    _handleEvent(relativeDir, fileName) {
+        if (!this.running) return;
+
+        // 部分平台不提供文件名，退化为整个目录
+        const relativePath = fileName
+            ? PathUtils.normalizePath(path.join(relativeDir, fileName.toString()))
+            : relativeDir;
+
+        if (relativePath && this._isIgnored(relativePath, false)) return;
+
+        if (!this.recursive && relativePath) {
+            this._syncDirectoryWatch(relativePath);
+        }
+
+        this._enqueue(relativePath);
+    }
+
+    /**
+     * 逐目录监听模式下，为新建的目录补充监听，并释放已删除目录的监听
+     */
+    _syncDirectoryWatch(relativePath) {
+        let isDirectory = false;
+        try {
+            isDirectory = fs.statSync(path.join(this.workspacePath, relativePath)).isDirectory();
+        } catch (error) {
+            if (this.watchers.has(relativePath)) {
+                this._unwatchDirectory(relativePath);
+            }
+            return;
+        }
+
+        if (isDirectory) {
+            this._watchTree(relativePath);
+        }
+    }
+
+    _isIgnored(relativePath, isDirectory) {
+        const segments = relativePath.split('/');
+        if (segments.some(segment => this.ignoredDirectories.has(segment))) {
+            return true;
+        }
+
+        const target = isDirectory ? `${relativePath}/` : relativePath;
+        return this.ignorePatterns.some(pattern => minimatch(target, pattern, { dot: true }));
+    }
+
+    _enqueue(relativePath) {
+        this.pendingPaths.add(relativePath);
+        this.stats.eventCount++;
+        this.stats.lastEventAt = Date.now();
+
+        // 正在处理上一批变更时只累积，处理结束后再统一触发
+        if (!this.processing) {
+            this._schedule();
+        }
+    }
+
+    _schedule() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this._flush(), this.debounceMs);
+
+        if (!this.maxWaitTimer) {
+            this.maxWaitTimer = setTimeout(() => this._flush(), this.maxWaitMs);
+        }
+    }
+
+    _clearTimers() {
+        clearTimeout(this.debounceTimer);
+        clearTimeout(this.maxWaitTimer);
+        this.debounceTimer = null;
+        this.maxWaitTimer = null;
+    }
+
+    async _flush() {
+        this._clearTimers();
+        if (!this.running || this.processing || this.pendingPaths.size === 0) return;
+
+        const changedPaths = Array.from(this.pendingPaths).sort();
+        this.pendingPaths.clear();
+        this.processing = true;
+        this.stats.batchCount++;
+        this.stats.lastBatchAt = Date.now();
+        this.stats.lastBatchSize = changedPaths.length;
+
+        try {
+            if (this.onChanges) {
+                await this.onChanges(changedPaths);
+            }
+        } catch (error) {
+            this.stats.lastError = error.message;
+            console.error(`❌ 处理文件变更失败: ${error.message}`);
+        } finally {
+            this.processing = false;
+            if (this.running && this.pendingPaths.size > 0) {
+                this._schedule();
+            }
+        }
+    }
+}
+
+module.exports = WorkspaceWatcher;
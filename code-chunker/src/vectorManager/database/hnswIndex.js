@@ -0,0 +1,408 @@
+/**
+ * 纯JS实现的HNSW（Hierarchical Navigable Small World）近似最近邻索引
+ * 供本地向量数据库使用，无需任何原生依赖，可整体序列化到磁盘
+ */
+
+// 简单的二叉堆，compare(a, b) < 0 表示 a 优先出堆
+class BinaryHeap {
+    constructor(compare) {
+        this.items = [];
+        this.compare = compare;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let next = i;
+                if (left < items.length && this.compare(items[left], items[next]) < 0) next = left;
+                if (right < items.length && this.compare(items[right], items[next]) < 0)
+                    next = right;
+                if (next === i) break;
+                [items[i], items[next]] = [items[next], items[i]];
+                i = next;
+            }
+        }
+        return top;
+    }
+}
+
+class HnswIndex {
+    constructor(options = {}) {
+        this.metricType = (options.metricType || 'COSINE').toUpperCase();
+        this.dimension = options.dimension || null;
+        this.M = options.M || 16;
+        this.maxM0 = this.M * 2; // 第0层允许更多邻居
+        this.efConstruction = options.efConstruction || 200;
+        this.levelMultiplier = 1 / Math.log(this.M);
+
+        // id -> { level, neighbors: string[][] }
+        this.nodes = new Map();
+        // id -> Float32Array（COSINE度量下存储归一化后的向量）
+        this.vectors = new Map();
+        this.entryPoint = null;
+        this.maxLevel = -1;
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    has(id) {
+        return this.nodes.has(id);
+    }
+
+    getVector(id) {
+        return this.vectors.get(id) || null;
+    }
+
+    /**
+     * 插入或更新向量
+     * @param {string} id - 文档ID
+     * @param {number[]|Float32Array} vector - 原始向量
+     */
+    add(id, vector) {
+        const prepared = this._prepareVector(vector);
+
+        if (this.nodes.has(id)) {
+            this.remove(id);
+        }
+
+        const level = Math.floor(
+            -Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier
+        );
+        const node = { level, neighbors: Array.from({ length: level + 1 }, () => []) };
+        this.nodes.set(id, node);
+        this.vectors.set(id, prepared);
+
+        if (this.entryPoint === null) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return;
+        }
+
+        let current = this.entryPoint;
+        let currentDist = this._distance(prepared, this.vectors.get(current));
+
+        // 在高层贪心下降到插入层
+        for (let l = this.maxLevel; l > level; l--) {
+            ({ id: current, dist: currentDist } = this._greedyStep(
+                prepared,
+                current,
+                currentDist,
+                l
+            ));
+        }
+
+        let entryPoints = [{ id: current, dist: currentDist }];
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const candidates = this._searchLayer(prepared, entryPoints, this.efConstruction, l);
+            const maxConn = l === 0 ? this.maxM0 : this.M;
+            const selected = this._selectNeighbors(candidates, this.M);
+
+            node.neighbors[l] = selected.map(c => c.id);
+
+            // 建立反向连接，超出上限时只保留最近的邻居
+            for (const neighbor of selected) {
+                const neighborNode = this.nodes.get(neighbor.id);
+                const links = neighborNode.neighbors[l];
+                links.push(id);
+                if (links.length > maxConn) {
+                    neighborNode.neighbors[l] = this._shrinkLinks(neighbor.id, links, maxConn);
+                }
+            }
+
+            entryPoints = candidates;
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+        }
+    }
+
+    /**
+     * 删除向量，并用被删节点的邻居修复受影响节点的连接
+     */
+    remove(id) {
+        const node = this.nodes.get(id);
+        if (!node) return false;
+
+        this.nodes.delete(id);
+        this.vectors.delete(id);
+
+        for (let l = 0; l <= node.level; l++) {
+            const orphans = node.neighbors[l];
+            for (const neighborId of orphans) {
+                const neighborNode = this.nodes.get(neighborId);
+                if (!neighborNode || !neighborNode.neighbors[l]) continue;
+
+                const links = neighborNode.neighbors[l].filter(n => n !== id);
+                // 用被删节点的其他邻居补齐连接
+                for (const candidate of orphans) {
+                    if (
+                        candidate !== neighborId &&
+                        !links.includes(candidate) &&
+                        this.nodes.has(candidate)
+                    ) {
+                        links.push(candidate);
+                    }
+                }
+                const maxConn = l === 0 ? this.maxM0 : this.M;
+                neighborNode.neighbors[l] =
+                    links.length > maxConn ? this._shrinkLinks(neighborId, links, maxConn) : links;
+            }
+        }
+
+        // 其他节点中可能残留指向该节点的单向连接，搜索时会被跳过，无需全量扫描
+
+        if (this.entryPoint === id) {
+            this.entryPoint = null;
+            this.maxLevel = -1;
+            for (const [otherId, other] of this.nodes) {
+                if (other.level > this.maxLevel) {
+                    this.entryPoint = otherId;
+                    this.maxLevel = other.level;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 近似最近邻搜索
+     * @param {number[]} vector - 查询向量
+     * @param {number} topK - 返回数量
+     * @param {number} ef - 搜索宽度
+     * @param {Function} [predicate] - 过滤函数，接收文档ID
+     * @returns {Array<{id: string, dist: number}>} 按距离升序排列
+     */
+    search(vector, topK, ef = 64, predicate = null) {
+        if (this.entryPoint === null) return [];
+
+        const query = this._prepareVector(vector);
+        let current = this.entryPoint;
+        let currentDist = this._distance(query, this.vectors.get(current));
+
+        for (let l = this.maxLevel; l > 0; l--) {
+            ({ id: current, dist: currentDist } = this._greedyStep(query, current, currentDist, l));
+        }
+
+        const candidates = this._searchLayer(
+            query,
+            [{ id: current, dist: currentDist }],
+            Math.max(ef, topK),
+            0
+        );
+
+        const results = predicate ? candidates.filter(c => predicate(c.id)) : candidates;
+        return results.slice(0, topK);
+    }
+
+    /**
+     * 暴力搜索，在过滤条件较严格、ANN候选不足时兜底
+     */
+    bruteForceSearch(vector, topK, predicate = null) {
+        const query = this._prepareVector(vector);
+        const results = [];
+        for (const [id, stored] of this.vectors) {
+            if (predicate && !predicate(id)) continue;
+            results.push({ id, dist: this._distance(query, stored) });
+        }
+        return results.sort((a, b) => a.dist - b.dist).slice(0, topK);
+    }
+
+    /**
+     * 将内部距离转换为对外的相似度分数（越大越相似）
+     * L2 的内部距离为欧氏距离的平方，映射到 (0, 1]，完全相同时为 1
+     */
+    toScore(dist) {
+        if (this.metricType === 'L2') return 1 / (1 + dist);
+        if (this.metricType === 'IP') return -dist;
+        return 1 - dist;
+    }
+
+    toJSON() {
+        const nodes = [];
+        for (const [id, node] of this.nodes) {
+            const vector = this.vectors.get(id);
+            nodes.push({
+                id,
+                level: node.level,
+                neighbors: node.neighbors,
+                vector: Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString(
+                    'base64'
+                ),
+            });
+        }
+
+        return {
+            metricType: this.metricType,
+            dimension: this.dimension,
+            M: this.M,
+            efConstruction: this.efConstruction,
+            entryPoint: this.entryPoint,
+            maxLevel: this.maxLevel,
+            nodes,
+        };
+    }
+
+    static fromJSON(data) {
+        const index = new HnswIndex({
+            metricType: data.metricType,
+            dimension: data.dimension,
+            M: data.M,
+            efConstruction: data.efConstruction,
+        });
+
+        for (const node of data.nodes || []) {
+            const buffer = Buffer.from(node.vector, 'base64');
+            const vector = new Float32Array(
+                buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+            );
+            index.nodes.set(node.id, { level: node.level, neighbors: node.neighbors });
+            index.vectors.set(node.id, vector);
+        }
+
+        index.entryPoint = data.entryPoint ?? null;
+        index.maxLevel = data.maxLevel ?? -1;
+        return index;
+    }
+
+    // 内部方法
+    _prepareVector(vector) {
+        if (!vector || typeof vector.length !== 'number' || vector.length === 0) {
+            throw new Error('Vector must be a non-empty array');
+        }
+
+        if (this.dimension === null) {
+            this.dimension = vector.length;
+        } else if (vector.length !== this.dimension) {
+            throw new Error(
+                `Vector dimension mismatch: expected ${this.dimension}, got ${vector.length}`
+            );
+        }
+
+        const prepared = Float32Array.from(vector);
+        if (this.metricType === 'COSINE') {
+            let norm = 0;
+            for (let i = 0; i < prepared.length; i++) norm += prepared[i] * prepared[i];
+            norm = Math.sqrt(norm);
+            if (norm > 0) {
+                for (let i = 0; i < prepared.length; i++) prepared[i] /= norm;
+            }
+        }
+        return prepared;
+    }
+
+    _distance(a, b) {
+        if (this.metricType === 'L2') {
+            let sum = 0;
+            for (let i = 0; i < a.length; i++) {
+                const diff = a[i] - b[i];
+                sum += diff * diff;
+            }
+            return sum;
+        }
+
+        let dot = 0;
+        for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+        return this.metricType === 'IP' ? -dot : 1 - dot;
+    }
+
+    _greedyStep(query, current, currentDist, level) {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            const links = this.nodes.get(current).neighbors[level] || [];
+            for (const neighborId of links) {
+                const stored = this.vectors.get(neighborId);
+                if (!stored) continue;
+                const dist = this._distance(query, stored);
+                if (dist < currentDist) {
+                    current = neighborId;
+                    currentDist = dist;
+                    changed = true;
+                }
+            }
+        }
+        return { id: current, dist: currentDist };
+    }
+
+    _searchLayer(query, entryPoints, ef, level) {
+        const visited = new Set(entryPoints.map(e => e.id));
+        const candidates = new BinaryHeap((a, b) => a.dist - b.dist); // 最近优先
+        const results = new BinaryHeap((a, b) => b.dist - a.dist); // 最远优先
+
+        for (const entry of entryPoints) {
+            candidates.push(entry);
+            results.push(entry);
+            if (results.size > ef) results.pop();
+        }
+
+        while (candidates.size > 0) {
+            const nearest = candidates.pop();
+            if (results.size >= ef && nearest.dist > results.peek().dist) break;
+
+            const links = this.nodes.get(nearest.id)?.neighbors[level] || [];
+            for (const neighborId of links) {
+                if (visited.has(neighborId)) continue;
+                visited.add(neighborId);
+
+                const stored = this.vectors.get(neighborId);
+                if (!stored) continue;
+                const dist = this._distance(query, stored);
+                if (results.size < ef || dist < results.peek().dist) {
+                    candidates.push({ id: neighborId, dist });
+                    results.push({ id: neighborId, dist });
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.items.sort((a, b) => a.dist - b.dist);
+    }
+
+    _selectNeighbors(candidates, count) {
+        return candidates.slice(0, count);
+    }
+
+    _shrinkLinks(nodeId, links, maxConn) {
+        const base = this.vectors.get(nodeId);
+        return links
+            .filter(linkId => this.vectors.has(linkId))
+            .map(linkId => ({ id: linkId, dist: this._distance(base, this.vectors.get(linkId)) }))
+            .sort((a, b) => a.dist - b.dist)
+            .slice(0, maxConn)
+            .map(link => link.id);
+    }
+}
+
+module.exports = HnswIndex;
@@ -0,0 +1,433 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Logger = require('../utils/logger');
+const HnswIndex = require('./hnswIndex');
+
+/**
+ * 本地嵌入式向量数据库
+ * 每个集合对应一个HNSW索引 + 文档字段表，持久化到工作空间缓存目录，
+ * 对外提供与TencentVectorDB一致的 batchUpsert/search/deleteVectors/dropCollection 接口，
+ * 用于离线或隔离网络环境下的索引与检索
+ */
+class LocalVectorDB {
+    constructor(config = {}) {
+        this.config = config;
+        this.logger = new Logger('LocalVectorDB', config.logLevel);
+
+        this.persistencePath =
+            config.persistencePath ||
+            path.join(config.workspacePath || process.cwd(), '.vscode', 'vector-cache');
+        this.defaultDatabase = config.database || 'local';
+
+        // 索引参数
+        this.metricType = config.metricType || 'COSINE';
+        this.M = config.M || 16;
+        this.efConstruction = config.efConstruction || 200;
+        this.efSearch = config.efSearch || 64;
+        this.persistDelayMs = config.persistDelayMs ?? 2000;
+
+        // `${database}/${collection}` -> { name, database, description, createdAt, index, documents }
+        this.collections = new Map();
+        this.dirtyCollections = new Set();
+        this.persistTimer = null;
+
+        this.isInitialized = false;
+    }
+
+    async initialize() {
+        try {
+            this.logger.info(`初始化本地向量数据库: ${this.persistencePath}`);
+            await fs.ensureDir(this.persistencePath);
+            this.isInitialized = true;
+            this.logger.info('本地向量数据库初始化成功');
+        } catch (error) {
+            this.logger.error('本地向量数据库初始化失败:', error);
+            throw error;
+        }
+    }
+
+    // L1: 数据库管理 - 数据库对应持久化目录下的子目录
+    async createDatabase(databaseName) {
+        await fs.ensureDir(this._getDatabaseDir(databaseName));
+        return { success: true, data: { database: databaseName } };
+    }
+
+    async listDatabases() {
+        const entries = await fs.readdir(this.persistencePath, { withFileTypes: true });
+        return {
+            success: true,
+            data: {
+                databases: entries.filter(entry => entry.isDirectory()).map(entry => entry.name),
+            },
+        };
+    }
+
+    // L2: 集合管理
+    async createCollection(databaseName, collectionName, params = {}) {
+        const key = this._getCollectionKey(databaseName, collectionName);
+        const vectorIndex = (params.indexes || []).find(index => index.fieldType === 'vector');
+
+        const collection = {
+            name: collectionName,
+            database: databaseName,
+            description: params.description || '',
+            createdAt: new Date().toISOString(),
+            index: new HnswIndex({
+                metricType: vectorIndex?.metricType || this.metricType,
+                dimension: vectorIndex?.dimension || null,
+                M: vectorIndex?.params?.M || this.M,
+                efConstruction: vectorIndex?.params?.efConstruction || this.efConstruction,
+            }),
+            documents: new Map(),
+        };
+
+        this.collections.set(key, collection);
+        await this._persistCollection(collection);
+
+        this.logger.info(`创建本地集合: ${databaseName}.${collectionName}`);
+        return { success: true, data: { database: databaseName, collection: collectionName } };
+    }
+
+    async dropCollection(databaseName, collectionName) {
+        const key = this._getCollectionKey(databaseName, collectionName);
+        const filePath = this._getCollectionFile(databaseName, collectionName);
+        const existed = this.collections.has(key) || (await fs.pathExists(filePath));
+
+        this.collections.delete(key);
+        this.dirtyCollections.delete(key);
+        await fs.remove(filePath);
+
+        if (existed) {
+            this.logger.info(`删除本地集合: ${databaseName}.${collectionName}`);
+        } else {
+            this.logger.info(`本地集合 ${databaseName}.${collectionName} 不存在，无需删除`);
+        }
+        return { success: true, data: { existed } };
+    }
+
+    async describeCollection(databaseName, collectionName) {
+        const collection = await this._loadCollection(databaseName, collectionName);
+        if (!collection) {
+            throw new Error(`Collection ${databaseName}.${collectionName} does not exist`);
+        }
+
+        return {
+            success: true,
+            data: {
+                name: collection.name,
+                database: collection.database,
+                description: collection.description,
+                createdAt: collection.createdAt,
+                documentCount: collection.documents.size,
+                dimension: collection.index.dimension,
+                metricType: collection.index.metricType,
+            },
+        };
+    }
+
+    async listCollections(databaseName) {
+        const dir = this._getDatabaseDir(databaseName);
+        const names = new Set();
+
+        if (await fs.pathExists(dir)) {
+            for (const file of await fs.readdir(dir)) {
+                if (file.endsWith('.json')) names.add(file.slice(0, -'.json'.length));
+            }
+        }
+        for (const collection of this.collections.values()) {
+            if (collection.database === databaseName) names.add(collection.name);
+        }
+
+        return {
+            success: true,
+            data: { collections: Array.from(names).map(name => ({ collection: name })) },
+        };
+    }
+
+    // L3: 文档操作
+    async upsertDocuments(databaseName, collectionName, documents) {
+        let collection = await this._getOrCreateCollection(databaseName, collectionName);
+
+        // 更换嵌入模型后向量维度变化，旧向量无法与新向量比较，重新创建集合
+        const dimension = documents.find(doc => Array.isArray(doc.vector))?.vector.length;
+        if (dimension && collection.index.dimension && collection.index.dimension !== dimension) {
+            this.logger.warn(
+                `集合 ${collectionName} 维度不匹配 (现有: ${collection.index.dimension}, 需要: ${dimension})，重新创建集合...`
+            );
+            await this.createCollection(databaseName, collectionName);
+            collection = this.collections.get(this._getCollectionKey(databaseName, collectionName));
+        }
+
+        let affectedCount = 0;
+
+        for (const doc of documents) {
+            if (!doc.id || !Array.isArray(doc.vector) || doc.vector.length === 0) {
+                this.logger.warn(`跳过无效文档: ${doc.id || 'unknown'}`);
+                continue;
+            }
+
+            const { vector, ...fields } = doc;
+            collection.index.add(doc.id, vector);
+            collection.documents.set(doc.id, fields);
+            affectedCount++;
+        }
+
+        this._markDirty(collection);
+        return { success: true, data: { affectedCount } };
+    }
+
+    async queryDocuments(databaseName, collectionName, filter, params = {}) {
+        const collection = await this._loadCollection(databaseName, collectionName);
+        if (!collection) return { success: true, data: { documents: [] } };
+
+        const predicate = this._buildFilterPredicate(filter, collection);
+        const documents = [];
+        for (const [id, fields] of collection.documents) {
+            if (predicate && !predicate(id)) continue;
+            documents.push({ id, ...fields });
+            if (params.limit && documents.length >= params.limit) break;
+        }
+        return { success: true, data: { documents } };
+    }
+
+    async deleteDocuments(databaseName, collectionName, filter) {
+        const collection = await this._loadCollection(databaseName, collectionName);
+        if (!collection) return { success: true, data: { affectedCount: 0 } };
+
+        const predicate = this._buildFilterPredicate(filter, collection);
+        const ids = Array.from(collection.documents.keys()).filter(
+            id => !predicate || predicate(id)
+        );
+
+        for (const id of ids) {
+            collection.index.remove(id);
+            collection.documents.delete(id);
+        }
+
+        if (ids.length > 0) this._markDirty(collection);
+        return { success: true, data: { affectedCount: ids.length } };
+    }
+
+    async truncateCollection(databaseName, collectionName) {
+        return this.deleteDocuments(databaseName, collectionName, null);
+    }
+
+    // VectorDB统一接口
+    async batchUpsert(comboKey, vectors) {
+        const documents = vectors.map(vector => ({
+            ...vector.metadata,
+            id: vector.id,
+            vector: vector.vector,
+            user_id: vector.user_id,
+            device_id: vector.device_id,
+            workspace_path: vector.workspace_path,
+            file_path: vector.file_path,
+            start_line: vector.start_line,
+            end_line: vector.end_line,
+            code: vector.code,
+            vector_model: vector.vector_model,
+        }));
+
+        const response = await this.upsertDocuments(this.defaultDatabase, comboKey, documents);
+        const { affectedCount } = response.data;
+        this.logger.info(`本地批量写入 ${comboKey}: ${affectedCount}/${vectors.length}`);
+
+        return {
+            success: affectedCount > 0,
+            count: affectedCount,
+            totalBatches: 1,
+            successfulBatches: affectedCount > 0 ? 1 : 0,
+            failedBatches: affectedCount > 0 ? 0 : 1,
+        };
+    }
+
+    async search(queryVector, topK, comboKey, options = {}) {
+        const collection = await this._loadCollection(this.defaultDatabase, comboKey);
+        if (!collection || collection.documents.size === 0) {
+            this.logger.info(`本地集合 ${comboKey} 为空，返回空结果`);
+            return [];
+        }
+
+        const predicate = this._buildFilterPredicate(options.filter, collection);
+        const ef = Math.max(options.efSearch || this.efSearch, topK);
+
+        // 有过滤条件时扩大候选集，候选不足再退化为暴力搜索
+        let hits = collection.index.search(queryVector, topK, predicate ? ef * 4 : ef, predicate);
+        if (predicate && hits.length < topK) {
+            hits = collection.index.bruteForceSearch(queryVector, topK, predicate);
+        }
+
+        this.logger.info(`本地搜索 ${comboKey}: 找到 ${hits.length} 个结果`);
+
+        return hits.map(hit => {
+            const fields = collection.documents.get(hit.id) || {};
+            return {
+                ...fields,
+                id: hit.id,
+                score: collection.index.toScore(hit.dist),
+            };
+        });
+    }
+
+    async deleteVectors(comboKey, vectorIds) {
+        const collection = await this._loadCollection(this.defaultDatabase, comboKey);
+        if (!collection) return 0;
+
+        let deleted = 0;
+        for (const id of vectorIds) {
+            if (collection.documents.delete(id)) {
+                collection.index.remove(id);
+                deleted++;
+            }
+        }
+
+        if (deleted > 0) this._markDirty(collection);
+        this.logger.info(`本地集合 ${comboKey} 删除 ${deleted} 个向量`);
+        return deleted;
+    }
+
+    /**
+     * 立即将所有未保存的集合写入磁盘
+     */
+    async flush() {
+        if (this.persistTimer) {
+            clearTimeout(this.persistTimer);
+            this.persistTimer = null;
+        }
+
+        const keys = Array.from(this.dirtyCollections);
+        this.dirtyCollections.clear();
+
+        for (const key of keys) {
+            const collection = this.collections.get(key);
+            if (collection) await this._persistCollection(collection);
+        }
+    }
+
+    async close() {
+        await this.flush();
+        this.collections.clear();
+        this.isInitialized = false;
+        this.logger.info('本地向量数据库已关闭');
+    }
+
+    // 内部方法
+    _getDatabaseDir(databaseName) {
+        return path.join(this.persistencePath, databaseName);
+    }
+
+    _getCollectionFile(databaseName, collectionName) {
+        return path.join(this._getDatabaseDir(databaseName), `${collectionName}.json`);
+    }
+
+    _getCollectionKey(databaseName, collectionName) {
+        return `${databaseName}/${collectionName}`;
+    }
+
+    async _loadCollection(databaseName, collectionName) {
+        const key = this._getCollectionKey(databaseName, collectionName);
+        if (this.collections.has(key)) {
+            return this.collections.get(key);
+        }
+
+        const filePath = this._getCollectionFile(databaseName, collectionName);
+        if (!(await fs.pathExists(filePath))) {
+            return null;
+        }
+
+        try {
+            const data = await fs.readJson(filePath);
+            const collection = {
+                name: data.name,
+                database: data.database,
+                description: data.description,
+                createdAt: data.createdAt,
+                index: HnswIndex.fromJSON(data.index),
+                documents: new Map(Object.entries(data.documents || {})),
+            };
+            this.collections.set(key, collection);
+            this.logger.debug(`加载本地集合 ${key}: ${collection.documents.size} 个文档`);
+            return collection;
+        } catch (error) {
+            this.logger.error(`加载本地集合 ${key} 失败，将忽略损坏的索引文件:`, error);
+            return null;
+        }
+    }
+
+    async _getOrCreateCollection(databaseName, collectionName) {
+        const existing = await this._loadCollection(databaseName, collectionName);
+        if (existing) return existing;
+
+        await this.createCollection(databaseName, collectionName);
+        return this.collections.get(this._getCollectionKey(databaseName, collectionName));
+    }
+
+    _markDirty(collection) {
+        this.dirtyCollections.add(this._getCollectionKey(collection.database, collection.name));
+
+        if (this.persistTimer) return;
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.flush().catch(error => this.logger.error('本地向量数据持久化失败:', error));
+        }, this.persistDelayMs);
+    }
+
+    async _persistCollection(collection) {
+        const filePath = this._getCollectionFile(collection.database, collection.name);
+        const tempPath = `${filePath}.tmp`;
+
+        await fs.ensureDir(path.dirname(filePath));
+        // 先写临时文件再重命名，避免进程中断留下半截索引
+        await fs.writeJson(tempPath, {
+            name: collection.name,
+            database: collection.database,
+            description: collection.description,
+            createdAt: collection.createdAt,
+            updatedAt: new Date().toISOString(),
+            index: collection.index.toJSON(),
+            documents: Object.fromEntries(collection.documents),
+        });
+        await fs.move(tempPath, filePath, { overwrite: true });
+    }
+
+    /**
+     * 将过滤条件转换为按文档ID判断的函数
+     * 支持与 TencentVectorDB._convertFilterToTencentFormat 相同的对象格式
+     * （{ field: value }、{ field: [v1, v2] }、{ field: { $in, $nin, $eq, $ne, $gt, $gte, $lt, $lte } }）
+     */
+    _buildFilterPredicate(filter, collection) {
+        if (!filter || typeof filter !== 'object' || Object.keys(filter).length === 0) {
+            return null;
+        }
+
+        const matchers = Object.entries(filter).map(([field, condition]) => {
+            if (Array.isArray(condition)) {
+                return doc => condition.includes(doc[field]);
+            }
+
+            if (condition && typeof condition === 'object') {
+                return doc => {
+                    const value = doc[field];
+                    if ('$eq' in condition && value !== condition.$eq) return false;
+                    if ('$ne' in condition && value === condition.$ne) return false;
+                    if ('$gt' in condition && !(value > condition.$gt)) return false;
+                    if ('$gte' in condition && !(value >= condition.$gte)) return false;
+                    if ('$lt' in condition && !(value < condition.$lt)) return false;
+                    if ('$lte' in condition && !(value <= condition.$lte)) return false;
+                    if ('$in' in condition && !condition.$in.includes(value)) return false;
+                    if ('$nin' in condition && condition.$nin.includes(value)) return false;
+                    return true;
+                };
+            }
+
+            return doc => doc[field] === condition;
+        });
+
+        return id => {
+            const doc = collection.documents.get(id);
+            return !!doc && matchers.every(match => match(doc));
+        };
+    }
+}
+
+module.exports = LocalVectorDB;
@@ -625,7 +625,11 @@ class TencentVectorDB {
             const databaseName = this.config.database || 'vectordb-test';
 
             // 确保集合存在
-            await this._ensureCollectionExists(databaseName, collectionName, 768);
+            await this._ensureCollectionExists(
+                databaseName,
+                collectionName,
+                validVectors[0].vector.length
+            );
 
             // 转换为腾讯云格式
             const documents = validVectors.map((vector, index) => ({
@@ -1205,17 +1209,33 @@ class TencentVectorDB {
                 const valueStr = value.map(v => `"${v}"`).join(',');
                 conditions.push(`${field} in (${valueStr})`);
             } else if (typeof value === 'object' && value !== null) {
-                // 范围查询等复杂条件
+                // 范围查询等复杂条件，同一字段的多个操作符以 and 连接（如行号区间）
                 if (value.$in) {
                     const valueStr = value.$in.map(v => `"${v}"`).join(',');
                     conditions.push(`${field} in (${valueStr})`);
-                } else if (value.$eq) {
-                    conditions.push(`${field}="${value.$eq}"`); // 移除空格
-                } else if (value.$gt) {
+                }
+                if (value.$nin) {
+                    const valueStr = value.$nin.map(v => `"${v}"`).join(',');
+                    conditions.push(`${field} not in (${valueStr})`);
+                }
+                if (value.$eq !== undefined) {
+                    conditions.push(`${field}=${this._formatFilterValue(value.$eq)}`); // 移除空格
+                }
+                if (value.$ne !== undefined) {
+                    conditions.push(`${field}!=${this._formatFilterValue(value.$ne)}`);
+                }
+                if (value.$gt !== undefined) {
                     conditions.push(`${field}>${value.$gt}`); // 移除空格
-                } else if (value.$lt) {
+                }
+                if (value.$gte !== undefined) {
+                    conditions.push(`${field}>=${value.$gte}`);
+                }
+                if (value.$lt !== undefined) {
                     conditions.push(`${field}<${value.$lt}`); // 移除空格
                 }
+                if (value.$lte !== undefined) {
+                    conditions.push(`${field}<=${value.$lte}`);
+                }
             } else {
                 // 简单等值条件 - 移除等号两边的空格，使用腾讯云标准格式
                 conditions.push(`${field}="${value}"`);
@@ -1226,6 +1246,11 @@ class TencentVectorDB {
         return conditions.length > 0 ? conditions.join(' and ') : ''; // 使用小写 'and'
     }
 
+    // 数值字段（如 start_line）不能加引号，字符串字段需要加引号
+    _formatFilterValue(value) {
+        return typeof value === 'number' ? String(value) : `"${value}"`;
+    }
+
     // 发送HTTP请求的通用方法 - 根据官方文档修正认证方式
     async makeRequest(method, endpoint, data = null) {
         const maxRetries = 3;
@@ -2,6 +2,7 @@ const DBConnection = require('./dbConnection');
 const CollectionManager = require('./collectionManager');
 const QueryBuilder = require('./queryBuilder');
 const TencentVectorDB = require('./tencentVectorDB');
+const LocalVectorDB = require('./localVectorDB');
 const Logger = require('../utils/logger');
 const { createCollectionName } = require('../../utils/collectionNameUtils');
 const RetryHelper = require('../utils/retry');
@@ -16,6 +17,7 @@ class VectorDB {
         this.logger.debug('VectorDB配置检查:', {
             configType: config.type,
             isTencentCloud: config.type === 'tencent_cloud',
+            isLocal: config.type === 'local',
             connectionType: config.connection?.type,
         });
 
@@ -31,10 +33,22 @@ class VectorDB {
             };
             this.implementation = new TencentVectorDB(tencentConfig);
             this.useTencentCloud = true;
+            this.useLocal = false;
+        } else if (config.type === 'local') {
+            this.logger.info('使用本地向量数据库实现');
+            this.implementation = new LocalVectorDB({
+                ...config.local,
+                logLevel: config.logLevel || 'info',
+                database: config.query?.defaultDatabase,
+                workspacePath: config.workspacePath,
+            });
+            this.useTencentCloud = false;
+            this.useLocal = true;
         } else {
             // 原有的实现逻辑
             this.logger.info('使用原始数据库实现');
             this.useTencentCloud = false;
+            this.useLocal = false;
             this._initOriginalImplementation(config);
         }
 
@@ -81,6 +95,13 @@ class VectorDB {
             return;
         }
 
+        if (this.useLocal) {
+            await this.implementation.initialize();
+            this.isConnected = true;
+            this.logger.info('VectorDB initialized with local storage');
+            return;
+        }
+
         // 原有的初始化逻辑
         try {
             this.logger.info('Initializing VectorDB...');
@@ -114,8 +135,8 @@ class VectorDB {
             throw new Error('Database not connected');
         }
 
-        if (this.useTencentCloud) {
-            // 使用腾讯云向量数据库
+        if (this.useTencentCloud || this.useLocal) {
+            // 使用腾讯云或本地向量数据库
             return await this.implementation.batchUpsert(comboKey, vectors);
         }
 
@@ -184,8 +205,8 @@ class VectorDB {
             throw new Error('Database not connected');
         }
 
-        if (this.useTencentCloud) {
-            // 使用腾讯云向量数据库
+        if (this.useTencentCloud || this.useLocal) {
+            // 使用腾讯云或本地向量数据库
             return await this.implementation.search(queryVector, topK, comboKey, options);
         }
 
@@ -233,6 +254,10 @@ class VectorDB {
             return 0;
         }
 
+        if (this.useLocal) {
+            return await this.implementation.deleteVectors(comboKey, vectorIds);
+        }
+
         try {
             const collectionName = this._getCollectionName(comboKey);
 
@@ -389,8 +414,17 @@ class VectorDB {
         return response.count || 0;
     }
 
+    /**
+     * 将本地向量数据库中未保存的数据立即写入磁盘（其他实现无需处理）
+     */
+    async flush() {
+        if (this.useLocal) {
+            await this.implementation.flush();
+        }
+    }
+
     async close() {
-        if (this.useTencentCloud) {
+        if (this.useTencentCloud || this.useLocal) {
             await this.implementation.close();
         } else if (this.connection) {
             await this.connection.close();
@@ -4,9 +4,16 @@ const crypto = require('crypto');
 const URL = require('url').URL;
 const config = require('../../config');
 
+// 兼容协议的默认接口路径
+const COMPATIBLE_ENDPOINTS = {
+    openai: '/v1/embeddings',
+    ollama: '/api/embeddings',
+};
+
 /**
  * 新版本嵌入客户端
- * 适配新的 /api/v1/codebase/embed 接口
+ * 适配新的 /api/v1/codebase/embed 接口，也支持自建的 OpenAI (/v1/embeddings) 与
+ * Ollama (/api/embeddings) 兼容嵌入服务（protocol 配置）
  */
 class EmbeddingClient {
     constructor(options = {}) {
@@ -28,17 +35,45 @@ class EmbeddingClient {
             }
         }
 
+        // 接口协议：codebase（默认）/ openai / ollama，兼容协议使用 compatible 中的服务地址与模型
+        const embeddingConfig = userConfig.vectorManager?.embedding || {};
+        this.protocol = options.protocol || embeddingConfig.protocol || 'codebase';
+        const compatible = options.compatible || embeddingConfig.compatible || {};
+        if (this.protocol !== 'codebase' && !COMPATIBLE_ENDPOINTS[this.protocol]) {
+            throw new Error(`Unknown embedding protocol: ${this.protocol}`);
+        }
+        if (this.protocol !== 'codebase' && (!compatible.baseURL || !compatible.model)) {
+            throw new Error(`Embedding protocol ${this.protocol} requires baseURL and model`);
+        }
+
         // 解析URL获取基础信息
-        const url = new URL(apiEndpoint || 'http://42.193.14.136:8087/api/v1/codebase/embed');
-        this.baseURL = `${url.protocol}//${url.host}`;
+        const url = new URL(
+            this.protocol === 'codebase'
+                ? apiEndpoint || 'http://42.193.14.136:8087/api/v1/codebase/embed'
+                : compatible.baseURL
+        );
+        // 兼容协议的服务可能部署在路径前缀下（如 https://gw/embeddings-proxy），保留路径作为接口前缀
+        this.baseURL =
+            this.protocol === 'codebase'
+                ? `${url.protocol}//${url.host}`
+                : `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}`;
+        this.provider = 'remote';
+        // 只有后端 codebase 接口提供 upsert，兼容协议的向量需要写入本地向量数据库
+        this.supportsUpsert = this.protocol === 'codebase';
 
         this.config = {
             baseURL: this.baseURL,
             token:
-                options.token ||
-                process.env.BACKEND_API_TOKEN ||
-                userConfig.token ||
-                'test_auth_token',
+                this.protocol === 'codebase'
+                    ? options.token ||
+                      process.env.BACKEND_API_TOKEN ||
+                      userConfig.token ||
+                      'test_auth_token'
+                    : compatible.apiKey || null,
+            // Authorization 头使用 Bearer 方式，其他头名（如 api-key）直接携带密钥
+            authHeader: compatible.authHeader || 'Authorization',
+            model: compatible.model || null,
+            maxBatchTokens: compatible.maxBatchTokens || 8192,
             timeout: options.timeout || userConfig.timeout || 300000, // 增加到300秒(5分钟)
             batchSize: options.batchSize || userConfig.batchSize || 20, // 进一步减少批处理大小
             maxRetries: options.maxRetries || userConfig.maxRetries || 15, // 增加到15次重试
@@ -48,7 +83,10 @@ class EmbeddingClient {
 
         // 新的API端点
         this.endpoints = {
-            embed: '/api/v1/codebase/embed',
+            embed:
+                this.protocol === 'codebase'
+                    ? '/api/v1/codebase/embed'
+                    : compatible.embedPath || COMPATIBLE_ENDPOINTS[this.protocol],
             upsert: '/api/v1/codebase/upsert',
         };
 
@@ -59,7 +97,10 @@ class EmbeddingClient {
             totalProcessingTime: 0,
         };
 
-        this._log('info', `EmbeddingClient initialized with baseURL: ${this.baseURL}`);
+        this._log(
+            'info',
+            `EmbeddingClient initialized with baseURL: ${this.baseURL} (protocol: ${this.protocol})`
+        );
     }
 
     /**
@@ -88,6 +129,18 @@ class EmbeddingClient {
             // 验证并获取处理后的代码块
             const validatedBlocks = this._validateCodeBlocks(codeBlocks);
 
+            // OpenAI / Ollama 兼容接口
+            if (this.protocol !== 'codebase') {
+                const result = await this._embedWithCompatibleApi(validatedBlocks, options);
+                const processingTime = Date.now() - startTime;
+                this._updateStats(true, processingTime);
+                this._log(
+                    'info',
+                    `Successfully processed ${validatedBlocks.length} code blocks via ${this.protocol} in ${processingTime}ms`
+                );
+                return result;
+            }
+
             // 准备新接口格式的请求数据
             const requestData = {
                 requestId: this._generateRequestId(),
@@ -357,6 +410,122 @@ class EmbeddingClient {
         });
     }
 
+    /**
+     * 通过 OpenAI / Ollama 兼容接口生成向量，结果与 _processNewEmbedResponse 的格式一致
+     */
+    async _embedWithCompatibleApi(blocks, options = {}) {
+        const requestStartTime = Date.now();
+        const results = [];
+
+        for (const batch of this._splitByTokenBudget(blocks)) {
+            const batchStartTime = Date.now();
+            const vectors =
+                this.protocol === 'openai'
+                    ? await this._requestOpenAIEmbeddings(batch)
+                    : await this._requestOllamaEmbeddings(batch);
+            const processingTimeMs = Date.now() - batchStartTime;
+
+            batch.forEach((block, index) => {
+                results.push({
+                    chunkId: block.chunkId,
+                    filePath: block.filePath,
+                    language: block.language,
+                    startLine: block.startLine,
+                    endLine: block.endLine,
+                    status: 'success',
+                    vector: vectors[index],
+                    compressedVector: null,
+                    isCompressed: false,
+                    vectorDimension: vectors[index].length,
+                    processingTimeMs,
+                    modelVersion: this.config.model,
+                });
+            });
+        }
+
+        return {
+            status: 'success',
+            requestId: options.requestId || this._generateRequestId(),
+            processed: results.length,
+            skipped: 0,
+            results,
+            totalProcessingTimeMs: Date.now() - requestStartTime,
+            timestamp: new Date().toISOString(),
+            processingMode: 'sync',
+        };
+    }
+
+    /**
+     * 按 maxBatchTokens 将代码块分成多次请求；单个代码块超出预算时单独发送
+     */
+    _splitByTokenBudget(blocks) {
+        const batches = [];
+        let current = [];
+        let currentTokens = 0;
+
+        for (const block of blocks) {
+            // 粗略估算：代码平均约3个字符一个token
+            const tokens = Math.ceil(block.content.length / 3);
+            if (current.length > 0 && currentTokens + tokens > this.config.maxBatchTokens) {
+                batches.push(current);
+                current = [];
+                currentTokens = 0;
+            }
+            current.push(block);
+            currentTokens += tokens;
+        }
+        if (current.length > 0) batches.push(current);
+
+        return batches;
+    }
+
+    /**
+     * OpenAI /v1/embeddings：一次请求嵌入多段文本
+     */
+    async _requestOpenAIEmbeddings(blocks) {
+        const response = await this._makeRequestWithRetry('POST', this.endpoints.embed, {
+            model: this.config.model,
+            input: blocks.map(block => block.content),
+            encoding_format: 'float',
+        });
+
+        if (!Array.isArray(response.data) || response.data.length !== blocks.length) {
+            throw new Error(
+                `Invalid OpenAI embeddings response: expected ${blocks.length} embeddings, got ${response.data?.length ?? 'none'}`
+            );
+        }
+        return [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+    }
+
+    /**
+     * Ollama /api/embeddings：每次请求只接受一段文本，逐个发送
+     */
+    async _requestOllamaEmbeddings(blocks) {
+        const vectors = [];
+        for (const block of blocks) {
+            const response = await this._makeRequestWithRetry('POST', this.endpoints.embed, {
+                model: this.config.model,
+                prompt: block.content,
+            });
+            if (!Array.isArray(response.embedding) || response.embedding.length === 0) {
+                throw new Error(`Invalid Ollama embeddings response for chunk ${block.chunkId}`);
+            }
+            vectors.push(response.embedding);
+        }
+        return vectors;
+    }
+
+    /**
+     * 认证请求头：Authorization 使用 Bearer 方式，其他头名直接携带密钥；未配置密钥时不发送
+     */
+    _getAuthHeaders() {
+        if (!this.config.token) return {};
+        if (this.config.authHeader.toLowerCase() === 'authorization') {
+            return { Authorization: `Bearer ${this.config.token}` };
+        }
+        return { [this.config.authHeader]: this.config.token };
+    }
+
     /**
      * 验证代码块数据
      */
@@ -613,7 +782,7 @@ class EmbeddingClient {
      */
     async _makeRequest(method, endpoint, data = null) {
         const requestStartTime = process.hrtime.bigint(); // 高精度请求开始时间
-        const url = new URL(endpoint, this.baseURL);
+        const url = new URL(`${this.baseURL}${endpoint}`);
         const isHttps = url.protocol === 'https:';
 
         // 特别标记upsert请求
@@ -635,7 +804,7 @@ class EmbeddingClient {
             method: method,
             headers: {
                 'Content-Type': 'application/json',
-                Authorization: `Bearer ${this.config.token}`,
+                ...this._getAuthHeaders(),
                 'User-Agent': 'CodeChunker-EmbeddingClient/1.0.0',
             },
             timeout: this.config.timeout,
@@ -770,7 +939,10 @@ class EmbeddingClient {
                                 console.error(`❌ ===========================\n`);
                             }
 
-                            const error = new Error(parsed.error || `HTTP ${res.statusCode}`);
+                            // OpenAI 兼容服务的错误为 { error: { message } }
+                            const error = new Error(
+                                parsed.error?.message || parsed.error || `HTTP ${res.statusCode}`
+                            );
                             error.statusCode = res.statusCode;
                             error.response = parsed;
                             reject(error);
@@ -850,6 +1022,13 @@ class EmbeddingClient {
         }
     }
 
+    /**
+     * 向量维度由后端模型决定，客户端无法预知
+     */
+    getDimension() {
+        return null;
+    }
+
     /**
      * 获取统计信息
      */
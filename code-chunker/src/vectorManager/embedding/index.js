@@ -0,0 +1,27 @@
+const EmbeddingClient = require('./embeddingClient');
+const LocalEmbeddingProvider = require('./localEmbeddingProvider');
+
+/**
+ * 根据 provider 创建嵌入客户端，两种实现提供相同的 embedCodeBlocks / getEmbedding 接口
+ *   remote（默认）: 调用后端 /api/v1/codebase/embed 接口
+ *   local: 在本机CPU上运行本地嵌入模型（options.local），完全离线
+ *
+ * @param {Object} options - vectorManager.embedding 配置，可附带 EmbeddingClient 的连接参数
+ */
+function createEmbeddingClient(options = {}) {
+    const provider = options.provider || 'remote';
+
+    if (provider === 'local') {
+        return new LocalEmbeddingProvider(options.local || {});
+    }
+    if (provider !== 'remote') {
+        throw new Error(`Unknown embedding provider: ${provider}`);
+    }
+    return new EmbeddingClient(options);
+}
+
+module.exports = {
+    createEmbeddingClient,
+    EmbeddingClient,
+    LocalEmbeddingProvider,
+};
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// 已加载的模型按 模型目录 + 权重精度 共享，避免每次处理工作空间都重新加载
+const pipelineCache = new Map();
+
+/**
+ * 本地嵌入模型，在本机CPU上通过 @huggingface/transformers（ONNX Runtime）生成向量，不访问网络
+ * 提供与 EmbeddingClient 相同的 embedCodeBlocks / getEmbedding 接口，可直接替换远程嵌入服务
+ *
+ * 模型目录为 transformers.js 格式：config.json、tokenizer.json 以及 onnx/model*.onnx
+ */
+class LocalEmbeddingProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.modelPath - 本地模型目录
+     * @param {number} [options.dimension] - 输出向量维度；小于模型原始维度时截断后重新归一化
+     *   （适用于 Matryoshka 方式训练的模型），缺省使用模型原始维度
+     * @param {string} [options.pooling='mean'] - 'mean' | 'cls'
+     * @param {boolean} [options.normalize=true] - 是否对向量做L2归一化
+     * @param {string} [options.dtype='q8'] - 模型权重精度（fp32 / fp16 / q8 / q4）
+     * @param {number} [options.batchSize=16] - 每次送入模型的文本数
+     * @param {string} [options.queryPrefix=''] - 查询文本前缀，部分检索模型要求（如 "query: "）
+     * @param {string} [options.documentPrefix=''] - 代码块文本前缀
+     */
+    constructor(options = {}) {
+        this.provider = 'local';
+        this.supportsUpsert = false;
+        this.modelPath = options.modelPath ? path.resolve(options.modelPath) : null;
+        this.dimension = Number(options.dimension) || null;
+        this.pooling = options.pooling || 'mean';
+        this.normalize = options.normalize !== false;
+        this.dtype = options.dtype || 'q8';
+        this.batchSize = options.batchSize || 16;
+        this.queryPrefix = options.queryPrefix || '';
+        this.documentPrefix = options.documentPrefix || '';
+        this.modelVersion = `local:${this.modelPath ? path.basename(this.modelPath) : 'unknown'}`;
+
+        this.stats = {
+            totalRequests: 0,
+            successfulRequests: 0,
+            failedRequests: 0,
+            totalProcessingTime: 0,
+        };
+    }
+
+    /**
+     * 嵌入代码块
+     * @param {Array} codeBlocks - 代码块数组（chunkId、filePath、content 等）
+     * @returns {Promise<Object>} 与 EmbeddingClient.embedCodeBlocks 相同结构的结果
+     */
+    async embedCodeBlocks(codeBlocks, options = {}) {
+        const startTime = Date.now();
+
+        try {
+            if (!Array.isArray(codeBlocks) || codeBlocks.length === 0) {
+                throw new Error('Code blocks must be a non-empty array');
+            }
+
+            const results = [];
+            for (let i = 0; i < codeBlocks.length; i += this.batchSize) {
+                const batch = codeBlocks.slice(i, i + this.batchSize);
+                const batchStart = Date.now();
+                try {
+                    const vectors = await this._embedTexts(
+                        batch.map(block => this.documentPrefix + (block.content || ''))
+                    );
+                    const processingTimeMs = Date.now() - batchStart;
+                    batch.forEach((block, index) => {
+                        results.push({
+                            ...this._describeBlock(block),
+                            status: 'success',
+                            vector: vectors[index],
+                            isCompressed: false,
+                            vectorDimension: vectors[index].length,
+                            processingTimeMs,
+                            modelVersion: this.modelVersion,
+                        });
+                    });
+                } catch (error) {
+                    // 模型不可用时整体失败，交给调用方按网络错误同样处理
+                    if (error.code === 'LOCAL_MODEL_UNAVAILABLE') throw error;
+                    console.error(`❌ 本地嵌入批次失败: ${error.message}`);
+                    batch.forEach(block => {
+                        results.push({
+                            ...this._describeBlock(block),
+                            status: 'failed',
+                            error: error.message,
+                        });
+                    });
+                }
+            }
+
+            const processingTime = Date.now() - startTime;
+            this._updateStats(true, processingTime);
+
+            return {
+                status: 'success',
+                requestId: options.requestId || `local-${crypto.randomBytes(8).toString('hex')}`,
+                processed: results.filter(result => result.status === 'success').length,
+                skipped: 0,
+                results,
+                totalProcessingTimeMs: processingTime,
+                timestamp: new Date().toISOString(),
+                processingMode: 'local',
+            };
+        } catch (error) {
+            this._updateStats(false, Date.now() - startTime);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取单个查询的嵌入向量（用于搜索功能）
+     */
+    async getEmbedding(query) {
+        const startTime = Date.now();
+
+        if (!query || typeof query !== 'string') {
+            throw new Error('Query must be a non-empty string');
+        }
+
+        try {
+            const [vector] = await this._embedTexts([this.queryPrefix + query]);
+            const processingTimeMs = Date.now() - startTime;
+            this._updateStats(true, processingTimeMs);
+
+            return {
+                vector,
+                compressedVector: null,
+                isCompressed: false,
+                vectorDimension: vector.length,
+                processingTimeMs,
+                modelVersion: this.modelVersion,
+            };
+        } catch (error) {
+            this._updateStats(false, Date.now() - startTime);
+            throw error;
+        }
+    }
+
+    /**
+     * 输出向量维度：配置的维度，否则读取模型 config.json 中的 hidden_size（不加载模型）
+     * @returns {number|null}
+     */
+    getDimension() {
+        if (this.dimension) return this.dimension;
+        if (!this.modelPath) return null;
+
+        try {
+            const modelConfig = JSON.parse(
+                fs.readFileSync(path.join(this.modelPath, 'config.json'), 'utf8')
+            );
+            return modelConfig.hidden_size || modelConfig.d_model || modelConfig.dim || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            averageProcessingTime:
+                this.stats.totalRequests > 0
+                    ? this.stats.totalProcessingTime / this.stats.totalRequests
+                    : 0,
+        };
+    }
+
+    // 与 EmbeddingClient 保持一致的网络性能接口，本地模型不产生网络请求
+    generateNetworkPerformanceReport() {
+        console.log('\n📊 [网络性能报告] 使用本地嵌入模型，没有网络请求数据');
+        return null;
+    }
+
+    clearNetworkPerformanceData() {}
+
+    getNetworkPerformanceData() {
+        return [];
+    }
+
+    // 内部方法
+    async _embedTexts(texts) {
+        const extractor = await this._loadPipeline();
+        // 截断维度时需要在截断后再归一化，因此统一在这里处理归一化
+        const output = await extractor(texts, { pooling: this.pooling, normalize: false });
+        return output.tolist().map(vector => this._fitDimension(vector));
+    }
+
+    _fitDimension(vector) {
+        if (this.dimension && this.dimension > vector.length) {
+            throw new Error(
+                `Configured embedding dimension ${this.dimension} exceeds model dimension ${vector.length}`
+            );
+        }
+
+        const fitted = this.dimension ? vector.slice(0, this.dimension) : vector;
+        if (!this.normalize) return fitted;
+
+        let norm = 0;
+        for (const value of fitted) norm += value * value;
+        norm = Math.sqrt(norm);
+        return norm > 0 ? fitted.map(value => value / norm) : fitted;
+    }
+
+    _describeBlock(block) {
+        return {
+            chunkId: block.chunkId,
+            filePath: block.filePath,
+            startLine: block.startLine,
+            endLine: block.endLine,
+            language: block.language,
+        };
+    }
+
+    _loadPipeline() {
+        const cacheKey = `${this.modelPath}|${this.dtype}`;
+        if (!pipelineCache.has(cacheKey)) {
+            const loading = LocalEmbeddingProvider._createPipeline(this.modelPath, this.dtype);
+            pipelineCache.set(cacheKey, loading);
+            // 加载失败（如模型文件缺失）后允许修复配置再重试
+            loading.catch(() => pipelineCache.delete(cacheKey));
+        }
+        return pipelineCache.get(cacheKey);
+    }
+
+    static async _createPipeline(modelPath, dtype) {
+        if (!modelPath) {
+            throw LocalEmbeddingProvider._unavailable(
+                'Local embedding provider requires modelPath (LOCAL_EMBEDDING_MODEL_PATH)'
+            );
+        }
+        if (!fs.existsSync(path.join(modelPath, 'config.json'))) {
+            throw LocalEmbeddingProvider._unavailable(
+                `Local embedding model not found: ${modelPath} (missing config.json)`
+            );
+        }
+
+        let transformers;
+        try {
+            transformers = await import('@huggingface/transformers');
+        } catch (error) {
+            throw LocalEmbeddingProvider._unavailable(
+                `Local embedding requires the @huggingface/transformers package: ${error.message}`
+            );
+        }
+
+        // 只从本地目录加载模型，禁止联网下载
+        const { pipeline, env } = transformers;
+        env.allowRemoteModels = false;
+        env.allowLocalModels = true;
+        env.localModelPath = `${path.dirname(modelPath)}${path.sep}`;
+
+        const startTime = Date.now();
+        console.log(`🧠 加载本地嵌入模型: ${modelPath} (${dtype})`);
+        try {
+            const extractor = await pipeline('feature-extraction', path.basename(modelPath), {
+                device: 'cpu',
+                dtype,
+            });
+            console.log(`✅ 本地嵌入模型加载完成，耗时 ${Date.now() - startTime}ms`);
+            return extractor;
+        } catch (error) {
+            throw LocalEmbeddingProvider._unavailable(
+                `Failed to load local embedding model ${modelPath}: ${error.message}`
+            );
+        }
+    }
+
+    static _unavailable(message) {
+        const error = new Error(message);
+        error.code = 'LOCAL_MODEL_UNAVAILABLE';
+        return error;
+    }
+
+    _updateStats(success, processingTime) {
+        this.stats.totalRequests++;
+        if (success) {
+            this.stats.successfulRequests++;
+        } else {
+            this.stats.failedRequests++;
+        }
+        this.stats.totalProcessingTime += processingTime;
+    }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -1,5 +1,5 @@
 const VectorDB = require('./database/vectorDB');
-const EmbeddingClient = require('./embedding/embeddingClient');
+const { createEmbeddingClient } = require('./embedding');
 const PathEncryption = require('./security/pathEncryption');
 const Logger = require('./utils/logger');
 const Validator = require('./utils/validator');
@@ -38,11 +38,11 @@ class VectorManager {
         try {
             this.logger.info('Initializing VectorManager...');
 
-            // 检查是否配置了数据库且不是local类型
+            // 检查是否配置了数据库（local类型仅在显式启用本地向量库时才算）
             const shouldInitFullMode =
                 this.config.database &&
-                this.config.database.type !== 'local' &&
-                this.config.database.type !== 'disabled';
+                this.config.database.type !== 'disabled' &&
+                (this.config.database.type !== 'local' || this.config.database.enabled === true);
 
             // 在开发和测试环境中简化初始化，但如果配置了在线数据库则完整初始化
             if (
@@ -53,7 +53,7 @@ class VectorManager {
 
                 // 最小化初始化
                 if (this.config.embedding) {
-                    this.embeddingClient = new EmbeddingClient(this.config.embedding);
+                    this.embeddingClient = createEmbeddingClient(this.config.embedding);
                     this.logger.info('EmbeddingClient initialized');
                 }
 
@@ -93,6 +93,11 @@ class VectorManager {
                             this.vectorDB = new VectorDB(this.config.database);
                             await this.vectorDB.initialize();
                             this.logger.info('VectorDB initialized with Tencent Cloud');
+                        } else if (this.config.database.type === 'local') {
+                            // 使用本地嵌入式向量数据库（离线可用）
+                            this.vectorDB = new VectorDB(this.config.database);
+                            await this.vectorDB.initialize();
+                            this.logger.info('VectorDB initialized with local storage');
                         }
                     } else {
                         this.logger.info(
@@ -103,7 +108,7 @@ class VectorManager {
 
                     // 3. 初始化嵌入服务客户端
                     if (this.config.embedding) {
-                        this.embeddingClient = new EmbeddingClient(this.config.embedding);
+                        this.embeddingClient = createEmbeddingClient(this.config.embedding);
                         this.logger.info('EmbeddingClient initialized');
                     }
 
@@ -123,7 +128,7 @@ class VectorManager {
                     // 尝试初始化嵌入客户端
                     try {
                         if (this.config.embedding) {
-                            this.embeddingClient = new EmbeddingClient(this.config.embedding);
+                            this.embeddingClient = createEmbeddingClient(this.config.embedding);
                             this.logger.info('EmbeddingClient initialized in fallback mode');
                         }
                     } catch (embeddingError) {
@@ -323,7 +328,7 @@ class VectorManager {
 
             // 4. 执行向量搜索
             const searchResults = await this.retryHelper.executeWithRetry(
-                () => this.vectorDB.search(queryVector, topK, comboKey),
+                () => this.vectorDB.search(queryVector, topK, comboKey, { filter: options.filter }),
                 'Searching vectors in database'
             );
 
@@ -531,6 +536,41 @@ class VectorManager {
                         language: result.language || result.metadata?.language || '',
                         parser: result.parser || result.metadata?.parser || '',
                         type: result.type || result.metadata?.type || '',
+                        // 本地数据库保存了AST解析器提取的符号信息
+                        symbol: result.symbolName
+                            ? {
+                                  name: result.symbolName,
+                                  kind: result.symbolKind || '',
+                                  container: result.symbolContainer || '',
+                                  qualifiedName: result.qualifiedName || result.symbolName,
+                                  signature: result.signature || '',
+                                  docComment: result.docComment || '',
+                              }
+                            : null,
+                        // 文档解析器记录的章节标题和面包屑
+                        section:
+                            result.sectionLevel !== undefined
+                                ? {
+                                      title: result.sectionTitle || '',
+                                      level: result.sectionLevel,
+                                      breadcrumb: result.headingPath || '',
+                                      codeLanguages: result.codeLanguages || [],
+                                  }
+                                : null,
+                        // 配置文件解析器记录的键路径
+                        keyPath: result.keyPath ?? null,
+                        // Notebook 解析器记录的单元格位置
+                        cell:
+                            result.cellIndex !== undefined
+                                ? {
+                                      index: result.cellIndex,
+                                      cellType: result.cellType || '',
+                                      executionCount: result.executionCount ?? null,
+                                      startLine: result.cellStartLine || 1,
+                                      endLine: result.cellEndLine || 1,
+                                      part: result.cellPart || 0,
+                                  }
+                                : null,
                         vectorModel:
                             result.vectorModel ||
                             result.vector_model ||
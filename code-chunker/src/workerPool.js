@@ -0,0 +1,327 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * 常驻的解析Worker池
+ *
+ * 每个Worker有自己的任务队列，从队头取任务；自己的队列空了就从最长队列的队尾窃取，
+ * 大文件集中在某个队列时其他Worker也不会空闲。Worker同一时间只执行一个任务，
+ * 任务超时只终止并替换卡住的Worker。解析结果按顺序交给消费者，未被消费的结果达到上限时
+ * 暂停分发新任务，让下游（嵌入）的速度反压到解析阶段。
+ */
+class WorkerPool {
+    /**
+     * @param {Object} options
+     * @param {string} options.workerPath - worker脚本路径
+     * @param {number} options.size - Worker数量
+     * @param {number} [options.taskTimeoutMs=30000] - 单个任务超时时间
+     * @param {number} [options.maxCrashes=10] - 一批任务中Worker异常退出的上限，超过后不再启动Worker
+     * @param {number} [options.idleTimeoutMs=60000] - 空闲多久后终止Worker释放内存，0 表示不终止
+     */
+    constructor({
+        workerPath,
+        size,
+        taskTimeoutMs = 30000,
+        maxCrashes = 10,
+        idleTimeoutMs = 60000,
+    }) {
+        this.workerPath = workerPath;
+        this.size = Math.max(1, size);
+        this.taskTimeoutMs = taskTimeoutMs;
+        this.maxCrashes = maxCrashes;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.idleTimer = null;
+
+        this.workerData = null;
+        this.serializedWorkerData = null;
+        this.slots = Array.from({ length: this.size }, (_, index) => ({
+            index,
+            worker: null,
+            queue: [],
+            pending: null, // 当前任务 { taskId, resolve, timer }
+        }));
+        this.nextTaskId = 1;
+        this.running = false;
+        this.runCrashes = 0;
+
+        this.stats = {
+            tasks: 0,
+            stolenTasks: 0,
+            timeouts: 0,
+            crashes: 0,
+            spawnedWorkers: 0,
+        };
+    }
+
+    /**
+     * 设置Worker初始化数据（解析配置）；与当前不同时在下次任务前重启Worker
+     */
+    configure(workerData) {
+        const serialized = JSON.stringify(workerData);
+        if (serialized === this.serializedWorkerData) return;
+
+        this.serializedWorkerData = serialized;
+        this.workerData = workerData;
+        for (const slot of this.slots) {
+            this._retire(slot);
+        }
+    }
+
+    /**
+     * 执行一批任务
+     * @param {Array|AsyncIterable} payloads - 发送给Worker的任务数据；异步数据源按需拉取，
+     *   各队列合计最多预取 Worker数 * 2 个任务
+     * @param {Function} onResult - async (payload, result) => void，按完成顺序串行调用
+     * @param {Object} [options]
+     * @param {number} [options.maxPendingResults] - 未被消费的结果上限，默认 Worker数 * 2
+     * @param {AbortSignal} [options.signal] - 取消信号，停止分发新任务
+     */
+    async run(payloads, onResult, options = {}) {
+        if (this.running) {
+            throw new Error('WorkerPool is already running a batch');
+        }
+        this.running = true;
+        this.runCrashes = 0;
+        clearTimeout(this.idleTimer);
+
+        const maxPendingResults = options.maxPendingResults || this.size * 2;
+        const signal = options.signal || null;
+
+        let finished = false;
+        let sourceDone = true;
+        let sourceError = null;
+        let pulling = null;
+        let pull = () => null;
+
+        if (Array.isArray(payloads)) {
+            // 轮流分配到各Worker的队列
+            payloads.forEach((payload, index) => {
+                this.slots[index % this.size].queue.push(payload);
+            });
+        } else {
+            const source = payloads[Symbol.asyncIterator]();
+            const prefetch = this.size * 2;
+            sourceDone = false;
+            pull = () => {
+                if (!pulling && !sourceDone) {
+                    pulling = source.next().then(
+                        ({ value, done }) => {
+                            pulling = null;
+                            if (finished) return;
+                            if (done) {
+                                sourceDone = true;
+                                return;
+                            }
+                            this._shortestQueue().push(value);
+                            if (this._queuedTasks() < prefetch) pull();
+                        },
+                        error => {
+                            pulling = null;
+                            sourceDone = true;
+                            sourceError = error;
+                        }
+                    );
+                }
+                return pulling;
+            };
+        }
+
+        let pendingResults = 0;
+        let drained = null; // 等待消费者追上时的 { promise, resolve }
+        let delivery = Promise.resolve();
+        let deliveryError = null;
+
+        const deliver = (payload, result) => {
+            pendingResults++;
+            delivery = delivery
+                .then(() => (deliveryError ? null : onResult(payload, result)))
+                .catch(error => {
+                    deliveryError = deliveryError || error;
+                })
+                .finally(() => {
+                    pendingResults--;
+                    if (drained && pendingResults < maxPendingResults) {
+                        drained.resolve();
+                        drained = null;
+                    }
+                });
+        };
+
+        const waitForConsumer = async () => {
+            while (pendingResults >= maxPendingResults && !deliveryError) {
+                if (!drained) {
+                    let resolve;
+                    const promise = new Promise(r => (resolve = r));
+                    drained = { promise, resolve };
+                }
+                await drained.promise;
+            }
+        };
+
+        const runSlot = async slot => {
+            for (;;) {
+                await waitForConsumer();
+                if (deliveryError || sourceError || signal?.aborted) return;
+
+                const payload = this._takeTask(slot);
+                if (!payload) {
+                    // 队列都空了，等待数据源产生新任务
+                    if (sourceDone) return;
+                    await pull();
+                    continue;
+                }
+                pull();
+
+                const result = await this._execute(slot, payload);
+                deliver(payload, result);
+            }
+        };
+
+        try {
+            await Promise.all(this.slots.map(runSlot));
+            await delivery;
+            if (deliveryError) throw deliveryError;
+            signal?.throwIfAborted();
+            if (sourceError) throw sourceError;
+        } finally {
+            finished = true;
+            for (const slot of this.slots) slot.queue = [];
+            this.running = false;
+            this._scheduleIdleShutdown();
+        }
+    }
+
+    /**
+     * 终止所有Worker
+     */
+    async terminate() {
+        clearTimeout(this.idleTimer);
+        await Promise.all(this.slots.map(slot => this._retire(slot)));
+    }
+
+    getStats() {
+        return {
+            size: this.size,
+            liveWorkers: this.slots.filter(slot => slot.worker).length,
+            ...this.stats,
+        };
+    }
+
+    // 内部方法
+    _takeTask(slot) {
+        if (slot.queue.length > 0) {
+            return slot.queue.shift();
+        }
+
+        // 从剩余任务最多的队列队尾窃取
+        let victim = null;
+        for (const other of this.slots) {
+            if (other.queue.length > 0 && (!victim || other.queue.length > victim.queue.length)) {
+                victim = other;
+            }
+        }
+        if (!victim) return null;
+
+        this.stats.stolenTasks++;
+        return victim.queue.pop();
+    }
+
+    _shortestQueue() {
+        return this.slots.reduce((shortest, slot) =>
+            slot.queue.length < shortest.queue.length ? slot : shortest
+        ).queue;
+    }
+
+    _queuedTasks() {
+        return this.slots.reduce((total, slot) => total + slot.queue.length, 0);
+    }
+
+    _execute(slot, payload) {
+        return new Promise(resolve => {
+            let worker;
+            try {
+                worker = this._ensureWorker(slot);
+            } catch (error) {
+                resolve({ error: { code: 'WORKER_UNAVAILABLE', message: error.message } });
+                return;
+            }
+
+            const taskId = this.nextTaskId++;
+            const timer = setTimeout(() => {
+                this.stats.timeouts++;
+                // 只回收卡住的Worker，下一个任务会启动新的Worker
+                this._finish(slot, {
+                    error: {
+                        code: 'TASK_TIMEOUT',
+                        message: `Worker task timed out after ${this.taskTimeoutMs}ms`,
+                    },
+                });
+                this._retire(slot);
+            }, this.taskTimeoutMs);
+
+            this.stats.tasks++;
+            slot.pending = { taskId, resolve, timer };
+            worker.postMessage({ taskId, ...payload });
+        });
+    }
+
+    _finish(slot, result) {
+        const pending = slot.pending;
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        slot.pending = null;
+        pending.resolve(result);
+    }
+
+    _ensureWorker(slot) {
+        if (slot.worker) return slot.worker;
+        if (this.runCrashes >= this.maxCrashes) {
+            throw new Error(`Worker crashed ${this.runCrashes} times, not starting new workers`);
+        }
+
+        const worker = new Worker(this.workerPath, { workerData: this.workerData });
+        // 空闲的Worker不阻止进程退出
+        worker.unref();
+        this.stats.spawnedWorkers++;
+
+        worker.on('message', message => {
+            if (slot.worker !== worker || message.taskId !== slot.pending?.taskId) return;
+            const { taskId, ...result } = message;
+            this._finish(slot, result);
+        });
+        worker.on('error', error => {
+            if (slot.worker !== worker) return;
+            this._onWorkerLost(slot, error.message);
+        });
+        worker.on('exit', code => {
+            if (slot.worker !== worker) return;
+            this._onWorkerLost(slot, `Worker stopped with exit code ${code}`);
+        });
+
+        slot.worker = worker;
+        return worker;
+    }
+
+    _onWorkerLost(slot, message) {
+        this.stats.crashes++;
+        this.runCrashes++;
+        slot.worker = null;
+        this._finish(slot, { error: { code: 'WORKER_CRASHED', message } });
+    }
+
+    _scheduleIdleShutdown() {
+        if (!this.idleTimeoutMs) return;
+        this.idleTimer = setTimeout(() => {
+            if (!this.running) this.terminate();
+        }, this.idleTimeoutMs);
+        this.idleTimer.unref();
+    }
+
+    _retire(slot) {
+        const worker = slot.worker;
+        slot.worker = null;
+        return worker ? worker.terminate() : Promise.resolve();
+    }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,82 @@
+/**
+ * 认证与授权测试
+ * 包含：请求参数中 userId / userID 等不同写法的授权检查、HMAC令牌的签发时间与有效期上限
+ *
+ * 运行：npx jest code-chunker/tests/auth.test.js
+ */
+
+const AuthManager = require('../src/auth/authManager');
+const HmacTokenProvider = require('../src/auth/hmacTokenProvider');
+
+const SECRET = 'test-secret';
+
+function signPayload(payload) {
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `cc1.${encoded}.${HmacTokenProvider._sign(SECRET, `cc1.${encoded}`)}`;
+}
+
+describe('AuthManager.getRequestIdentity', () => {
+    const principal = { id: 'hmac:alice', userId: 'alice', deviceIds: ['laptop'], admin: false };
+
+    test('读取任意一种写法的参数', () => {
+        expect(AuthManager.getRequestIdentity({ userID: 'alice', deviceID: 'laptop' })).toEqual({
+            userId: 'alice',
+            deviceId: 'laptop',
+        });
+        expect(AuthManager.getRequestIdentity({}, undefined)).toEqual({
+            userId: undefined,
+            deviceId: undefined,
+        });
+    });
+
+    test('不同写法的值相同时正常通过', () => {
+        const identity = AuthManager.getRequestIdentity(
+            { userId: 'alice' },
+            { userID: 'alice', deviceId: 'laptop' }
+        );
+        expect(AuthManager.canAccess(principal, identity.userId, identity.deviceId)).toBe(true);
+    });
+
+    test('请求体中混用 userId 与 userID 指向其他用户时拒绝', () => {
+        expect(() =>
+            AuthManager.getRequestIdentity({}, { userId: 'alice', userID: 'victim' })
+        ).toThrow(expect.objectContaining({ code: 'PARAM_CONFLICT' }));
+    });
+
+    test('查询参数与请求体中的设备ID不一致时拒绝', () => {
+        expect(() =>
+            AuthManager.getRequestIdentity({ deviceID: 'victim-device' }, { deviceId: 'laptop' })
+        ).toThrow(expect.objectContaining({ code: 'PARAM_CONFLICT' }));
+    });
+
+    test('只提供其他用户的ID时无权访问', () => {
+        const identity = AuthManager.getRequestIdentity({}, { userID: 'victim' });
+        expect(AuthManager.canAccess(principal, identity.userId, identity.deviceId)).toBe(false);
+    });
+});
+
+describe('HmacTokenProvider', () => {
+    const provider = new HmacTokenProvider({ secret: SECRET, maxTtlSeconds: 3600 });
+    const now = Math.floor(Date.now() / 1000);
+
+    test('签发的令牌可以通过校验，且不是管理员', () => {
+        const token = HmacTokenProvider.issue(SECRET, { userId: 'alice', ttlSeconds: 600 });
+        expect(provider.verify(token)).toMatchObject({ userId: 'alice', admin: false });
+    });
+
+    test('缺少签发时间的令牌无效，不能绕过有效期上限', () => {
+        const token = signPayload({ sub: 'alice', dev: '*', exp: now + 10 * 365 * 86400 });
+        expect(() => provider.verify(token)).toThrow('HMAC token has no issue time');
+    });
+
+    test('有效期超过上限的令牌无效', () => {
+        const token = signPayload({ sub: 'alice', dev: '*', iat: now, exp: now + 7200 });
+        expect(() => provider.verify(token)).toThrow('exceeds the allowed maximum');
+    });
+
+    test('sub 为 "*" 的令牌无效，也不能签发', () => {
+        const token = signPayload({ sub: '*', dev: '*', iat: now, exp: now + 600 });
+        expect(() => provider.verify(token)).toThrow('is not a valid user');
+        expect(() => HmacTokenProvider.issue(SECRET, { userId: '*' })).toThrow();
+    });
+});
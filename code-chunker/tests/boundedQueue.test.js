@@ -0,0 +1,117 @@
+/**
+ * 有界异步队列测试
+ * 包含：容量上限与反压、关闭后取完剩余元素、出错时唤醒等待方、消费者提前退出
+ *
+ * 运行：npx jest code-chunker/tests/boundedQueue.test.js
+ */
+
+const BoundedQueue = require('../src/utils/boundedQueue');
+
+// 让已就绪的 Promise 回调全部执行
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('BoundedQueue', () => {
+    test('队列满时 push 等待，取走一个元素后继续', async () => {
+        const queue = new BoundedQueue(2);
+        await queue.push(1);
+        await queue.push(2);
+
+        let pushed = false;
+        const pending = queue.push(3).then(() => (pushed = true));
+        await flushPromises();
+        expect(pushed).toBe(false);
+        expect(queue.size).toBe(2);
+
+        expect(await queue.next()).toEqual({ value: 1, done: false });
+        await pending;
+        expect(pushed).toBe(true);
+        expect(queue.items).toEqual([2, 3]);
+    });
+
+    test('容量至少为1', async () => {
+        const queue = new BoundedQueue(0);
+        await queue.push('a');
+
+        let pushed = false;
+        queue.push('b').then(() => (pushed = true));
+        await flushPromises();
+        expect(pushed).toBe(false);
+    });
+
+    test('等待中的消费者直接收到新元素', async () => {
+        const queue = new BoundedQueue(1);
+        const next = queue.next();
+        await queue.push('a');
+
+        expect(await next).toEqual({ value: 'a', done: false });
+        expect(queue.size).toBe(0);
+    });
+
+    test('关闭后消费者先取完剩余元素再结束，之后不能再放入', async () => {
+        const queue = new BoundedQueue(3);
+        await queue.push(1);
+        await queue.push(2);
+        queue.close();
+
+        const values = [];
+        for await (const value of queue) values.push(value);
+        expect(values).toEqual([1, 2]);
+        await expect(queue.push(3)).rejects.toThrow('Cannot push to a closed queue');
+    });
+
+    test('关闭时唤醒等待中的消费者和生产者', async () => {
+        const consumerQueue = new BoundedQueue(1);
+        const next = consumerQueue.next();
+        consumerQueue.close();
+        expect(await next).toEqual({ value: undefined, done: true });
+
+        const producerQueue = new BoundedQueue(1);
+        await producerQueue.push(1);
+        const push = producerQueue.push(2);
+        producerQueue.close();
+        await expect(push).rejects.toThrow('Cannot push to a closed queue');
+        expect(await producerQueue.next()).toEqual({ value: 1, done: false });
+    });
+
+    test('出错时丢弃缓存的元素，等待方都收到该错误', async () => {
+        const error = new Error('parse failed');
+        const full = new BoundedQueue(1);
+        await full.push(1);
+        const push = full.push(2);
+
+        const empty = new BoundedQueue(1);
+        const next = empty.next();
+
+        full.fail(error);
+        empty.fail(error);
+        await expect(push).rejects.toBe(error);
+        await expect(next).rejects.toBe(error);
+        expect(full.size).toBe(0);
+        await expect(full.next()).rejects.toBe(error);
+        await expect(full.push(3)).rejects.toBe(error);
+
+        // 出错后关闭不改变状态
+        full.close();
+        expect(full.closed).toBe(false);
+    });
+
+    test('消费者提前退出时，等待中的生产者收到 QUEUE_STOPPED', async () => {
+        const queue = new BoundedQueue(1);
+        await queue.push(1);
+        const second = queue.push(2);
+
+        let blocked;
+        for await (const value of queue) {
+            expect(value).toBe(1);
+            // 取走 1 后元素 2 进入队列，队列再次满了
+            await second;
+            blocked = queue.push(3);
+            break;
+        }
+
+        await expect(blocked).rejects.toMatchObject({ code: 'QUEUE_STOPPED' });
+        await expect(queue.push(4)).rejects.toMatchObject({ code: 'QUEUE_STOPPED' });
+    });
+});
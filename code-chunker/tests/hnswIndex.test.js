@@ -0,0 +1,149 @@
+/**
+ * HNSW索引测试
+ * 包含：固定数据集上的召回率、删除后的连接修复、序列化往返、向量维度校验
+ *
+ * 运行：npx jest code-chunker/tests/hnswIndex.test.js
+ */
+
+const HnswIndex = require('../src/vectorManager/database/hnswIndex');
+
+const DIMENSION = 16;
+
+// 固定种子的伪随机数（mulberry32），保证数据集和节点层级每次相同
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createVectors(count, seed) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () =>
+        Array.from({ length: DIMENSION }, () => random() * 2 - 1)
+    );
+}
+
+function buildIndex(vectors, options = {}) {
+    const index = new HnswIndex({ M: 8, efConstruction: 64, ...options });
+    vectors.forEach((vector, i) => index.add(`doc-${i}`, vector));
+    return index;
+}
+
+function recallAt(index, queries, topK) {
+    let found = 0;
+    for (const query of queries) {
+        const expected = new Set(index.bruteForceSearch(query, topK).map(hit => hit.id));
+        found += index.search(query, topK, 64).filter(hit => expected.has(hit.id)).length;
+    }
+    return found / (queries.length * topK);
+}
+
+describe('HnswIndex', () => {
+    let randomSpy;
+
+    beforeEach(() => {
+        randomSpy = jest.spyOn(Math, 'random').mockImplementation(createRandom(42));
+    });
+
+    afterEach(() => {
+        randomSpy.mockRestore();
+    });
+
+    test('固定数据集上的近似搜索召回率不低于95%', () => {
+        const index = buildIndex(createVectors(300, 1));
+        const queries = createVectors(20, 2);
+
+        expect(index.size).toBe(300);
+        expect(recallAt(index, queries, 10)).toBeGreaterThanOrEqual(0.95);
+    });
+
+    test('查询已有向量时排在第一位，COSINE分数为1', () => {
+        const vectors = createVectors(100, 3);
+        const index = buildIndex(vectors);
+
+        const [hit] = index.search(vectors[17], 1);
+        expect(hit.id).toBe('doc-17');
+        expect(index.toScore(hit.dist)).toBeCloseTo(1, 5);
+    });
+
+    test('删除后不再出现在结果中，剩余节点的召回率不受影响', () => {
+        const vectors = createVectors(300, 4);
+        const index = buildIndex(vectors);
+
+        for (let i = 0; i < 300; i += 3) {
+            expect(index.remove(`doc-${i}`)).toBe(true);
+        }
+        expect(index.remove('doc-0')).toBe(false);
+        expect(index.size).toBe(200);
+        expect(index.has('doc-0')).toBe(false);
+        expect(index.getVector('doc-0')).toBeNull();
+
+        const [hit] = index.search(vectors[0], 1);
+        expect(hit.id).not.toBe('doc-0');
+        expect(recallAt(index, createVectors(20, 5), 10)).toBeGreaterThanOrEqual(0.95);
+    });
+
+    test('删除入口节点后重新选择入口，全部删除后返回空结果', () => {
+        const vectors = createVectors(20, 6);
+        const index = buildIndex(vectors);
+
+        const entryPoint = index.entryPoint;
+        index.remove(entryPoint);
+        expect(index.entryPoint).not.toBeNull();
+        expect(index.entryPoint).not.toBe(entryPoint);
+
+        for (let i = 0; i < 20; i++) index.remove(`doc-${i}`);
+        expect(index.entryPoint).toBeNull();
+        expect(index.search(vectors[0], 5)).toEqual([]);
+    });
+
+    test('重复写入同一ID时替换旧向量', () => {
+        const [first, second] = createVectors(2, 7);
+        const index = buildIndex([first]);
+        index.add('doc-0', second);
+
+        expect(index.size).toBe(1);
+        expect(index.search(second, 1)[0].dist).toBeCloseTo(0, 5);
+    });
+
+    test('序列化后重新加载得到相同的搜索结果', () => {
+        const vectors = createVectors(200, 8);
+        const index = buildIndex(vectors, { metricType: 'L2' });
+        const queries = createVectors(5, 9);
+
+        const loaded = HnswIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+        expect(loaded.metricType).toBe('L2');
+        expect(loaded.dimension).toBe(DIMENSION);
+        expect(loaded.size).toBe(index.size);
+        expect(loaded.entryPoint).toBe(index.entryPoint);
+        expect(Array.from(loaded.getVector('doc-5'))).toEqual(Array.from(index.getVector('doc-5')));
+        for (const query of queries) {
+            expect(loaded.search(query, 10)).toEqual(index.search(query, 10));
+        }
+    });
+
+    test('向量维度与索引不一致时抛出错误', () => {
+        const index = buildIndex(createVectors(3, 10));
+
+        expect(() => index.add('bad', [1, 2, 3])).toThrow(
+            'Vector dimension mismatch: expected 16, got 3'
+        );
+        expect(() => index.search([1, 2, 3], 1)).toThrow('Vector dimension mismatch');
+        expect(() => index.add('empty', [])).toThrow('Vector must be a non-empty array');
+        expect(index.has('bad')).toBe(false);
+    });
+
+    test('过滤条件只返回满足条件的文档', () => {
+        const vectors = createVectors(100, 11);
+        const index = buildIndex(vectors);
+        const even = id => Number(id.split('-')[1]) % 2 === 0;
+
+        const hits = index.bruteForceSearch(vectors[1], 5, even);
+        expect(hits).toHaveLength(5);
+        expect(hits.every(hit => even(hit.id))).toBe(true);
+        expect(index.search(vectors[1], 5, 64, even).every(hit => even(hit.id))).toBe(true);
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * 忽略文件规则测试
+ * 包含：! 重新包含、/build 与 build/ 的区别、子目录忽略文件覆盖根目录规则、按需加载上级目录
+ *
+ * 运行：npx jest code-chunker/tests/ignoreRules.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IgnoreRules = require('../src/utils/ignoreRules');
+
+describe('IgnoreRules', () => {
+    let workspacePath;
+
+    function writeFile(relativePath, content) {
+        const filePath = path.join(workspacePath, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+
+    async function loadRules(...dirs) {
+        const rules = new IgnoreRules(workspacePath);
+        for (const dir of ['', ...dirs]) {
+            await rules.loadDirectory(dir);
+        }
+        return rules;
+    }
+
+    beforeEach(() => {
+        workspacePath = fs.mkdtempSync(path.join(os.tmpdir(), 'ignore-rules-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspacePath, { recursive: true, force: true });
+    });
+
+    test('!keep.log 重新包含之前被 *.log 忽略的文件', async () => {
+        writeFile('.gitignore', '*.log\n!keep.log\n');
+        const rules = await loadRules('logs');
+
+        expect(rules.isIgnored('debug.log', false)).toBe(true);
+        expect(rules.isIgnored('logs/error.log', false)).toBe(true);
+        expect(rules.isIgnored('keep.log', false)).toBe(false);
+        expect(rules.isIgnored('logs/keep.log', false)).toBe(false);
+    });
+
+    test('规则顺序决定结果，后出现的 *.log 再次忽略 keep.log', async () => {
+        writeFile('.gitignore', '!keep.log\n*.log\n');
+        const rules = await loadRules();
+
+        expect(rules.isIgnored('keep.log', false)).toBe(true);
+    });
+
+    test('/build 只匹配根目录下的 build，文件和目录都会被忽略', async () => {
+        writeFile('.gitignore', '/build\n');
+        const rules = await loadRules('src');
+
+        expect(rules.isIgnored('build', true)).toBe(true);
+        expect(rules.isIgnored('build', false)).toBe(true);
+        expect(rules.isIgnored('src/build', true)).toBe(false);
+        expect(rules.isIgnored('build/output.js', false, { checkParents: true })).toBe(true);
+    });
+
+    test('build/ 匹配任意层级的 build 目录，但不匹配同名文件', async () => {
+        writeFile('.gitignore', 'build/\n');
+        const rules = await loadRules('src');
+
+        expect(rules.isIgnored('build', true)).toBe(true);
+        expect(rules.isIgnored('src/build', true)).toBe(true);
+        expect(rules.isIgnored('build', false)).toBe(false);
+        expect(rules.isIgnored('src/build', false)).toBe(false);
+        expect(rules.isIgnored('src/build/index.js', false, { checkParents: true })).toBe(true);
+    });
+
+    test('子目录的 .gitignore 覆盖根目录的规则，且只作用于该子目录', async () => {
+        writeFile('.gitignore', '*.generated.js\n');
+        writeFile('packages/api/.gitignore', '!*.generated.js\nfixtures/\n');
+        const rules = await loadRules('packages', 'packages/api');
+
+        expect(rules.isIgnored('schema.generated.js', false)).toBe(true);
+        expect(rules.isIgnored('packages/web/schema.generated.js', false)).toBe(true);
+        expect(rules.isIgnored('packages/api/schema.generated.js', false)).toBe(false);
+        expect(rules.isIgnored('packages/api/src/types.generated.js', false)).toBe(false);
+        expect(rules.isIgnored('packages/api/fixtures', true)).toBe(true);
+        expect(rules.isIgnored('fixtures', true)).toBe(false);
+    });
+
+    test('子目录中含 / 的规则相对该子目录匹配', async () => {
+        writeFile('packages/api/.gitignore', '/dist\nsrc/*.tmp\n');
+        const rules = await loadRules('packages', 'packages/api');
+
+        expect(rules.isIgnored('packages/api/dist', true)).toBe(true);
+        expect(rules.isIgnored('dist', true)).toBe(false);
+        expect(rules.isIgnored('packages/api/src/a.tmp', false)).toBe(true);
+        expect(rules.isIgnored('packages/api/src/nested/a.tmp', false)).toBe(false);
+    });
+
+    test('loadAncestors 加载路径上各级目录的忽略文件，未加载的目录规则不生效', async () => {
+        writeFile('.gitignore', '*.log\n');
+        writeFile('packages/api/.gitignore', '!*.log\n');
+
+        const partial = await loadRules();
+        expect(partial.isIgnored('packages/api/app.log', false)).toBe(true);
+
+        const rules = new IgnoreRules(workspacePath);
+        await rules.loadAncestors('packages/api/app.log');
+        expect(rules.isIgnored('packages/api/app.log', false)).toBe(false);
+        expect(rules.getLoadedSources()).toEqual([
+            { dir: '.', rules: 1 },
+            { dir: 'packages/api', rules: 1 },
+        ]);
+    });
+
+    test('.codechunkerignore 在 .gitignore 之后读取，规则优先', async () => {
+        writeFile('.gitignore', 'docs/\n');
+        writeFile('.codechunkerignore', '!docs/\n');
+        const rules = await loadRules();
+
+        expect(rules.isIgnored('docs', true)).toBe(false);
+    });
+});
+
+describe('IgnoreRules.parse', () => {
+    test('跳过空行和注释，处理转义和行尾空格', () => {
+        const rules = IgnoreRules.parse('# comment\n\n\\#hash\n\\!bang\nspace.txt   \n');
+
+        expect(rules.map(rule => [rule.negate, rule.matcher.pattern])).toEqual([
+            [false, '**/#hash'],
+            [false, '**/!bang'],
+            [false, '**/space.txt'],
+        ]);
+    });
+
+    test('识别取反和只匹配目录的规则', () => {
+        const [rule] = IgnoreRules.parse('!/out/\r\n');
+
+        expect(rule).toMatchObject({ pattern: '!/out/', negate: true, dirOnly: true });
+        expect(rule.matcher.pattern).toBe('out');
+    });
+});
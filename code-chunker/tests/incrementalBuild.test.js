@@ -0,0 +1,212 @@
+/**
+ * 增量索引测试
+ * 包含：需要全量构建的各种情况、新增/修改/删除文件的检测、旧向量按文件删除
+ * 向量数据库以只实现 deleteDocuments 的对象代替
+ *
+ * 运行：npx jest code-chunker/tests/incrementalBuild.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CodeChunker = require('../src/main');
+
+const USER_ID = 'alice';
+const DEVICE_ID = 'laptop';
+
+describe('CodeChunker 增量索引', () => {
+    let tempDir;
+    let workspacePath;
+    let chunker;
+    let chunkers;
+    let deleteDocuments;
+    let consoleSpies;
+
+    function createChunker(config = {}) {
+        const instance = new CodeChunker({
+            useWorkers: false,
+            vectorManager: { enabled: false },
+            incremental: { enabled: true, stateDir: path.join(tempDir, 'merkle') },
+            search: { lexicalIndex: { indexDir: path.join(tempDir, 'lexical') } },
+            ...config,
+        });
+        instance.vectorManager = {
+            vectorDB: {
+                useLocal: true,
+                implementation: { defaultDatabase: 'local', deleteDocuments },
+            },
+        };
+        chunkers.push(instance);
+        return instance;
+    }
+
+    function getFullBuildReason(options = {}) {
+        return chunker._getFullBuildReason(USER_ID, DEVICE_ID, workspacePath, options);
+    }
+
+    // 模拟上次成功索引：保存文件哈希和词法索引
+    async function saveLastRun(fileHashes) {
+        const manager = chunker._createMerkleTreeManager(USER_ID, DEVICE_ID, workspacePath);
+        await manager.initialize();
+        await manager.buildFromFiles(
+            Object.entries(fileHashes).map(([filePath, hash]) => ({ path: filePath, hash }))
+        );
+        await manager.saveCurrentState();
+        await (await chunker._getLexicalIndex(USER_ID, DEVICE_ID, workspacePath)).save();
+    }
+
+    beforeAll(() => {
+        consoleSpies = ['log', 'warn'].map(method =>
+            jest.spyOn(console, method).mockImplementation(() => {})
+        );
+    });
+
+    afterAll(() => {
+        consoleSpies.forEach(spy => spy.mockRestore());
+    });
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-build-'));
+        workspacePath = path.join(tempDir, 'workspace');
+        deleteDocuments = jest.fn(async (databaseName, collectionName, filter) => ({
+            data: { affectedCount: filter.file_path.length },
+        }));
+        chunkers = [];
+        chunker = createChunker();
+    });
+
+    afterEach(async () => {
+        // 替身对象没有 shutdown，关闭前移除；Sender 的定时器需要停止
+        for (const instance of chunkers) {
+            instance.vectorManager = null;
+            await instance.shutdown();
+        }
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('_getFullBuildReason', () => {
+        test('首次索引时全量构建', async () => {
+            expect(await getFullBuildReason()).toBe('未找到上次索引状态，执行全量构建');
+            expect(chunker.merkleTreeManager).not.toBeNull();
+        });
+
+        test('存在上次状态和词法索引时可以增量处理', async () => {
+            await saveLastRun({ 'a.js': 'h1' });
+            expect(await getFullBuildReason()).toBeNull();
+        });
+
+        test('词法索引缺失时全量构建', async () => {
+            await saveLastRun({ 'a.js': 'h1' });
+            await (await chunker._getLexicalIndex(USER_ID, DEVICE_ID, workspacePath)).delete();
+
+            expect(await getFullBuildReason()).toBe('未找到词法索引，执行全量构建');
+        });
+
+        test('强制重建时忽略增量状态', async () => {
+            await saveLastRun({ 'a.js': 'h1' });
+            expect(await getFullBuildReason({ forceFullRebuild: true })).toBe(
+                '强制全量重建，忽略增量状态'
+            );
+        });
+
+        test('向量数据库不能删除旧向量时每次全量构建', async () => {
+            await saveLastRun({ 'a.js': 'h1' });
+            chunker.vectorManager = null;
+
+            expect(await getFullBuildReason()).toBe(
+                '当前向量数据库不支持删除旧向量（如 api_only 模式），执行全量构建'
+            );
+        });
+
+        test('增量索引禁用时不创建状态管理器', async () => {
+            chunker = createChunker({ incremental: { enabled: false } });
+
+            expect(await getFullBuildReason()).toBe('增量索引已禁用，执行全量构建');
+            expect(chunker.merkleTreeManager).toBeNull();
+        });
+
+        test('分块配置变化后全量构建', async () => {
+            await saveLastRun({ 'a.js': 'h1' });
+            chunker.config = { ...chunker.config, linesPerChunk: 7 };
+
+            expect(await getFullBuildReason()).toBe('分块配置已变化，执行全量构建');
+        });
+    });
+
+    describe('_planIncrementalRun', () => {
+        beforeEach(async () => {
+            await saveLastRun({ 'a.js': 'h1', 'b.js': 'h2', 'c.js': 'h3' });
+            expect(await getFullBuildReason()).toBeNull();
+        });
+
+        test('新增文件只处理，删除文件只删除旧向量，修改文件两者都做', async () => {
+            const plan = await chunker._planIncrementalRun(['a.js', 'b.js', 'd.js'], {
+                'a.js': 'h1',
+                'b.js': 'h2-modified',
+                'd.js': 'h4',
+            });
+
+            expect(plan.incremental).toBe(true);
+            expect(plan.filesToProcess.sort()).toEqual(['b.js', 'd.js']);
+            expect(plan.filesToDelete.sort()).toEqual(['b.js', 'c.js']);
+        });
+
+        test('没有变更时处理计划为空', async () => {
+            const plan = await chunker._planIncrementalRun(['a.js', 'b.js', 'c.js'], {
+                'a.js': 'h1',
+                'b.js': 'h2',
+                'c.js': 'h3',
+            });
+
+            expect(plan).toEqual({ incremental: true, filesToProcess: [], filesToDelete: [] });
+        });
+
+        test('变更检测失败时回退到全量构建', async () => {
+            chunker.merkleTreeManager.detectChanges = jest.fn(async () => {
+                throw new Error('state corrupted');
+            });
+
+            const plan = await chunker._planIncrementalRun(['a.js'], { 'a.js': 'h1' });
+            expect(plan).toEqual({
+                incremental: false,
+                filesToProcess: ['a.js'],
+                filesToDelete: [],
+            });
+            expect(chunker.merkleTreeManager).toBeNull();
+        });
+    });
+
+    describe('_deleteFileVectors', () => {
+        test('按文件路径分批删除旧向量', async () => {
+            const filePaths = Array.from({ length: 150 }, (_, i) => `src/file${i}.js`);
+
+            const deleted = await chunker._deleteFileVectors(
+                USER_ID,
+                DEVICE_ID,
+                workspacePath,
+                filePaths
+            );
+
+            expect(deleted).toBe(150);
+            expect(deleteDocuments).toHaveBeenCalledTimes(2);
+            const [databaseName, collectionName, filter] = deleteDocuments.mock.calls[0];
+            expect(databaseName).toBe('local');
+            expect(collectionName.startsWith(`${USER_ID}_${DEVICE_ID}_`)).toBe(true);
+            expect(filter.file_path).toHaveLength(100);
+            expect(deleteDocuments.mock.calls[1][2].file_path).toEqual(filePaths.slice(100));
+        });
+
+        test('没有要删除的文件时不访问向量数据库', async () => {
+            expect(await chunker._deleteFileVectors(USER_ID, DEVICE_ID, workspacePath, [])).toBe(0);
+            expect(deleteDocuments).not.toHaveBeenCalled();
+        });
+
+        test('向量数据库不能删除旧向量时抛出错误', async () => {
+            chunker.vectorManager = null;
+
+            await expect(
+                chunker._deleteFileVectors(USER_ID, DEVICE_ID, workspacePath, ['a.js'])
+            ).rejects.toThrow('VectorDB不可用，无法删除 1 个文件的旧向量');
+        });
+    });
+});
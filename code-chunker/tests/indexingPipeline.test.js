@@ -0,0 +1,165 @@
+/**
+ * 流式索引流水线测试
+ * 包含：各阶段统计、下游变慢时上游暂停、任一阶段出错时整条流水线以该错误结束、取消
+ * 解析与发送阶段以按队列读写的替身对象代替
+ *
+ * 运行：npx jest code-chunker/tests/indexingPipeline.test.js
+ */
+
+const IndexingPipeline = require('../src/indexingPipeline');
+
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+// 每个文件解析出两个代码块
+function createDispatcher({ failOn = null } = {}) {
+    return {
+        async processFileStream(fileQueue, parserSelector, { onChunks }) {
+            for await (const file of fileQueue) {
+                if (file.path === failOn) throw new Error(`failed to parse ${file.path}`);
+                await onChunks(
+                    [1, 2].map(part => ({ filePath: file.path, content: `${file.path}#${part}` })),
+                    file
+                );
+            }
+        },
+    };
+}
+
+// 发送阶段可以被暂停，用于模拟变慢的下游
+function createSender() {
+    const sender = {
+        sent: [],
+        gate: null,
+        async sendChunkStream(chunkQueue) {
+            for await (const chunk of chunkQueue) {
+                if (sender.gate) await sender.gate.promise;
+                sender.sent.push(chunk.content);
+            }
+            return { success: true, count: sender.sent.length };
+        },
+        pause() {
+            let resolve;
+            const promise = new Promise(r => (resolve = r));
+            sender.gate = { promise, resolve };
+        },
+        resume() {
+            sender.gate.resolve();
+            sender.gate = null;
+        },
+    };
+    return sender;
+}
+
+function produceFiles(count, onPush = () => {}) {
+    return async push => {
+        for (let i = 0; i < count; i++) {
+            await push({ path: `file${i}.js` });
+            onPush(i + 1);
+        }
+    };
+}
+
+describe('IndexingPipeline', () => {
+    test('文件依次经过解析和发送，返回各阶段统计', async () => {
+        const sender = createSender();
+        const stages = [];
+        const pipeline = new IndexingPipeline({
+            dispatcher: createDispatcher(),
+            sender,
+            onStageComplete: stage => stages.push(stage),
+        });
+
+        const result = await pipeline.run(produceFiles(3));
+
+        expect(result).toMatchObject({
+            files: 3,
+            chunks: 6,
+            totalChunkSize: 6 * 'file0.js#1'.length,
+            largestChunk: 'file0.js#1'.length,
+            sendResult: { success: true, count: 6 },
+            secrets: null,
+        });
+        expect(sender.sent.slice(0, 2)).toEqual(['file0.js#1', 'file0.js#2']);
+        expect(stages).toEqual(['files', 'parse']);
+    });
+
+    test('发送阶段暂停时，内存中的文件和代码块数量不超过队列大小', async () => {
+        const sender = createSender();
+        sender.pause();
+        let produced = 0;
+        const pipeline = new IndexingPipeline({
+            dispatcher: createDispatcher(),
+            sender,
+            fileQueueSize: 1,
+            chunkQueueSize: 1,
+        });
+
+        const running = pipeline.run(produceFiles(20, count => (produced = count)));
+        for (let i = 0; i < 10; i++) await flushPromises();
+
+        // 发送阶段持有1个代码块、代码块队列1个、解析中1个文件、文件队列1个
+        expect(produced).toBeGreaterThan(0);
+        expect(produced).toBeLessThanOrEqual(4);
+        expect(sender.sent).toEqual([]);
+
+        sender.resume();
+        const result = await running;
+        expect(produced).toBe(20);
+        expect(result.chunks).toBe(40);
+        expect(sender.sent).toHaveLength(40);
+    });
+
+    test('解析阶段出错时流水线以该错误结束，生产者不再等待', async () => {
+        const sender = createSender();
+        const pipeline = new IndexingPipeline({
+            dispatcher: createDispatcher({ failOn: 'file2.js' }),
+            sender,
+            fileQueueSize: 1,
+            chunkQueueSize: 1,
+        });
+
+        await expect(pipeline.run(produceFiles(50))).rejects.toThrow('failed to parse file2.js');
+        expect(sender.sent.length).toBeLessThan(100);
+    });
+
+    test('发送阶段出错时报告发送错误，而不是队列终止引起的连带错误', async () => {
+        const sender = {
+            async sendChunkStream(chunkQueue) {
+                await chunkQueue.next();
+                throw new Error('embedding service unavailable');
+            },
+        };
+        const pipeline = new IndexingPipeline({
+            dispatcher: createDispatcher(),
+            sender,
+            fileQueueSize: 1,
+            chunkQueueSize: 1,
+        });
+
+        await expect(pipeline.run(produceFiles(10))).rejects.toThrow(
+            'embedding service unavailable'
+        );
+    });
+
+    test('取消后流水线以取消原因结束', async () => {
+        const controller = new AbortController();
+        const sender = createSender();
+        sender.pause();
+        const pipeline = new IndexingPipeline({
+            dispatcher: createDispatcher(),
+            sender,
+            fileQueueSize: 1,
+            chunkQueueSize: 1,
+            signal: controller.signal,
+        });
+
+        const running = pipeline.run(produceFiles(20));
+        await flushPromises();
+        controller.abort(new Error('cancelled by user'));
+        sender.resume();
+
+        await expect(running).rejects.toThrow('cancelled by user');
+    });
+});
@@ -0,0 +1,252 @@
+/**
+ * 词法索引与倒数排名融合测试
+ * 包含：标识符分词、BM25排序、文件替换与删除、保存/加载的版本校验、RRF归一化
+ *
+ * 运行：npx jest code-chunker/tests/lexicalIndex.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const LexicalIndex = require('../src/search/lexicalIndex');
+const { reciprocalRankFusion } = require('../src/search/rankFusion');
+
+function createChunk(id, filePath, content, extra = {}) {
+    return { id, filePath, content, startLine: 1, endLine: 10, language: 'javascript', ...extra };
+}
+
+function createIndex() {
+    const index = new LexicalIndex();
+    index.addChunks([
+        createChunk(
+            'main-1',
+            'src/main.js',
+            'async _cleanAndRecreateCollection(userId, deviceId, workspacePath) {\n' +
+                '    await this.vectorManager.vectorDB.implementation.dropCollection(name);\n' +
+                '}'
+        ),
+        createChunk(
+            'main-2',
+            'src/main.js',
+            'async _deleteFileVectors(userId, deviceId, workspacePath, filePaths) {\n' +
+                '    return implementation.deleteDocuments(databaseName, collectionName, filter);\n' +
+                '}',
+            { startLine: 11, endLine: 20 }
+        ),
+        createChunk(
+            'sender-1',
+            'src/sender.js',
+            'function sendBatch(batch) {\n    return client.post(batch);\n}'
+        ),
+        createChunk('readme-1', 'README.md', '# 代码搜索\n支持向量检索和关键词检索', {
+            language: 'markdown',
+        }),
+    ]);
+    return index;
+}
+
+describe('LexicalIndex.tokenize', () => {
+    test('完整标识符和 camelCase 子词都会被索引', () => {
+        const tokens = LexicalIndex.tokenize('_cleanAndRecreateCollection');
+        expect(tokens).toEqual(
+            expect.arrayContaining(['cleanandrecreatecollection', 'clean', 'and', 'recreate'])
+        );
+        expect(tokens).toContain('collection');
+    });
+
+    test('snake_case 和连续大写缩写按单词拆分', () => {
+        expect(LexicalIndex.tokenize('MAX_RETRY_COUNT')).toEqual([
+            'max_retry_count',
+            'max',
+            'retry',
+            'count',
+        ]);
+        expect(LexicalIndex.tokenize('parseHTTPResponse')).toEqual([
+            'parsehttpresponse',
+            'parse',
+            'http',
+            'response',
+        ]);
+    });
+
+    test('中文按单字切分，过长的词项被丢弃', () => {
+        expect(LexicalIndex.tokenize('向量检索')).toEqual(['向', '量', '检', '索']);
+        expect(LexicalIndex.tokenize('a'.repeat(65))).toEqual([]);
+        expect(LexicalIndex.tokenize('')).toEqual([]);
+    });
+});
+
+describe('LexicalIndex.search', () => {
+    test('按完整标识符精确查找', () => {
+        const results = createIndex().search('_cleanAndRecreateCollection');
+        expect(results[0].id).toBe('main-1');
+        expect(results[0].document.filePath).toBe('src/main.js');
+    });
+
+    test('按子词 recreate 查找', () => {
+        const results = createIndex().search('recreate');
+        expect(results.map(result => result.id)).toEqual(['main-1']);
+    });
+
+    test('结果按BM25分数降序排列，稀有词项的权重更高', () => {
+        const results = createIndex().search('deleteDocuments workspacePath');
+        expect(results.length).toBe(2);
+        expect(results[0].id).toBe('main-2');
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    test('过滤条件在截取topK之前生效', () => {
+        const results = createIndex().search('workspacePath', 1, doc => doc.startLine > 10);
+        expect(results.map(result => result.id)).toEqual(['main-2']);
+    });
+
+    test('中文查询命中对应文档', () => {
+        const results = createIndex().search('关键词');
+        expect(results[0].id).toBe('readme-1');
+    });
+
+    test('没有可检索的词项时返回空结果', () => {
+        expect(createIndex().search('!!!')).toEqual([]);
+        expect(new LexicalIndex().search('recreate')).toEqual([]);
+    });
+});
+
+describe('LexicalIndex 文档维护', () => {
+    test('重新加入同一文件的代码块时替换旧文档', () => {
+        const index = createIndex();
+        index.addChunks([createChunk('main-3', 'src/main.js', 'function rebuildIndex() {}')]);
+
+        expect(index.search('recreate')).toEqual([]);
+        expect(index.search('rebuildIndex')[0].id).toBe('main-3');
+        expect(index.size).toBe(3);
+    });
+
+    test('删除文件后其词项不再命中，文档总长度同步减少', () => {
+        const index = createIndex();
+        const totalLength = index.totalLength;
+        const removedLength = index.documents.get('sender-1').length;
+
+        expect(index.removeFiles(['src/sender.js', 'missing.js'])).toBe(1);
+        expect(index.search('sendBatch')).toEqual([]);
+        expect(index.postings.has('sendbatch')).toBe(false);
+        expect(index.totalLength).toBe(totalLength - removedLength);
+    });
+
+    test('按文件位置查找文档', () => {
+        const index = createIndex();
+        expect(index.getDocumentAt('src/main.js', 11, 20).termFreqs.deletedocuments).toBe(1);
+        expect(index.getDocumentAt('src/main.js', 2, 20)).toBeNull();
+    });
+
+    test('多个文档位于相同的行时按内容区分', () => {
+        const index = new LexicalIndex();
+        index.addChunks([
+            createChunk('cell-0', 'a.ipynb', 'import os', {
+                startLine: 1,
+                endLine: 1,
+                cell: { index: 0 },
+            }),
+            createChunk('cell-1', 'a.ipynb', '# Title', {
+                startLine: 1,
+                endLine: 1,
+                cell: { index: 1 },
+            }),
+        ]);
+
+        expect(index.getDocumentAt('a.ipynb', 1, 1, '# Title').cell.index).toBe(1);
+        expect(index.getDocumentAt('a.ipynb', 1, 1, 'import os').cell.index).toBe(0);
+        expect(index.getDocumentAt('a.ipynb', 1, 1, 'missing').cell.index).toBe(0);
+    });
+});
+
+describe('LexicalIndex 保存与加载', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexical-index-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('保存后重新加载得到相同的检索结果', async () => {
+        const index = createIndex();
+        index.persistencePath = tempDir;
+        await index.save();
+
+        const loaded = new LexicalIndex({ persistencePath: tempDir });
+        expect(await loaded.load()).toBe(true);
+        expect(loaded.persisted).toBe(true);
+        expect(loaded.size).toBe(index.size);
+        expect(loaded.totalLength).toBe(index.totalLength);
+        expect(loaded.search('recreate')).toEqual(index.search('recreate'));
+    });
+
+    test('版本不兼容的索引文件不会被加载', async () => {
+        const index = createIndex();
+        index.persistencePath = tempDir;
+        await index.save();
+
+        const indexPath = path.join(tempDir, index.fileName);
+        const data = JSON.parse(zlib.gunzipSync(fs.readFileSync(indexPath)).toString());
+        fs.writeFileSync(indexPath, zlib.gzipSync(JSON.stringify({ ...data, version: 0 })));
+
+        const loaded = new LexicalIndex({ persistencePath: tempDir });
+        expect(await loaded.load()).toBe(false);
+        expect(loaded.persisted).toBe(false);
+        expect(loaded.size).toBe(0);
+    });
+
+    test('索引文件不存在时保持为空，删除后不再视为已保存', async () => {
+        const index = new LexicalIndex({ persistencePath: tempDir });
+        expect(await index.load()).toBe(false);
+
+        index.addChunks([createChunk('a', 'a.js', 'const answer = 42;')]);
+        await index.save();
+        await index.delete();
+        expect(index.persisted).toBe(false);
+        expect(fs.existsSync(path.join(tempDir, index.fileName))).toBe(false);
+    });
+});
+
+describe('reciprocalRankFusion', () => {
+    const getKey = item => item.key;
+
+    test('各路都排第一的结果得分归一化为1', () => {
+        const fused = reciprocalRankFusion(
+            [{ results: [{ key: 'a' }, { key: 'b' }] }, { results: [{ key: 'a' }] }],
+            { getKey }
+        );
+        expect(fused[0].key).toBe('a');
+        expect(fused[0].score).toBeCloseTo(1);
+        expect(fused[0].ranks).toEqual([1, 1]);
+        expect(fused[1].score).toBeCloseTo(1 / 62 / (2 / 61));
+        expect(fused[1].items[1]).toBeNull();
+    });
+
+    test('权重影响融合排序', () => {
+        const rankings = [
+            { results: [{ key: 'vector' }], weight: 1 },
+            { results: [{ key: 'lexical' }], weight: 3 },
+        ];
+        const fused = reciprocalRankFusion(rankings, { getKey });
+        expect(fused.map(entry => entry.key)).toEqual(['lexical', 'vector']);
+        expect(fused[0].score).toBeCloseTo(0.75);
+    });
+
+    test('同一来源中重复出现的结果只计最高排名', () => {
+        const fused = reciprocalRankFusion(
+            [{ results: [{ key: 'a', n: 1 }, { key: 'b' }, { key: 'a', n: 2 }] }],
+            { getKey, k: 0 }
+        );
+        expect(fused[0]).toMatchObject({ key: 'a', score: 1, ranks: [1] });
+        expect(fused[0].items[0].n).toBe(1);
+    });
+
+    test('没有结果时返回空数组', () => {
+        expect(reciprocalRankFusion([], { getKey })).toEqual([]);
+        expect(reciprocalRankFusion([{ results: [] }], { getKey })).toEqual([]);
+    });
+});
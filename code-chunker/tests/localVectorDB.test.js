@@ -0,0 +1,148 @@
+/**
+ * 本地向量数据库测试
+ * 包含：写入与检索、按过滤条件删除、保存后由新实例加载、向量维度变化时重建集合、删除集合文件
+ *
+ * 运行：npx jest code-chunker/tests/localVectorDB.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalVectorDB = require('../src/vectorManager/database/localVectorDB');
+const Logger = require('../src/vectorManager/utils/logger');
+
+const COLLECTION = 'user_device_workspace';
+
+// 每个文件的向量指向不同的坐标轴，同一文件内的向量略有差异
+function createVector(axis, offset = 0, dimension = 8) {
+    const vector = new Array(dimension).fill(0.01);
+    vector[axis] = 1;
+    vector[(axis + 1) % dimension] = offset;
+    return vector;
+}
+
+function createRecord(id, filePath, vector) {
+    return {
+        id,
+        vector,
+        file_path: filePath,
+        start_line: 1,
+        end_line: 10,
+        code: `// ${id}`,
+        vector_model: 'test-model',
+    };
+}
+
+const RECORDS = [
+    createRecord('a-1', 'src/a.js', createVector(0)),
+    createRecord('a-2', 'src/a.js', createVector(0, 0.3)),
+    createRecord('b-1', 'src/b.js', createVector(1)),
+    createRecord('c-1', 'src/c.js', createVector(2)),
+];
+
+describe('LocalVectorDB', () => {
+    let persistencePath;
+    let db;
+    let logSpy;
+
+    async function openDatabase() {
+        const instance = new LocalVectorDB({ persistencePath, persistDelayMs: 60000 });
+        await instance.initialize();
+        return instance;
+    }
+
+    beforeAll(() => {
+        // Logger 会把日志写入当前目录的 logs/，测试中不输出日志
+        logSpy = jest.spyOn(Logger.prototype, '_log').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        logSpy.mockRestore();
+    });
+
+    beforeEach(async () => {
+        persistencePath = fs.mkdtempSync(path.join(os.tmpdir(), 'local-vector-db-'));
+        db = await openDatabase();
+    });
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(persistencePath, { recursive: true, force: true });
+    });
+
+    test('写入后按相似度返回文档字段和分数', async () => {
+        const result = await db.batchUpsert(COLLECTION, RECORDS);
+        expect(result).toMatchObject({ success: true, count: 4 });
+
+        const hits = await db.search(createVector(0), 2, COLLECTION);
+        expect(hits.map(hit => hit.id)).toEqual(['a-1', 'a-2']);
+        expect(hits[0]).toMatchObject({ file_path: 'src/a.js', code: '// a-1' });
+        expect(hits[0].score).toBeCloseTo(1, 5);
+        expect(hits[0].score).toBeGreaterThan(hits[1].score);
+    });
+
+    test('过滤条件只返回匹配的文件', async () => {
+        await db.batchUpsert(COLLECTION, RECORDS);
+
+        const hits = await db.search(createVector(0), 3, COLLECTION, {
+            filter: { file_path: { $in: ['src/b.js', 'src/c.js'] } },
+        });
+        expect(hits.map(hit => hit.id).sort()).toEqual(['b-1', 'c-1']);
+    });
+
+    test('按文件路径删除文档后不再被检索到', async () => {
+        await db.batchUpsert(COLLECTION, RECORDS);
+
+        const response = await db.deleteDocuments('local', COLLECTION, {
+            file_path: ['src/a.js'],
+        });
+        expect(response.data.affectedCount).toBe(2);
+        expect(await db.deleteVectors(COLLECTION, ['b-1', 'missing'])).toBe(1);
+
+        const hits = await db.search(createVector(0), 5, COLLECTION);
+        expect(hits.map(hit => hit.id)).toEqual(['c-1']);
+    });
+
+    test('保存后由新实例加载，检索结果与删除状态一致', async () => {
+        await db.batchUpsert(COLLECTION, RECORDS);
+        await db.deleteVectors(COLLECTION, ['b-1']);
+        const before = await db.search(createVector(0, 0.1), 3, COLLECTION);
+        await db.flush();
+
+        const reopened = await openDatabase();
+        try {
+            const after = await reopened.search(createVector(0, 0.1), 3, COLLECTION);
+            expect(after).toEqual(before);
+            expect(after.map(hit => hit.id)).not.toContain('b-1');
+
+            const { data } = await reopened.describeCollection('local', COLLECTION);
+            expect(data).toMatchObject({ documentCount: 3, dimension: 8, metricType: 'COSINE' });
+        } finally {
+            await reopened.close();
+        }
+    });
+
+    test('向量维度变化时重新创建集合，旧向量被清除', async () => {
+        await db.batchUpsert(COLLECTION, RECORDS);
+
+        await db.batchUpsert(COLLECTION, [createRecord('d-1', 'src/d.js', createVector(0, 0, 4))]);
+
+        const { data } = await db.describeCollection('local', COLLECTION);
+        expect(data).toMatchObject({ documentCount: 1, dimension: 4 });
+        await expect(db.search(createVector(0), 1, COLLECTION)).rejects.toThrow(
+            'Vector dimension mismatch: expected 4, got 8'
+        );
+    });
+
+    test('删除集合时同时删除持久化文件', async () => {
+        await db.batchUpsert(COLLECTION, RECORDS);
+        await db.flush();
+        const filePath = path.join(persistencePath, 'local', `${COLLECTION}.json`);
+        expect(fs.existsSync(filePath)).toBe(true);
+
+        expect((await db.dropCollection('local', COLLECTION)).data.existed).toBe(true);
+        expect(fs.existsSync(filePath)).toBe(false);
+        expect(await db.search(createVector(0), 1, COLLECTION)).toEqual([]);
+        expect((await db.dropCollection('local', COLLECTION)).data.existed).toBe(false);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Notebook 解析测试
+ * 包含：单元格元数据、输出结果和内嵌图片不参与索引、无法解析的 Notebook、代码块ID中的单元格序号
+ *
+ * 运行：npx jest code-chunker/tests/notebookParser.test.js
+ */
+
+const NotebookParser = require('../src/parsers/NotebookParser');
+const { createChunkId } = require('../src/utils/chunkId');
+
+const NOTEBOOK = {
+    cells: [
+        {
+            cell_type: 'code',
+            execution_count: 1,
+            source: ['import os\n', 'print(os.getcwd())'],
+            outputs: [{ output_type: 'stream', name: 'stdout', text: ['/home/alice\n'] }],
+        },
+        { cell_type: 'markdown', source: ['# Title'] },
+        { cell_type: 'raw', source: ['ignored'] },
+    ],
+    metadata: { kernelspec: { language: 'python' } },
+    nbformat: 4,
+    nbformat_minor: 5,
+};
+
+describe('NotebookParser', () => {
+    test('每个代码和 Markdown 单元格单独成块，附带单元格元数据', async () => {
+        const parser = new NotebookParser({});
+        const chunks = await parser.parse('a.ipynb', JSON.stringify(NOTEBOOK, null, 1));
+
+        expect(chunks.map(chunk => [chunk.type, chunk.language, chunk.content])).toEqual([
+            ['code_cell', 'python', 'import os\nprint(os.getcwd())'],
+            ['markdown_cell', 'markdown', '# Title'],
+        ]);
+        expect(chunks[0].cell).toEqual({
+            index: 0,
+            cellType: 'code',
+            executionCount: 1,
+            startLine: 1,
+            endLine: 2,
+            part: 0,
+        });
+        expect(chunks[1].cell).toMatchObject({ index: 1, executionCount: null, part: 0 });
+    });
+
+    test('输出结果和 Markdown 中的 base64 图片不参与索引', async () => {
+        const parser = new NotebookParser({});
+        const notebook = {
+            ...NOTEBOOK,
+            cells: [
+                NOTEBOOK.cells[0],
+                { cell_type: 'markdown', source: ['![plot](data:image/png;base64,iVBORw0KGgo=)'] },
+            ],
+        };
+        const chunks = await parser.parse('a.ipynb', JSON.stringify(notebook, null, 1));
+
+        expect(chunks.some(chunk => chunk.content.includes('/home/alice'))).toBe(false);
+        expect(chunks[1].content).toBe('![plot](data:[base64])');
+    });
+
+    test('无法解析或不支持的 Notebook 不产生代码块', async () => {
+        const parser = new NotebookParser({});
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(await parser.parse('a.ipynb', '{"cells": [')).toEqual([]);
+            expect(await parser.parse('a.ipynb', JSON.stringify({ nbformat: 3 }))).toEqual([]);
+            expect(await parser.parse('a.ipynb', '')).toEqual([]);
+            expect(warn).toHaveBeenCalledTimes(2);
+        } finally {
+            warn.mockRestore();
+        }
+    });
+
+    test('压缩成一行的 Notebook 中各单元格行号相同，代码块ID仍然不同', async () => {
+        const parser = new NotebookParser({});
+        const chunks = await parser.parse('a.ipynb', JSON.stringify(NOTEBOOK));
+
+        expect(chunks.map(chunk => [chunk.startLine, chunk.endLine])).toEqual([
+            [1, 1],
+            [1, 1],
+        ]);
+        const ids = chunks.map((chunk, index) => createChunkId('notebooks/a.ipynb', chunk, index));
+        expect(ids[0]).toMatch(/^a_[0-9a-f]{8}_1-1_cell0\.0_/);
+        expect(ids[1]).toMatch(/^a_[0-9a-f]{8}_1-1_cell1\.0_/);
+    });
+});
+
+describe('createChunkId', () => {
+    test('普通代码块的ID不含单元格序号', () => {
+        const id = createChunkId('src/main.js', { startLine: 3, endLine: 9 }, 2);
+        expect(id).toMatch(/^main_[0-9a-f]{8}_3-9_[0-9a-z]+_2$/);
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * 密钥扫描器测试
+ * 包含：真实密钥的检测与遮蔽、占位符不误报、截断的私钥、多条规则命中时取最严格的处理方式
+ *
+ * 运行：npx jest code-chunker/tests/secretScanner.test.js
+ */
+
+const SecretScanner = require('../src/security/secretScanner');
+
+// 拼接生成，避免测试文件本身被密钥扫描工具拦截
+const AWS_ACCESS_KEY = 'AKIA' + 'IOSFODNN7EXAMPLE';
+const GITHUB_TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8';
+const PRIVATE_KEY_HEADER = '-----BEGIN RSA ' + 'PRIVATE KEY-----';
+
+function createChunk(content, extra = {}) {
+    return {
+        id: 'chunk-1',
+        filePath: 'src/config.js',
+        content,
+        startLine: 1,
+        endLine: 10,
+        ...extra,
+    };
+}
+
+describe('SecretScanner 检测与遮蔽', () => {
+    test('遮蔽真实密钥并记录行号和规则，报告中不包含密钥本身', () => {
+        const scanner = new SecretScanner();
+        const chunk = createChunk(`const region = 'us-east-1';\nconst key = '${AWS_ACCESS_KEY}';`, {
+            startLine: 5,
+        });
+
+        const { chunks, skipped } = scanner.scanFile('src/config.js', [chunk]);
+        expect(skipped).toEqual([]);
+        expect(chunks[0].content).toBe(
+            "const region = 'us-east-1';\nconst key = '[REDACTED:aws_access_key]';"
+        );
+
+        const report = scanner.getReport();
+        expect(report).toMatchObject({ scannedChunks: 1, redactedSecrets: 1, skippedChunks: 0 });
+        expect(report.findings).toEqual([
+            { filePath: 'src/config.js', line: 6, rule: 'aws_access_key', action: 'redacted' },
+        ]);
+        expect(JSON.stringify(report)).not.toContain(AWS_ACCESS_KEY);
+    });
+
+    test('没有密钥的代码块原样返回', () => {
+        const scanner = new SecretScanner();
+        const chunk = createChunk('function add(a, b) {\n    return a + b;\n}');
+
+        const { chunks } = scanner.scanFile('src/math.js', [chunk]);
+        expect(chunks[0]).toBe(chunk);
+        expect(scanner.getReport().findings).toEqual([]);
+    });
+
+    test('文档注释中的密钥同样被遮蔽', () => {
+        const scanner = new SecretScanner();
+        const chunk = createChunk('function connect() {}', {
+            symbol: { signature: 'function connect()', docComment: `// token: ${GITHUB_TOKEN}` },
+        });
+
+        const { chunks } = scanner.scanFile('src/client.js', [chunk]);
+        expect(chunks[0].symbol.docComment).toBe('// token: [REDACTED:github_token]');
+        expect(scanner.getReport().findings[0]).toMatchObject({ line: 1, rule: 'github_token' });
+    });
+});
+
+describe('SecretScanner 占位符', () => {
+    test.each(['${DB_PASSWORD}', 'changeme', '{{ password }}', '<password>', '****'])(
+        '连接字符串中的占位符 %s 不视为密钥',
+        placeholder => {
+            const scanner = new SecretScanner();
+            const chunk = createChunk(`const url = 'postgres://admin:${placeholder}@db:5432/app';`);
+
+            const { chunks } = scanner.scanFile('src/db.js', [chunk]);
+            expect(chunks[0]).toBe(chunk);
+            expect(scanner.getReport().findings).toEqual([]);
+        }
+    );
+
+    test('配置文件中的占位符赋值不视为高熵密钥', () => {
+        const scanner = new SecretScanner();
+        const chunk = createChunk('API_TOKEN=${API_TOKEN}\nPASSWORD=changeme\n', {
+            filePath: '.env',
+        });
+
+        expect(scanner.scanFile('.env', [chunk]).chunks[0]).toBe(chunk);
+        expect(scanner.getReport().findings).toEqual([]);
+    });
+
+    test('真实密码仍然被遮蔽', () => {
+        const scanner = new SecretScanner();
+        const chunk = createChunk("const url = 'postgres://admin:s3cr3t-Pa55@db:5432/app';");
+
+        const { chunks } = scanner.scanFile('src/db.js', [chunk]);
+        expect(chunks[0].content).toBe(
+            "const url = 'postgres://admin:[REDACTED:connection_string]@db:5432/app';"
+        );
+    });
+});
+
+describe('SecretScanner 截断的私钥', () => {
+    test('代码块在私钥中间截断时遮蔽到代码块末尾，并保留行数', () => {
+        const scanner = new SecretScanner();
+        const content =
+            `const cert = \`\n${PRIVATE_KEY_HEADER}\n` +
+            'MIIEowIBAAKCAQEAu1SU1LfVLPHCozMxH2Mo4lgOEePzNm0tRgeLezV6ffAt0gun\n' +
+            'VTLw7onLRnrq0/IzW7yWR7QkrmBL7jTKEn5u+qKhbwKfBstIs+bMY2Zkp18gnTxK';
+        const chunk = createChunk(content);
+
+        const { chunks } = scanner.scanFile('src/cert.js', [chunk]);
+        expect(chunks[0].content).toBe('const cert = `\n[REDACTED:private_key]\n\n');
+        expect(chunks[0].content.split('\n').length).toBe(content.split('\n').length);
+        expect(chunks[0].content).not.toContain('MIIE');
+        expect(scanner.getReport().findings).toEqual([
+            { filePath: 'src/cert.js', line: 2, rule: 'private_key', action: 'redacted' },
+        ]);
+    });
+});
+
+describe('SecretScanner 处理方式', () => {
+    test('多条规则命中同一代码块时按最严格的处理方式跳过代码块', () => {
+        const scanner = new SecretScanner({ rulePolicies: { github_token: 'skip_chunk' } });
+        const secretChunk = createChunk(
+            `const a = '${AWS_ACCESS_KEY}';\nconst b = '${GITHUB_TOKEN}';`
+        );
+        const cleanChunk = createChunk('const c = 1;', { id: 'chunk-2', startLine: 11 });
+
+        const { chunks, skipped } = scanner.scanFile('src/keys.js', [secretChunk, cleanChunk]);
+        expect(chunks).toEqual([cleanChunk]);
+        expect(skipped).toEqual([secretChunk]);
+
+        const report = scanner.getReport();
+        expect(report).toMatchObject({ redactedSecrets: 0, skippedChunks: 1, skippedFiles: 0 });
+        expect(report.findings.map(finding => [finding.rule, finding.action])).toEqual([
+            ['aws_access_key', 'chunk_skipped'],
+            ['github_token', 'chunk_skipped'],
+        ]);
+    });
+
+    test('任一代码块命中 skip_file 规则时跳过整个文件', () => {
+        const scanner = new SecretScanner({
+            policy: 'skip_chunk',
+            rulePolicies: { private_key: 'skip_file' },
+        });
+        const keyChunk = createChunk(`${PRIVATE_KEY_HEADER}\nMIIEowIBAAKCAQEA`);
+        const tokenChunk = createChunk(`const t = '${GITHUB_TOKEN}';`, { id: 'chunk-2' });
+        const cleanChunk = createChunk('const c = 1;', { id: 'chunk-3' });
+
+        const { chunks, skipped } = scanner.scanFile('src/keys.js', [
+            keyChunk,
+            tokenChunk,
+            cleanChunk,
+        ]);
+        expect(chunks).toEqual([]);
+        expect(skipped).toHaveLength(3);
+        expect(scanner.getReport()).toMatchObject({ skippedFiles: 1, skippedChunks: 3 });
+        expect(
+            scanner.getReport().findings.every(finding => finding.action === 'file_skipped')
+        ).toBe(true);
+    });
+
+    test('无效的处理方式回退为默认值', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const scanner = new SecretScanner({ policy: 'drop', rulePolicies: { jwt: 'ignore' } });
+            expect(scanner.policy).toBe('redact');
+            expect(scanner.rules.find(rule => rule.id === 'jwt').policy).toBe('redact');
+            expect(warn).toHaveBeenCalledTimes(2);
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * 解析Worker池测试
+ * 包含：结果交付、Worker异常退出与任务超时、重启上限、消费者出错、结果积压时暂停分发、取消
+ * 使用临时目录中的简单Worker脚本，按任务的 action 回复、退出或不回复
+ *
+ * 运行：npx jest code-chunker/tests/workerPool.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkerPool = require('../src/workerPool');
+
+const WORKER_SCRIPT = `
+const { parentPort } = require('worker_threads');
+parentPort.on('message', ({ taskId, action, value }) => {
+    if (action === 'crash') process.exit(1);
+    if (action === 'hang') return;
+    parentPort.postMessage({ taskId, value: value * 2 });
+});
+`;
+
+function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function tasks(count, action = 'echo') {
+    return Array.from({ length: count }, (_, i) => ({ action, value: i }));
+}
+
+describe('WorkerPool', () => {
+    let tempDir;
+    let workerPath;
+    let pool;
+
+    function createPool(options = {}) {
+        pool = new WorkerPool({ workerPath, size: 2, idleTimeoutMs: 0, ...options });
+        return pool;
+    }
+
+    async function runAll(payloads, options) {
+        const results = [];
+        await pool.run(
+            payloads,
+            async (payload, result) => results.push({ payload, result }),
+            options
+        );
+        return results;
+    }
+
+    beforeAll(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-'));
+        workerPath = path.join(tempDir, 'worker.js');
+        fs.writeFileSync(workerPath, WORKER_SCRIPT);
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        await pool?.terminate();
+        pool = null;
+    });
+
+    test('每个任务的结果都交给消费者，Worker在多次运行之间复用', async () => {
+        createPool();
+
+        const results = await runAll(tasks(10));
+        expect(results.map(({ result }) => result.value).sort((a, b) => a - b)).toEqual(
+            tasks(10).map(task => task.value * 2)
+        );
+        expect(results.every(({ payload, result }) => result.value === payload.value * 2)).toBe(
+            true
+        );
+
+        await runAll(tasks(4));
+        expect(pool.getStats()).toMatchObject({ tasks: 14, spawnedWorkers: 2, liveWorkers: 2 });
+    });
+
+    test('从异步数据源按需拉取任务', async () => {
+        createPool();
+        async function* source() {
+            for (const task of tasks(6)) yield task;
+        }
+
+        const results = await runAll(source());
+        expect(results).toHaveLength(6);
+    });
+
+    test('Worker异常退出时该任务返回 WORKER_CRASHED，其余任务由新Worker继续处理', async () => {
+        createPool({ size: 1 });
+
+        const results = await runAll([...tasks(1, 'crash'), ...tasks(3)]);
+        expect(results[0].result.error.code).toBe('WORKER_CRASHED');
+        expect(results.slice(1).map(({ result }) => result.value)).toEqual([0, 2, 4]);
+        expect(pool.getStats()).toMatchObject({ crashes: 1, spawnedWorkers: 2 });
+    });
+
+    test('任务超时时返回 TASK_TIMEOUT，只替换卡住的Worker', async () => {
+        createPool({ size: 1, taskTimeoutMs: 200 });
+
+        const results = await runAll([...tasks(1, 'hang'), ...tasks(1)]);
+        expect(results[0].result.error.code).toBe('TASK_TIMEOUT');
+        expect(results[1].result.value).toBe(0);
+        expect(pool.getStats()).toMatchObject({ timeouts: 1, spawnedWorkers: 2 });
+    });
+
+    test('异常退出次数达到上限后不再启动Worker', async () => {
+        createPool({ size: 1, maxCrashes: 2 });
+
+        const results = await runAll(tasks(4, 'crash'));
+        expect(results.map(({ result }) => result.error.code)).toEqual([
+            'WORKER_CRASHED',
+            'WORKER_CRASHED',
+            'WORKER_UNAVAILABLE',
+            'WORKER_UNAVAILABLE',
+        ]);
+        expect(pool.getStats().spawnedWorkers).toBe(2);
+    });
+
+    test('消费者出错时停止分发并以该错误结束，之后可以再次运行', async () => {
+        createPool();
+        let delivered = 0;
+
+        await expect(
+            pool.run(tasks(20), async () => {
+                delivered++;
+                throw new Error('send failed');
+            })
+        ).rejects.toThrow('send failed');
+        expect(delivered).toBe(1);
+        expect(pool.getStats().tasks).toBeLessThan(20);
+        expect(pool.running).toBe(false);
+
+        expect(await runAll(tasks(2))).toHaveLength(2);
+    });
+
+    test('同一时间只能运行一批任务', async () => {
+        createPool();
+        const running = runAll(tasks(2));
+
+        await expect(runAll(tasks(1))).rejects.toThrow('WorkerPool is already running a batch');
+        await running;
+    });
+
+    test('未被消费的结果达到上限时暂停分发新任务', async () => {
+        createPool({ size: 1 });
+        let release;
+        const gate = new Promise(resolve => (release = resolve));
+        let delivered = 0;
+
+        const running = pool.run(
+            tasks(5),
+            async () => {
+                delivered++;
+                await gate;
+            },
+            { maxPendingResults: 1 }
+        );
+        while (delivered === 0) await flushPromises();
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(pool.getStats().tasks).toBe(1);
+        release();
+        await running;
+        expect(delivered).toBe(5);
+        expect(pool.getStats().tasks).toBe(5);
+    });
+
+    test('取消后不再分发新任务，以取消原因结束', async () => {
+        createPool({ size: 1 });
+        const controller = new AbortController();
+        let delivered = 0;
+
+        await expect(
+            pool.run(
+                tasks(10),
+                async () => {
+                    delivered++;
+                    controller.abort(new Error('cancelled by user'));
+                },
+                { signal: controller.signal }
+            )
+        ).rejects.toThrow('cancelled by user');
+        expect(delivered).toBeLessThan(10);
+    });
+});
@@ -0,0 +1,412 @@
+// 搜索结果面板的网页脚本，结果由扩展通过 postMessage 发送
+(function () {
+    'use strict';
+
+    const vscode = acquireVsCodeApi();
+
+    const form = document.getElementById('search-form');
+    const queryInput = document.getElementById('query');
+    const modeSelect = document.getElementById('mode');
+    const modifiedSelect = document.getElementById('modified');
+    const filtersDetails = document.getElementById('filters');
+    const statusElement = document.getElementById('status');
+    const resultsElement = document.getElementById('results');
+    const loadMoreButton = document.getElementById('load-more');
+
+    // 各语言的注释写法，未列出的语言按 C 风格处理
+    const HASH_COMMENT_LANGUAGES = ['python', 'ruby', 'bash', 'yaml', 'toml', 'properties'];
+    const MARKUP_LANGUAGES = ['xml', 'html', 'markdown'];
+    const KEYWORDS = new Set(
+        (
+            'abstract as async await break case catch class const continue def default defer delete do elif ' +
+            'else elsif end enum export extends extern false final finally fn for foreach from func function ' +
+            'go if impl implements import in interface is lambda let local match module mut namespace new nil ' +
+            'none not null object of or and override package pass private protected pub public raise return ' +
+            'self static struct super switch then this throw throws trait true try type typeof unless until ' +
+            'use val var void when where while with yield None True False'
+        ).split(' ')
+    );
+
+    let state = null;
+    let loading = false;
+
+    // 扩展发来的消息
+
+    window.addEventListener('message', event => {
+        const message = event.data;
+        if (message.type === 'results') {
+            state = message;
+            loading = false;
+            renderForm();
+            renderResults();
+        } else if (message.type === 'loading') {
+            loading = true;
+            setStatus('搜索中...');
+            updateButtons();
+        } else if (message.type === 'error') {
+            loading = false;
+            setStatus(message.message, true);
+            updateButtons();
+        }
+    });
+
+    // 搜索表单
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const filter = {};
+        for (const input of form.querySelectorAll('.filter-grid input')) {
+            filter[input.name] = input.value;
+        }
+        const modified = modifiedSelect.value;
+        vscode.postMessage({
+            type: 'search',
+            query: queryInput.value,
+            mode: modeSelect.value,
+            filter,
+            modifiedDays: modified === 'keep' ? 'keep' : modified ? Number(modified) : null,
+        });
+    });
+
+    loadMoreButton.addEventListener('click', () => {
+        vscode.postMessage({ type: 'loadMore' });
+    });
+
+    function renderForm() {
+        queryInput.value = state.query;
+        modeSelect.value = state.mode;
+        let hasFilter = false;
+        for (const input of form.querySelectorAll('.filter-grid input')) {
+            input.value = state.filter[input.name] || '';
+            hasFilter = hasFilter || input.value !== '';
+        }
+        const keepOption = modifiedSelect.querySelector('option[value="keep"]');
+        keepOption.hidden = state.modifiedDays !== 'keep';
+        modifiedSelect.value = state.modifiedDays === null ? '' : String(state.modifiedDays);
+        filtersDetails.open = filtersDetails.open || hasFilter || state.modifiedDays !== null;
+    }
+
+    function setStatus(text, isError = false) {
+        statusElement.textContent = text;
+        statusElement.classList.toggle('error', isError);
+    }
+
+    function updateButtons() {
+        loadMoreButton.disabled = loading;
+        form.querySelector('button[type="submit"]').disabled = loading;
+    }
+
+    // 结果列表
+
+    function renderResults() {
+        const { results, query } = state;
+        setStatus(
+            results.length > 0
+                ? `找到 ${results.length} 个与 "${query}" 相关的代码片段 · ${state.workspaceName}`
+                : `未找到与 "${query}" 相关的代码片段`
+        );
+        loadMoreButton.hidden = !state.hasMore;
+        updateButtons();
+
+        // 按文件分组（多根工作区中不同文件夹的同名路径分开），文件的顺序取其中得分最高的结果
+        const groups = new Map();
+        for (const result of results) {
+            const key = `${result.folder}\0${result.filePath}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(result);
+        }
+
+        // 得分条按本次结果中的最高分归一化，混合检索的融合分数本身很小
+        const maxScore = Math.max(...results.map(result => result.score), 0);
+        const terms = queryTerms(query);
+
+        resultsElement.replaceChildren();
+        for (const groupResults of groups.values()) {
+            const { filePath, folder } = groupResults[0];
+            const group = element('div', 'file-group');
+            group.setAttribute('role', 'group');
+
+            const header = element('div', 'file-header');
+            header.tabIndex = -1;
+            header.setAttribute('role', 'treeitem');
+            header.setAttribute('aria-expanded', 'true');
+            header.append(element('span', 'file-name', groupResults[0].fileName));
+            if (folder) {
+                header.append(element('span', 'file-folder', folder));
+            }
+            header.append(
+                element('span', 'file-path', filePath),
+                element('span', 'file-count', `${groupResults.length} 个结果`)
+            );
+            header.addEventListener('click', () => toggleGroup(group));
+            group.append(header);
+
+            for (const result of groupResults) {
+                group.append(renderResult(result, maxScore, terms));
+            }
+            resultsElement.append(group);
+        }
+
+        const first = resultsElement.querySelector('.file-header');
+        if (first) {
+            first.tabIndex = 0;
+        }
+    }
+
+    function renderResult(result, maxScore, terms) {
+        const item = element('div', 'result');
+        item.tabIndex = -1;
+        item.setAttribute('role', 'treeitem');
+        item.dataset.index = String(result.index);
+
+        const header = element('div', 'result-header');
+        header.append(
+            element('span', 'result-label', result.label || `结果 ${result.index + 1}`),
+            element('span', 'result-lines', lineRange(result)),
+            element('span', 'result-type', result.type)
+        );
+
+        const score = element('span', 'score');
+        const bar = element('span', 'score-bar');
+        const fill = element('span', 'score-fill');
+        fill.style.width = `${maxScore > 0 ? Math.round((result.score / maxScore) * 100) : 0}%`;
+        bar.append(fill);
+        score.append(bar, document.createTextNode(`${(result.score * 100).toFixed(1)}%`));
+        header.append(score);
+        item.append(header);
+
+        if (result.docComment) {
+            item.append(element('div', 'result-doc', result.docComment));
+        }
+        if (result.content) {
+            item.append(renderPreview(result, terms));
+        }
+
+        item.addEventListener('click', () => openResult(item));
+        return item;
+    }
+
+    function renderPreview(result, terms) {
+        const lines = highlight(result.content.replace(/\r\n?/g, '\n'), result.language, terms);
+        const rows = lines.map(
+            (html, offset) =>
+                `<tr><td class="line-number">${result.startLine ? result.startLine + offset : ''}</td><td>${html}</td></tr>`
+        );
+        const preview = element('div', 'preview');
+        preview.innerHTML = `<table>${rows.join('')}</table>`;
+        return preview;
+    }
+
+    function lineRange(result) {
+        if (!result.startLine) {
+            return '';
+        }
+        return result.endLine > result.startLine
+            ? `第 ${result.startLine}-${result.endLine} 行`
+            : `第 ${result.startLine} 行`;
+    }
+
+    function openResult(item) {
+        vscode.postMessage({ type: 'open', index: Number(item.dataset.index) });
+    }
+
+    function toggleGroup(group, expanded = group.classList.contains('collapsed')) {
+        group.classList.toggle('collapsed', !expanded);
+        group.querySelector('.file-header').setAttribute('aria-expanded', String(expanded));
+    }
+
+    // 键盘导航：上下键（或 j/k）在文件和结果间移动，左右键折叠、展开文件，回车打开结果
+
+    document.addEventListener('keydown', event => {
+        const target = event.target;
+        if (event.key === '/' && !isEditable(target)) {
+            event.preventDefault();
+            queryInput.focus();
+            queryInput.select();
+            return;
+        }
+        if (
+            !target.classList ||
+            !(target.classList.contains('result') || target.classList.contains('file-header'))
+        ) {
+            if (event.key === 'ArrowDown' && target === queryInput) {
+                event.preventDefault();
+                focusItem(navigableItems()[0]);
+            }
+            return;
+        }
+
+        const items = navigableItems();
+        const position = items.indexOf(target);
+        const group = target.closest('.file-group');
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'j':
+                focusItem(items[Math.min(position + 1, items.length - 1)]);
+                break;
+            case 'ArrowUp':
+            case 'k':
+                if (position === 0) {
+                    queryInput.focus();
+                } else {
+                    focusItem(items[position - 1]);
+                }
+                break;
+            case 'Home':
+                focusItem(items[0]);
+                break;
+            case 'End':
+                focusItem(items[items.length - 1]);
+                break;
+            case 'ArrowLeft':
+                if (target.classList.contains('result')) {
+                    focusItem(group.querySelector('.file-header'));
+                } else {
+                    toggleGroup(group, false);
+                }
+                break;
+            case 'ArrowRight':
+                if (target.classList.contains('file-header')) {
+                    toggleGroup(group, true);
+                }
+                break;
+            case 'Enter':
+            case ' ':
+                if (target.classList.contains('result')) {
+                    openResult(target);
+                } else {
+                    toggleGroup(group);
+                }
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    });
+
+    function navigableItems() {
+        return Array.from(
+            resultsElement.querySelectorAll('.file-header, .file-group:not(.collapsed) .result')
+        );
+    }
+
+    function focusItem(item) {
+        if (!item) {
+            return;
+        }
+        for (const other of resultsElement.querySelectorAll('[tabindex="0"]')) {
+            other.tabIndex = -1;
+        }
+        item.tabIndex = 0;
+        item.focus();
+        item.scrollIntoView({ block: 'nearest' });
+    }
+
+    function isEditable(target) {
+        return target instanceof HTMLInputElement || target instanceof HTMLSelectElement;
+    }
+
+    // 语法高亮：按注释、字符串、数字和关键字粗略着色，不区分具体语言的语法细节
+
+    function highlight(code, language, terms) {
+        const lines = [''];
+        for (const { text, kind } of tokenize(code, language)) {
+            text.split('\n').forEach((part, index) => {
+                if (index > 0) {
+                    lines.push('');
+                }
+                if (part) {
+                    const html = markTerms(part, terms);
+                    lines[lines.length - 1] += kind
+                        ? `<span class="tok-${kind}">${html}</span>`
+                        : html;
+                }
+            });
+        }
+        return lines;
+    }
+
+    function tokenize(code, language) {
+        const patterns = [];
+        if (MARKUP_LANGUAGES.includes(language)) {
+            patterns.push('<!--[\\s\\S]*?-->');
+        } else if (HASH_COMMENT_LANGUAGES.includes(language)) {
+            patterns.push('#.*');
+        } else if (language === 'lua') {
+            patterns.push('--.*');
+        } else {
+            patterns.push('\\/\\*[\\s\\S]*?\\*\\/', '\\/\\/.*');
+        }
+        const commentCount = patterns.length;
+        patterns.push(
+            '"(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\'|`(?:[^`\\\\]|\\\\.)*`',
+            '\\b(?:0[xX][0-9a-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b',
+            '\\b[A-Za-z_]\\w*\\b'
+        );
+        const regex = new RegExp(patterns.map(pattern => `(${pattern})`).join('|'), 'g');
+
+        const tokens = [];
+        let last = 0;
+        let match;
+        while ((match = regex.exec(code)) !== null) {
+            if (match.index > last) {
+                tokens.push({ text: code.slice(last, match.index), kind: '' });
+            }
+            const group = match.slice(1).findIndex(value => value !== undefined);
+            let kind = '';
+            if (group < commentCount) {
+                kind = 'comment';
+            } else if (group === commentCount) {
+                kind = 'string';
+            } else if (group === commentCount + 1) {
+                kind = 'number';
+            } else if (KEYWORDS.has(match[0])) {
+                kind = 'keyword';
+            }
+            tokens.push({ text: match[0], kind });
+            last = regex.lastIndex;
+        }
+        if (last < code.length) {
+            tokens.push({ text: code.slice(last), kind: '' });
+        }
+        return tokens;
+    }
+
+    function queryTerms(query) {
+        const terms = query
+            .split(/\s+/)
+            .filter(term => term.length >= 2)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return terms.length > 0 ? new RegExp(`(${terms.join('|')})`, 'gi') : null;
+    }
+
+    // 高亮搜索关键词，其余部分转义
+    function markTerms(text, terms) {
+        if (!terms) {
+            return escapeHtml(text);
+        }
+        return text
+            .split(terms)
+            .map((part, index) =>
+                index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+            )
+            .join('');
+    }
+
+    function escapeHtml(text) {
+        return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        node.className = className;
+        if (text !== undefined) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    vscode.postMessage({ type: 'ready' });
+})();
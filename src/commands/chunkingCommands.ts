@@ -1,21 +1,35 @@
 import * as vscode from 'vscode';
+import { BackgroundIndexService } from '../services/backgroundIndexService';
 import { ChunkingService } from '../services/chunkingService';
+import type { CredentialService } from '../services/credentialService';
+import type { IndexStatusService } from '../services/indexStatusService';
+import { CommonViews } from '../views/commonViews';
+import type { IndexStatusItem } from '../views/indexStatusView';
 
 let chunkingService: ChunkingService;
 
 /**
  * 注册代码分块相关的所有命令
+ * @returns 后台增量同步服务，索引状态视图据此展示文件监控状态
  */
-export function registerChunkingCommands(context: vscode.ExtensionContext) {
+export function registerChunkingCommands(
+    context: vscode.ExtensionContext,
+    indexStatusService: IndexStatusService,
+    credentialService: CredentialService
+): BackgroundIndexService {
     // 初始化服务
-    chunkingService = new ChunkingService();
+    chunkingService = new ChunkingService(indexStatusService, credentialService);
+    const backgroundIndexService = new BackgroundIndexService(chunkingService, credentialService);
 
-    // 注册代码分块命令
+    // 注册代码分块命令；从索引状态视图调用时处理对应的工作区文件夹
     const chunkCodeCommand = vscode.commands.registerCommand(
         'test-electron-treesitter.chunkCode',
-        async () => {
+        async (item?: IndexStatusItem) => {
             try {
-                const res = await chunkingService.executeCodeChunking(context);
+                const res = await chunkingService.executeCodeChunking(
+                    context,
+                    item?.workspaceFolder
+                );
                 return res;
             } catch (error) {
                 console.error('[CodeChunker] 执行错误:', error);
@@ -85,14 +99,20 @@ export function registerChunkingCommands(context: vscode.ExtensionContext) {
     // 注册清除索引缓存命令
     const clearIndexCacheCommand = vscode.commands.registerCommand(
         'test-electron-treesitter.clearIndexCache',
-        async () => {
+        async (item?: IndexStatusItem) => {
             try {
-                const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-                if (!workspaceFolder) {
+                if (!vscode.workspace.workspaceFolders?.length) {
                     vscode.window.showErrorMessage('请先打开一个工作区');
                     return;
                 }
 
+                const workspaceFolder =
+                    item?.workspaceFolder ||
+                    (await CommonViews.pickWorkspaceFolder('选择要清除索引缓存的工作区文件夹'));
+                if (!workspaceFolder) {
+                    return; // 用户取消
+                }
+
                 const config = vscode.workspace.getConfiguration('codeChunker');
                 const userId = config.get<string>('userId');
                 const deviceId = config.get<string>('deviceId');
@@ -103,7 +123,7 @@ export function registerChunkingCommands(context: vscode.ExtensionContext) {
                 }
 
                 const confirmation = await vscode.window.showWarningMessage(
-                    '确定要清除当前工作区的索引缓存吗？这将导致下次处理时重新索引所有文件。',
+                    `确定要清除工作区文件夹 "${workspaceFolder.name}" 的索引缓存吗？这将导致下次处理时重新索引所有文件。`,
                     '确定清除',
                     '取消'
                 );
@@ -170,14 +190,24 @@ export function registerChunkingCommands(context: vscode.ExtensionContext) {
         'test-electron-treesitter.checkIndexStatus',
         async () => {
             try {
-                const status = await chunkingService.checkIndexStatus(context);
-                if (status) {
-                    vscode.window.showInformationMessage(
-                        `索引状态: ${status.isCompleted ? '✅ 已完成' : '⚠️ 未完成'}`
-                    );
-                } else {
+                const folders = vscode.workspace.workspaceFolders || [];
+                if (folders.length === 0) {
                     vscode.window.showInformationMessage('索引缓存未初始化或工作区未打开');
+                    return;
+                }
+
+                // 多根工作区中逐个文件夹检查
+                const lines: string[] = [];
+                for (const folder of folders) {
+                    const status = await chunkingService.checkIndexStatus(folder, context);
+                    const text = status
+                        ? status.isCompleted
+                            ? '✅ 已完成'
+                            : '⚠️ 未完成'
+                        : '索引缓存未初始化';
+                    lines.push(folders.length > 1 ? `${folder.name}: ${text}` : text);
                 }
+                vscode.window.showInformationMessage(`索引状态: ${lines.join('；')}`);
             } catch (error) {
                 console.error('[CodeChunker] 检查索引状态失败:', error);
                 vscode.window.showErrorMessage(
@@ -187,7 +217,62 @@ export function registerChunkingCommands(context: vscode.ExtensionContext) {
         }
     );
 
+    // 工作区文件夹增加或移除时同步索引状态
+    const workspaceFoldersListener = vscode.workspace.onDidChangeWorkspaceFolders(event =>
+        chunkingService
+            .handleWorkspaceFoldersChanged(event, context)
+            .catch(error => console.error('[CodeChunker] 处理工作区文件夹变化失败:', error))
+    );
+
+    // 注册立即同步索引命令，不等待防抖处理后台同步中待索引的文件
+    const syncIndexNowCommand = vscode.commands.registerCommand(
+        'test-electron-treesitter.syncIndexNow',
+        () => {
+            if (!backgroundIndexService.isEnabled()) {
+                vscode.window.showInformationMessage(
+                    '后台增量同步未启用，请在设置中开启 codeChunker.backgroundIndexing.enabled'
+                );
+                return;
+            }
+            backgroundIndexService.syncNow();
+        }
+    );
+
+    // 启用后台增量同步时在状态栏显示待索引的文件数量
+    const statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left);
+    statusBarItem.command = 'test-electron-treesitter.syncIndexNow';
+    const updateStatusBar = () => {
+        if (!backgroundIndexService.isEnabled()) {
+            statusBarItem.hide();
+            return;
+        }
+
+        const { pendingPaths, syncingPaths } = backgroundIndexService.getTotals();
+        const describe = (paths: string[]) =>
+            paths.includes('') ? '全部文件' : `${paths.length} 个文件`;
+        if (syncingPaths.length > 0) {
+            statusBarItem.text = `$(sync~spin) 正在索引 ${describe(syncingPaths)}`;
+            statusBarItem.tooltip =
+                pendingPaths.length > 0
+                    ? `后台增量同步进行中，另有 ${describe(pendingPaths)}待索引`
+                    : '后台增量同步进行中';
+        } else if (pendingPaths.length > 0) {
+            statusBarItem.text = `$(clock) 待索引 ${describe(pendingPaths)}`;
+            statusBarItem.tooltip = '文件变更将在稍后同步到索引，点击立即同步';
+        } else {
+            statusBarItem.text = '$(check) 索引已同步';
+            statusBarItem.tooltip = '所有已保存的变更都已同步到索引';
+        }
+        statusBarItem.show();
+    };
+    updateStatusBar();
+
     context.subscriptions.push(
+        backgroundIndexService,
+        syncIndexNowCommand,
+        statusBarItem,
+        backgroundIndexService.onDidChange(() => updateStatusBar()),
+        workspaceFoldersListener,
         chunkCodeCommand,
         checkProgressCommand,
         clearCacheCommand,
@@ -198,4 +283,5 @@ export function registerChunkingCommands(context: vscode.ExtensionContext) {
         checkIndexStatusCommand
     );
     console.log('[CodeChunker] 代码分块命令已注册');
+    return backgroundIndexService;
 }
@@ -0,0 +1,108 @@
+import * as vscode from 'vscode';
+import type { CredentialService } from '../services/credentialService';
+import { CommonViews } from '../views/commonViews';
+
+/**
+ * 注册登录、退出登录和嵌入服务密钥相关的命令
+ */
+export function registerCredentialCommands(
+    context: vscode.ExtensionContext,
+    credentialService: CredentialService
+) {
+    // 注册登录命令，访问令牌保存到 SecretStorage
+    const signInCommand = vscode.commands.registerCommand(
+        'test-electron-treesitter.signIn',
+        async () => {
+            try {
+                await CommonViews.showConfiguration(credentialService);
+            } catch (error) {
+                console.error('[CodeChunker] 登录失败:', error);
+                vscode.window.showErrorMessage(
+                    `登录失败: ${error instanceof Error ? error.message : String(error)}`
+                );
+            }
+        }
+    );
+
+    // 注册退出登录命令
+    const signOutCommand = vscode.commands.registerCommand(
+        'test-electron-treesitter.signOut',
+        async () => {
+            try {
+                const confirmation = await vscode.window.showWarningMessage(
+                    '确定要退出登录吗？已保存的访问令牌和嵌入服务密钥将被删除。',
+                    '退出登录',
+                    '取消'
+                );
+                if (confirmation !== '退出登录') {
+                    return;
+                }
+
+                if (await credentialService.signOut()) {
+                    vscode.window.showInformationMessage('已退出登录');
+                }
+            } catch (error) {
+                console.error('[CodeChunker] 退出登录失败:', error);
+                vscode.window.showErrorMessage(
+                    `退出登录失败: ${error instanceof Error ? error.message : String(error)}`
+                );
+            }
+        }
+    );
+
+    // 注册设置嵌入服务密钥命令（openai / ollama 兼容协议的自建嵌入服务）
+    const setEmbeddingApiKeyCommand = vscode.commands.registerCommand(
+        'test-electron-treesitter.setEmbeddingApiKey',
+        async () => {
+            try {
+                const hasApiKey = await credentialService.hasEmbeddingApiKey();
+                const apiKey = await vscode.window.showInputBox({
+                    prompt: hasApiKey
+                        ? '请输入嵌入服务的访问密钥，留空则删除已保存的密钥'
+                        : '请输入嵌入服务的访问密钥',
+                    placeHolder: '例如: sk-...',
+                    password: true,
+                });
+
+                if (apiKey === undefined) {
+                    return; // 用户取消
+                }
+
+                if (await credentialService.setEmbeddingApiKey(apiKey.trim())) {
+                    vscode.window.showInformationMessage(
+                        apiKey.trim() ? '嵌入服务密钥已保存到安全存储' : '嵌入服务密钥已删除'
+                    );
+                }
+            } catch (error) {
+                console.error('[CodeChunker] 保存嵌入服务密钥失败:', error);
+                vscode.window.showErrorMessage(
+                    `保存嵌入服务密钥失败: ${error instanceof Error ? error.message : String(error)}`
+                );
+            }
+        }
+    );
+
+    // 未登录时在状态栏提示
+    const statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left);
+    statusBarItem.text = '$(account) 代码分块器：未登录';
+    statusBarItem.tooltip = '缺少用户ID、设备ID或访问令牌，点击登录';
+    statusBarItem.command = 'test-electron-treesitter.signIn';
+    const updateStatusBar = async () => {
+        const credentials = await credentialService.getCredentials();
+        if (credentials) {
+            statusBarItem.hide();
+        } else {
+            statusBarItem.show();
+        }
+    };
+    updateStatusBar();
+
+    context.subscriptions.push(
+        signInCommand,
+        signOutCommand,
+        setEmbeddingApiKeyCommand,
+        statusBarItem,
+        credentialService.onDidChange(() => updateStatusBar())
+    );
+    console.log('[CodeChunker] 登录相关命令已注册');
+}
@@ -1,21 +1,29 @@
 import * as vscode from 'vscode';
 import { SearchService } from '../services/searchService';
+import type { CredentialService } from '../services/credentialService';
+import type { IndexStatusService } from '../services/indexStatusService';
+import type { IndexStatusItem } from '../views/indexStatusView';
+import type { SearchFilter, SearchMode } from '../types';
 
 let searchService: SearchService;
 
 /**
  * 注册搜索相关的所有命令
  */
-export function registerSearchCommands(context: vscode.ExtensionContext) {
+export function registerSearchCommands(
+    context: vscode.ExtensionContext,
+    indexStatusService: IndexStatusService,
+    credentialService: CredentialService
+) {
     // 初始化服务
-    searchService = new SearchService();
+    searchService = new SearchService(context.extensionUri, indexStatusService, credentialService);
 
     // 注册智能代码搜索命令
     const searchCodeCommand = vscode.commands.registerCommand(
         'test-electron-treesitter.searchCode',
-        async (searchString?: string) => {
+        async (searchString?: string, mode?: SearchMode, filter?: SearchFilter) => {
             try {
-                await searchService.performCodeSearch(searchString);
+                await searchService.performCodeSearch(searchString, mode, filter);
             } catch (error) {
                 console.error('[CodeChunker] 代码搜索错误:', error);
                 vscode.window.showErrorMessage(
@@ -40,12 +48,12 @@ export function registerSearchCommands(context: vscode.ExtensionContext) {
         }
     );
 
-    // 注册删除Collection命令
+    // 注册删除Collection命令；从索引状态视图调用时删除对应工作区文件夹的集合
     const deleteCollectionCommand = vscode.commands.registerCommand(
         'test-electron-treesitter.deleteCollection',
-        async () => {
+        async (item?: IndexStatusItem) => {
             try {
-                await searchService.deleteCloudCollection();
+                await searchService.deleteCloudCollection(item?.workspaceFolder);
             } catch (error) {
                 console.error('[CodeChunker] 删除Collection错误:', error);
                 vscode.window.showErrorMessage(
@@ -8,21 +8,46 @@
  *    - 'test-electron-treesitter.chunkCode' - 开始代码分块
  *    - 'test-electron-treesitter.checkProgress' - 查看分块进度
  *    - 'test-electron-treesitter.configure' - 配置代码分块器
+ *    - 'test-electron-treesitter.signIn' / 'test-electron-treesitter.signOut' - 登录 / 退出登录
  */
 
 import * as vscode from 'vscode';
 import { registerChunkingCommands } from './commands/chunkingCommands';
+import { registerCredentialCommands } from './commands/credentialCommands';
 import { registerSearchCommands } from './commands/searchCommands';
+import { CredentialService } from './services/credentialService';
+import { IndexStatusService } from './services/indexStatusService';
+import { registerIndexStatusView } from './views/indexStatusView';
 
-export function activate(context: vscode.ExtensionContext) {
+export async function activate(context: vscode.ExtensionContext) {
     console.log('[CodeChunker] 扩展已激活');
 
     // 清除代理环境变量避免连接问题
     clearProxyEnvironment();
 
+    // 索引状态在分块命令、搜索命令和侧边栏视图之间共享
+    const indexStatusService = new IndexStatusService(context);
+    context.subscriptions.push(indexStatusService);
+
+    // 访问令牌保存在 SecretStorage 中，旧版本写在设置中的令牌在激活时迁移过来
+    const credentialService = new CredentialService(context, indexStatusService);
+    context.subscriptions.push(credentialService);
+    try {
+        await credentialService.migrateFromSettings();
+    } catch (error) {
+        console.error('[CodeChunker] 迁移访问令牌失败:', error);
+    }
+    await credentialService.updateContext();
+
     // 注册所有命令
-    registerChunkingCommands(context);
-    registerSearchCommands(context);
+    registerCredentialCommands(context, credentialService);
+    const backgroundIndexService = registerChunkingCommands(
+        context,
+        indexStatusService,
+        credentialService
+    );
+    registerSearchCommands(context, indexStatusService, credentialService);
+    registerIndexStatusView(context, indexStatusService, credentialService, backgroundIndexService);
 
     console.log('[CodeChunker] 所有命令已注册');
 }
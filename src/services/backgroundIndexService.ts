@@ -0,0 +1,361 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { minimatch } from 'minimatch';
+import type { ChunkingService } from './chunkingService';
+import type { Credentials, CredentialService } from './credentialService';
+
+// 持续有变更时，距首个变更的最长等待时间（与 code-chunker 的 WorkspaceWatcher 一致）
+const MAX_WAIT_MS = 15000;
+// 已有处理在进行时再次尝试的间隔，同步失败时以此为基数指数退避
+const RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// 表示需要完整检查整个文件夹（如切换 git 分支后），code-chunker 按文件哈希找出变更
+const FULL_CHECK = '';
+
+// 各工作区文件夹的待处理变更
+interface FolderQueue {
+    folder: vscode.WorkspaceFolder;
+    pendingPaths: Set<string>;
+    syncingPaths: string[];
+    // 从读取登录信息开始到同步结束，避免同一文件夹同时进行两次同步
+    inFlight: boolean;
+    failureCount: number;
+    debounceTimer: NodeJS.Timeout | null;
+    maxWaitTimer: NodeJS.Timeout | null;
+    lastSyncedAt: number | null;
+    lastError: string | null;
+}
+
+export interface BackgroundIndexState {
+    enabled: boolean;
+    pendingPaths: string[];
+    syncingPaths: string[];
+    lastSyncedAt: number | null;
+    lastError: string | null;
+}
+
+/**
+ * 后台增量同步（codeChunker.backgroundIndexing.enabled 开启时）：监听文件保存、
+ * 创建/删除/重命名和 git 分支切换，防抖合并后只把受影响的路径交给 code-chunker 重新处理
+ * 状态变化时触发 onDidChange，参数为工作区路径
+ */
+export class BackgroundIndexService implements vscode.Disposable {
+    private readonly changeEmitter = new vscode.EventEmitter<string | undefined>();
+    private readonly queues = new Map<string, FolderQueue>();
+    private readonly disposables: vscode.Disposable[] = [];
+    private listeners: vscode.Disposable[] = [];
+    private enabled = false;
+
+    readonly onDidChange = this.changeEmitter.event;
+
+    constructor(
+        private readonly chunkingService: ChunkingService,
+        private readonly credentialService: CredentialService
+    ) {
+        this.disposables.push(
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('codeChunker.backgroundIndexing')) {
+                    this.updateEnabled();
+                }
+            }),
+            vscode.workspace.onDidChangeWorkspaceFolders(event => {
+                event.removed.forEach(folder => this.removeQueue(folder));
+            }),
+            // 未登录时保留的变更在登录后同步
+            credentialService.onDidChange(() => this.syncNow())
+        );
+        this.updateEnabled();
+    }
+
+    dispose() {
+        this.stopListening();
+        this.queues.forEach(queue => this.clearTimers(queue));
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.changeEmitter.dispose();
+    }
+
+    isEnabled(): boolean {
+        return this.enabled;
+    }
+
+    getState(workspacePath: string): BackgroundIndexState {
+        const queue = this.queues.get(workspacePath);
+        return {
+            enabled: this.enabled,
+            pendingPaths: queue ? [...queue.pendingPaths] : [],
+            syncingPaths: queue ? queue.syncingPaths : [],
+            lastSyncedAt: queue?.lastSyncedAt ?? null,
+            lastError: queue?.lastError ?? null,
+        };
+    }
+
+    /**
+     * 所有文件夹的待处理和正在处理的路径
+     */
+    getTotals(): { pendingPaths: string[]; syncingPaths: string[] } {
+        const pendingPaths: string[] = [];
+        const syncingPaths: string[] = [];
+        this.queues.forEach(queue => {
+            pendingPaths.push(...queue.pendingPaths);
+            syncingPaths.push(...queue.syncingPaths);
+        });
+        return { pendingPaths, syncingPaths };
+    }
+
+    /**
+     * 不等待防抖，立即同步所有待处理的变更
+     */
+    syncNow() {
+        this.queues.forEach(queue => {
+            if (queue.pendingPaths.size > 0) {
+                this.flush(queue);
+            }
+        });
+    }
+
+    // 内部方法
+
+    private get debounceMs(): number {
+        const config = vscode.workspace.getConfiguration('codeChunker');
+        return Math.max(500, config.get<number>('backgroundIndexing.debounceMs', 2000));
+    }
+
+    private updateEnabled() {
+        const config = vscode.workspace.getConfiguration('codeChunker');
+        let enabled = config.get<boolean>('backgroundIndexing.enabled', false);
+        if (enabled && !this.chunkingService.supportsIncrementalUpdates()) {
+            // 不能按文件删除旧向量时每次同步都会全量重建，后台同步保持关闭
+            vscode.window.showWarningMessage(
+                '后台增量同步需要支持增量更新的向量数据库（如 VECTOR_DB_TYPE=local），当前为 api_only 模式，后台同步未开启'
+            );
+            enabled = false;
+        }
+        if (enabled === this.enabled) {
+            return;
+        }
+
+        this.enabled = enabled;
+        if (enabled) {
+            this.startListening();
+            console.log('[BackgroundIndexService] 后台增量同步已启用');
+        } else {
+            this.stopListening();
+            this.queues.forEach(queue => this.clearTimers(queue));
+            this.queues.clear();
+            console.log('[BackgroundIndexService] 后台增量同步已关闭');
+        }
+        this.changeEmitter.fire(undefined);
+    }
+
+    private startListening() {
+        // 切换分支时 HEAD 文件变化，检出的文件不会触发编辑器事件，需要完整检查
+        const gitHeadWatcher = vscode.workspace.createFileSystemWatcher('**/.git/HEAD');
+        const handleGitHead = (uri: vscode.Uri) => {
+            const folder = vscode.workspace.getWorkspaceFolder(uri);
+            if (folder) {
+                this.enqueue(folder, FULL_CHECK);
+            }
+        };
+
+        this.listeners.push(
+            vscode.workspace.onDidSaveTextDocument(document => this.enqueueUri(document.uri)),
+            vscode.workspace.onDidCreateFiles(event =>
+                event.files.forEach(uri => this.enqueueUri(uri))
+            ),
+            vscode.workspace.onDidDeleteFiles(event =>
+                event.files.forEach(uri => this.enqueueUri(uri))
+            ),
+            vscode.workspace.onDidRenameFiles(event =>
+                event.files.forEach(({ oldUri, newUri }) => {
+                    this.enqueueUri(oldUri);
+                    this.enqueueUri(newUri);
+                })
+            ),
+            gitHeadWatcher,
+            gitHeadWatcher.onDidChange(handleGitHead),
+            gitHeadWatcher.onDidCreate(handleGitHead)
+        );
+    }
+
+    private stopListening() {
+        this.listeners.forEach(listener => listener.dispose());
+        this.listeners = [];
+    }
+
+    private enqueueUri(uri: vscode.Uri) {
+        if (uri.scheme !== 'file') {
+            return;
+        }
+
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) {
+            return;
+        }
+
+        const relativePath = path.relative(folder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+        if (!relativePath || this.isIgnored(relativePath)) {
+            return;
+        }
+        this.enqueue(folder, relativePath);
+    }
+
+    private isIgnored(relativePath: string): boolean {
+        if (relativePath.split('/').includes('.git')) {
+            return true;
+        }
+
+        const config = vscode.workspace.getConfiguration('codeChunker');
+        const ignorePatterns = config.get<string[]>('ignorePatterns') || [];
+        // 删除、重命名的可能是目录，目录形式的路径也参与匹配
+        return ignorePatterns.some(
+            pattern =>
+                minimatch(relativePath, pattern, { dot: true }) ||
+                minimatch(`${relativePath}/`, pattern, { dot: true })
+        );
+    }
+
+    private enqueue(folder: vscode.WorkspaceFolder, relativePath: string) {
+        const workspacePath = folder.uri.fsPath;
+        let queue = this.queues.get(workspacePath);
+        if (!queue) {
+            queue = {
+                folder,
+                pendingPaths: new Set(),
+                syncingPaths: [],
+                inFlight: false,
+                failureCount: 0,
+                debounceTimer: null,
+                maxWaitTimer: null,
+                lastSyncedAt: null,
+                lastError: null,
+            };
+            this.queues.set(workspacePath, queue);
+        }
+
+        queue.pendingPaths.add(relativePath);
+        this.changeEmitter.fire(workspacePath);
+
+        // 正在处理上一批变更时只累积，处理结束后再统一触发
+        if (!queue.inFlight) {
+            this.schedule(queue, this.debounceMs);
+        }
+    }
+
+    private schedule(queue: FolderQueue, delay: number) {
+        if (queue.debounceTimer) {
+            clearTimeout(queue.debounceTimer);
+        }
+        queue.debounceTimer = setTimeout(() => this.flush(queue), delay);
+
+        if (!queue.maxWaitTimer) {
+            queue.maxWaitTimer = setTimeout(() => this.flush(queue), Math.max(delay, MAX_WAIT_MS));
+        }
+    }
+
+    private clearTimers(queue: FolderQueue) {
+        if (queue.debounceTimer) {
+            clearTimeout(queue.debounceTimer);
+        }
+        if (queue.maxWaitTimer) {
+            clearTimeout(queue.maxWaitTimer);
+        }
+        queue.debounceTimer = null;
+        queue.maxWaitTimer = null;
+    }
+
+    private async flush(queue: FolderQueue) {
+        this.clearTimers(queue);
+        if (!this.enabled || queue.inFlight || queue.pendingPaths.size === 0) {
+            return;
+        }
+
+        // 在第一次 await 之前占用，等待登录信息期间再次触发的 flush 直接返回
+        queue.inFlight = true;
+        let result: boolean | null;
+        try {
+            // 未登录时保留变更，登录后再同步
+            const credentials = await this.credentialService.getCredentials();
+            if (!credentials) {
+                return;
+            }
+            result = await this.sync(queue, credentials);
+        } finally {
+            queue.inFlight = false;
+        }
+        this.scheduleNext(queue, result);
+    }
+
+    /**
+     * 同步一批待处理的路径
+     * @returns 同步成功返回 true，失败返回 false，有其他处理在进行时返回 null
+     */
+    private async sync(queue: FolderQueue, credentials: Credentials): Promise<boolean | null> {
+        // 需要完整检查时不再单独处理各个路径
+        const changedPaths = queue.pendingPaths.has(FULL_CHECK)
+            ? [FULL_CHECK]
+            : [...queue.pendingPaths].sort();
+        queue.pendingPaths.clear();
+        queue.syncingPaths = changedPaths;
+        this.changeEmitter.fire(queue.folder.uri.fsPath);
+
+        let result: boolean | null = false;
+        try {
+            result = await this.chunkingService.syncChangedPaths(
+                queue.folder,
+                credentials,
+                changedPaths
+            );
+            if (result !== null) {
+                queue.lastSyncedAt = Date.now();
+                queue.lastError = result ? null : '同步失败，详情见开发者工具控制台';
+            }
+        } catch (error) {
+            queue.lastError = error instanceof Error ? error.message : String(error);
+        } finally {
+            // 未处理或处理失败的路径并入下一批，避免增量状态遗漏这些文件
+            if (result !== true) {
+                changedPaths.forEach(changedPath => queue.pendingPaths.add(changedPath));
+            }
+            if (result === true) {
+                queue.failureCount = 0;
+            } else if (result === false) {
+                queue.failureCount++;
+            }
+            queue.syncingPaths = [];
+            this.changeEmitter.fire(queue.folder.uri.fsPath);
+        }
+        return result;
+    }
+
+    /**
+     * 同步结束后仍有待处理的路径时安排下一次同步：有其他处理在进行时稍后重试，
+     * 同步失败时按连续失败次数指数退避，同步成功后（同步期间的新变更）按防抖时间处理
+     */
+    private scheduleNext(queue: FolderQueue, result: boolean | null) {
+        if (
+            !this.enabled ||
+            queue.pendingPaths.size === 0 ||
+            this.queues.get(queue.folder.uri.fsPath) !== queue
+        ) {
+            return;
+        }
+
+        if (result === null) {
+            this.schedule(queue, RETRY_DELAY_MS);
+        } else if (result) {
+            this.schedule(queue, this.debounceMs);
+        } else {
+            const backoff = RETRY_DELAY_MS * 2 ** (queue.failureCount - 1);
+            this.schedule(queue, Math.min(backoff, MAX_RETRY_DELAY_MS));
+        }
+    }
+
+    private removeQueue(folder: vscode.WorkspaceFolder) {
+        const queue = this.queues.get(folder.uri.fsPath);
+        if (queue) {
+            this.clearTimers(queue);
+            this.queues.delete(folder.uri.fsPath);
+        }
+    }
+}
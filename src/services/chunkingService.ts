@@ -1,20 +1,46 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
 import * as fs from 'fs';
-import type { CodeChunkerModule } from '../types';
+import type {
+    CodeChunkerModule,
+    IndexingPhase,
+    IndexingProgressEvent,
+    ProcessWorkspaceOptions,
+} from '../types';
 import { CommonViews } from '../views/commonViews';
 import { IndexCacheService } from './indexCacheService';
+import type { Credentials, CredentialService } from './credentialService';
+import type { IndexStatusService } from './indexStatusService';
 
 // 导入 code-chunker 模块
 const codeChunker: CodeChunkerModule = require('../../code-chunker/index.js');
 
-// 全局变量来跟踪活跃的chunker实例
-let activeChunkerInstance: any = null;
+// 处理阶段在进度通知中的显示文字
+const PHASE_LABELS: Record<IndexingPhase, string> = {
+    scanning: '扫描工作区文件...',
+    planning: '检测文件变更...',
+    parsing: '解析代码分块...',
+    indexing: '更新索引...',
+    embedding: '生成并写入向量...',
+    finalizing: '保存索引状态...',
+};
+
+// 文件处理进度在通知进度条中所占的比例（其余部分用于初始化和缓存检查）
+const FILE_PROGRESS_SHARE = 60;
+
+// 全局变量来跟踪正在处理的工作区文件夹
+let activeWorkspaceFolder: vscode.WorkspaceFolder | null = null;
 let isProcessing = false;
 
 export class ChunkingService {
     private indexCacheService: IndexCacheService | null = null;
 
+    // 处理开始、进度和结束同步到索引状态视图
+    constructor(
+        private readonly indexStatusService: IndexStatusService,
+        private readonly credentialService: CredentialService
+    ) {}
+
     /**
      * 初始化索引缓存服务
      */
@@ -25,39 +51,196 @@ export class ChunkingService {
     }
 
     /**
-     * 执行代码分块
+     * 执行代码分块，每个工作区文件夹依次处理，分别写入各自的集合
+     * @param workspaceFolder 要处理的工作区文件夹；未指定时在多根工作区中选择要处理的文件夹
+     * @returns 所有文件夹均处理成功时返回 true
      */
-    async executeCodeChunking(context?: vscode.ExtensionContext) {
+    async executeCodeChunking(
+        context?: vscode.ExtensionContext,
+        workspaceFolder?: vscode.WorkspaceFolder
+    ) {
         if (isProcessing) {
             vscode.window.showWarningMessage('代码分块正在进行中，请等待当前处理完成');
             return;
         }
 
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
+        if (!vscode.workspace.workspaceFolders?.length) {
             vscode.window.showErrorMessage('请先打开一个工作区');
             return;
         }
 
-        // 获取配置
+        const workspaceFolders = workspaceFolder
+            ? [workspaceFolder]
+            : await CommonViews.pickWorkspaceFolders('选择要索引的工作区文件夹');
+        if (workspaceFolders.length === 0) {
+            return; // 用户取消
+        }
+
+        // 检查登录状态，未登录时提示登录
+        const credentials = await this.credentialService.requireCredentials();
+        if (!credentials) {
+            return;
+        }
+
+        isProcessing = true;
+
+        // 初始化索引缓存服务
+        if (context) {
+            this.initializeIndexCache(context);
+        }
+
+        let success = true;
+        try {
+            for (const folder of workspaceFolders) {
+                // 等待处理期间被移出工作区的文件夹不再处理
+                if (!ChunkingService.isOpenWorkspaceFolder(folder)) {
+                    console.log(`[ChunkingService] 工作区文件夹已移除，跳过: ${folder.name}`);
+                    continue;
+                }
+                success = (await this.chunkWorkspaceFolder(folder, credentials)) && success;
+            }
+        } finally {
+            isProcessing = false;
+            activeWorkspaceFolder = null;
+        }
+        return success;
+    }
+
+    /**
+     * 工作区文件夹增加或移除后：移除的文件夹释放其 chunker 实例并清除保存的状态，
+     * 新增且尚未索引的文件夹提示是否立即索引
+     */
+    async handleWorkspaceFoldersChanged(
+        event: vscode.WorkspaceFoldersChangeEvent,
+        context: vscode.ExtensionContext
+    ) {
+        for (const folder of event.removed) {
+            const workspacePath = folder.uri.fsPath;
+            if (!this.indexStatusService.getRun(workspacePath)) {
+                await codeChunker.releaseChunkerInstances(workspacePath);
+            }
+            await this.indexStatusService.forget(workspacePath);
+        }
+
+        const credentials = await this.credentialService.getCredentials();
+        if (!credentials) {
+            return;
+        }
+
+        for (const folder of event.added) {
+            const summary = await this.indexStatusService.getSummary(
+                folder.uri.fsPath,
+                credentials
+            );
+            if (summary.lastIndexedAt !== null) {
+                continue;
+            }
+
+            const result = await vscode.window.showInformationMessage(
+                `新添加的工作区文件夹 "${folder.name}" 尚未索引，是否现在索引？`,
+                '开始索引',
+                '稍后'
+            );
+            if (result === '开始索引') {
+                await this.executeCodeChunking(context, folder);
+            }
+        }
+    }
+
+    /**
+     * 当前向量数据库是否支持增量更新；api_only 模式下每次处理都是全量重建
+     */
+    supportsIncrementalUpdates(): boolean {
+        return codeChunker.supportsIncrementalUpdates();
+    }
+
+    /**
+     * 后台增量同步：只重新处理变更的路径，不显示进度通知，进度同步到索引状态视图
+     * @param changedPaths 相对工作区文件夹的路径；'' 表示需要完整检查（如切换 git 分支后）
+     * @returns 已有处理在进行时不处理，返回 null
+     */
+    async syncChangedPaths(
+        workspaceFolder: vscode.WorkspaceFolder,
+        credentials: Credentials,
+        changedPaths: string[]
+    ): Promise<boolean | null> {
+        if (isProcessing) {
+            return null;
+        }
+
+        const { userId, deviceId, token, secrets } = credentials;
         const config = vscode.workspace.getConfiguration('codeChunker');
-        const userId = config.get<string>('userId');
-        const deviceId = config.get<string>('deviceId');
-        const token = config.get<string>('token');
         const ignorePatterns = config.get<string[]>('ignorePatterns') || [];
+        const workspacePath = workspaceFolder.uri.fsPath;
+        const fullCheck = changedPaths.includes('');
 
-        // 检查必要的配置
-        if (!userId || !deviceId || !token) {
-            const result = await vscode.window.showErrorMessage(
-                '缺少必要的配置信息（用户ID、设备ID或Token），是否现在配置？',
-                '去配置',
-                '取消'
+        isProcessing = true;
+        activeWorkspaceFolder = workspaceFolder;
+        this.indexStatusService.beginRun(workspacePath);
+        let success = false;
+
+        try {
+            const chunkerInstance = codeChunker.getChunkerInstance(
+                userId,
+                deviceId,
+                workspacePath,
+                token,
+                secrets
             );
-            if (result === '去配置') {
-                await CommonViews.showConfiguration();
+            success = await chunkerInstance.processWorkspace(
+                userId,
+                deviceId,
+                workspacePath,
+                token,
+                ignorePatterns,
+                {
+                    ...(fullCheck ? {} : { changedPaths }),
+                    onProgress: event =>
+                        this.indexStatusService.handleProgress(workspacePath, event),
+                }
+            );
+
+            // 同步成功后更新索引缓存中仍然存在的文件
+            if (success && !fullCheck && this.indexCacheService) {
+                const existingFiles = changedPaths.filter(changedPath => {
+                    const fullPath = path.join(workspacePath, changedPath);
+                    return fs.existsSync(fullPath) && fs.statSync(fullPath).isFile();
+                });
+                await this.indexCacheService.markFilesAsIndexed(
+                    existingFiles,
+                    workspacePath,
+                    userId,
+                    deviceId
+                );
             }
-            return;
+            return success;
+        } catch (error) {
+            console.error('[ChunkingService] 后台同步失败:', error);
+            return false;
+        } finally {
+            isProcessing = false;
+            activeWorkspaceFolder = null;
+            await this.indexStatusService.endRun(workspacePath, success);
         }
+    }
+
+    private static isOpenWorkspaceFolder(folder: vscode.WorkspaceFolder) {
+        return (vscode.workspace.workspaceFolders || []).some(
+            openFolder => openFolder.uri.toString() === folder.uri.toString()
+        );
+    }
+
+    /**
+     * 处理单个工作区文件夹
+     */
+    private async chunkWorkspaceFolder(
+        workspaceFolder: vscode.WorkspaceFolder,
+        credentials: Credentials
+    ): Promise<boolean> {
+        const { userId, deviceId, token, secrets } = credentials;
+
+        const config = vscode.workspace.getConfiguration('codeChunker');
+        const ignorePatterns = config.get<string[]>('ignorePatterns') || [];
 
         const workspacePath = workspaceFolder.uri.fsPath;
         const workspaceName = path.basename(workspacePath);
@@ -65,20 +248,17 @@ export class ChunkingService {
         // 检查工作区是否存在
         if (!fs.existsSync(workspacePath)) {
             vscode.window.showErrorMessage(`工作区路径不存在: ${workspacePath}`);
-            return;
+            return false;
         }
 
-        isProcessing = true;
-
-        // 初始化索引缓存服务
-        if (context) {
-            this.initializeIndexCache(context);
-        }
+        activeWorkspaceFolder = workspaceFolder;
+        this.indexStatusService.beginRun(workspacePath);
+        let runSucceeded = false;
 
         return await vscode.window.withProgress(
             {
                 location: vscode.ProgressLocation.Notification,
-                title: '代码分块处理中...',
+                title: `代码分块处理中 (${workspaceName})...`,
                 cancellable: false,
             },
             async progress => {
@@ -86,12 +266,7 @@ export class ChunkingService {
                     progress.report({ increment: 0, message: '初始化处理环境...' });
 
                     // 获取或创建chunker实例
-                    activeChunkerInstance = codeChunker.getChunkerInstance(
-                        userId,
-                        deviceId,
-                        workspacePath,
-                        token
-                    );
+                    codeChunker.getChunkerInstance(userId, deviceId, workspacePath, token, secrets);
 
                     progress.report({ increment: 10, message: '检查文件索引缓存...' });
 
@@ -138,7 +313,14 @@ export class ChunkingService {
 
                     progress.report({ increment: 10, message: '开始处理工作区文件...' });
 
-                    // 执行代码分块处理
+                    // 执行代码分块处理，处理过程中的阶段和文件完成事件实时反映到进度通知
+                    const reportProgress = this.createProgressReporter(progress);
+                    const processOptions: ProcessWorkspaceOptions = {
+                        onProgress: event => {
+                            reportProgress(event);
+                            this.indexStatusService.handleProgress(workspacePath, event);
+                        },
+                    };
                     let success: boolean;
                     try {
                         success =
@@ -148,14 +330,16 @@ export class ChunkingService {
                                       deviceId,
                                       workspacePath,
                                       token,
-                                      ignorePatterns
+                                      ignorePatterns,
+                                      processOptions
                                   )
                                 : await this.processSpecificFiles(
                                       userId,
                                       deviceId,
                                       workspacePath,
                                       token,
-                                      filesToProcess
+                                      filesToProcess,
+                                      processOptions
                                   );
                     } catch (processingError) {
                         const error =
@@ -221,6 +405,7 @@ export class ChunkingService {
                         }
                     }
 
+                    runSucceeded = success;
                     if (success) {
                         progress.report({ increment: 100, message: '处理完成！' });
                         vscode.window.showInformationMessage(
@@ -238,7 +423,7 @@ export class ChunkingService {
                     );
                     return false;
                 } finally {
-                    isProcessing = false;
+                    await this.indexStatusService.endRun(workspacePath, runSucceeded);
                 }
             }
         );
@@ -248,19 +433,22 @@ export class ChunkingService {
      * 查看分块进度
      */
     async checkChunkingProgress() {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
+        if (!vscode.workspace.workspaceFolders?.length) {
             vscode.window.showErrorMessage('请先打开一个工作区');
             return;
         }
 
-        const config = vscode.workspace.getConfiguration('codeChunker');
-        const userId = config.get<string>('userId');
-        const deviceId = config.get<string>('deviceId');
-        const token = config.get<string>('token');
+        const workspaceFolder =
+            activeWorkspaceFolder ||
+            (await CommonViews.pickWorkspaceFolder('选择要查看进度的工作区文件夹'));
+        if (!workspaceFolder) {
+            return; // 用户取消
+        }
 
-        if (!userId || !deviceId || !token) {
-            vscode.window.showErrorMessage('缺少必要的配置信息，请先配置');
+        const credentials = await this.credentialService.getCredentials();
+
+        if (!credentials) {
+            vscode.window.showErrorMessage('尚未登录，请先运行「登录」命令');
             return;
         }
 
@@ -268,9 +456,13 @@ export class ChunkingService {
 
         try {
             // 使用缓存的实例或创建新实例
-            const chunkerInstance =
-                activeChunkerInstance ||
-                codeChunker.getChunkerInstance(userId, deviceId, workspacePath, token);
+            const chunkerInstance = codeChunker.getChunkerInstance(
+                credentials.userId,
+                credentials.deviceId,
+                workspacePath,
+                credentials.token,
+                credentials.secrets
+            );
 
             if (!chunkerInstance || !chunkerInstance.progressTracker) {
                 vscode.window.showInformationMessage('暂无进度信息，请先开始代码分块处理');
@@ -305,29 +497,35 @@ export class ChunkingService {
      * 清除处理缓存
      */
     async clearProcessingCache() {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
+        if (!vscode.workspace.workspaceFolders?.length) {
             vscode.window.showErrorMessage('请先打开一个工作区');
             return;
         }
 
-        const config = vscode.workspace.getConfiguration('codeChunker');
-        const userId = config.get<string>('userId');
-        const deviceId = config.get<string>('deviceId');
-        const token = config.get<string>('token');
+        const workspaceFolder =
+            await CommonViews.pickWorkspaceFolder('选择要清除缓存的工作区文件夹');
+        if (!workspaceFolder) {
+            return; // 用户取消
+        }
+
+        const credentials = await this.credentialService.getCredentials();
 
-        if (!userId || !deviceId || !token) {
-            vscode.window.showErrorMessage('缺少必要的配置信息');
+        if (!credentials) {
+            vscode.window.showErrorMessage('尚未登录，请先运行「登录」命令');
             return;
         }
 
         const workspacePath = workspaceFolder.uri.fsPath;
 
         try {
-            // 获取chunker实例
-            const chunkerInstance =
-                activeChunkerInstance ||
-                codeChunker.getChunkerInstance(userId, deviceId, workspacePath, token);
+            // 获取chunker实例；临时向量存储的接口未在 ChunkerInstance 中声明
+            const chunkerInstance: any = codeChunker.getChunkerInstance(
+                credentials.userId,
+                credentials.deviceId,
+                workspacePath,
+                credentials.token,
+                credentials.secrets
+            );
 
             if (!chunkerInstance.vectorManager) {
                 vscode.window.showErrorMessage('VectorManager未初始化，无法清除缓存');
@@ -518,6 +716,59 @@ export class ChunkingService {
         return files;
     }
 
+    /**
+     * 将 code-chunker 的进度事件转换为进度通知：阶段切换更新提示文字，文件完成推进进度条
+     */
+    private createProgressReporter(
+        progress: vscode.Progress<{ message?: string; increment?: number }>
+    ): (event: IndexingProgressEvent) => void {
+        let phaseLabel = '';
+        let reportedShare = 0;
+
+        return event => {
+            switch (event.type) {
+                case 'phase':
+                    phaseLabel = PHASE_LABELS[event.phase] || event.phase;
+                    progress.report({ message: phaseLabel });
+                    break;
+                case 'file': {
+                    const finishedFiles = event.completedFiles + event.failedFiles;
+                    const share =
+                        event.totalFiles > 0
+                            ? (finishedFiles / event.totalFiles) * FILE_PROGRESS_SHARE
+                            : 0;
+                    progress.report({
+                        increment: Math.max(0, share - reportedShare),
+                        message: `${phaseLabel} (${finishedFiles}/${event.totalFiles} 个文件)`,
+                    });
+                    reportedShare = Math.max(reportedShare, share);
+                    break;
+                }
+                case 'throughput':
+                    if (event.chunksPerSecond !== null) {
+                        progress.report({
+                            message: `${phaseLabel} (${event.completedChunks}/${event.totalChunks} 个代码块，${event.chunksPerSecond} 块/秒)`,
+                        });
+                    }
+                    break;
+                case 'secrets':
+                    if (event.findings.length > 0) {
+                        console.warn(
+                            `[ChunkingService] 密钥扫描：遮蔽 ${event.redactedSecrets} 处密钥，跳过 ${event.skippedChunks} 个代码块、${event.skippedFiles} 个文件`
+                        );
+                    }
+                    break;
+                case 'summary':
+                    if (event.durationMs !== null) {
+                        console.log(
+                            `[ChunkingService] 处理完成：${event.processedFiles}/${event.totalFiles} 个文件，${event.totalChunks} 个代码块，耗时 ${(event.durationMs / 1000).toFixed(2)} 秒`
+                        );
+                    }
+                    break;
+            }
+        };
+    }
+
     /**
      * 处理特定文件列表
      */
@@ -526,7 +777,8 @@ export class ChunkingService {
         deviceId: string,
         workspacePath: string,
         token: string,
-        filesToProcess: string[]
+        filesToProcess: string[],
+        options?: ProcessWorkspaceOptions
     ): Promise<boolean> {
         try {
             // 这里可以调用 code-chunker 的特定文件处理方法
@@ -537,7 +789,9 @@ export class ChunkingService {
                 userId,
                 deviceId,
                 workspacePath,
-                token
+                token,
+                undefined,
+                options
             );
 
             return success;
@@ -569,6 +823,7 @@ export class ChunkingService {
         if (this.indexCacheService) {
             await this.indexCacheService.clearWorkspaceCache(workspacePath, userId, deviceId);
         }
+        this.indexStatusService.refresh(workspacePath);
     }
 
     /**
@@ -576,28 +831,34 @@ export class ChunkingService {
      */
     async generateNetworkPerformanceReport(): Promise<any> {
         try {
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            if (!workspaceFolder) {
+            if (!vscode.workspace.workspaceFolders?.length) {
                 vscode.window.showErrorMessage('请先打开一个工作区');
                 return null;
             }
 
-            const config = vscode.workspace.getConfiguration('codeChunker');
-            const userId = config.get<string>('userId');
-            const deviceId = config.get<string>('deviceId');
-            const token = config.get<string>('token');
+            const workspaceFolder =
+                await CommonViews.pickWorkspaceFolder('选择要生成网络性能报告的工作区文件夹');
+            if (!workspaceFolder) {
+                return null; // 用户取消
+            }
 
-            if (!userId || !deviceId || !token) {
-                vscode.window.showErrorMessage('缺少必要的配置信息');
+            const credentials = await this.credentialService.getCredentials();
+
+            if (!credentials) {
+                vscode.window.showErrorMessage('尚未登录，请先运行「登录」命令');
                 return null;
             }
 
             const workspacePath = workspaceFolder.uri.fsPath;
 
             // 获取chunker实例
-            const chunkerInstance =
-                activeChunkerInstance ||
-                codeChunker.getChunkerInstance(userId, deviceId, workspacePath, token);
+            const chunkerInstance = codeChunker.getChunkerInstance(
+                credentials.userId,
+                credentials.deviceId,
+                workspacePath,
+                credentials.token,
+                credentials.secrets
+            );
 
             if (!chunkerInstance.vectorManager || !chunkerInstance.vectorManager.embeddingClient) {
                 vscode.window.showErrorMessage('EmbeddingClient未初始化，无法生成网络性能报告');
@@ -619,28 +880,34 @@ export class ChunkingService {
      */
     async clearNetworkPerformanceData(): Promise<void> {
         try {
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            if (!workspaceFolder) {
+            if (!vscode.workspace.workspaceFolders?.length) {
                 vscode.window.showErrorMessage('请先打开一个工作区');
                 return;
             }
 
-            const config = vscode.workspace.getConfiguration('codeChunker');
-            const userId = config.get<string>('userId');
-            const deviceId = config.get<string>('deviceId');
-            const token = config.get<string>('token');
+            const workspaceFolder =
+                await CommonViews.pickWorkspaceFolder('选择要清除网络性能数据的工作区文件夹');
+            if (!workspaceFolder) {
+                return; // 用户取消
+            }
 
-            if (!userId || !deviceId || !token) {
-                vscode.window.showErrorMessage('缺少必要的配置信息');
+            const credentials = await this.credentialService.getCredentials();
+
+            if (!credentials) {
+                vscode.window.showErrorMessage('尚未登录，请先运行「登录」命令');
                 return;
             }
 
             const workspacePath = workspaceFolder.uri.fsPath;
 
             // 获取chunker实例
-            const chunkerInstance =
-                activeChunkerInstance ||
-                codeChunker.getChunkerInstance(userId, deviceId, workspacePath, token);
+            const chunkerInstance = codeChunker.getChunkerInstance(
+                credentials.userId,
+                credentials.deviceId,
+                workspacePath,
+                credentials.token,
+                credentials.secrets
+            );
 
             if (!chunkerInstance.vectorManager || !chunkerInstance.vectorManager.embeddingClient) {
                 vscode.window.showErrorMessage('EmbeddingClient未初始化，无法清除网络性能数据');
@@ -656,9 +923,12 @@ export class ChunkingService {
     }
 
     /**
-     * 检查索引完成状态
+     * 检查工作区文件夹的索引完成状态
      */
-    async checkIndexStatus(context?: vscode.ExtensionContext): Promise<{
+    async checkIndexStatus(
+        workspaceFolder: vscode.WorkspaceFolder,
+        context?: vscode.ExtensionContext
+    ): Promise<{
         isCompleted: boolean;
         indexedFiles: number;
         totalFiles: number;
@@ -666,11 +936,6 @@ export class ChunkingService {
         lastUpdateTime: Date | null;
     } | null> {
         try {
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            if (!workspaceFolder) {
-                return null;
-            }
-
             const config = vscode.workspace.getConfiguration('codeChunker');
             const userId = config.get<string>('userId');
             const deviceId = config.get<string>('deviceId');
@@ -0,0 +1,213 @@
+import * as vscode from 'vscode';
+import type { ChunkerSecrets, CodeChunkerModule } from '../types';
+import type { IndexStatusService } from './indexStatusService';
+
+// 导入 code-chunker 模块
+const codeChunker: CodeChunkerModule = require('../../code-chunker/index.js');
+
+// SecretStorage 中的键
+const TOKEN_SECRET_KEY = 'codeChunker.token';
+const EMBEDDING_API_KEY_SECRET_KEY = 'codeChunker.embeddingApiKey';
+
+// 已登录时设置的上下文键，用于控制命令和菜单的显示
+const SIGNED_IN_CONTEXT_KEY = 'codeChunker.signedIn';
+
+export interface Credentials {
+    userId: string;
+    deviceId: string;
+    token: string;
+    secrets: ChunkerSecrets;
+}
+
+/**
+ * 访问凭据：用户ID和设备ID保存在设置中，访问令牌和嵌入服务密钥保存在 SecretStorage 中，
+ * 不会随设置同步或提交到仓库。凭据变化时触发 onDidChange
+ */
+export class CredentialService implements vscode.Disposable {
+    private readonly changeEmitter = new vscode.EventEmitter<void>();
+    private readonly disposables: vscode.Disposable[] = [];
+
+    readonly onDidChange = this.changeEmitter.event;
+
+    constructor(
+        private readonly context: vscode.ExtensionContext,
+        private readonly indexStatusService: IndexStatusService
+    ) {
+        this.disposables.push(
+            context.secrets.onDidChange(event => {
+                if (event.key === TOKEN_SECRET_KEY || event.key === EMBEDDING_API_KEY_SECRET_KEY) {
+                    this.handleChange();
+                }
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('codeChunker.token')) {
+                    this.migrateFromSettings().catch(error =>
+                        console.error('[CredentialService] 迁移访问令牌失败:', error)
+                    );
+                } else if (
+                    event.affectsConfiguration('codeChunker.userId') ||
+                    event.affectsConfiguration('codeChunker.deviceId')
+                ) {
+                    this.handleChange();
+                }
+            })
+        );
+    }
+
+    dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.changeEmitter.dispose();
+    }
+
+    /**
+     * 读取完整的访问凭据
+     * @returns 缺少用户ID、设备ID或访问令牌时返回 null
+     */
+    async getCredentials(): Promise<Credentials | null> {
+        const config = vscode.workspace.getConfiguration('codeChunker');
+        const userId = config.get<string>('userId');
+        const deviceId = config.get<string>('deviceId');
+        const token = await this.context.secrets.get(TOKEN_SECRET_KEY);
+        if (!userId || !deviceId || !token) {
+            return null;
+        }
+
+        const embeddingApiKey = await this.context.secrets.get(EMBEDDING_API_KEY_SECRET_KEY);
+        return { userId, deviceId, token, secrets: embeddingApiKey ? { embeddingApiKey } : {} };
+    }
+
+    /**
+     * 读取访问凭据，未登录时提示登录
+     * @returns 用户取消登录时返回 null
+     */
+    async requireCredentials(): Promise<Credentials | null> {
+        const credentials = await this.getCredentials();
+        if (credentials) {
+            return credentials;
+        }
+
+        const result = await vscode.window.showErrorMessage(
+            '尚未登录：缺少用户ID、设备ID或访问令牌，是否现在登录？',
+            '登录',
+            '取消'
+        );
+        if (result === '登录') {
+            await vscode.commands.executeCommand('test-electron-treesitter.signIn');
+            return this.getCredentials();
+        }
+        return null;
+    }
+
+    async hasToken(): Promise<boolean> {
+        return !!(await this.context.secrets.get(TOKEN_SECRET_KEY));
+    }
+
+    async hasEmbeddingApiKey(): Promise<boolean> {
+        return !!(await this.context.secrets.get(EMBEDDING_API_KEY_SECRET_KEY));
+    }
+
+    /**
+     * 保存登录信息，用户ID和设备ID写入全局设置，访问令牌写入 SecretStorage
+     * @param token 为 null 时保留已保存的令牌
+     */
+    async signIn(userId: string, deviceId: string, token: string | null) {
+        const config = vscode.workspace.getConfiguration('codeChunker');
+        await config.update('userId', userId, vscode.ConfigurationTarget.Global);
+        await config.update('deviceId', deviceId, vscode.ConfigurationTarget.Global);
+        if (token) {
+            await this.context.secrets.store(TOKEN_SECRET_KEY, token);
+        }
+    }
+
+    /**
+     * 删除访问令牌和嵌入服务密钥，并关闭仍持有旧凭据的 chunker 实例
+     * @returns 正在处理时不退出，返回 false
+     */
+    async signOut(): Promise<boolean> {
+        if (!this.ensureIdle()) {
+            return false;
+        }
+
+        await this.context.secrets.delete(TOKEN_SECRET_KEY);
+        await this.context.secrets.delete(EMBEDDING_API_KEY_SECRET_KEY);
+        await codeChunker.releaseChunkerInstances();
+        return true;
+    }
+
+    /**
+     * 保存兼容协议嵌入服务的访问密钥，为空时删除；chunker 实例在创建时读取密钥，因此需要重新创建
+     * @returns 正在处理时不修改，返回 false
+     */
+    async setEmbeddingApiKey(apiKey: string): Promise<boolean> {
+        if (!this.ensureIdle()) {
+            return false;
+        }
+
+        if (apiKey) {
+            await this.context.secrets.store(EMBEDDING_API_KEY_SECRET_KEY, apiKey);
+        } else {
+            await this.context.secrets.delete(EMBEDDING_API_KEY_SECRET_KEY);
+        }
+        await codeChunker.releaseChunkerInstances();
+        return true;
+    }
+
+    /**
+     * 把设置中的 codeChunker.token 迁移到 SecretStorage 并从设置中删除；
+     * SecretStorage 中已有令牌时以其为准，只删除设置中的值
+     */
+    async migrateFromSettings() {
+        const config = vscode.workspace.getConfiguration('codeChunker');
+        const inspected = config.inspect<string>('token');
+        const workspaceValue = inspected?.workspaceValue;
+        const globalValue = inspected?.globalValue;
+        if (workspaceValue === undefined && globalValue === undefined) {
+            return;
+        }
+
+        const settingsToken = (workspaceValue || globalValue || '').trim();
+        const migrated = !!settingsToken && !(await this.hasToken());
+        if (migrated) {
+            await this.context.secrets.store(TOKEN_SECRET_KEY, settingsToken);
+        }
+
+        if (workspaceValue !== undefined) {
+            await config.update('token', undefined, vscode.ConfigurationTarget.Workspace);
+        }
+        if (globalValue !== undefined) {
+            await config.update('token', undefined, vscode.ConfigurationTarget.Global);
+        }
+
+        console.log('[CredentialService] 已从设置中移除 codeChunker.token');
+        if (migrated) {
+            vscode.window.showInformationMessage(
+                '访问令牌已从设置迁移到 VS Code 安全存储，settings.json 中不再保存令牌'
+            );
+        }
+    }
+
+    /**
+     * 根据当前凭据更新上下文键
+     */
+    async updateContext() {
+        const signedIn = (await this.getCredentials()) !== null;
+        await vscode.commands.executeCommand('setContext', SIGNED_IN_CONTEXT_KEY, signedIn);
+    }
+
+    // 内部方法
+
+    private handleChange() {
+        this.updateContext().catch(error =>
+            console.error('[CredentialService] 更新登录状态失败:', error)
+        );
+        this.changeEmitter.fire();
+    }
+
+    private ensureIdle(): boolean {
+        if (this.indexStatusService.hasActiveRun()) {
+            vscode.window.showWarningMessage('代码分块正在进行中，请在处理完成后再修改凭据');
+            return false;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,183 @@
+import * as vscode from 'vscode';
+import type {
+    CodeChunkerModule,
+    IndexingPhase,
+    IndexingProgressEvent,
+    IndexSummary,
+} from '../types';
+import type { Credentials } from './credentialService';
+
+// 导入 code-chunker 模块
+const codeChunker: CodeChunkerModule = require('../../code-chunker/index.js');
+
+// 上次处理结果在 workspaceState 中的键
+const LAST_RUN_STATE_KEY = 'codeChunker.lastIndexRun';
+// 最多保留的失败文件数量
+const MAX_FAILED_FILES = 100;
+
+export interface FailedFile {
+    filePath: string;
+    error: string | null;
+}
+
+// 正在进行的处理
+export interface IndexRunProgress {
+    phase: IndexingPhase | null;
+    completedFiles: number;
+    failedFiles: number;
+    totalFiles: number;
+}
+
+// 最近一次处理的结果，重启 VS Code 后仍然保留
+export interface IndexRunResult {
+    finishedAt: number;
+    success: boolean;
+    failedFiles: FailedFile[];
+    failedFileCount: number;
+}
+
+/**
+ * 各工作区的索引状态：正在进行的处理、上次处理的结果，以及 code-chunker 保存的索引概况
+ * 状态变化时触发 onDidChange，索引状态视图据此刷新
+ */
+export class IndexStatusService implements vscode.Disposable {
+    private readonly changeEmitter = new vscode.EventEmitter<string | undefined>();
+    private readonly runs = new Map<string, IndexRunProgress>();
+    private readonly failures = new Map<string, FailedFile[]>();
+
+    /**
+     * 工作区状态变化，参数为工作区路径；为 undefined 时所有工作区都需要刷新
+     */
+    readonly onDidChange = this.changeEmitter.event;
+
+    constructor(private readonly context: vscode.ExtensionContext) {}
+
+    dispose() {
+        this.changeEmitter.dispose();
+    }
+
+    /**
+     * 通知视图重新读取索引状态，如清除缓存、删除集合之后
+     */
+    refresh(workspacePath?: string) {
+        this.changeEmitter.fire(workspacePath);
+    }
+
+    beginRun(workspacePath: string) {
+        this.runs.set(workspacePath, {
+            phase: null,
+            completedFiles: 0,
+            failedFiles: 0,
+            totalFiles: 0,
+        });
+        this.failures.set(workspacePath, []);
+        this.changeEmitter.fire(workspacePath);
+    }
+
+    /**
+     * 处理 code-chunker 的进度事件，用法同 ProcessWorkspaceOptions.onProgress
+     */
+    handleProgress(workspacePath: string, event: IndexingProgressEvent) {
+        const run = this.runs.get(workspacePath);
+        if (!run) {
+            return;
+        }
+
+        if (event.type === 'phase') {
+            run.phase = event.phase;
+        } else if (event.type === 'file') {
+            run.completedFiles = event.completedFiles;
+            run.failedFiles = event.failedFiles;
+            run.totalFiles = event.totalFiles;
+            const failures = this.failures.get(workspacePath) || [];
+            const index = failures.findIndex(failure => failure.filePath === event.filePath);
+            if (index !== -1) {
+                failures.splice(index, 1);
+            }
+            if (event.status === 'failed') {
+                failures.push({ filePath: event.filePath, error: event.error || null });
+            }
+            this.failures.set(workspacePath, failures);
+        } else {
+            return;
+        }
+        this.changeEmitter.fire(workspacePath);
+    }
+
+    async endRun(workspacePath: string, success: boolean) {
+        this.runs.delete(workspacePath);
+        const failures = this.failures.get(workspacePath) || [];
+        this.failures.delete(workspacePath);
+
+        const lastRuns = this.context.workspaceState.get<Record<string, IndexRunResult>>(
+            LAST_RUN_STATE_KEY,
+            {}
+        );
+        lastRuns[workspacePath] = {
+            finishedAt: Date.now(),
+            success,
+            failedFiles: failures.slice(0, MAX_FAILED_FILES),
+            failedFileCount: failures.length,
+        };
+        await this.context.workspaceState.update(LAST_RUN_STATE_KEY, lastRuns);
+        this.changeEmitter.fire(workspacePath);
+    }
+
+    /**
+     * 工作区文件夹被移除后清除其保存的处理结果
+     */
+    async forget(workspacePath: string) {
+        this.failures.delete(workspacePath);
+        const lastRuns = this.context.workspaceState.get<Record<string, IndexRunResult>>(
+            LAST_RUN_STATE_KEY,
+            {}
+        );
+        if (lastRuns[workspacePath]) {
+            delete lastRuns[workspacePath];
+            await this.context.workspaceState.update(LAST_RUN_STATE_KEY, lastRuns);
+        }
+        this.changeEmitter.fire(workspacePath);
+    }
+
+    getRun(workspacePath: string): IndexRunProgress | undefined {
+        return this.runs.get(workspacePath);
+    }
+
+    hasActiveRun(): boolean {
+        return this.runs.size > 0;
+    }
+
+    /**
+     * 正在处理时返回本次已失败的文件，否则返回上次处理的结果
+     */
+    getFailedFiles(workspacePath: string): FailedFile[] {
+        return (
+            this.failures.get(workspacePath) || this.getLastRun(workspacePath)?.failedFiles || []
+        );
+    }
+
+    getLastRun(workspacePath: string): IndexRunResult | undefined {
+        return this.context.workspaceState.get<Record<string, IndexRunResult>>(
+            LAST_RUN_STATE_KEY,
+            {}
+        )[workspacePath];
+    }
+
+    /**
+     * 读取 code-chunker 保存的索引概况（集合名称、上次成功索引的时间、文件和代码块数量）
+     */
+    async getSummary(workspacePath: string, credentials: Credentials): Promise<IndexSummary> {
+        const chunkerInstance = codeChunker.getChunkerInstance(
+            credentials.userId,
+            credentials.deviceId,
+            workspacePath,
+            credentials.token,
+            credentials.secrets
+        );
+        return chunkerInstance.getIndexSummary(
+            credentials.userId,
+            credentials.deviceId,
+            workspacePath
+        );
+    }
+}
@@ -1,42 +1,89 @@
 import * as vscode from 'vscode';
 import * as path from 'path';
-import type { CodeChunkerModule } from '../types';
+import type {
+    CodeChunkerModule,
+    SearchFilter,
+    SearchMode,
+    SearchRequest,
+    SearchResult,
+} from '../types';
 import { SearchResultView } from '../views/searchResultView';
 import { CommonViews } from '../views/commonViews';
+import type { Credentials, CredentialService } from './credentialService';
+import type { IndexStatusService } from './indexStatusService';
 
 // 导入 code-chunker 模块
 const codeChunker: CodeChunkerModule = require('../../code-chunker/index.js');
 
+// 快速筛选中可选的语言与代码块类型，与 code-chunker 解析器输出的取值一致
+const FILTER_LANGUAGES = [
+    'javascript',
+    'typescript',
+    'python',
+    'java',
+    'go',
+    'rust',
+    'cpp',
+    'c',
+    'csharp',
+    'php',
+    'ruby',
+    'kotlin',
+    'swift',
+    'scala',
+    'lua',
+    'bash',
+    'markdown',
+    'restructuredtext',
+    'json',
+    'yaml',
+    'toml',
+    'xml',
+    'properties',
+];
+const FILTER_CHUNK_TYPES = [
+    { label: 'class', description: '类' },
+    { label: 'function', description: '函数' },
+    { label: 'method', description: '方法' },
+    { label: 'import', description: '导入语句' },
+    { label: 'variable', description: '变量' },
+    { label: 'section', description: '文档章节' },
+    { label: 'entry', description: '配置项' },
+    { label: 'code_cell', description: 'Notebook 代码单元格' },
+    { label: 'markdown_cell', description: 'Notebook Markdown 单元格' },
+    { label: 'file', description: '整个文件' },
+    { label: 'other', description: '其他' },
+];
+
 export class SearchService {
+    // 搜索结果面板的脚本和样式位于扩展目录的 media 下
+    constructor(
+        private readonly extensionUri: vscode.Uri,
+        private readonly indexStatusService: IndexStatusService,
+        private readonly credentialService: CredentialService
+    ) {}
+
     /**
-     * 执行智能代码搜索
+     * 执行智能代码搜索；多根工作区中可同时搜索多个文件夹，结果标注所属文件夹
+     * @param mode 检索模式，未指定时使用 codeChunker.searchMode 配置
+     * @param filter 过滤条件；未传入搜索关键词时可通过快速选择逐项添加
      */
-    async performCodeSearch(searchString?: string) {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
+    async performCodeSearch(searchString?: string, mode?: SearchMode, filter?: SearchFilter) {
+        let workspaceFolders = [...(vscode.workspace.workspaceFolders || [])];
+        if (workspaceFolders.length === 0) {
             vscode.window.showErrorMessage('请先打开一个工作区');
             return '请先打开一个工作区';
         }
 
-        // 获取配置
-        const config = vscode.workspace.getConfiguration('codeChunker');
-        const userId = config.get<string>('userId');
-        const deviceId = config.get<string>('deviceId');
-        const token = config.get<string>('token');
-
-        // 检查必要的配置
-        if (!userId || !deviceId || !token) {
-            const result = await vscode.window.showErrorMessage(
-                '缺少必要的配置信息（用户ID、设备ID或Token），是否现在配置？',
-                '去配置',
-                '取消'
-            );
-            if (result === '去配置') {
-                await this.showConfiguration();
-            }
+        // 检查登录状态，未登录时提示登录
+        const credentials = await this.credentialService.requireCredentials();
+        if (!credentials) {
             return;
         }
 
+        const config = vscode.workspace.getConfiguration('codeChunker');
+        const searchMode = mode || config.get<SearchMode>('searchMode', 'hybrid');
+
         // 获取搜索查询 - 支持传入参数或弹出输入框
         let searchQuery: string;
 
@@ -70,10 +117,25 @@ export class SearchService {
             }
 
             searchQuery = inputResult.trim();
+
+            if (!filter) {
+                const refinedFilter = await this.promptSearchFilter();
+                if (refinedFilter === undefined) {
+                    return; // 用户取消了筛选
+                }
+                filter = refinedFilter ?? undefined;
+            }
+
+            // 交互搜索时选择要搜索的文件夹，传入关键词时搜索所有文件夹
+            workspaceFolders = await CommonViews.pickWorkspaceFolders('选择要搜索的工作区文件夹');
+            if (workspaceFolders.length === 0) {
+                return; // 用户取消了选择
+            }
         }
 
-        const workspacePath = workspaceFolder.uri.fsPath;
-        const workspaceName = path.basename(workspacePath);
+        const workspaceName = workspaceFolders.map(folder => folder.name).join('、');
+
+        const request: SearchRequest = { query: searchQuery, mode: searchMode, filter, topK: 10 };
 
         // 显示搜索进度
         await vscode.window.withProgress(
@@ -84,43 +146,13 @@ export class SearchService {
             },
             async progress => {
                 try {
-                    progress.report({ increment: 0, message: '初始化搜索环境...' });
-
-                    // 获取chunker实例
-                    const chunkerInstance = codeChunker.getChunkerInstance(
-                        userId,
-                        deviceId,
-                        workspacePath,
-                        token
+                    const searchResults = await this.executeSearch(
+                        credentials,
+                        workspaceFolders,
+                        request,
+                        progress
                     );
 
-                    progress.report({ increment: 20, message: '连接向量数据库...' });
-
-                    // 确保VectorManager已初始化
-                    if (!chunkerInstance.vectorManager) {
-                        throw new Error('VectorManager未初始化，请先运行代码分块处理');
-                    }
-
-                    await chunkerInstance.vectorManager.initialize();
-
-                    if (
-                        !chunkerInstance.vectorManager.vectorDB ||
-                        !chunkerInstance.vectorManager.vectorDB.implementation
-                    ) {
-                        throw new Error('向量数据库连接失败，请检查配置或先运行代码分块');
-                    }
-
-                    progress.report({ increment: 40, message: '执行向量搜索...' });
-
-                    // 执行搜索
-                    if (!chunkerInstance.search || typeof chunkerInstance.search !== 'function') {
-                        throw new Error('搜索功能未可用，请先运行代码分块处理');
-                    }
-
-                    const searchResults = await chunkerInstance.search(searchQuery, { topK: 10 });
-
-                    progress.report({ increment: 80, message: '处理搜索结果...' });
-
                     if (!searchResults || searchResults.length === 0) {
                         vscode.window.showInformationMessage(
                             `未找到与"${searchQuery}"相关的代码片段`
@@ -130,11 +162,14 @@ export class SearchService {
 
                     progress.report({ increment: 100, message: '搜索完成！' });
 
-                    // 显示搜索结果
-                    await SearchResultView.displaySearchResults(
-                        searchQuery,
+                    // 显示搜索结果，面板内重新搜索和加载更多沿用同一组工作区文件夹
+                    SearchResultView.displaySearchResults(
+                        this.extensionUri,
+                        workspaceName,
+                        request,
                         searchResults,
-                        workspaceName
+                        nextRequest =>
+                            this.executeSearch(credentials, workspaceFolders, nextRequest)
                     );
                 } catch (error) {
                     console.error('[CodeChunker] 搜索失败:', error);
@@ -146,34 +181,269 @@ export class SearchService {
         );
     }
 
+    /**
+     * 在各工作区文件夹中执行一次搜索，按得分合并结果
+     * 搜索多个文件夹时结果标注所属文件夹；部分文件夹搜索失败时提示并返回其余文件夹的结果
+     * @param progress 首次搜索时在通知中报告进度，面板内重新搜索时不传
+     */
+    private async executeSearch(
+        credentials: Credentials,
+        workspaceFolders: vscode.WorkspaceFolder[],
+        request: SearchRequest,
+        progress?: vscode.Progress<{ increment?: number; message?: string }>
+    ): Promise<SearchResult[]> {
+        if (workspaceFolders.length === 1) {
+            const results = await this.searchWorkspaceFolder(
+                credentials,
+                workspaceFolders[0].uri.fsPath,
+                request,
+                progress
+            );
+            return results.map(result => ({
+                ...result,
+                workspacePath: workspaceFolders[0].uri.fsPath,
+            }));
+        }
+
+        const results: SearchResult[] = [];
+        const failures: string[] = [];
+        for (const folder of workspaceFolders) {
+            progress?.report({
+                increment: 80 / workspaceFolders.length,
+                message: `搜索 ${folder.name}...`,
+            });
+            try {
+                const folderResults = await this.searchWorkspaceFolder(
+                    credentials,
+                    folder.uri.fsPath,
+                    request
+                );
+                folderResults.forEach(result =>
+                    results.push({
+                        ...result,
+                        workspaceFolder: folder.name,
+                        workspacePath: folder.uri.fsPath,
+                    })
+                );
+            } catch (error) {
+                console.warn(`[CodeChunker] 搜索工作区文件夹 ${folder.name} 失败:`, error);
+                failures.push(
+                    `${folder.name}（${error instanceof Error ? error.message : String(error)}）`
+                );
+            }
+        }
+
+        if (failures.length === workspaceFolders.length) {
+            throw new Error(`所有工作区文件夹均搜索失败: ${failures.join('；')}`);
+        }
+        if (failures.length > 0) {
+            vscode.window.showWarningMessage(`部分工作区文件夹搜索失败: ${failures.join('；')}`);
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, request.topK);
+    }
+
+    /**
+     * 连接工作区文件夹的检索后端并执行一次搜索
+     */
+    private async searchWorkspaceFolder(
+        credentials: Credentials,
+        workspacePath: string,
+        request: SearchRequest,
+        progress?: vscode.Progress<{ increment?: number; message?: string }>
+    ): Promise<SearchResult[]> {
+        progress?.report({ increment: 0, message: '初始化搜索环境...' });
+
+        // 获取chunker实例
+        const chunkerInstance = codeChunker.getChunkerInstance(
+            credentials.userId,
+            credentials.deviceId,
+            workspacePath,
+            credentials.token,
+            credentials.secrets
+        );
+
+        // 纯关键词检索只依赖本地词法索引，无需连接向量数据库
+        if (request.mode !== 'lexical') {
+            progress?.report({ increment: 20, message: '连接向量数据库...' });
+
+            // 确保VectorManager已初始化
+            if (!chunkerInstance.vectorManager) {
+                throw new Error('VectorManager未初始化，请先运行代码分块处理');
+            }
+
+            await chunkerInstance.vectorManager.initialize();
+
+            if (
+                !chunkerInstance.vectorManager.vectorDB ||
+                !chunkerInstance.vectorManager.vectorDB.implementation
+            ) {
+                throw new Error('向量数据库连接失败，请检查配置或先运行代码分块');
+            }
+        }
+
+        progress?.report({
+            increment: 40,
+            message: request.mode === 'lexical' ? '执行关键词搜索...' : '执行向量搜索...',
+        });
+
+        // 执行搜索
+        if (!chunkerInstance.search || typeof chunkerInstance.search !== 'function') {
+            throw new Error('搜索功能未可用，请先运行代码分块处理');
+        }
+
+        const searchResults = await chunkerInstance.search(request.query, {
+            topK: request.topK,
+            mode: request.mode,
+            filter: request.filter,
+        });
+
+        progress?.report({ increment: 80, message: '处理搜索结果...' });
+        return searchResults || [];
+    }
+
+    /**
+     * 通过快速选择逐项添加搜索筛选条件
+     * @returns 筛选条件；未选择任何条件时返回 null，用户取消时返回 undefined
+     */
+    private async promptSearchFilter(): Promise<SearchFilter | null | undefined> {
+        const refinements = await vscode.window.showQuickPick(
+            [
+                {
+                    label: '$(symbol-namespace) 语言',
+                    key: 'language',
+                    description: '只搜索指定语言',
+                },
+                { label: '$(folder) 包含路径', key: 'include', description: '如 src/**' },
+                { label: '$(exclude) 排除路径', key: 'exclude', description: '如 **/*.spec.ts' },
+                { label: '$(symbol-class) 代码块类型', key: 'type', description: '类、函数等' },
+                {
+                    label: '$(symbol-method) 符号',
+                    key: 'symbol',
+                    description: '如 UserService.findById',
+                },
+                {
+                    label: '$(history) 最近修改',
+                    key: 'modifiedSince',
+                    description: '按文件修改时间',
+                },
+            ],
+            {
+                canPickMany: true,
+                title: '搜索筛选（可选）',
+                placeHolder: '选择要添加的筛选条件，不选直接回车则搜索全部代码',
+            }
+        );
+        if (!refinements) {
+            return undefined;
+        }
+
+        const filter: SearchFilter = {};
+        for (const { key } of refinements) {
+            if (key === 'language') {
+                const languages = await vscode.window.showQuickPick(FILTER_LANGUAGES, {
+                    canPickMany: true,
+                    title: '按语言筛选',
+                });
+                if (!languages) {
+                    return undefined;
+                }
+                if (languages.length > 0) {
+                    filter.language = languages;
+                }
+            } else if (key === 'include' || key === 'exclude') {
+                const input = await vscode.window.showInputBox({
+                    title: key === 'include' ? '只搜索匹配的路径' : '排除匹配的路径',
+                    prompt: '相对工作区的 glob 模式，多个模式用逗号分隔',
+                    placeHolder: key === 'include' ? 'src/**, lib/**' : '**/*.test.ts, dist/**',
+                });
+                if (input === undefined) {
+                    return undefined;
+                }
+                const patterns = input
+                    .split(',')
+                    .map(pattern => pattern.trim())
+                    .filter(pattern => pattern.length > 0);
+                if (patterns.length > 0) {
+                    filter[key] = patterns;
+                }
+            } else if (key === 'type') {
+                const types = await vscode.window.showQuickPick(FILTER_CHUNK_TYPES, {
+                    canPickMany: true,
+                    title: '按代码块类型筛选',
+                });
+                if (!types) {
+                    return undefined;
+                }
+                if (types.length > 0) {
+                    filter.type = types.map(type => type.label);
+                }
+            } else if (key === 'symbol') {
+                const input = await vscode.window.showInputBox({
+                    title: '按符号筛选',
+                    prompt: '函数、方法或类名，可带所在类的限定名，支持 glob，多个用逗号分隔',
+                    placeHolder: 'UserService.findById, UserService.*',
+                });
+                if (input === undefined) {
+                    return undefined;
+                }
+                const symbols = input
+                    .split(',')
+                    .map(symbol => symbol.trim())
+                    .filter(symbol => symbol.length > 0);
+                if (symbols.length > 0) {
+                    filter.symbol = symbols;
+                }
+            } else if (key === 'modifiedSince') {
+                const period = await vscode.window.showQuickPick(
+                    [
+                        { label: '最近 1 天', days: 1 },
+                        { label: '最近 7 天', days: 7 },
+                        { label: '最近 30 天', days: 30 },
+                    ],
+                    { title: '按文件修改时间筛选' }
+                );
+                if (!period) {
+                    return undefined;
+                }
+                filter.modifiedSince = Date.now() - period.days * 24 * 60 * 60 * 1000;
+            }
+        }
+
+        return Object.keys(filter).length > 0 ? filter : null;
+    }
+
     /**
      * 显示配置界面
      */
     async showConfiguration() {
-        return await CommonViews.showConfiguration();
+        return await CommonViews.showConfiguration(this.credentialService);
     }
 
     /**
      * 删除云端Collection
+     * @param workspaceFolder 要删除集合的工作区文件夹；未指定时在多根工作区中选择
      */
-    async deleteCloudCollection() {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-        if (!workspaceFolder) {
+    async deleteCloudCollection(workspaceFolder?: vscode.WorkspaceFolder) {
+        if (!vscode.workspace.workspaceFolders?.length) {
             vscode.window.showErrorMessage('请先打开一个工作区');
             return;
         }
 
-        // 获取配置
-        const config = vscode.workspace.getConfiguration('codeChunker');
-        const userId = config.get<string>('userId');
-        const deviceId = config.get<string>('deviceId');
-        const token = config.get<string>('token');
+        workspaceFolder =
+            workspaceFolder ||
+            (await CommonViews.pickWorkspaceFolder('选择要删除云端集合的工作区文件夹'));
+        if (!workspaceFolder) {
+            return; // 用户取消
+        }
 
-        // 检查必要的配置
-        if (!userId || !deviceId || !token) {
-            vscode.window.showErrorMessage('缺少必要的配置信息（用户ID、设备ID或Token），请先配置');
+        // 检查登录状态
+        const credentials = await this.credentialService.getCredentials();
+        if (!credentials) {
+            vscode.window.showErrorMessage('尚未登录，请先运行「登录」命令');
             return;
         }
+        const { userId, deviceId, token, secrets } = credentials;
 
         const workspacePath = workspaceFolder.uri.fsPath;
         const workspaceName = path.basename(workspacePath);
@@ -205,7 +475,8 @@ export class SearchService {
                         userId,
                         deviceId,
                         workspacePath,
-                        token
+                        token,
+                        secrets
                     );
 
                     if (!chunkerInstance.vectorManager) {
@@ -262,6 +533,7 @@ export class SearchService {
                     }
 
                     progress.report({ increment: 100, message: '删除完成！' });
+                    this.indexStatusService.refresh(workspacePath);
 
                     vscode.window.showInformationMessage(
                         `工作区 "${workspaceName}" 的云端向量数据已成功删除！\n\n` +
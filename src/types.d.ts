@@ -35,11 +35,148 @@ export interface CacheInfo {
     lastUpdate?: string;
 }
 
+export type SearchMode = 'vector' | 'lexical' | 'hybrid';
+
+// 搜索过滤条件，字段说明见 code-chunker/src/search/searchFilter.js
+export interface SearchFilter {
+    language?: string | string[];
+    include?: string | string[];
+    exclude?: string | string[];
+    type?: string | string[];
+    parser?: string | string[];
+    symbol?: string | string[];
+    modifiedSince?: string | number;
+    lineRange?: { start?: number; end?: number };
+}
+
+export type IndexingPhase =
+    | 'scanning'
+    | 'planning'
+    | 'parsing'
+    | 'indexing'
+    | 'embedding'
+    | 'finalizing';
+
+// 处理进度事件，格式见 code-chunker/src/utils/progressReporter.js
+export type IndexingProgressEvent = { timestamp: string } & (
+    | { type: 'phase'; phase: IndexingPhase }
+    | {
+          type: 'file';
+          filePath: string;
+          status: 'completed' | 'failed';
+          // 失败原因，取文件中第一个失败代码块的错误信息
+          error: string | null;
+          completedFiles: number;
+          failedFiles: number;
+          totalFiles: number;
+      }
+    | {
+          type: 'throughput';
+          completedChunks: number;
+          failedChunks: number;
+          totalChunks: number;
+          chunksPerSecond: number | null;
+      }
+    | {
+          type: 'secrets';
+          scannedChunks: number;
+          redactedSecrets: number;
+          skippedChunks: number;
+          skippedFiles: number;
+          findings: {
+              filePath: string;
+              line: number;
+              rule: string;
+              action: 'redacted' | 'chunk_skipped' | 'file_skipped';
+          }[];
+          truncated: boolean;
+      }
+    | {
+          type: 'summary';
+          success: boolean;
+          durationMs: number | null;
+          totalFiles: number | null;
+          processedFiles: number | null;
+          totalChunks: number | null;
+          embeddingRequests: number | null;
+          insertedVectors: number | null;
+          performanceScore: number | null;
+          bottlenecks: string[];
+      }
+);
+
+export interface ProcessWorkspaceOptions {
+    forceFullRebuild?: boolean;
+    changedPaths?: string[];
+    onPhase?: (phase: IndexingPhase) => void;
+    onProgress?: (event: IndexingProgressEvent) => void;
+}
+
+// AST 解析器为函数、类等定义提取的符号信息
+export interface SymbolInfo {
+    name: string;
+    kind: string;
+    container: string;
+    qualifiedName: string;
+    signature: string;
+    docComment: string;
+}
+
+// 文档解析器为 Markdown、reStructuredText 章节记录的标题信息
+export interface SectionInfo {
+    title: string;
+    level: number;
+    breadcrumb: string;
+    codeLanguages: string[];
+}
+
+// Notebook 解析器记录的单元格位置，startLine/endLine 为单元格内的行号，part 为单元格内的分块序号
+export interface CellInfo {
+    index: number;
+    cellType: string;
+    executionCount: number | null;
+    startLine: number;
+    endLine: number;
+    part: number;
+}
+
 export interface SearchResult {
     filePath?: string;
     fileName?: string;
     content?: string;
+    startLine?: number;
+    endLine?: number;
     score: number;
+    metadata?: {
+        symbol?: SymbolInfo | null;
+        section?: SectionInfo | null;
+        // 配置文件代码块的键路径，如 spring.datasource；由多个顶层标量合并而成时为空字符串
+        keyPath?: string | null;
+        cell?: CellInfo | null;
+        [key: string]: unknown;
+    };
+    // 结果所在的工作区文件夹路径，由扩展在搜索后填写，用于打开文件
+    workspacePath?: string;
+    // 同时搜索多个工作区文件夹时，结果所属文件夹的名称
+    workspaceFolder?: string;
+}
+
+// 搜索结果面板发起的一次检索；加载更多时以更大的 topK 重新检索
+export interface SearchRequest {
+    query: string;
+    mode: SearchMode;
+    filter?: SearchFilter;
+    topK: number;
+}
+
+export type SearchRunner = (request: SearchRequest) => Promise<SearchResult[]>;
+
+// 工作区已保存的索引概况，见 CodeChunker.getIndexSummary
+export interface IndexSummary {
+    collectionName: string;
+    lastIndexedAt: number | null;
+    indexedFiles: number | null;
+    indexedChunks: number | null;
 }
 
 export interface ChunkerInstance {
@@ -54,11 +191,16 @@ export interface ChunkerInstance {
         getFileProgress(): FileProgress;
         getOverallProgress(): ChunkProgress;
         getFileProgressSummary(): FileProgressSummary[];
+        getFileProgressPercentage(): number;
     };
     vectorManager?: {
         initialize(): Promise<void>;
         getCacheInfo(): Promise<CacheInfo>;
         clearCache?(): Promise<void>;
+        embeddingClient?: {
+            generateNetworkPerformanceReport(): any;
+            clearNetworkPerformanceData(): void;
+        };
         vectorDB?: {
             implementation?: {
                 dropCollection(databaseName: string, collectionName: string): Promise<any>;
@@ -71,32 +213,49 @@ export interface ChunkerInstance {
             };
         };
     };
-    search?(query: string, options?: { topK?: number }): Promise<SearchResult[]>;
+    getIndexSummary(userId: string, deviceId: string, workspacePath: string): Promise<IndexSummary>;
+    search?(
+        query: string,
+        options?: { topK?: number; mode?: SearchMode; filter?: SearchFilter }
+    ): Promise<SearchResult[]>;
     processWorkspace(
         userId: string,
         deviceId: string,
         workspacePath: string,
         token: string,
-        ignorePatterns?: string[]
+        ignorePatterns?: string[],
+        options?: ProcessWorkspaceOptions
     ): Promise<boolean>;
 }
 
+// 只在创建 chunker 实例时使用的密钥
+export interface ChunkerSecrets {
+    embeddingApiKey?: string;
+}
+
 export interface CodeChunkerModule {
     processWorkspace(
         userId: string,
         deviceId: string,
         workspacePath: string,
         token: string,
-        ignorePatterns?: string[]
+        ignorePatterns?: string[],
+        options?: ProcessWorkspaceOptions
     ): Promise<boolean>;
 
     getChunkerInstance(
         userId: string,
         deviceId: string,
         workspacePath: string,
-        token: string
+        token: string,
+        secrets?: ChunkerSecrets
     ): ChunkerInstance;
 
+    releaseChunkerInstances(workspacePath?: string): Promise<void>;
+
+    // 当前向量数据库是否支持按文件删除向量，api_only 模式下为 false
+    supportsIncrementalUpdates(): boolean;
+
     chunkerInstances: Map<string, ChunkerInstance>;
 
     CodeChunker: new (config: any) => ChunkerInstance;
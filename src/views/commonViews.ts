@@ -1,16 +1,17 @@
 import * as vscode from 'vscode';
+import type { CredentialService } from '../services/credentialService';
 
 export class CommonViews {
     /**
-     * 显示配置界面
+     * 显示配置（登录）界面，访问令牌保存到 SecretStorage
      */
-    static async showConfiguration() {
+    static async showConfiguration(credentialService: CredentialService) {
         const config = vscode.workspace.getConfiguration('codeChunker');
 
-        // 获取当前配置值
+        // 获取当前配置值，已保存的访问令牌不回显
         const currentUserId = config.get<string>('userId') || '';
         const currentDeviceId = config.get<string>('deviceId') || '';
-        const currentToken = config.get<string>('token') || '';
+        const hasToken = await credentialService.hasToken();
 
         // 显示用户ID输入框
         const userId = await vscode.window.showInputBox({
@@ -54,13 +55,12 @@ export class CommonViews {
 
         // 显示Token输入框
         const token = await vscode.window.showInputBox({
-            prompt: '请输入访问令牌',
-            value: currentToken,
+            prompt: hasToken ? '请输入访问令牌，留空则保留已保存的令牌' : '请输入访问令牌',
             placeHolder: '例如: your_access_token',
             password: true, // 隐藏输入内容
             validateInput: value => {
                 if (!value || value.trim().length === 0) {
-                    return '访问令牌不能为空';
+                    return hasToken ? null : '访问令牌不能为空';
                 }
                 if (value.trim().length < 10) {
                     return '访问令牌至少需要10个字符';
@@ -74,13 +74,11 @@ export class CommonViews {
         }
 
         try {
-            // 保存配置
-            await config.update('userId', userId.trim(), vscode.ConfigurationTarget.Global);
-            await config.update('deviceId', deviceId.trim(), vscode.ConfigurationTarget.Global);
-            await config.update('token', token.trim(), vscode.ConfigurationTarget.Global);
+            // 保存配置，留空时沿用已保存的令牌
+            await credentialService.signIn(userId.trim(), deviceId.trim(), token.trim() || null);
 
             vscode.window.showInformationMessage(
-                `配置已保存！\n用户ID: ${userId}\n设备ID: ${deviceId}\nToken: ${token.substring(0, 6)}...`
+                `已登录！\n用户ID: ${userId}\n设备ID: ${deviceId}\n访问令牌已保存到安全存储`
             );
         } catch (error) {
             console.error('[CommonViews] 保存配置失败:', error);
@@ -169,6 +167,40 @@ export class CommonViews {
         }
     }
 
+    /**
+     * 选择一个工作区文件夹，只有一个文件夹时直接返回
+     * @returns 没有打开工作区或用户取消时返回 undefined
+     */
+    static async pickWorkspaceFolder(placeHolder: string) {
+        const folders = vscode.workspace.workspaceFolders || [];
+        if (folders.length <= 1) {
+            return folders[0];
+        }
+        return vscode.window.showWorkspaceFolderPick({ placeHolder });
+    }
+
+    /**
+     * 选择一个或多个工作区文件夹，默认全选；只有一个文件夹时直接返回
+     * @returns 没有打开工作区或用户取消时返回空数组
+     */
+    static async pickWorkspaceFolders(placeHolder: string): Promise<vscode.WorkspaceFolder[]> {
+        const folders = vscode.workspace.workspaceFolders || [];
+        if (folders.length <= 1) {
+            return [...folders];
+        }
+
+        const picks = await vscode.window.showQuickPick(
+            folders.map(folder => ({
+                label: folder.name,
+                description: folder.uri.fsPath,
+                picked: true,
+                folder,
+            })),
+            { placeHolder, canPickMany: true }
+        );
+        return (picks || []).map(pick => pick.folder);
+    }
+
     /**
      * 显示简单的信息消息
      */
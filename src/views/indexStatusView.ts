@@ -0,0 +1,332 @@
+import * as vscode from 'vscode';
+import * as path from 'path';
+import type { IndexingPhase } from '../types';
+import type { BackgroundIndexService } from '../services/backgroundIndexService';
+import type { Credentials, CredentialService } from '../services/credentialService';
+import type { FailedFile, IndexStatusService } from '../services/indexStatusService';
+
+export const INDEX_STATUS_VIEW_ID = 'codeChunker.indexStatus';
+
+// 视图刷新的最小间隔，处理中的文件完成事件很频繁
+const REFRESH_DELAY_MS = 300;
+
+const PHASE_LABELS: Record<IndexingPhase, string> = {
+    scanning: '扫描文件',
+    planning: '检测变更',
+    parsing: '解析代码',
+    indexing: '更新索引',
+    embedding: '生成向量',
+    finalizing: '保存状态',
+};
+
+/**
+ * 索引状态视图的节点；工作区节点带有 workspaceFolder，行内操作据此确定要处理的工作区
+ */
+export class IndexStatusItem extends vscode.TreeItem {
+    readonly workspaceFolder?: vscode.WorkspaceFolder;
+    children?: IndexStatusItem[];
+
+    constructor(
+        label: string,
+        options: {
+            description?: string;
+            tooltip?: string;
+            icon?: string;
+            contextValue?: string;
+            workspaceFolder?: vscode.WorkspaceFolder;
+            children?: IndexStatusItem[];
+            command?: vscode.Command;
+        } = {}
+    ) {
+        super(
+            label,
+            options.children
+                ? vscode.TreeItemCollapsibleState.Collapsed
+                : vscode.TreeItemCollapsibleState.None
+        );
+        this.description = options.description;
+        this.tooltip = options.tooltip;
+        this.iconPath = options.icon ? new vscode.ThemeIcon(options.icon) : undefined;
+        this.contextValue = options.contextValue;
+        this.workspaceFolder = options.workspaceFolder;
+        this.children = options.children;
+        this.command = options.command;
+    }
+}
+
+/**
+ * 侧边栏中的索引状态视图：每个工作区文件夹一个节点，展示集合名称、上次索引时间、
+ * 文件和代码块数量、失败的文件及原因、文件监控状态，处理进行中时实时更新进度
+ */
+export class IndexStatusProvider
+    implements vscode.TreeDataProvider<IndexStatusItem>, vscode.Disposable
+{
+    private readonly changeEmitter = new vscode.EventEmitter<void>();
+    private readonly disposables: vscode.Disposable[] = [];
+    private refreshTimer: NodeJS.Timeout | null = null;
+
+    readonly onDidChangeTreeData = this.changeEmitter.event;
+
+    constructor(
+        private readonly statusService: IndexStatusService,
+        private readonly credentialService: CredentialService,
+        private readonly backgroundIndexService: BackgroundIndexService
+    ) {
+        this.disposables.push(
+            statusService.onDidChange(() => this.scheduleRefresh()),
+            credentialService.onDidChange(() => this.refresh()),
+            backgroundIndexService.onDidChange(() => this.scheduleRefresh()),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => this.refresh()),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('codeChunker')) {
+                    this.refresh();
+                }
+            })
+        );
+    }
+
+    dispose() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+        }
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.changeEmitter.dispose();
+    }
+
+    refresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        this.changeEmitter.fire();
+    }
+
+    getTreeItem(item: IndexStatusItem): vscode.TreeItem {
+        return item;
+    }
+
+    async getChildren(item?: IndexStatusItem): Promise<IndexStatusItem[]> {
+        if (item) {
+            return item.children || [];
+        }
+
+        const folders = vscode.workspace.workspaceFolders || [];
+        const credentials = await this.credentialService.getCredentials();
+        return Promise.all(folders.map(folder => this.createWorkspaceItem(folder, credentials)));
+    }
+
+    // 内部方法
+
+    private scheduleRefresh() {
+        if (!this.refreshTimer) {
+            this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY_MS);
+        }
+    }
+
+    private async createWorkspaceItem(
+        folder: vscode.WorkspaceFolder,
+        credentials: Credentials | null
+    ): Promise<IndexStatusItem> {
+        const workspacePath = folder.uri.fsPath;
+        const run = this.statusService.getRun(workspacePath);
+        const lastRun = this.statusService.getLastRun(workspacePath);
+
+        let summary = null;
+        let summaryError: string | null = null;
+        if (credentials) {
+            try {
+                summary = await this.statusService.getSummary(workspacePath, credentials);
+            } catch (error) {
+                summaryError = error instanceof Error ? error.message : String(error);
+            }
+        }
+
+        const children: IndexStatusItem[] = [];
+        if (!credentials) {
+            children.push(
+                new IndexStatusItem('未登录', {
+                    description: '缺少用户ID、设备ID或访问令牌，点击登录',
+                    icon: 'account',
+                    command: {
+                        command: 'test-electron-treesitter.signIn',
+                        title: '登录',
+                    },
+                })
+            );
+        } else if (summaryError) {
+            children.push(
+                new IndexStatusItem('读取索引状态失败', {
+                    description: summaryError,
+                    tooltip: summaryError,
+                    icon: 'error',
+                })
+            );
+        }
+
+        if (run) {
+            const phase = run.phase ? PHASE_LABELS[run.phase] : '准备中';
+            const files =
+                run.totalFiles > 0
+                    ? `${run.completedFiles + run.failedFiles}/${run.totalFiles} 个文件`
+                    : '';
+            children.push(
+                new IndexStatusItem('正在索引', {
+                    description: files ? `${phase} · ${files}` : phase,
+                    icon: 'loading~spin',
+                })
+            );
+        }
+
+        if (summary) {
+            children.push(
+                new IndexStatusItem('集合', {
+                    description: summary.collectionName.substring(0, 16),
+                    tooltip: summary.collectionName,
+                    icon: 'database',
+                }),
+                new IndexStatusItem('上次索引', {
+                    description: summary.lastIndexedAt
+                        ? new Date(summary.lastIndexedAt).toLocaleString()
+                        : '尚未索引',
+                    icon: 'history',
+                }),
+                new IndexStatusItem('文件', {
+                    description: summary.indexedFiles !== null ? `${summary.indexedFiles} 个` : '-',
+                    icon: 'files',
+                }),
+                new IndexStatusItem('代码块', {
+                    description:
+                        summary.indexedChunks !== null ? `${summary.indexedChunks} 个` : '-',
+                    tooltip: '本地词法索引中的代码块数量',
+                    icon: 'symbol-snippet',
+                })
+            );
+        }
+
+        const failedFiles = this.statusService.getFailedFiles(workspacePath);
+        if (failedFiles.length > 0) {
+            const failedFileCount = run
+                ? failedFiles.length
+                : lastRun?.failedFileCount || failedFiles.length;
+            children.push(
+                new IndexStatusItem('失败的文件', {
+                    description: `${failedFileCount} 个`,
+                    icon: 'warning',
+                    children: failedFiles.map(failure =>
+                        this.createFailedFileItem(folder, failure)
+                    ),
+                })
+            );
+        }
+
+        children.push(this.createWatcherItem(workspacePath));
+
+        let description: string;
+        let icon: string;
+        if (run) {
+            description = '索引中';
+            icon = 'sync~spin';
+        } else if (lastRun && !lastRun.success) {
+            description = '上次索引失败';
+            icon = 'warning';
+        } else if (summary?.lastIndexedAt) {
+            description = '已索引';
+            icon = 'pass';
+        } else {
+            description = '未索引';
+            icon = 'circle-large-outline';
+        }
+
+        const item = new IndexStatusItem(folder.name, {
+            description,
+            tooltip: workspacePath,
+            icon,
+            // 正在处理时不提供重新索引等操作
+            contextValue: run ? 'workspaceFolderIndexing' : 'workspaceFolder',
+            workspaceFolder: folder,
+            children,
+        });
+        item.collapsibleState = vscode.TreeItemCollapsibleState.Expanded;
+        return item;
+    }
+
+    // 未启用后台增量同步时，工作区变更后需要手动重新索引
+    private createWatcherItem(workspacePath: string) {
+        const state = this.backgroundIndexService.getState(workspacePath);
+        if (!state.enabled) {
+            return new IndexStatusItem('文件监控', {
+                description: '未启用',
+                tooltip:
+                    '开启 codeChunker.backgroundIndexing.enabled 后，保存的变更会自动同步到索引',
+                icon: 'eye-closed',
+                command: {
+                    command: 'workbench.action.openSettings',
+                    title: '打开设置',
+                    arguments: ['codeChunker.backgroundIndexing'],
+                },
+            });
+        }
+
+        const describe = (paths: string[]) =>
+            paths.includes('') ? '全部文件' : `${paths.length} 个文件`;
+        let description: string;
+        if (state.syncingPaths.length > 0) {
+            description = `正在同步 ${describe(state.syncingPaths)}`;
+        } else if (state.pendingPaths.length > 0) {
+            description = `待索引 ${describe(state.pendingPaths)}`;
+        } else if (state.lastSyncedAt) {
+            description = `已同步 · ${new Date(state.lastSyncedAt).toLocaleTimeString()}`;
+        } else {
+            description = '监控中';
+        }
+
+        return new IndexStatusItem('文件监控', {
+            description,
+            tooltip: state.lastError ? `上次同步失败: ${state.lastError}` : undefined,
+            icon: state.lastError ? 'warning' : 'eye',
+            command:
+                state.pendingPaths.length > 0
+                    ? { command: 'test-electron-treesitter.syncIndexNow', title: '立即同步索引' }
+                    : undefined,
+        });
+    }
+
+    private createFailedFileItem(folder: vscode.WorkspaceFolder, failure: FailedFile) {
+        const uri = path.isAbsolute(failure.filePath)
+            ? vscode.Uri.file(failure.filePath)
+            : vscode.Uri.joinPath(folder.uri, failure.filePath);
+        return new IndexStatusItem(failure.filePath, {
+            description: failure.error || '未知原因',
+            tooltip: `${failure.filePath}\n${failure.error || '未知原因'}`,
+            icon: 'error',
+            command: { command: 'vscode.open', title: '打开文件', arguments: [uri] },
+        });
+    }
+}
+
+/**
+ * 注册索引状态视图及其刷新命令
+ */
+export function registerIndexStatusView(
+    context: vscode.ExtensionContext,
+    statusService: IndexStatusService,
+    credentialService: CredentialService,
+    backgroundIndexService: BackgroundIndexService
+) {
+    const provider = new IndexStatusProvider(
+        statusService,
+        credentialService,
+        backgroundIndexService
+    );
+    const treeView = vscode.window.createTreeView(INDEX_STATUS_VIEW_ID, {
+        treeDataProvider: provider,
+        showCollapseAll: true,
+    });
+
+    const refreshCommand = vscode.commands.registerCommand(
+        'test-electron-treesitter.refreshIndexStatus',
+        () => provider.refresh()
+    );
+
+    context.subscriptions.push(provider, treeView, refreshCommand);
+}
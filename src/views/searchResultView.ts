@@ -1,131 +1,379 @@
 import * as vscode from 'vscode';
 import * as fs from 'fs';
 import * as path from 'path';
+import type {
+    CellInfo,
+    SearchFilter,
+    SearchMode,
+    SearchRequest,
+    SearchResult,
+    SearchRunner,
+} from '../types';
 
+// 每次「加载更多」追加的结果数量
+const PAGE_SIZE = 10;
+// 单次搜索最多取回的结果数量
+const MAX_RESULTS = 100;
+
+// 面板中可编辑的筛选条件，列表类条件以逗号分隔的文本传递
+const EDITABLE_FILTER_KEYS = ['language', 'type', 'include', 'exclude', 'symbol'] as const;
+
+type EditableFilterKey = (typeof EDITABLE_FILTER_KEYS)[number];
+
+// 面板发回的消息
+type PanelMessage =
+    | { type: 'ready' }
+    | { type: 'open'; index: number }
+    | { type: 'loadMore' }
+    | {
+          type: 'search';
+          query: string;
+          mode: SearchMode;
+          filter: Partial<Record<EditableFilterKey, string>>;
+          // 最近修改的天数；'keep' 表示沿用原有的修改时间条件
+          modifiedDays: number | null | 'keep';
+      };
+
+/**
+ * 搜索结果面板
+ *
+ * 按文件分组显示结果，代码预览带语法高亮和得分条，点击或回车跳转到命中的行（Notebook 跳转到单元格），
+ * 支持键盘导航、加载更多，以及修改关键词、检索模式和筛选条件后在面板内重新搜索。
+ * 同一时间只保留一个面板，新的搜索会复用已打开的面板。
+ */
 export class SearchResultView {
+    private static currentView: SearchResultView | undefined;
+
+    private readonly panel: vscode.WebviewPanel;
+    private readonly disposables: vscode.Disposable[] = [];
+    private request: SearchRequest;
+    private results: SearchResult[];
+    private runner: SearchRunner;
+    private workspaceName: string;
+    private loading = false;
+
     /**
      * 显示搜索结果
+     * @param runner 在面板内重新搜索、加载更多时调用
      */
-    static async displaySearchResults(query: string, results: any[], workspaceName: string) {
-        const outputChannel = vscode.window.createOutputChannel(`代码搜索结果 - ${workspaceName}`);
+    static displaySearchResults(
+        extensionUri: vscode.Uri,
+        workspaceName: string,
+        request: SearchRequest,
+        results: SearchResult[],
+        runner: SearchRunner
+    ) {
+        const current = SearchResultView.currentView;
+        if (current) {
+            current.workspaceName = workspaceName;
+            current.runner = runner;
+            current.update(request, results);
+            current.panel.reveal(undefined, true);
+            return;
+        }
 
-        try {
-            outputChannel.clear();
-            outputChannel.appendLine(`📊 智能代码搜索结果`);
-            outputChannel.appendLine(`🔍 搜索关键词: "${query}"`);
-            outputChannel.appendLine(`📁 工作区: ${workspaceName}`);
-            outputChannel.appendLine(`📈 找到结果: ${results.length} 个相关代码片段`);
-            outputChannel.appendLine(`⏰ 搜索时间: ${new Date().toLocaleString()}`);
-            outputChannel.appendLine(`${'='.repeat(80)}\n`);
-
-            // 按得分排序结果
-            results.sort((a, b) => (b.score || 0) - (a.score || 0));
-
-            // 显示每个搜索结果
-            results.forEach((result, index) => {
-                const score = result.score ? (result.score * 100).toFixed(1) : 'N/A';
-                const fileName = result.fileName || result.filePath || 'unknown';
-                const filePath = result.filePath || '';
-
-                outputChannel.appendLine(`📄 结果 ${index + 1}: ${fileName}`);
-                outputChannel.appendLine(`   📍 路径: ${filePath}`);
-                outputChannel.appendLine(`   🎯 相似度: ${score}%`);
-
-                if (result.content) {
-                    // 限制内容显示长度
-                    const maxLength = 200;
-                    let content = result.content.trim();
-                    if (content.length > maxLength) {
-                        content = content.substring(0, maxLength) + '...';
-                    }
-
-                    // 高亮显示查询关键词
-                    const highlightedContent = this.highlightQuery(content, query);
-                    outputChannel.appendLine(`   📝 内容预览:`);
-                    outputChannel.appendLine(
-                        `      ${highlightedContent.replace(/\n/g, '\n      ')}`
-                    );
-                }
+        const panel = vscode.window.createWebviewPanel(
+            'codeChunker.searchResults',
+            `代码搜索结果 - ${workspaceName}`,
+            { viewColumn: vscode.ViewColumn.Beside, preserveFocus: false },
+            {
+                enableScripts: true,
+                localResourceRoots: [vscode.Uri.joinPath(extensionUri, 'media')],
+            }
+        );
+        SearchResultView.currentView = new SearchResultView(
+            panel,
+            extensionUri,
+            workspaceName,
+            request,
+            results,
+            runner
+        );
+    }
 
-                outputChannel.appendLine('');
-            });
+    private constructor(
+        panel: vscode.WebviewPanel,
+        extensionUri: vscode.Uri,
+        workspaceName: string,
+        request: SearchRequest,
+        results: SearchResult[],
+        runner: SearchRunner
+    ) {
+        this.panel = panel;
+        this.workspaceName = workspaceName;
+        this.request = request;
+        this.results = results;
+        this.runner = runner;
 
-            outputChannel.appendLine(`${'='.repeat(80)}`);
-            outputChannel.appendLine(`💡 提示: 双击结果列表中的文件可以直接打开`);
+        this.panel.webview.html = this.getHtml(extensionUri);
+        this.panel.webview.onDidReceiveMessage(
+            (message: PanelMessage) => this.handleMessage(message),
+            undefined,
+            this.disposables
+        );
+        this.panel.onDidDispose(() => this.dispose(), undefined, this.disposables);
+    }
 
-            // 显示输出面板
-            outputChannel.show(true);
+    // 内部方法
 
-            // 提供交互式选择
-            await this.showSearchResultPicker(results, workspaceName);
-        } catch (error) {
-            console.error('[SearchResultView] 显示搜索结果失败:', error);
-            vscode.window.showErrorMessage(
-                `显示搜索结果失败: ${error instanceof Error ? error.message : String(error)}`
-            );
+    private dispose() {
+        SearchResultView.currentView = undefined;
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.disposables.length = 0;
+    }
+
+    private update(request: SearchRequest, results: SearchResult[]) {
+        this.request = request;
+        this.results = results;
+        this.panel.title = `代码搜索结果 - ${this.workspaceName}`;
+        this.postResults();
+    }
+
+    private async handleMessage(message: PanelMessage) {
+        switch (message.type) {
+            case 'ready':
+                // 面板重新显示时网页会重新加载，需要重新发送结果
+                this.postResults();
+                break;
+            case 'open':
+                if (this.results[message.index]) {
+                    await SearchResultView.openSearchResultFile(this.results[message.index]);
+                }
+                break;
+            case 'loadMore':
+                await this.runSearch({
+                    ...this.request,
+                    topK: Math.min(this.request.topK + PAGE_SIZE, MAX_RESULTS),
+                });
+                break;
+            case 'search': {
+                const query = message.query.trim();
+                if (query.length < 2) {
+                    this.postMessage({ type: 'error', message: '搜索关键词至少需要2个字符' });
+                    return;
+                }
+                await this.runSearch({
+                    query,
+                    mode: message.mode,
+                    filter: this.buildFilter(message.filter, message.modifiedDays),
+                    topK: PAGE_SIZE,
+                });
+                break;
+            }
         }
     }
 
-    /**
-     * 高亮显示查询关键词
-     */
-    private static highlightQuery(content: string, query: string): string {
-        if (!query || !content) return content;
+    private async runSearch(request: SearchRequest) {
+        if (this.loading) {
+            return;
+        }
 
+        this.loading = true;
+        this.postMessage({ type: 'loading' });
         try {
-            // 简单的关键词高亮 (用 >> << 包围)
-            const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-            return content.replace(regex, '>>$1<<');
+            const results = await this.runner(request);
+            this.update(request, results);
         } catch (error) {
-            return content;
+            console.error('[SearchResultView] 搜索失败:', error);
+            this.postMessage({
+                type: 'error',
+                message: `搜索失败: ${error instanceof Error ? error.message : String(error)}`,
+            });
+        } finally {
+            this.loading = false;
         }
     }
 
     /**
-     * 显示搜索结果选择器
+     * 用面板中编辑的条件替换原有条件；面板不能编辑的条件（如行号区间）保持不变
      */
-    private static async showSearchResultPicker(results: any[], workspaceName: string) {
-        if (!results || results.length === 0) {
-            return;
+    private buildFilter(
+        edited: Partial<Record<EditableFilterKey, string>>,
+        modifiedDays: number | null | 'keep'
+    ): SearchFilter | undefined {
+        const filter: SearchFilter = { ...this.request.filter };
+        for (const key of EDITABLE_FILTER_KEYS) {
+            const values = (edited[key] || '')
+                .split(',')
+                .map(value => value.trim())
+                .filter(value => value.length > 0);
+            if (values.length > 0) {
+                filter[key] = values;
+            } else {
+                delete filter[key];
+            }
         }
 
-        const quickPickItems = results.map((result, index) => {
-            const score = result.score ? (result.score * 100).toFixed(1) : 'N/A';
-            const fileName = result.fileName || result.filePath || 'unknown';
-            const filePath = result.filePath || '';
-
-            return {
-                label: `$(file-code) ${fileName}`,
-                description: `相似度: ${score}%`,
-                detail: filePath,
-                result: result,
-                index: index,
-            };
-        });
+        if (modifiedDays !== 'keep') {
+            if (modifiedDays) {
+                filter.modifiedSince = Date.now() - modifiedDays * 24 * 60 * 60 * 1000;
+            } else {
+                delete filter.modifiedSince;
+            }
+        }
+
+        return Object.keys(filter).length > 0 ? filter : undefined;
+    }
 
-        const selected = await vscode.window.showQuickPick(quickPickItems, {
-            placeHolder: `选择要打开的文件 (共找到 ${results.length} 个结果)`,
-            matchOnDescription: true,
-            matchOnDetail: true,
+    private postResults() {
+        const { query, mode, filter, topK } = this.request;
+        const formFilter: Partial<Record<EditableFilterKey, string>> = {};
+        for (const key of EDITABLE_FILTER_KEYS) {
+            const value = filter?.[key];
+            formFilter[key] = Array.isArray(value) ? value.join(', ') : value || '';
+        }
+
+        this.postMessage({
+            type: 'results',
+            query,
+            mode,
+            filter: formFilter,
+            modifiedDays: SearchResultView.toModifiedDays(filter?.modifiedSince),
+            workspaceName: this.workspaceName,
+            // 取回的结果数量达到请求数量时，可能还有更多结果
+            hasMore: this.results.length >= topK && topK < MAX_RESULTS,
+            results: this.results.map((result, index) => this.toViewModel(result, index)),
         });
+    }
+
+    private postMessage(message: Record<string, unknown>) {
+        this.panel.webview.postMessage(message);
+    }
+
+    private toViewModel(result: SearchResult, index: number) {
+        const filePath = result.filePath || '';
+        const language = result.metadata?.language;
+        return {
+            index,
+            filePath,
+            fileName: result.fileName || path.basename(filePath) || 'unknown',
+            folder: result.workspaceFolder || '',
+            startLine: result.startLine || 0,
+            endLine: result.endLine || 0,
+            language:
+                typeof language === 'string' && language
+                    ? language
+                    : path.extname(filePath).slice(1).toLowerCase(),
+            type: typeof result.metadata?.type === 'string' ? result.metadata.type : '',
+            score: result.score || 0,
+            label:
+                SearchResultView.formatSymbol(result) ||
+                result.metadata?.section?.breadcrumb ||
+                result.metadata?.keyPath ||
+                SearchResultView.formatCell(result),
+            docComment: result.metadata?.symbol?.docComment?.split('\n')[0] || '',
+            content: result.content || '',
+        };
+    }
+
+    /**
+     * 把修改时间条件换算为面板中的天数选项，无法对应到选项时沿用原条件
+     */
+    private static toModifiedDays(modifiedSince?: string | number): number | null | 'keep' {
+        if (modifiedSince === undefined) {
+            return null;
+        }
+        const timestamp =
+            typeof modifiedSince === 'number' ? modifiedSince : Date.parse(modifiedSince);
+        const days = Math.round((Date.now() - timestamp) / (24 * 60 * 60 * 1000));
+        return [1, 7, 30].includes(days) ? days : 'keep';
+    }
 
-        if (selected) {
-            await this.openSearchResultFile(selected.result);
+    private getHtml(extensionUri: vscode.Uri): string {
+        const webview = this.panel.webview;
+        const mediaUri = (file: string) =>
+            webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, 'media', file));
+        const nonce = Array.from({ length: 32 }, () =>
+            Math.floor(Math.random() * 36).toString(36)
+        ).join('');
+
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link href="${mediaUri('searchResults.css')}" rel="stylesheet">
+    <title>代码搜索结果</title>
+</head>
+<body>
+    <form id="search-form">
+        <div class="search-row">
+            <input id="query" type="text" placeholder="搜索关键词（按 / 聚焦）" autocomplete="off">
+            <select id="mode" title="检索模式">
+                <option value="hybrid">混合</option>
+                <option value="vector">向量</option>
+                <option value="lexical">关键词</option>
+            </select>
+            <button type="submit">搜索</button>
+        </div>
+        <details id="filters">
+            <summary>筛选条件</summary>
+            <div class="filter-grid">
+                <label>语言<input name="language" type="text" placeholder="typescript, python"></label>
+                <label>代码块类型<input name="type" type="text" placeholder="function, class"></label>
+                <label>包含路径<input name="include" type="text" placeholder="src/**, lib/**"></label>
+                <label>排除路径<input name="exclude" type="text" placeholder="**/*.test.ts"></label>
+                <label>符号<input name="symbol" type="text" placeholder="UserService.*"></label>
+                <label>最近修改
+                    <select id="modified">
+                        <option value="">不限</option>
+                        <option value="1">最近 1 天</option>
+                        <option value="7">最近 7 天</option>
+                        <option value="30">最近 30 天</option>
+                        <option value="keep">沿用原条件</option>
+                    </select>
+                </label>
+            </div>
+        </details>
+    </form>
+    <div id="status" role="status"></div>
+    <div id="results" role="tree"></div>
+    <button id="load-more" type="button" hidden>加载更多</button>
+    <script nonce="${nonce}" src="${mediaUri('searchResults.js')}"></script>
+</body>
+</html>`;
+    }
+
+    /**
+     * 符号的显示名称，如 UserService.findById(id)；结果不是函数、类等定义时返回空字符串
+     */
+    private static formatSymbol(result: SearchResult): string {
+        const symbol = result.metadata?.symbol;
+        if (!symbol || !symbol.name) {
+            return '';
         }
+        const signature = symbol.signature || symbol.name;
+        return symbol.container ? `${symbol.container}.${signature}` : signature;
     }
 
     /**
-     * 打开搜索结果文件
+     * Notebook 单元格的显示文本，如「单元格 3 [5]」，方括号内为执行序号
      */
-    private static async openSearchResultFile(result: any) {
+    private static formatCell(result: SearchResult): string {
+        const cell = result.metadata?.cell;
+        if (!cell) {
+            return '';
+        }
+        const executionCount =
+            typeof cell.executionCount === 'number' ? ` [${cell.executionCount}]` : '';
+        return `单元格 ${cell.index + 1}${executionCount}`;
+    }
+
+    /**
+     * 打开搜索结果文件，编辑器显示在面板旁边的第一栏
+     */
+    private static async openSearchResultFile(result: SearchResult) {
         try {
             if (!result || !result.filePath) {
                 vscode.window.showErrorMessage('无效的文件路径');
                 return;
             }
 
-            const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
-            if (!workspaceFolder) {
+            // 多根工作区中相对路径基于结果所在的文件夹
+            const workspacePath =
+                result.workspacePath || vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+            if (!workspacePath) {
                 vscode.window.showErrorMessage('请先打开一个工作区');
                 return;
             }
@@ -133,7 +381,7 @@ export class SearchResultView {
             // 构建完整文件路径
             const fullPath = path.isAbsolute(result.filePath)
                 ? result.filePath
-                : path.join(workspaceFolder.uri.fsPath, result.filePath);
+                : path.join(workspacePath, result.filePath);
 
             // 检查文件是否存在
             if (!fs.existsSync(fullPath)) {
@@ -141,9 +389,17 @@ export class SearchResultView {
                 return;
             }
 
+            // Notebook 结果定位到对应的单元格
+            if (result.metadata?.cell && fullPath.endsWith('.ipynb')) {
+                await this.revealNotebookCell(fullPath, result.metadata.cell);
+                return;
+            }
+
             // 打开文件
             const document = await vscode.workspace.openTextDocument(fullPath);
-            const editor = await vscode.window.showTextDocument(document);
+            const editor = await vscode.window.showTextDocument(document, {
+                viewColumn: vscode.ViewColumn.One,
+            });
 
             // 如果有行号信息，跳转到指定位置
             if (result.startLine && result.startLine > 0) {
@@ -152,14 +408,15 @@ export class SearchResultView {
                     ? Math.max(startLine, result.endLine - 1)
                     : startLine;
 
-                const range = new vscode.Range(startLine, 0, endLine, 0);
+                const range = new vscode.Range(
+                    startLine,
+                    0,
+                    endLine,
+                    document.lineAt(Math.min(endLine, document.lineCount - 1)).text.length
+                );
                 editor.selection = new vscode.Selection(range.start, range.end);
                 editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
             }
-
-            vscode.window.showInformationMessage(
-                `已打开文件: ${result.fileName || result.filePath}`
-            );
         } catch (error) {
             console.error('[SearchResultView] 打开文件失败:', error);
             vscode.window.showErrorMessage(
@@ -167,4 +424,31 @@ export class SearchResultView {
             );
         }
     }
+
+    /**
+     * 在 Notebook 编辑器中打开文件并选中单元格，再选中单元格内命中的行
+     */
+    private static async revealNotebookCell(fullPath: string, cell: CellInfo) {
+        const notebook = await vscode.workspace.openNotebookDocument(vscode.Uri.file(fullPath));
+        const index = Math.min(cell.index, Math.max(0, notebook.cellCount - 1));
+        const cellRange = new vscode.NotebookRange(index, index + 1);
+        const notebookEditor = await vscode.window.showNotebookDocument(notebook, {
+            viewColumn: vscode.ViewColumn.One,
+            selections: [cellRange],
+        });
+        notebookEditor.revealRange(cellRange, vscode.NotebookEditorRevealType.InCenter);
+
+        // 代码单元格打开为文本编辑器后选中命中的行
+        const cellDocument = notebook.cellAt(index).document;
+        const editor = vscode.window.visibleTextEditors.find(
+            visible => visible.document === cellDocument
+        );
+        if (editor) {
+            const startLine = Math.max(0, cell.startLine - 1);
+            const endLine = Math.max(startLine, cell.endLine - 1);
+            const range = new vscode.Range(startLine, 0, endLine, 0);
+            editor.selection = new vscode.Selection(range.start, range.end);
+            editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+        }
+    }
 }
@@ -25,6 +25,7 @@ const extensionConfig = {
         // Tree-sitter core
         'tree-sitter': 'commonjs tree-sitter',
         // Tree-sitter language parsers - 排除所有包含.node文件的语言包
+        'tree-sitter-bash': 'commonjs tree-sitter-bash',
         'tree-sitter-c': 'commonjs tree-sitter-c',
         'tree-sitter-cpp': 'commonjs tree-sitter-cpp',
         'tree-sitter-c-sharp': 'commonjs tree-sitter-c-sharp',
@@ -33,11 +34,17 @@ const extensionConfig = {
         'tree-sitter-html': 'commonjs tree-sitter-html',
         'tree-sitter-java': 'commonjs tree-sitter-java',
         'tree-sitter-javascript': 'commonjs tree-sitter-javascript',
+        'tree-sitter-kotlin': 'commonjs tree-sitter-kotlin',
         'tree-sitter-php': 'commonjs tree-sitter-php',
         'tree-sitter-python': 'commonjs tree-sitter-python',
         'tree-sitter-ruby': 'commonjs tree-sitter-ruby',
         'tree-sitter-rust': 'commonjs tree-sitter-rust',
+        'tree-sitter-scala': 'commonjs tree-sitter-scala',
+        'tree-sitter-swift': 'commonjs tree-sitter-swift',
         'tree-sitter-typescript': 'commonjs tree-sitter-typescript',
+        '@tree-sitter-grammars/tree-sitter-lua': 'commonjs @tree-sitter-grammars/tree-sitter-lua',
+        // 本地嵌入模型（可选依赖，包含 onnxruntime-node 原生模块）
+        '@huggingface/transformers': 'commonjs @huggingface/transformers',
     },
     resolve: {
         // support reading TypeScript and JavaScript files, 📖 -> https://github.com/TypeStrong/ts-loader